@@ -0,0 +1,121 @@
+/**
+ * Comprobar que la especificación OpenAPI cubre todas las rutas de la API
+ * Uso: npm run check:openapi
+ * Falla (exit 1) si una ruta registrada no está documentada, si la especificación
+ * documenta una ruta que no existe, si hay referencias $ref rotas o si los parámetros
+ * de query o los campos del body documentados no coinciden con los de su validación Joi.
+ */
+const { listApiRoutes } = require('../src/routes');
+const spec = require('../src/docs/openapi');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// /api/products/:id → /api/products/{id}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const routes = listApiRoutes();
+const registered = routes.map(({ method, path }) => `${method} ${toOpenApiPath(path)}`);
+
+const documented = [];
+Object.entries(spec.paths).forEach(([path, item]) => {
+  HTTP_METHODS.filter(method => item[method]).forEach(method => {
+    documented.push(`${method.toUpperCase()} ${path}`);
+  });
+});
+
+const missing = registered.filter(route => !documented.includes(route));
+const stale = documented.filter(route => !registered.includes(route));
+
+// Buscar referencias internas que no apuntan a ningún componente
+const brokenRefs = new Set();
+const visit = (node) => {
+  if (Array.isArray(node)) {
+    return node.forEach(visit);
+  }
+  if (node && typeof node === 'object') {
+    if (typeof node.$ref === 'string') {
+      const target = node.$ref.replace(/^#\//, '').split('/')
+        .reduce((current, key) => (current ? current[key] : undefined), spec);
+      if (!target) {
+        brokenRefs.add(node.$ref);
+      }
+    }
+    Object.values(node).forEach(visit);
+  }
+};
+visit(spec);
+
+// Seguir un $ref hasta el objeto al que apunta
+const resolve = (node) => {
+  if (!node || typeof node.$ref !== 'string') {
+    return node;
+  }
+  return resolve(node.$ref.replace(/^#\//, '').split('/')
+    .reduce((current, key) => (current ? current[key] : undefined), spec));
+};
+
+// Propiedades de un esquema OpenAPI, incluidas las de allOf / oneOf / anyOf
+const schemaFields = (schema) => {
+  const resolved = resolve(schema) || {};
+  const fields = new Set(Object.keys(resolved.properties || {}));
+  ['allOf', 'oneOf', 'anyOf'].forEach(keyword => {
+    (resolved[keyword] || []).forEach(part => schemaFields(part).forEach(field => fields.add(field)));
+  });
+  return fields;
+};
+
+// Campos que acepta un esquema Joi de objeto (null si no es un objeto con claves declaradas)
+const joiFields = (schema) => {
+  const description = schema.describe();
+  return description.type === 'object' && description.keys ? new Set(Object.keys(description.keys)) : null;
+};
+
+// Comparar los campos documentados con los de la validación, en ambos sentidos
+const fieldMismatches = [];
+const compareFields = (route, location, documentedFields, validatedFields) => {
+  if (!validatedFields) {
+    return;
+  }
+  [...validatedFields].filter(field => !documentedFields.has(field))
+    .forEach(field => fieldMismatches.push(`${route}: ${location} "${field}" se valida pero no está documentado`));
+  [...documentedFields].filter(field => !validatedFields.has(field))
+    .forEach(field => fieldMismatches.push(`${route}: ${location} "${field}" está documentado pero la validación lo descarta`));
+};
+
+routes.forEach(({ method, path, schemas }) => {
+  const route = `${method} ${toOpenApiPath(path)}`;
+  const item = spec.paths[toOpenApiPath(path)];
+  const operation = item && item[method.toLowerCase()];
+  if (!operation) {
+    return;
+  }
+
+  if (schemas.query) {
+    const parameters = [...(item.parameters || []), ...(operation.parameters || [])].map(resolve);
+    const documentedQuery = new Set(parameters.filter(parameter => parameter.in === 'query').map(parameter => parameter.name));
+    compareFields(route, 'query', documentedQuery, joiFields(schemas.query));
+  }
+
+  const json = operation.requestBody && resolve(operation.requestBody).content['application/json'];
+  if (schemas.body && json) {
+    compareFields(route, 'body', schemaFields(json.schema), joiFields(schemas.body));
+  }
+});
+
+const report = (title, items) => {
+  if (items.length > 0) {
+    console.error(`❌ ${title}:`);
+    items.forEach(item => console.error(`   • ${item}`));
+  }
+};
+
+report('Rutas registradas sin documentar en src/docs/openapi.js', missing);
+report('Rutas documentadas que no existen', stale);
+report('Referencias $ref rotas', [...brokenRefs]);
+report('Campos que no coinciden con la validación', fieldMismatches);
+
+if (missing.length > 0 || stale.length > 0 || brokenRefs.size > 0 || fieldMismatches.length > 0) {
+  process.exit(1);
+}
+
+console.log(`✅ Especificación OpenAPI completa: ${registered.length} rutas documentadas`);
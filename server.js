@@ -1,84 +1,130 @@
 require('dotenv').config();
 const app = require('./src/app');
-
-// IMPORTAR la base de datos → ejecuta constructor y conecta automáticamente
+const { listApiRoutes } = require('./src/routes');
+const trashPurgeJob = require('./src/jobs/trashPurge.job');
+const priceSchedulerJob = require('./src/jobs/priceScheduler.job');
+const webhookDispatchJob = require('./src/jobs/webhookDispatch.job');
+const webhookService = require('./src/services/webhook.service');
+const productService = require('./src/services/product.service');
+const productFeedService = require('./src/services/productFeed.service');
+const categoryService = require('./src/services/category.service');
+const eventBus = require('./src/utils/eventBus');
+const logger = require('./src/utils/logger');
 const database = require('./src/config/database');
-
-// ============================================
-// Configuración del servidor
-// ============================================
-const PORT = process.env.PORT || 3000;
-const NODE_ENV = process.env.NODE_ENV || 'development';
+const { loadEnv } = require('./src/config/env');
 
 // ============================================
 // Inicialización
 // ============================================
+// 1. Validar las variables de entorno
+// 2. Conectar a MongoDB (con reintentos)
+// 3. Recién entonces aceptar tráfico e iniciar los jobs
 async function startServer() {
-  try {
+  let server = null;
+  let shuttingDown = false;
 
-    // ❌ YA NO LLAMAR:
-    // await database.connect();
+  // Manejo de cierre graceful (también durante los reintentos de conexión)
+  const gracefulShutdown = async (signal) => {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
 
-    // ✅ La conexión ya ocurrió al importar database.js
+    logger.warn('Cerrando servidor', { signal });
+    trashPurgeJob.stop();
+    priceSchedulerJob.stop();
+    webhookDispatchJob.stop();
 
-    // Iniciar servidor
-    const server = app.listen(PORT, () => {
-      console.log('╔════════════════════════════════════════╗');
-      console.log('║   🚀 SERVIDOR INICIADO EXITOSAMENTE   ║');
-      console.log('╠════════════════════════════════════════╣');
-      console.log(`║  Entorno: ${NODE_ENV.padEnd(28)}║`);
-      console.log(`║  Puerto: ${PORT.toString().padEnd(29)}║`);
-      console.log(`║  URL: http://localhost:${PORT.toString().padEnd(17)}║`);
-      console.log('╠════════════════════════════════════════╣');
-      console.log('║  Endpoints disponibles:                ║');
-      console.log(`║  • GET    http://localhost:${PORT}/health      ║`);
-      console.log(`║  • GET    http://localhost:${PORT}/api/products║`);
-      console.log(`║  • POST   http://localhost:${PORT}/api/products║`);
-      console.log(`║  • GET    http://localhost:${PORT}/api/products/:id║`);
-      console.log(`║  • PUT    http://localhost:${PORT}/api/products/:id║`);
-      console.log(`║  • DELETE http://localhost:${PORT}/api/products/:id║`);
-      console.log('╚════════════════════════════════════════╝');
-    });
+    // Forzar cierre si no responde en 10s
+    setTimeout(() => {
+      logger.error('Timeout: forzando cierre');
+      process.exit(1);
+    }, 10000).unref();
 
-    // Manejo de cierre graceful
-    const gracefulShutdown = async (signal) => {
-      console.log(`\n⚠️  ${signal} recibido. Cerrando servidor...`);
-      
-      server.close(async () => {
-        console.log('🔒 Servidor HTTP cerrado');
-        
-        try {
-          await database.disconnect();
-          console.log('✅ Desconexión exitosa');
-          process.exit(0);
-        } catch (error) {
-          console.error('❌ Error al cerrar conexiones:', error);
-          process.exit(1);
-        }
-      });
+    if (server) {
+      // Las conexiones del feed (SSE) no terminan solas: se cierran antes para que close() no las espere
+      const closed = new Promise(resolve => server.close(resolve));
+      await productFeedService.closeAll();
+      server.closeIdleConnections();
+      await closed;
+      logger.info('Servidor HTTP cerrado');
+    }
 
-      // Forzar cierre si no responde en 10s
-      setTimeout(() => {
-        console.error('⏱️  Timeout: Forzando cierre...');
-        process.exit(1);
-      }, 10000);
-    };
+    try {
+      await database.disconnect();
+      logger.info('Desconexión exitosa');
+      process.exit(0);
+    } catch (error) {
+      logger.error('Error al cerrar conexiones', { err: error });
+      process.exit(1);
+    }
+  };
 
-    process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-    process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
-    process.on('uncaughtException', (error) => {
-      console.error('💥 Uncaught Exception:', error);
-      gracefulShutdown('uncaughtException');
-    });
+  process.on('uncaughtException', (error) => {
+    logger.error('Uncaught Exception', { err: error });
+    gracefulShutdown('uncaughtException');
+  });
 
-    process.on('unhandledRejection', (reason, promise) => {
-      console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
-      gracefulShutdown('unhandledRejection');
-    });
+  process.on('unhandledRejection', (reason) => {
+    logger.error('Unhandled Rejection', { err: reason });
+    gracefulShutdown('unhandledRejection');
+  });
 
+  try {
+    const env = loadEnv();
+
+    await database.connect(env.database);
+
+    // Migración: los productos guardaban la categoría de un enum, sin documento en la colección.
+    // Se espera antes de aceptar tráfico: sin categorías se rechaza todo alta o edición de productos
+    try {
+      const migrated = await categoryService.migrateProductCategories();
+      if (migrated.created > 0 || migrated.productsUpdated > 0) {
+        logger.info('Categorías migradas desde los productos', migrated);
+      }
+    } catch (error) {
+      logger.error('Error al migrar las categorías de los productos', { err: error });
+    }
+
+    // Migración: los productos anteriores al autocompletado no tienen searchName
+    productService.backfillSearchNames()
+      .then((updated) => {
+        if (updated > 0) {
+          logger.info('searchName completado en productos existentes', { updated });
+        }
+      })
+      .catch(error => logger.error('Error al completar searchName', { err: error }));
+
+    // Los eventos de productos se entregan a las suscripciones de webhooks
+    eventBus.subscribe(event => webhookService.handleEvent(event));
+
+    // Iniciar servidor
+    server = app.listen(env.port, () => {
+      logger.info('Servidor iniciado', {
+        environment: env.nodeEnv,
+        port: env.port,
+        url: `http://localhost:${env.port}`,
+        docs: `http://localhost:${env.port}/docs`
+      });
+      // Generado desde el registro de rutas (src/routes/index.js)
+      logger.debug('Endpoints disponibles', {
+        endpoints: listApiRoutes().map(({ method, path }) => `${method} ${path}`)
+      });
+
+      // Tareas en segundo plano
+      trashPurgeJob.start();
+      priceSchedulerJob.start();
+      webhookDispatchJob.start();
+    });
   } catch (error) {
-    console.error('❌ Error al iniciar el servidor:', error);
+    // Un cierre durante los reintentos ya termina el proceso por su cuenta
+    if (shuttingDown) {
+      return;
+    }
+    logger.error('Error al iniciar el servidor', { err: error, ...(error.details && { details: error.details }) });
     process.exit(1);
   }
 }
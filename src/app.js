@@ -1,6 +1,16 @@
+const path = require('path');
 const express = require('express');
+const cookieParser = require('cookie-parser');
 const { errorHandler, notFoundHandler } = require('./middlewares/errorHandlers');
-const productRoutes = require('./routes/product.route');
+const requestLogger = require('./middlewares/requestLogger');
+const httpMetrics = require('./middlewares/metrics');
+const swaggerUi = require('swagger-ui-express');
+const { API_ROUTERS } = require('./routes');
+const adminRoutes = require('./routes/admin.route');
+const healthRoutes = require('./routes/health.route');
+const healthController = require('./controllers/health.controller');
+const openApiSpec = require('./docs/openapi');
+const imageStorage = require('./storage');
 
 /**
  * Configuración de la aplicación Express
@@ -8,27 +18,36 @@ const productRoutes = require('./routes/product.route');
  */
 const app = express();
 
+// Vistas del panel de administración
+app.set('view engine', 'ejs');
+app.set('views', path.join(__dirname, 'views'));
+
 // ============================================
 // Middlewares globales
 // ============================================
 
+// Request ID y log de acceso (primero, para cubrir todas las respuestas)
+app.use(requestLogger);
+
+// Métricas HTTP (cantidad y duración por ruta y status)
+app.use(httpMetrics);
+
 // Parser de JSON
 app.use(express.json());
 
 // Parser de URL-encoded
 app.use(express.urlencoded({ extended: true }));
 
-// Logging simple (en producción usar Winston/Morgan)
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
+// Parser de cookies (sesión del panel de administración)
+app.use(cookieParser());
 
 // CORS básico (en producción configurar correctamente)
+// Antes de los archivos estáticos: las imágenes también se piden desde otros orígenes
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match, If-None-Match, Last-Event-ID, X-Request-Id, Idempotency-Key');
+  res.header('Access-Control-Expose-Headers', 'ETag, X-Request-Id, Idempotent-Replayed');
   
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -37,19 +56,21 @@ app.use((req, res, next) => {
   next();
 });
 
+// Archivos estáticos del panel (CSS/JS)
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Imágenes de productos, si el almacenamiento las sirve desde esta aplicación
+if (imageStorage.staticMiddleware) {
+  app.use(imageStorage.publicUrl, imageStorage.staticMiddleware());
+}
+
 // ============================================
 // Rutas
 // ============================================
 
-// Ruta de health check
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'API funcionando correctamente',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
+// Health checks (liveness y readiness) y métricas Prometheus
+app.use('/health', healthRoutes);
+app.get('/metrics', healthController.getMetrics.bind(healthController));
 
 // Ruta raíz con información de la API
 app.get('/', (req, res) => {
@@ -58,15 +79,32 @@ app.get('/', (req, res) => {
     message: 'API de Gestión de Productos',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth',
       products: '/api/products',
-      health: '/health'
+      categories: '/api/categories',
+      orders: '/api/orders',
+      admin: '/admin',
+      health: '/health',
+      metrics: '/metrics'
     },
-    documentation: 'Ver README.md para documentación completa'
+    documentation: '/docs',
+    openapi: '/openapi.json'
   });
 });
 
-// Montar rutas de productos
-app.use('/api/products', productRoutes);
+// Especificación OpenAPI y documentación interactiva
+app.get('/openapi.json', (req, res) => {
+  res.status(200).json(openApiSpec);
+});
+app.use('/docs', swaggerUi.serve, swaggerUi.setup(openApiSpec));
+
+// Montar rutas de la API (auth, productos, categorías, pedidos)
+API_ROUTERS.forEach(({ basePath, router }) => {
+  app.use(basePath, router);
+});
+
+// Montar panel de administración
+app.use('/admin', adminRoutes);
 
 // ============================================
 // Manejo de errores
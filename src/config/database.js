@@ -1,42 +1,175 @@
 const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { dbOperationDuration } = require('../utils/metrics');
 /**
  * Configuración de la base de datos utilizando Mongoose.
- * Conexión a MongoDB.
+ * Conexión a MongoDB con reintentos al iniciar; después, el driver se reconecta solo
+ * y aquí se registran las pérdidas y recuperaciones de la conexión.
  * Aplicar: Singleton Pattern para la conexión.
  */
 class Database {
     constructor() {
-        this._connect();
+        this.connection = null;
+        this.wasConnected = false;
+        this.closing = false;
+        this._cancelWait = null;
+        this._watchConnection();
     }
-    async _connect() {
-        try {
-            const options = {
-                useNewUrlParser: true,
-                useUnifiedTopology: true,
+
+    /**
+     * Conectar a MongoDB, reintentando con espera exponencial
+     * @param {Object} config - { uri, options, retry: { maxAttempts, baseDelayMs, maxDelayMs } } (ver config/env)
+     * @returns {Promise<mongoose.Mongoose>}
+     * @throws {Error} - El último error si se agotan los intentos, o si se cierra mientras reintenta
+     */
+    async connect({ uri, options, retry }) {
+        this.closing = false;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                this.connection = await mongoose.connect(uri, {
+                    ...options,
+                    // Eventos de cada comando, para medir su duración
+                    monitorCommands: true,
+                });
+                this.wasConnected = true;
+                this._measureCommands(mongoose.connection.getClient());
+                logger.info('Conexión a la base de datos establecida', { attempt });
+                return this.connection;
+            } catch (err) {
+                if (this.closing) {
+                    throw this._cancelledError();
+                }
+                if (attempt >= retry.maxAttempts) {
+                    err.message = `No se pudo conectar a la base de datos tras ${attempt} intento(s): ${err.message}`;
+                    throw err;
+                }
+
+                const delayMs = Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** (attempt - 1));
+                logger.warn('No se pudo conectar a la base de datos; se reintentará', {
+                    attempt,
+                    maxAttempts: retry.maxAttempts,
+                    delayMs,
+                    error: err.message,
+                });
+                await this._wait(delayMs);
+                if (this.closing) {
+                    throw this._cancelledError();
+                }
+            }
+        }
+    }
+
+    /**
+     * Manejo de eventos de la conexión
+     * Se registran una sola vez; los errores del primer intento ya los informa connect().
+     */
+    _watchConnection() {
+        mongoose.connection.on('error', (err) => {
+            if (this.wasConnected) {
+                logger.error('Error en la conexión a la base de datos', { err });
+            }
+        });
+        mongoose.connection.on('disconnected', () => {
+            if (this.wasConnected && !this.closing) {
+                logger.warn('Se perdió la conexión a la base de datos; el driver intentará reconectar');
+            }
+        });
+        mongoose.connection.on('reconnected', () => {
+            logger.info('Conexión a la base de datos restablecida');
+        });
+    }
+
+    _cancelledError() {
+        return new Error('Conexión a la base de datos cancelada: el servidor se está cerrando');
+    }
+
+    /**
+     * Espera entre intentos; disconnect() la interrumpe
+     */
+    _wait(delayMs) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(resolve, delayMs);
+            this._cancelWait = () => {
+                clearTimeout(timer);
+                resolve();
             };
-            this.connection = await mongoose.connect(
-                process.env.MONGODB_URI, options
-            );
-            console.log('Database connection successful');
-
-            /**
-             * Manejo de eventos de la conexión
-             */
-            mongoose.connection.on('error', (err) => {
-                console.error(`Database connection error: ${err}`);
-            });
-            mongoose.connection.on('disconnected', () => {
-                console.warn('Database disconnected');
-            });
-            return this.connection;
-        } catch (err) {
-            console.error(`Database connection error: ${err}`);
+        }).finally(() => {
+            this._cancelWait = null;
+        });
+    }
+
+    /**
+     * La conexión está abierta
+     * @returns {Boolean}
+     */
+    isConnected() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * Estado de la conexión: disconnected, connected, connecting o disconnecting
+     * @returns {String}
+     */
+    state() {
+        return mongoose.STATES[mongoose.connection.readyState];
+    }
+
+    /**
+     * Comprobar que MongoDB responde
+     * @param {Number} timeoutMs - Tiempo máximo de espera
+     * @returns {Promise<void>} - Rechaza si no responde a tiempo
+     */
+    async ping(timeoutMs) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Sin respuesta en ${timeoutMs} ms`)), timeoutMs);
+        });
+
+        try {
+            await Promise.race([mongoose.connection.db.admin().ping(), timeout]);
+        } finally {
+            clearTimeout(timer);
         }
     }
+
+    /**
+     * Registrar la duración de cada comando por colección, operación y resultado
+     */
+    _measureCommands(client) {
+        const collections = new Map();
+
+        client.on('commandStarted', (event) => {
+            // find, insert, aggregate...: { <comando>: <colección> }; getMore: { collection }
+            const target = event.command[event.commandName];
+            collections.set(event.requestId, typeof target === 'string' ? target : event.command.collection || 'none');
+        });
+
+        const record = outcome => (event) => {
+            const collection = collections.get(event.requestId) || 'none';
+            collections.delete(event.requestId);
+            dbOperationDuration.observe(
+                { collection, operation: event.commandName, outcome },
+                event.duration / 1000
+            );
+        };
+        client.on('commandSucceeded', record('success'));
+        client.on('commandFailed', record('error'));
+    }
+
+    /**
+     * Cerrar la conexión (o cancelar los reintentos en curso)
+     */
     async disconnect() {
+        this.closing = true;
+        if (this._cancelWait) {
+            this._cancelWait();
+        }
+
+        await mongoose.disconnect();
         if (this.connection) {
-            await mongoose.disconnect();
-            console.log('Database disconnected successfully');
+            this.connection = null;
+            logger.info('Desconexión de la base de datos exitosa');
         }
     }
 }
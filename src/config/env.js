@@ -0,0 +1,145 @@
+const Joi = require('joi');
+
+/**
+ * Variables de entorno requeridas para iniciar el servidor
+ * - NODE_ENV: development, production o test (por defecto development)
+ * - PORT: puerto HTTP (por defecto 3000)
+ * - MONGODB_URI: cadena de conexión mongodb:// o mongodb+srv:// (obligatoria)
+ * - DB_MAX_POOL_SIZE / DB_MIN_POOL_SIZE: conexiones del pool (10 / 0)
+ * - DB_SERVER_SELECTION_TIMEOUT_MS: espera máxima por un servidor disponible en cada operación (5000)
+ * - DB_CONNECT_TIMEOUT_MS: espera máxima al abrir una conexión (10000)
+ * - DB_SOCKET_TIMEOUT_MS: inactividad máxima de un socket antes de cerrarlo (45000)
+ * - DB_CONNECT_MAX_ATTEMPTS: intentos de conexión al iniciar antes de abortar (10)
+ * - DB_CONNECT_RETRY_BASE_MS / DB_CONNECT_RETRY_MAX_MS: espera entre intentos, el doble cada vez hasta el máximo (1000 / 30000)
+ * - JWT_SECRET: secreto con el que se firman los tokens (obligatorio)
+ * - JWT_EXPIRES_IN: vigencia de los tokens, ej: 1h, 30m (por defecto 1h)
+ * Además se validan las variables de cada funcionalidad (FEATURE_SCHEMA), que se describen
+ * en su módulo de configuración.
+ */
+const SERVER_SCHEMA = {
+  NODE_ENV: Joi.string().valid('development', 'production', 'test').default('development'),
+  PORT: Joi.number().port().default(3000),
+  // Admite varios hosts (mongodb://h1:27017,h2:27017/db), que no son una URI estándar
+  MONGODB_URI: Joi.string()
+    .pattern(/^mongodb(\+srv)?:\/\/\S+$/)
+    .required()
+    .messages({ 'string.pattern.base': '"MONGODB_URI" debe comenzar con mongodb:// o mongodb+srv://' }),
+  DB_MAX_POOL_SIZE: Joi.number().integer().min(1).default(10),
+  DB_MIN_POOL_SIZE: Joi.number().integer().min(0).max(Joi.ref('DB_MAX_POOL_SIZE')).default(0),
+  DB_SERVER_SELECTION_TIMEOUT_MS: Joi.number().integer().min(1).default(5000),
+  DB_CONNECT_TIMEOUT_MS: Joi.number().integer().min(1).default(10000),
+  DB_SOCKET_TIMEOUT_MS: Joi.number().integer().min(0).default(45000),
+  DB_CONNECT_MAX_ATTEMPTS: Joi.number().integer().min(1).default(10),
+  DB_CONNECT_RETRY_BASE_MS: Joi.number().integer().min(1).default(1000),
+  DB_CONNECT_RETRY_MAX_MS: Joi.number().integer().min(Joi.ref('DB_CONNECT_RETRY_BASE_MS')).default(30000),
+  JWT_SECRET: Joi.string().required(),
+  JWT_EXPIRES_IN: Joi.string().default('1h')
+};
+
+// Números mayores que 0 (admiten decimales) y cantidades enteras
+const positive = (fallback) => Joi.number().positive().default(fallback);
+const count = (fallback) => Joi.number().integer().min(1).default(fallback);
+
+/**
+ * Variables de cada funcionalidad, con su valor por defecto
+ * Entre paréntesis, el módulo de configuración que las usa.
+ */
+const FEATURE_SCHEMA = {
+  // Logs (config/logger.js); el nivel por defecto es debug en development
+  LOG_LEVEL: Joi.string().valid('error', 'warn', 'info', 'debug')
+    .default((parent) => (parent.NODE_ENV === 'development' ? 'debug' : 'info')),
+  LOG_FORMAT: Joi.string().valid('json', 'pretty').default('json'),
+  // Papelera (config/trash.js)
+  TRASH_RETENTION_DAYS: positive(30),
+  TRASH_PURGE_INTERVAL_MINUTES: positive(60),
+  // Precios programados (config/prices.js)
+  PRICE_SCHEDULER_INTERVAL_SECONDS: positive(60),
+  // Webhooks (config/webhooks.js)
+  WEBHOOK_TIMEOUT_MS: count(5000),
+  WEBHOOK_MAX_ATTEMPTS: count(6),
+  WEBHOOK_RETRY_BASE_SECONDS: positive(60),
+  WEBHOOK_DISPATCH_INTERVAL_SECONDS: positive(15),
+  WEBHOOK_DELIVERY_RETENTION_DAYS: positive(30),
+  LOW_STOCK_THRESHOLD: Joi.number().integer().min(0).default(10),
+  // Feed en vivo (config/feed.js)
+  FEED_HEARTBEAT_SECONDS: positive(25),
+  FEED_RETRY_MS: count(3000),
+  FEED_MAX_CLIENTS: count(100),
+  // Imágenes (config/images.js)
+  IMAGE_STORAGE: Joi.string().default('local'),
+  IMAGE_LOCAL_DIR: Joi.string().default('uploads'),
+  IMAGE_PUBLIC_URL: Joi.string().default('/uploads'),
+  IMAGE_MAX_FILE_SIZE_MB: positive(5),
+  IMAGE_MAX_PER_PRODUCT: count(10),
+  IMAGE_THUMBNAIL_SIZES: Joi.string().pattern(/^\s*[1-9]\d*\s*(,\s*[1-9]\d*\s*)*$/).default('150,600')
+    .messages({ 'string.pattern.base': '"IMAGE_THUMBNAIL_SIZES" debe ser una lista de enteros positivos separados por coma' }),
+  // Health checks y métricas (config/monitoring.js)
+  HEALTH_DB_TIMEOUT_MS: count(2000),
+  METRICS_CATALOG_CACHE_SECONDS: positive(30),
+  // Idempotencia (config/idempotency.js)
+  IDEMPOTENCY_KEY_TTL_HOURS: positive(24),
+  IDEMPOTENCY_LOCK_SECONDS: positive(60)
+};
+
+const ENV_SCHEMA = Joi.object({ ...SERVER_SCHEMA, ...FEATURE_SCHEMA }).unknown(true);
+
+/**
+ * Validar las variables de entorno del servidor
+ * Se informan todos los errores juntos, no solo el primero.
+ * @param {Object} env - Variables a validar (process.env por defecto)
+ * @returns {Object} - { nodeEnv, port, database: { uri, options, retry: { maxAttempts, baseDelayMs, maxDelayMs } } }
+ * @throws {Error} - Con `details`: [{ variable, message }]
+ */
+const loadEnv = (env = process.env) => {
+  const { error, value } = ENV_SCHEMA.validate(env, { abortEarly: false, convert: true });
+
+  if (error) {
+    const details = error.details.map(detail => ({ variable: detail.path.join('.'), message: detail.message }));
+    const invalid = new Error(`Variables de entorno inválidas: ${details.map(detail => detail.variable).join(', ')}`);
+    invalid.details = details;
+    throw invalid;
+  }
+
+  return Object.freeze({
+    nodeEnv: value.NODE_ENV,
+    port: value.PORT,
+    database: Object.freeze({
+      uri: value.MONGODB_URI,
+      options: Object.freeze({
+        maxPoolSize: value.DB_MAX_POOL_SIZE,
+        minPoolSize: value.DB_MIN_POOL_SIZE,
+        serverSelectionTimeoutMS: value.DB_SERVER_SELECTION_TIMEOUT_MS,
+        connectTimeoutMS: value.DB_CONNECT_TIMEOUT_MS,
+        socketTimeoutMS: value.DB_SOCKET_TIMEOUT_MS
+      }),
+      retry: Object.freeze({
+        maxAttempts: value.DB_CONNECT_MAX_ATTEMPTS,
+        baseDelayMs: value.DB_CONNECT_RETRY_BASE_MS,
+        maxDelayMs: value.DB_CONNECT_RETRY_MAX_MS
+      })
+    })
+  });
+};
+
+/**
+ * Leer variables de FEATURE_SCHEMA ya convertidas y con su valor por defecto
+ * Los módulos de configuración se cargan antes que loadEnv(): aquí un valor inválido toma
+ * el valor por defecto y loadEnv() lo informa al iniciar el servidor.
+ * @param {Array<String>} names - Variables a leer
+ * @param {Object} env - Variables de entorno (process.env por defecto)
+ * @returns {Object} - { [variable]: valor }
+ */
+const readFeatureEnv = (names, env = process.env) => {
+  const schema = Joi.object(Object.fromEntries(names.map(name => [name, FEATURE_SCHEMA[name]]))).unknown(true);
+  const { error } = schema.validate(env, { abortEarly: false });
+  const invalid = new Set(error ? error.details.map(detail => detail.path[0]) : []);
+
+  const provided = names.filter(name => env[name] !== undefined && !invalid.has(name));
+  const { value } = schema.validate({
+    NODE_ENV: env.NODE_ENV,
+    ...Object.fromEntries(provided.map(name => [name, env[name]]))
+  });
+  return Object.fromEntries(names.map(name => [name, value[name]]));
+};
+
+module.exports = { loadEnv, readFeatureEnv };
@@ -0,0 +1,16 @@
+const { readFeatureEnv } = require('./env');
+
+/**
+ * Configuración del feed de cambios en vivo (Server-Sent Events)
+ * - FEED_HEARTBEAT_SECONDS: cada cuánto se envía un comentario para mantener viva la conexión
+ * - FEED_RETRY_MS: espera que se sugiere al navegador antes de reconectar
+ * - FEED_MAX_CLIENTS: conexiones simultáneas por instancia (cada una abre un change stream)
+ * Se validan con el resto de las variables de entorno (src/config/env.js).
+ */
+const env = readFeatureEnv(['FEED_HEARTBEAT_SECONDS', 'FEED_RETRY_MS', 'FEED_MAX_CLIENTS']);
+
+module.exports = Object.freeze({
+  heartbeatSeconds: env.FEED_HEARTBEAT_SECONDS,
+  retryMs: env.FEED_RETRY_MS,
+  maxClients: env.FEED_MAX_CLIENTS
+});
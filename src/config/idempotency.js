@@ -0,0 +1,15 @@
+const { readFeatureEnv } = require('./env');
+
+/**
+ * Configuración de las claves de idempotencia (header Idempotency-Key)
+ * - IDEMPOTENCY_KEY_TTL_HOURS: horas durante las que se conserva la respuesta para repetirla
+ * - IDEMPOTENCY_LOCK_SECONDS: duración del bloqueo de la clave mientras se atiende el request; se renueva
+ *   mientras sigue en curso, y si el proceso se detiene, pasado ese tiempo un reintento puede volver a ejecutarlo
+ * Se validan con el resto de las variables de entorno (src/config/env.js).
+ */
+const env = readFeatureEnv(['IDEMPOTENCY_KEY_TTL_HOURS', 'IDEMPOTENCY_LOCK_SECONDS']);
+
+module.exports = Object.freeze({
+  ttlHours: env.IDEMPOTENCY_KEY_TTL_HOURS,
+  lockSeconds: env.IDEMPOTENCY_LOCK_SECONDS
+});
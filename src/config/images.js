@@ -0,0 +1,37 @@
+const path = require('path');
+const { readFeatureEnv } = require('./env');
+
+/**
+ * Configuración de las imágenes de productos
+ * - IMAGE_STORAGE: adaptador de almacenamiento (ver src/storage); por defecto "local"
+ * - IMAGE_LOCAL_DIR: carpeta del almacenamiento local
+ * - IMAGE_PUBLIC_URL: URL base con la que se sirven los archivos locales
+ * - IMAGE_MAX_FILE_SIZE_MB: tamaño máximo de cada imagen
+ * - IMAGE_MAX_PER_PRODUCT: imágenes por producto
+ * - IMAGE_THUMBNAIL_SIZES: lados máximos de las miniaturas, separados por coma
+ * Se validan con el resto de las variables de entorno (src/config/env.js).
+ */
+const env = readFeatureEnv([
+  'IMAGE_STORAGE',
+  'IMAGE_LOCAL_DIR',
+  'IMAGE_PUBLIC_URL',
+  'IMAGE_MAX_FILE_SIZE_MB',
+  'IMAGE_MAX_PER_PRODUCT',
+  'IMAGE_THUMBNAIL_SIZES'
+]);
+
+const thumbnailSizes = (value) => {
+  const sizes = value.split(',').map(Number);
+  return [...new Set(sizes)].sort((a, b) => a - b);
+};
+
+module.exports = Object.freeze({
+  storage: env.IMAGE_STORAGE,
+  local: Object.freeze({
+    directory: path.resolve(env.IMAGE_LOCAL_DIR),
+    publicUrl: env.IMAGE_PUBLIC_URL.replace(/\/+$/, '')
+  }),
+  maxFileSizeBytes: env.IMAGE_MAX_FILE_SIZE_MB * 1024 * 1024,
+  maxPerProduct: env.IMAGE_MAX_PER_PRODUCT,
+  thumbnailSizes: Object.freeze(thumbnailSizes(env.IMAGE_THUMBNAIL_SIZES))
+});
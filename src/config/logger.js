@@ -0,0 +1,14 @@
+const { readFeatureEnv } = require('./env');
+
+/**
+ * Configuración del logger
+ * - LOG_LEVEL: error, warn, info o debug (por defecto info; debug en development)
+ * - LOG_FORMAT: json (una línea JSON por evento) o pretty (legible, para desarrollo)
+ * Se validan con el resto de las variables de entorno (src/config/env.js).
+ */
+const env = readFeatureEnv(['LOG_LEVEL', 'LOG_FORMAT']);
+
+module.exports = Object.freeze({
+  level: env.LOG_LEVEL,
+  format: env.LOG_FORMAT
+});
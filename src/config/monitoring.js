@@ -0,0 +1,14 @@
+const { readFeatureEnv } = require('./env');
+
+/**
+ * Configuración de health checks y métricas
+ * - HEALTH_DB_TIMEOUT_MS: tiempo máximo del ping a MongoDB en /health/ready
+ * - METRICS_CATALOG_CACHE_SECONDS: cada cuánto se recalculan las métricas del catálogo en /metrics
+ * Se validan con el resto de las variables de entorno (src/config/env.js).
+ */
+const env = readFeatureEnv(['HEALTH_DB_TIMEOUT_MS', 'METRICS_CATALOG_CACHE_SECONDS']);
+
+module.exports = Object.freeze({
+  healthDbTimeoutMs: env.HEALTH_DB_TIMEOUT_MS,
+  catalogCacheSeconds: env.METRICS_CATALOG_CACHE_SECONDS
+});
@@ -0,0 +1,12 @@
+const { readFeatureEnv } = require('./env');
+
+/**
+ * Configuración de precios programados
+ * - PRICE_SCHEDULER_INTERVAL_SECONDS: cada cuánto se aplican y revierten los precios programados
+ * Se valida con el resto de las variables de entorno (src/config/env.js).
+ */
+const env = readFeatureEnv(['PRICE_SCHEDULER_INTERVAL_SECONDS']);
+
+module.exports = Object.freeze({
+  schedulerIntervalSeconds: env.PRICE_SCHEDULER_INTERVAL_SECONDS
+});
@@ -0,0 +1,35 @@
+/**
+ * Roles y permisos de la aplicación
+ * Aplica: Open/Closed - Se agregan permisos sin modificar el middleware
+ */
+const ROLES = Object.freeze({
+  VIEWER: 'viewer',
+  CLERK: 'clerk',
+  ADMIN: 'admin'
+});
+
+/**
+ * Permisos por acción: lista de roles autorizados
+ */
+const PERMISSIONS = Object.freeze({
+  PRODUCT_READ: [ROLES.VIEWER, ROLES.CLERK, ROLES.ADMIN],
+  PRODUCT_WRITE: [ROLES.CLERK, ROLES.ADMIN],
+  PRODUCT_DELETE_PERMANENT: [ROLES.ADMIN],
+  STOCK_UPDATE: [ROLES.CLERK, ROLES.ADMIN],
+  STOCK_RECONCILE: [ROLES.ADMIN],
+  CATEGORY_READ: [ROLES.VIEWER, ROLES.CLERK, ROLES.ADMIN],
+  CATEGORY_WRITE: [ROLES.ADMIN],
+  ORDER_READ: [ROLES.VIEWER, ROLES.CLERK, ROLES.ADMIN],
+  ORDER_WRITE: [ROLES.CLERK, ROLES.ADMIN],
+  LOCATION_READ: [ROLES.VIEWER, ROLES.CLERK, ROLES.ADMIN],
+  LOCATION_WRITE: [ROLES.ADMIN],
+  SUPPLIER_READ: [ROLES.VIEWER, ROLES.CLERK, ROLES.ADMIN],
+  SUPPLIER_WRITE: [ROLES.ADMIN],
+  PURCHASE_ORDER_READ: [ROLES.VIEWER, ROLES.CLERK, ROLES.ADMIN],
+  PURCHASE_ORDER_WRITE: [ROLES.ADMIN],
+  PURCHASE_ORDER_RECEIVE: [ROLES.CLERK, ROLES.ADMIN],
+  WEBHOOK_MANAGE: [ROLES.ADMIN],
+  USER_MANAGE: [ROLES.ADMIN]
+});
+
+module.exports = { ROLES, PERMISSIONS };
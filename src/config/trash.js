@@ -0,0 +1,14 @@
+const { readFeatureEnv } = require('./env');
+
+/**
+ * Configuración de la papelera de productos
+ * - TRASH_RETENTION_DAYS: días que un producto eliminado se conserva antes de purgarlo
+ * - TRASH_PURGE_INTERVAL_MINUTES: cada cuánto se ejecuta la purga automática
+ * Se validan con el resto de las variables de entorno (src/config/env.js).
+ */
+const env = readFeatureEnv(['TRASH_RETENTION_DAYS', 'TRASH_PURGE_INTERVAL_MINUTES']);
+
+module.exports = Object.freeze({
+  retentionDays: env.TRASH_RETENTION_DAYS,
+  purgeIntervalMinutes: env.TRASH_PURGE_INTERVAL_MINUTES
+});
@@ -0,0 +1,29 @@
+const { readFeatureEnv } = require('./env');
+
+/**
+ * Configuración de los webhooks salientes
+ * - WEBHOOK_TIMEOUT_MS: tiempo máximo de espera de cada entrega
+ * - WEBHOOK_MAX_ATTEMPTS: intentos antes de dar una entrega por fallida
+ * - WEBHOOK_RETRY_BASE_SECONDS: espera antes del primer reintento; se duplica en cada uno
+ * - WEBHOOK_DISPATCH_INTERVAL_SECONDS: cada cuánto se envían los reintentos pendientes
+ * - WEBHOOK_DELIVERY_RETENTION_DAYS: días que se conserva el registro de entregas
+ * - LOW_STOCK_THRESHOLD: stock que dispara "product.low_stock" en productos sin punto de pedido
+ * Se validan con el resto de las variables de entorno (src/config/env.js).
+ */
+const env = readFeatureEnv([
+  'WEBHOOK_TIMEOUT_MS',
+  'WEBHOOK_MAX_ATTEMPTS',
+  'WEBHOOK_RETRY_BASE_SECONDS',
+  'WEBHOOK_DISPATCH_INTERVAL_SECONDS',
+  'WEBHOOK_DELIVERY_RETENTION_DAYS',
+  'LOW_STOCK_THRESHOLD'
+]);
+
+module.exports = Object.freeze({
+  timeoutMs: env.WEBHOOK_TIMEOUT_MS,
+  maxAttempts: env.WEBHOOK_MAX_ATTEMPTS,
+  retryBaseSeconds: env.WEBHOOK_RETRY_BASE_SECONDS,
+  dispatchIntervalSeconds: env.WEBHOOK_DISPATCH_INTERVAL_SECONDS,
+  deliveryRetentionDays: env.WEBHOOK_DELIVERY_RETENTION_DAYS,
+  lowStockThreshold: env.LOW_STOCK_THRESHOLD
+});
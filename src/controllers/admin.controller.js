@@ -0,0 +1,402 @@
+const productService = require('../services/product.service');
+const categoryService = require('../services/category.service');
+const locationService = require('../services/location.service');
+const authService = require('../services/auth.service');
+const Validator = require('../middlewares/validator');
+const productValidation = require('../validations/product.validation');
+const Auth = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { STOCK_MOVEMENT_REASONS, SYSTEM_STOCK_MOVEMENT_REASONS } = require('../models/stockMovement.model');
+const webhooksConfig = require('../config/webhooks');
+const logger = require('../utils/logger');
+const { parseIfMatch } = require('../utils/etag');
+
+const PRODUCT_FORM_FIELDS = ['name', 'sku', 'description', 'price', 'stock', 'category'];
+// Al editar no se envía el stock: se ajusta con el diálogo de stock para no pisar movimientos posteriores
+const PRODUCT_EDIT_FIELDS = PRODUCT_FORM_FIELDS.filter(field => field !== 'stock');
+
+// Etiquetas de los motivos de movimiento de stock para el diálogo de ajuste
+const STOCK_REASON_LABELS = {
+  sale: 'Venta',
+  restock: 'Reposición',
+  adjustment: 'Ajuste',
+  return: 'Devolución',
+  damage: 'Daño / merma'
+};
+
+/**
+ * Controlador del panel de administración (vistas EJS)
+ * Parte del patrón MVC (Controller): renderiza vistas en lugar de JSON
+ * Aplica:
+ * - Single Responsibility: Solo maneja peticiones del panel
+ * - Dependency Inversion: Reutiliza los mismos servicios que la API
+ */
+class AdminController {
+  /**
+   * Formulario de inicio de sesión
+   * GET /admin/login
+   */
+  showLogin(req, res) {
+    res.render('admin/login', { title: 'Iniciar sesión', email: '', error: null });
+  }
+
+  /**
+   * Iniciar sesión y guardar el token en una cookie httpOnly
+   * POST /admin/login
+   */
+  async login(req, res, next) {
+    const { email = '', password = '' } = req.body || {};
+
+    try {
+      const { token } = await authService.login(email, password);
+
+      res.cookie(Auth.COOKIE_NAME, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.NODE_ENV === 'production'
+      });
+      res.redirect('/admin');
+    } catch (error) {
+      if (error.statusCode === 401) {
+        return res.status(401).render('admin/login', {
+          title: 'Iniciar sesión',
+          email,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Cerrar sesión
+   * POST /admin/logout
+   */
+  logout(req, res) {
+    res.clearCookie(Auth.COOKIE_NAME);
+    res.redirect('/admin/login');
+  }
+
+  /**
+   * Exigir sesión iniciada; si no, redirigir al login
+   */
+  async requireLogin(req, res, next) {
+    try {
+      const token = Auth.extractToken(req);
+      if (!token) {
+        return res.redirect('/admin/login');
+      }
+
+      req.user = await authService.verifyToken(token);
+    } catch (error) {
+      if (error.statusCode === 401) {
+        res.clearCookie(Auth.COOKIE_NAME);
+        return res.redirect('/admin/login');
+      }
+      return next(error);
+    }
+
+    if (!PERMISSIONS.PRODUCT_READ.includes(req.user.role)) {
+      return res.status(403).render('admin/error', {
+        title: 'Acceso denegado',
+        message: 'No tienes permisos para usar el panel'
+      });
+    }
+
+    // Disponibles en todas las vistas
+    res.locals.user = req.user;
+    res.locals.can = {
+      write: PERMISSIONS.PRODUCT_WRITE.includes(req.user.role),
+      stock: PERMISSIONS.STOCK_UPDATE.includes(req.user.role)
+    };
+    res.locals.notice = req.query.notice || null;
+    res.locals.alert = req.query.alert || null;
+    next();
+  }
+
+  /**
+   * Permitir una acción solo a los roles indicados
+   * @param {Array<String>} allowedRoles - Roles autorizados (ver config/roles)
+   */
+  requirePermission(allowedRoles) {
+    return (req, res, next) => {
+      if (!allowedRoles.includes(req.user.role)) {
+        return res.status(403).render('admin/error', {
+          title: 'Acceso denegado',
+          message: 'No tienes permisos para realizar esta acción'
+        });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Tablero con estadísticas
+   * GET /admin
+   */
+  async dashboard(req, res, next) {
+    try {
+      const statistics = await productService.getStatistics();
+      const lowStock = await productService.getLowStockProducts(webhooksConfig.lowStockThreshold, {
+        cursor: '',
+        limit: 10,
+        sortBy: 'stock',
+        sortOrder: 'asc'
+      });
+
+      res.render('admin/dashboard', {
+        title: 'Tablero',
+        statistics,
+        lowStock: lowStock.products
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Tabla de productos paginada y filtrable
+   * GET /admin/products?page=1&search=&category=&isActive=
+   */
+  async listProducts(req, res, next) {
+    try {
+      const filters = {
+        search: req.query.search || undefined,
+        category: req.query.category || undefined,
+        isActive: req.query.isActive || undefined
+      };
+
+      const result = await productService.getAllProducts(filters, {
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: 20,
+        sortBy: filters.search ? 'relevance' : 'createdAt',
+        sortOrder: 'desc'
+      });
+
+      res.render('admin/products/index', {
+        title: 'Productos',
+        products: result.products,
+        pagination: result.pagination,
+        filters,
+        categories: await categoryService.getAllCategories({ lang: 'es' }),
+        // Las transferencias y conciliaciones no se hacen desde el diálogo de ajuste
+        reasons: STOCK_MOVEMENT_REASONS
+          .filter(value => !SYSTEM_STOCK_MOVEMENT_REASONS.includes(value))
+          .map(value => ({ value, label: STOCK_REASON_LABELS[value] || value })),
+        locations: await locationService.getAllLocations(),
+        currentUrl: req.originalUrl
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Formulario de alta
+   * GET /admin/products/new
+   */
+  async newProduct(req, res, next) {
+    try {
+      await this._renderForm(res, { product: {}, isNew: true });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Crear producto desde el formulario
+   * POST /admin/products
+   */
+  async createProduct(req, res, next) {
+    const data = this._formData(req.body);
+
+    try {
+      const { value, errors } = Validator.validateData(productValidation.create, data);
+      if (errors.length > 0) {
+        return await this._renderForm(res.status(400), {
+          product: data,
+          isNew: true,
+          errors: this._errorsByField(errors)
+        });
+      }
+
+      const product = await productService.createProduct(value, req.user.id);
+      res.redirect(`/admin/products?notice=${encodeURIComponent(`Producto "${product.name}" creado`)}`);
+    } catch (error) {
+      this._handleFormError(error, res, next, { product: data, isNew: true });
+    }
+  }
+
+  /**
+   * Formulario de edición
+   * GET /admin/products/:id/edit
+   */
+  async editProduct(req, res, next) {
+    try {
+      const product = await productService.getProductById(req.params.id);
+      await this._renderForm(res, { product: product.toJSON(), isNew: false });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Actualizar producto desde el formulario
+   * POST /admin/products/:id
+   * El formulario envía la versión con la que se cargó: si el producto cambió desde entonces responde 412
+   */
+  async updateProduct(req, res, next) {
+    const data = this._formData(req.body, PRODUCT_EDIT_FIELDS);
+    const product = { ...data, id: req.params.id, version: req.body.version };
+
+    try {
+      // Sin versión válida no se puede saber si el producto cambió desde que se abrió el formulario
+      if (!/^\d+$/.test(req.body.version || '')) {
+        return await this._renderForm(res.status(400), {
+          product,
+          isNew: false,
+          formError: 'El formulario está incompleto; vuelva a abrir el producto para editarlo'
+        });
+      }
+
+      const { value, errors } = Validator.validateData(productValidation.update, data);
+      if (errors.length > 0) {
+        return await this._renderForm(res.status(400), {
+          product,
+          isNew: false,
+          errors: this._errorsByField(errors)
+        });
+      }
+
+      const updated = await productService.updateProduct(req.params.id, value, req.user.id, {
+        versions: parseIfMatch(`"${req.body.version}"`)
+      });
+      res.redirect(`/admin/products?notice=${encodeURIComponent(`Producto "${updated.name}" actualizado`)}`);
+    } catch (error) {
+      this._handleFormError(error, res, next, { product, isNew: false });
+    }
+  }
+
+  /**
+   * Ajustar stock desde el diálogo de la tabla
+   * POST /admin/products/:id/stock
+   */
+  async adjustStock(req, res) {
+    const returnTo = this._returnTo(req);
+
+    try {
+      const { value, errors } = Validator.validateData(
+        productValidation.stockUpdate,
+        this._formData(req.body, ['quantity', 'reason', 'reference', 'variant', 'location'])
+      );
+      if (errors.length > 0) {
+        return this._redirectWith(res, returnTo, 'alert', errors.map(error => error.message).join('; '));
+      }
+
+      const product = await productService.updateStock(
+        req.params.id,
+        value.quantity,
+        { reason: value.reason, reference: value.reference, variant: value.variant, location: value.location },
+        req.user.id
+      );
+      this._redirectWith(res, returnTo, 'notice', `Stock de "${product.name}": ${product.stock}`);
+    } catch (error) {
+      this._redirectWith(res, returnTo, 'alert', error.message);
+    }
+  }
+
+  /**
+   * Enviar producto a la papelera (soft delete)
+   * POST /admin/products/:id/delete
+   */
+  async deleteProduct(req, res) {
+    const returnTo = this._returnTo(req);
+
+    try {
+      const product = await productService.deleteProduct(req.params.id, req.user.id);
+      this._redirectWith(res, returnTo, 'notice', `Producto "${product.name}" enviado a la papelera`);
+    } catch (error) {
+      this._redirectWith(res, returnTo, 'alert', error.message);
+    }
+  }
+
+  /**
+   * Página de error del panel
+   */
+  handleError(err, req, res, next) {
+    const statusCode = err.statusCode || 500;
+    if (statusCode >= 500) {
+      logger.error('Error no controlado en el panel', { err, method: req.method, url: req.originalUrl });
+    }
+    res.status(statusCode).render('admin/error', {
+      title: 'Error',
+      message: statusCode < 500 ? err.message : 'Ocurrió un error inesperado'
+    });
+  }
+
+  async _renderForm(res, { product, isNew, errors = {}, formError = null }) {
+    res.render('admin/products/form', {
+      title: isNew ? 'Nuevo producto' : 'Editar producto',
+      product,
+      isNew,
+      errors,
+      formError,
+      categories: await categoryService.getAllCategories({ lang: 'es' })
+    });
+  }
+
+  /**
+   * Errores de negocio o de Mongoose: se muestran en el formulario
+   */
+  _handleFormError(error, res, next, formState) {
+    if (error.name === 'ValidationError' && error.errors) {
+      const errors = {};
+      Object.values(error.errors).forEach(e => { errors[e.path] = e.message; });
+      return this._renderForm(res.status(400), { ...formState, errors }).catch(next);
+    }
+
+    if (error.statusCode && error.statusCode < 500 && error.statusCode !== 404) {
+      return this._renderForm(res.status(error.statusCode), { ...formState, formError: error.message })
+        .catch(next);
+    }
+
+    next(error);
+  }
+
+  _errorsByField(fieldErrors) {
+    return fieldErrors.reduce((errors, { field, message }) => {
+      errors[field] = errors[field] || message;
+      return errors;
+    }, {});
+  }
+
+  /**
+   * Campos del formulario; los vacíos se omiten (la validación convierte los tipos)
+   */
+  _formData(body = {}, fields = PRODUCT_FORM_FIELDS) {
+    const data = {};
+    fields.forEach(field => {
+      const value = typeof body[field] === 'string' ? body[field].trim() : body[field];
+      if (value !== undefined && value !== '') {
+        data[field] = value;
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Volver a la página desde la que se envió el formulario (solo rutas del panel)
+   */
+  _returnTo(req) {
+    const returnTo = (req.body && req.body.returnTo) || '/admin/products';
+    return returnTo.startsWith('/admin/') ? returnTo : '/admin/products';
+  }
+
+  _redirectWith(res, url, key, message) {
+    const base = url.replace(/([?&])(notice|alert)=[^&]*&?/g, '$1').replace(/[?&]$/, '');
+    const separator = base.includes('?') ? '&' : '?';
+    res.redirect(`${base}${separator}${key}=${encodeURIComponent(message)}`);
+  }
+}
+
+module.exports = new AdminController();
@@ -0,0 +1,68 @@
+const authService = require('../services/auth.service');
+const ApiResponse = require('../utils/ApiResponse');
+
+/**
+ * Controlador de Autenticación
+ * Parte del patrón MVC (Controller)
+ * Aplica:
+ * - Single Responsibility: Solo maneja peticiones HTTP
+ * - Dependency Inversion: Depende del servicio (abstracción)
+ */
+class AuthController {
+  /**
+   * Registrar usuario
+   * POST /api/auth/register
+   */
+  async register(req, res, next) {
+    try {
+      const user = await authService.register(req.body, req.user);
+      const response = ApiResponse.created(user, 'Usuario registrado exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Iniciar sesión
+   * POST /api/auth/login
+   */
+  async login(req, res, next) {
+    try {
+      const result = await authService.login(req.body.email, req.body.password);
+      const response = ApiResponse.success(result, 'Inicio de sesión exitoso');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Renovar el token del usuario autenticado
+   * POST /api/auth/refresh
+   */
+  async refresh(req, res, next) {
+    try {
+      const result = authService.issueToken(req.user);
+      const response = ApiResponse.success(result, 'Token renovado exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener el usuario autenticado
+   * GET /api/auth/me
+   */
+  async me(req, res, next) {
+    try {
+      const response = ApiResponse.success(req.user, 'Usuario autenticado');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AuthController();
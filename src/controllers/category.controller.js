@@ -0,0 +1,126 @@
+const categoryService = require('../services/category.service');
+const ApiResponse = require('../utils/ApiResponse');
+
+/**
+ * Controlador de Categorías
+ * Parte del patrón MVC (Controller)
+ * Aplica:
+ * - Single Responsibility: Solo maneja peticiones HTTP
+ * - Dependency Inversion: Depende del servicio (abstracción)
+ */
+class CategoryController {
+  /**
+   * Crear categoría
+   * POST /api/categories
+   */
+  async createCategory(req, res, next) {
+    try {
+      const category = await categoryService.createCategory(req.body);
+      const response = ApiResponse.created(category, 'Categoría creada exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener todas las categorías
+   * GET /api/categories?tree=true&includeInactive=true&lang=en
+   */
+  async getAllCategories(req, res, next) {
+    try {
+      const categories = await categoryService.getAllCategories({
+        tree: req.query.tree,
+        includeInactive: req.query.includeInactive,
+        lang: this._resolveLanguage(req)
+      });
+      const response = ApiResponse.success(
+        categories,
+        'Categorías obtenidas exitosamente'
+      );
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener categoría por slug
+   * GET /api/categories/:slug
+   */
+  async getCategoryBySlug(req, res, next) {
+    try {
+      const category = await categoryService.getCategoryBySlug(
+        req.params.slug,
+        this._resolveLanguage(req)
+      );
+      const response = ApiResponse.success(category, 'Categoría encontrada');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Actualizar categoría
+   * PUT /api/categories/:slug
+   */
+  async updateCategory(req, res, next) {
+    try {
+      const category = await categoryService.updateCategory(req.params.slug, req.body);
+      const response = ApiResponse.success(
+        category,
+        'Categoría actualizada exitosamente'
+      );
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Eliminar categoría
+   * DELETE /api/categories/:slug
+   */
+  async deleteCategory(req, res, next) {
+    try {
+      const result = await categoryService.deleteCategory(req.params.slug);
+      const response = ApiResponse.success(result, 'Categoría eliminada exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mover los productos de una categoría a otra
+   * POST /api/categories/:slug/move-products
+   * Body: { target: 'otra-categoria' }
+   */
+  async moveProducts(req, res, next) {
+    try {
+      const result = await categoryService.moveProducts(req.params.slug, req.body.target);
+      const response = ApiResponse.success(
+        result,
+        `${result.moved} productos movidos a ${result.to}`
+      );
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Idioma de los nombres: ?lang= o el header Accept-Language
+   */
+  _resolveLanguage(req) {
+    if (req.query.lang) {
+      return req.query.lang;
+    }
+
+    const [preferred] = req.acceptsLanguages();
+    return preferred && preferred !== '*' ? preferred.split('-')[0] : undefined;
+  }
+}
+
+module.exports = new CategoryController();
@@ -0,0 +1,55 @@
+const healthService = require('../services/health.service');
+const metricsService = require('../services/metrics.service');
+const ApiResponse = require('../utils/ApiResponse');
+
+/**
+ * Controlador de estado y métricas
+ * Parte del patrón MVC (Controller)
+ * Aplica:
+ * - Single Responsibility: Solo maneja peticiones HTTP
+ * - Dependency Inversion: Depende de los servicios (abstracción)
+ */
+class HealthController {
+  /**
+   * Liveness: el proceso está vivo (no consulta dependencias)
+   * GET /health/live
+   */
+  getLiveness(req, res) {
+    const response = ApiResponse.success(
+      { ...healthService.getLiveness(), environment: process.env.NODE_ENV || 'development' },
+      'API funcionando correctamente'
+    );
+    response.send(res);
+  }
+
+  /**
+   * Readiness: 200 si puede atender requests, 503 si MongoDB no está disponible
+   * GET /health/ready
+   */
+  async getReadiness(req, res, next) {
+    try {
+      const readiness = await healthService.getReadiness();
+      const response = readiness.ready
+        ? ApiResponse.success(readiness, 'Lista para recibir tráfico')
+        : new ApiResponse(503, readiness, 'No está lista para recibir tráfico');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Métricas en formato Prometheus
+   * GET /metrics
+   */
+  async getMetrics(req, res, next) {
+    try {
+      const { contentType, body } = await metricsService.render();
+      res.set('Content-Type', contentType).send(body);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new HealthController();
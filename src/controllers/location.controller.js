@@ -0,0 +1,109 @@
+const locationService = require('../services/location.service');
+const ApiResponse = require('../utils/ApiResponse');
+
+/**
+ * Controlador de Ubicaciones
+ * Parte del patrón MVC (Controller)
+ * Aplica:
+ * - Single Responsibility: Solo maneja peticiones HTTP
+ * - Dependency Inversion: Depende del servicio (abstracción)
+ */
+class LocationController {
+  /**
+   * Crear ubicación
+   * POST /api/locations
+   * Body: { code: 'ALM-NORTE', name: 'Almacén Norte', type: 'warehouse', isDefault: true }
+   */
+  async createLocation(req, res, next) {
+    try {
+      const location = await locationService.createLocation(req.body);
+      const response = ApiResponse.created(location, 'Ubicación creada exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener ubicaciones con sus totales de stock
+   * GET /api/locations?includeInactive=true
+   */
+  async getAllLocations(req, res, next) {
+    try {
+      const locations = await locationService.getAllLocations({
+        includeInactive: req.query.includeInactive
+      });
+      const response = ApiResponse.success(locations, 'Ubicaciones obtenidas exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener ubicación por código
+   * GET /api/locations/:code
+   */
+  async getLocationByCode(req, res, next) {
+    try {
+      const location = await locationService.getLocationByCode(req.params.code);
+      const response = ApiResponse.success(location, 'Ubicación encontrada');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Actualizar ubicación
+   * PUT /api/locations/:code
+   */
+  async updateLocation(req, res, next) {
+    try {
+      const location = await locationService.updateLocation(req.params.code, req.body);
+      const response = ApiResponse.success(location, 'Ubicación actualizada exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Stock de una ubicación
+   * GET /api/locations/:code/stock?page=1&limit=20
+   */
+  async getStock(req, res, next) {
+    try {
+      const result = await locationService.getStock(req.params.code, {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+      const response = ApiResponse.success(result, `Stock de ${result.location.code}`);
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Productos con stock bajo en una ubicación
+   * GET /api/locations/:code/low-stock?threshold=10
+   */
+  async getLowStock(req, res, next) {
+    try {
+      const result = await locationService.getLowStock(req.params.code, req.query.threshold, {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+      const response = ApiResponse.success(
+        result,
+        `Productos con stock bajo en ${result.location.code} (≤ ${result.threshold})`
+      );
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new LocationController();
@@ -0,0 +1,87 @@
+const orderService = require('../services/order.service');
+const ApiResponse = require('../utils/ApiResponse');
+
+/**
+ * Controlador de Pedidos
+ * Parte del patrón MVC (Controller)
+ * Aplica:
+ * - Single Responsibility: Solo maneja peticiones HTTP
+ * - Dependency Inversion: Depende del servicio (abstracción)
+ */
+class OrderController {
+  /**
+   * Crear pedido
+   * POST /api/orders
+   * Body: { items: [{ product: '<id>', quantity: 2 }], customer, notes }
+   */
+  async createOrder(req, res, next) {
+    try {
+      const order = await orderService.createOrder(req.body, req.user.id);
+      const response = ApiResponse.created(order, 'Pedido creado exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener todos los pedidos
+   * GET /api/orders?page=1&limit=10&status=pending
+   */
+  async getAllOrders(req, res, next) {
+    try {
+      const filters = {
+        status: req.query.status
+      };
+
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10
+      };
+
+      const result = await orderService.getAllOrders(filters, options);
+      const response = ApiResponse.success(result, 'Pedidos obtenidos exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener pedido por ID
+   * GET /api/orders/:id
+   */
+  async getOrderById(req, res, next) {
+    try {
+      const order = await orderService.getOrderById(req.params.id);
+      const response = ApiResponse.success(order, 'Pedido encontrado');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cambiar estado del pedido
+   * PATCH /api/orders/:id/status
+   * Body: { status: 'paid' | 'shipped' | 'cancelled' }
+   */
+  async changeStatus(req, res, next) {
+    try {
+      const order = await orderService.changeStatus(
+        req.params.id,
+        req.body.status,
+        req.user.id
+      );
+      const response = ApiResponse.success(
+        order,
+        `Pedido actualizado a estado ${order.status}`
+      );
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new OrderController();
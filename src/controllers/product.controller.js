@@ -1,5 +1,14 @@
 const productService = require('../services/product.service');
+const stockService = require('../services/stock.service');
+const priceService = require('../services/price.service');
+const productImportService = require('../services/productImport.service');
+const productExportService = require('../services/productExport.service');
+const productFeedService = require('../services/productFeed.service');
+const productImageService = require('../services/productImage.service');
+const { EXPORT_FORMATS, DEFAULT_COLUMNS } = require('../services/productExport.service');
 const ApiResponse = require('../utils/ApiResponse');
+const { toETag, parseIfMatch } = require('../utils/etag');
+const feedConfig = require('../config/feed');
 
 /**
  * Controlador de Productos
@@ -12,10 +21,11 @@ class ProductController {
   /**
    * Crear producto
    * POST /api/products
+   * Idempotency-Key opcional: un reintento con la misma clave repite la respuesta sin crear otro producto
    */
   async createProduct(req, res, next) {
     try {
-      const product = await productService.createProduct(req.body);
+      const product = await productService.createProduct(req.body, req.user.id);
       const response = ApiResponse.created(product, 'Producto creado exitosamente');
       response.send(res);
     } catch (error) {
@@ -23,9 +33,158 @@ class ProductController {
     }
   }
 
+  /**
+   * Importar productos desde CSV o JSON lines
+   * POST /api/products/import?dryRun=true&upsertBy=sku (multipart, campo "file")
+   */
+  async importProducts(req, res, next) {
+    try {
+      const report = await productImportService.importProducts(req.file, {
+        format: req.query.format,
+        dryRun: req.query.dryRun,
+        upsertBy: req.query.upsertBy,
+        userId: req.user.id
+      });
+      const message = report.dryRun
+        ? 'Simulación de importación completada'
+        : 'Importación completada';
+      const response = ApiResponse.success(report, message);
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Exportar el catálogo en streaming
+   * GET /api/products/export?format=csv|ndjson|xlsx&columns=sku,name,stock&lowStock=10
+   * Sin `format` se usa el header Accept (por defecto CSV)
+   */
+  async exportProducts(req, res, next) {
+    const format = req.query.format || this._negotiateExportFormat(req);
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    const columns = req.query.columns || DEFAULT_COLUMNS;
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.status(200);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="productos-${date}.${extension}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    try {
+      await productExportService.exportProducts(res, {
+        format,
+        columns,
+        filters: {
+          category: req.query.category,
+          isActive: req.query.isActive,
+          minPrice: req.query.minPrice,
+          maxPrice: req.query.maxPrice,
+          search: req.query.search,
+          lowStock: req.query.lowStock
+        },
+        sortBy: req.query.sortBy,
+        sortOrder: req.query.sortOrder
+      });
+    } catch (error) {
+      // Con el archivo a medio enviar ya no se puede responder JSON
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      // El error se responde como JSON, no como archivo adjunto
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      next(error);
+    }
+  }
+
+  /**
+   * Feed de cambios en vivo (Server-Sent Events)
+   * GET /api/products/events?category=electronics&productId=
+   * Al reconectar, el navegador envía Last-Event-ID y el feed retoma desde ese evento
+   */
+  async streamEvents(req, res, next) {
+    let subscription;
+    let heartbeat;
+    let disconnected = false;
+    // Se registra antes de suscribirse: el cliente puede irse mientras se abre el change stream
+    res.on('close', () => {
+      disconnected = true;
+      clearInterval(heartbeat);
+      if (subscription) {
+        subscription.close();
+      }
+    });
+
+    try {
+      subscription = await productFeedService.subscribe(
+        { category: req.query.category, productId: req.query.productId },
+        { lastEventId: req.get('Last-Event-ID') || req.query.lastEventId },
+        {
+          onEvent: (event) => this._writeEvent(res, event),
+          // No se pudo retomar: el cliente debe volver a cargar el estado completo
+          onReset: () => this._writeEvent(res, {
+            type: 'reset',
+            data: { message: 'No se pudieron recuperar los cambios perdidos; vuelva a cargar los productos' }
+          }),
+          onError: (error) => res.destroy(error),
+          // El servidor se cierra: el navegador reconectará (con Last-Event-ID) a otra instancia
+          onClose: () => {
+            clearInterval(heartbeat);
+            res.end();
+          }
+        }
+      );
+    } catch (error) {
+      return next(error);
+    }
+
+    // Se fue durante la suscripción: liberar el change stream y el cupo de clientes
+    if (disconnected) {
+      subscription.close();
+      return;
+    }
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+      // Evita que un proxy (nginx) acumule los eventos
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${feedConfig.retryMs}\n\n`);
+
+    heartbeat = setInterval(() => res.write(': ping\n\n'), feedConfig.heartbeatSeconds * 1000);
+  }
+
+  _writeEvent(res, { id, type, data }) {
+    if (res.writableEnded) {
+      return;
+    }
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  _negotiateExportFormat(req) {
+    const accepted = req.accepts([
+      'text/csv',
+      'application/x-ndjson',
+      EXPORT_FORMATS.xlsx.contentType
+    ]);
+
+    if (accepted === 'application/x-ndjson') return 'ndjson';
+    if (accepted === EXPORT_FORMATS.xlsx.contentType) return 'xlsx';
+    return 'csv';
+  }
+
   /**
    * Obtener todos los productos
    * GET /api/products?page=1&limit=10&category=electronics&search=laptop
+   * GET /api/products?cursor=&limit=10 (paginación por cursor; luego ?cursor=<nextCursor>)
    */
   async getAllProducts(req, res, next) {
     try {
@@ -37,12 +196,7 @@ class ProductController {
         search: req.query.search
       };
 
-      const options = {
-        page: req.query.page || 1,
-        limit: req.query.limit || 10,
-        sortBy: req.query.sortBy || 'createdAt',
-        sortOrder: req.query.sortOrder || 'desc'
-      };
+      const options = this._paginationOptions(req);
 
       const result = await productService.getAllProducts(filters, options);
       const response = ApiResponse.success(
@@ -55,13 +209,36 @@ class ProductController {
     }
   }
 
+  /**
+   * Sugerencias de autocompletado
+   * GET /api/products/suggest?q=lap&limit=5
+   */
+  async suggestProducts(req, res, next) {
+    try {
+      const suggestions = await productService.suggestProducts(
+        req.query.q,
+        parseInt(req.query.limit) || 10
+      );
+      const response = ApiResponse.success(suggestions, 'Sugerencias obtenidas');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Obtener producto por ID
    * GET /api/products/:id
+   * Responde con ETag; con If-None-Match vigente responde 304 sin cuerpo
    */
   async getProductById(req, res, next) {
     try {
       const product = await productService.getProductById(req.params.id);
+      res.set('ETag', toETag(product));
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
       const response = ApiResponse.success(product, 'Producto encontrado');
       response.send(res);
     } catch (error) {
@@ -71,14 +248,17 @@ class ProductController {
 
   /**
    * Actualizar producto
-   * PUT /api/products/:id
+   * PUT /api/products/:id (If-Match opcional: 412 si la versión no coincide)
    */
   async updateProduct(req, res, next) {
     try {
       const product = await productService.updateProduct(
         req.params.id,
-        req.body
+        req.body,
+        req.user.id,
+        this._preconditions(req)
       );
+      res.set('ETag', toETag(product));
       const response = ApiResponse.success(
         product,
         'Producto actualizado exitosamente'
@@ -90,15 +270,20 @@ class ProductController {
   }
 
   /**
-   * Eliminar producto (soft delete)
-   * DELETE /api/products/:id
+   * Eliminar producto (soft delete: pasa a la papelera)
+   * DELETE /api/products/:id (If-Match opcional)
    */
   async deleteProduct(req, res, next) {
     try {
-      const product = await productService.deleteProduct(req.params.id);
+      const product = await productService.deleteProduct(
+        req.params.id,
+        req.user.id,
+        this._preconditions(req)
+      );
+      res.set('ETag', toETag(product));
       const response = ApiResponse.success(
         product,
-        'Producto eliminado exitosamente'
+        'Producto enviado a la papelera'
       );
       response.send(res);
     } catch (error) {
@@ -106,13 +291,45 @@ class ProductController {
     }
   }
 
+  /**
+   * Listar la papelera
+   * GET /api/products/trash?page=1&limit=10
+   */
+  async getTrash(req, res, next) {
+    try {
+      const result = await productService.getTrash({
+        page: req.query.page || 1,
+        limit: req.query.limit || 10
+      });
+      const response = ApiResponse.success(result, 'Papelera obtenida exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Restaurar producto de la papelera
+   * POST /api/products/:id/restore (If-Match opcional)
+   */
+  async restoreProduct(req, res, next) {
+    try {
+      const product = await productService.restoreProduct(req.params.id, this._preconditions(req));
+      res.set('ETag', toETag(product));
+      const response = ApiResponse.success(product, 'Producto restaurado exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Eliminar producto permanentemente
    * DELETE /api/products/:id/permanent
    */
   async permanentDeleteProduct(req, res, next) {
     try {
-      const result = await productService.permanentDeleteProduct(req.params.id);
+      const result = await productService.permanentDeleteProduct(req.params.id, this._preconditions(req));
       const response = ApiResponse.success(
         result,
         'Producto eliminado permanentemente'
@@ -130,7 +347,8 @@ class ProductController {
   async getProductsByCategory(req, res, next) {
     try {
       const products = await productService.getProductsByCategory(
-        req.params.category
+        req.params.category,
+        this._paginationOptions(req)
       );
       const response = ApiResponse.success(
         products,
@@ -149,7 +367,10 @@ class ProductController {
   async getLowStockProducts(req, res, next) {
     try {
       const threshold = parseInt(req.query.threshold) || 10;
-      const products = await productService.getLowStockProducts(threshold);
+      const products = await productService.getLowStockProducts(
+        threshold,
+        this._paginationOptions(req)
+      );
       const response = ApiResponse.success(
         products,
         `Productos con stock bajo (≤ ${threshold})`
@@ -163,14 +384,21 @@ class ProductController {
   /**
    * Actualizar stock de producto
    * PATCH /api/products/:id/stock
-   * Body: { quantity: 5 } o { quantity: -5 }
+   * Body: { quantity: -5, reason: 'sale', reference: 'Factura 001', variant: 'CAM-M-ROJA', location: 'TIENDA-1' }
+   * If-Match opcional: 412 si la versión no coincide
+   * Idempotency-Key opcional: un reintento con la misma clave no vuelve a mover el stock
    */
   async updateStock(req, res, next) {
     try {
+      const { reason, reference, variant, location } = req.body;
       const product = await productService.updateStock(
         req.params.id,
-        parseInt(req.body.quantity)
+        req.body.quantity,
+        { reason, reference, variant, location },
+        req.user.id,
+        this._preconditions(req)
       );
+      res.set('ETag', toETag(product));
       const response = ApiResponse.success(
         product,
         'Stock actualizado exitosamente'
@@ -181,13 +409,266 @@ class ProductController {
     }
   }
 
+  /**
+   * Agregar variante
+   * POST /api/products/:id/variants
+   * Body: { sku: 'CAM-M-ROJA', attributes: { talla: 'M', color: 'rojo' }, price: 12.5, stock: 10 }
+   */
+  async addVariant(req, res, next) {
+    try {
+      const product = await productService.addVariant(
+        req.params.id,
+        req.body,
+        req.user.id,
+        this._preconditions(req)
+      );
+      res.set('ETag', toETag(product));
+      const response = ApiResponse.created(product, 'Variante agregada exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Modificar variante (SKU, atributos o precio)
+   * PUT /api/products/:id/variants/:sku
+   */
+  async updateVariant(req, res, next) {
+    try {
+      const product = await productService.updateVariant(
+        req.params.id,
+        req.params.sku,
+        req.body,
+        this._preconditions(req)
+      );
+      res.set('ETag', toETag(product));
+      const response = ApiResponse.success(product, 'Variante actualizada exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Eliminar variante (debe estar sin stock)
+   * DELETE /api/products/:id/variants/:sku
+   */
+  async deleteVariant(req, res, next) {
+    try {
+      const product = await productService.deleteVariant(
+        req.params.id,
+        req.params.sku,
+        this._preconditions(req)
+      );
+      res.set('ETag', toETag(product));
+      const response = ApiResponse.success(product, 'Variante eliminada exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Subir imágenes (multipart/form-data, campo "images"; opcional "alt")
+   * POST /api/products/:id/images
+   */
+  async uploadImages(req, res, next) {
+    try {
+      const product = await productImageService.addImages(
+        req.params.id,
+        req.files,
+        req.body,
+        this._preconditions(req)
+      );
+      res.set('ETag', toETag(product));
+      const response = ApiResponse.created(product, 'Imágenes agregadas exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Ordenar imágenes (la primera es la principal)
+   * PUT /api/products/:id/images/order
+   * Body: { imageIds: ['...', '...'] }
+   */
+  async reorderImages(req, res, next) {
+    try {
+      const product = await productImageService.reorderImages(
+        req.params.id,
+        req.body.imageIds,
+        this._preconditions(req)
+      );
+      res.set('ETag', toETag(product));
+      const response = ApiResponse.success(product, 'Orden de imágenes actualizado');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Eliminar imagen y sus miniaturas
+   * DELETE /api/products/:id/images/:imageId
+   */
+  async deleteImage(req, res, next) {
+    try {
+      const product = await productImageService.deleteImage(
+        req.params.id,
+        req.params.imageId,
+        this._preconditions(req)
+      );
+      res.set('ETag', toETag(product));
+      const response = ApiResponse.success(product, 'Imagen eliminada exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Stock del producto por ubicación
+   * GET /api/products/:id/stock/locations
+   */
+  async getLocationStock(req, res, next) {
+    try {
+      const result = await stockService.getLocationStock(req.params.id);
+      const response = ApiResponse.success(result, 'Stock por ubicación obtenido exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Transferir stock entre ubicaciones
+   * POST /api/products/:id/stock/transfers
+   * Body: { from: 'ALM-NORTE', to: 'TIENDA-1', quantity: 5, variant: 'CAM-M-ROJA' }
+   */
+  async transferStock(req, res, next) {
+    try {
+      const result = await stockService.transfer(req.params.id, req.body, req.user.id);
+      const response = ApiResponse.created(
+        result,
+        `${result.quantity} unidades transferidas a ${result.to}`
+      );
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener historial de movimientos de stock
+   * GET /api/products/:id/stock/movements?from=2024-01-01&to=2024-01-31&variant=CAM-M-ROJA
+   */
+  async getStockMovements(req, res, next) {
+    try {
+      const filters = {
+        from: req.query.from ? new Date(req.query.from) : undefined,
+        to: req.query.to ? new Date(req.query.to) : undefined,
+        variant: req.query.variant
+      };
+
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      };
+
+      const result = await stockService.getMovements(req.params.id, filters, options);
+      const response = ApiResponse.success(
+        result,
+        'Movimientos de stock obtenidos exitosamente'
+      );
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reconstruir el stock desde el ledger (conciliación)
+   * POST /api/products/:id/stock/rebuild
+   * Body: { apply: true } para corregir el stock; por defecto solo informa
+   */
+  async rebuildStock(req, res, next) {
+    try {
+      const result = await stockService.rebuildStock(req.params.id, {
+        apply: req.body.apply,
+        userId: req.user.id
+      });
+      const message = result.applied
+        ? 'Stock reconstruido desde el ledger'
+        : 'Conciliación de stock calculada';
+      const response = ApiResponse.success(result, message);
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Línea de tiempo de precios (historial y programaciones)
+   * GET /api/products/:id/prices?from=2024-01-01&to=2024-01-31
+   */
+  async getPriceTimeline(req, res, next) {
+    try {
+      const timeline = await priceService.getTimeline(req.params.id, {
+        from: req.query.from,
+        to: req.query.to
+      });
+      const response = ApiResponse.success(timeline, 'Historial de precios obtenido exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Programar un precio o una oferta temporal
+   * POST /api/products/:id/prices/schedules
+   * Body: { price: 9.99, startsAt: '2024-11-29T00:00:00Z', endsAt: '2024-12-02T00:00:00Z', note: 'Black Friday' }
+   */
+  async schedulePrice(req, res, next) {
+    try {
+      const schedule = await priceService.schedulePrice(req.params.id, req.body, req.user.id);
+      const response = ApiResponse.created(schedule, 'Precio programado exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancelar una programación de precio (una oferta en curso se revierte)
+   * DELETE /api/products/:id/prices/schedules/:scheduleId
+   */
+  async cancelPriceSchedule(req, res, next) {
+    try {
+      const schedule = await priceService.cancelSchedule(req.params.id, req.params.scheduleId, req.user.id);
+      const response = ApiResponse.success(schedule, 'Programación de precio cancelada');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Obtener estadísticas de productos
-   * GET /api/products/statistics
+   * GET /api/products/statistics?from=2024-01-01&to=2024-06-30&category=books&interval=week
    */
   async getStatistics(req, res, next) {
     try {
-      const statistics = await productService.getStatistics();
+      const filters = {
+        from: req.query.from ? new Date(req.query.from) : undefined,
+        to: req.query.to ? new Date(req.query.to) : undefined,
+        category: req.query.category,
+        interval: req.query.interval
+      };
+
+      const statistics = await productService.getStatistics(filters);
       const response = ApiResponse.success(
         statistics,
         'Estadísticas obtenidas exitosamente'
@@ -197,6 +678,36 @@ class ProductController {
       next(error);
     }
   }
+
+  /**
+   * Versiones aceptadas por el header If-Match (control de concurrencia)
+   */
+  _preconditions(req) {
+    return { versions: parseIfMatch(req.get('If-Match')) };
+  }
+
+  /**
+   * Opciones de paginación del query
+   * `cursor` (aunque esté vacío) o `pagination=cursor` activan el modo cursor
+   */
+  _paginationOptions(req) {
+    const cursorMode = req.query.cursor !== undefined || req.query.pagination === 'cursor';
+    const options = {
+      limit: parseInt(req.query.limit) || 10,
+      // Con búsqueda de texto se ordena por relevancia salvo que se pida otro campo;
+      // por cursor la relevancia no se admite y se mantiene createdAt
+      sortBy: req.query.sortBy || (req.query.search && !cursorMode ? 'relevance' : 'createdAt'),
+      sortOrder: req.query.sortOrder || 'desc'
+    };
+
+    if (cursorMode) {
+      options.cursor = req.query.cursor || '';
+    } else {
+      options.page = parseInt(req.query.page) || 1;
+    }
+
+    return options;
+  }
 }
 
 module.exports = new ProductController();
\ No newline at end of file
@@ -0,0 +1,136 @@
+const purchaseOrderService = require('../services/purchaseOrder.service');
+const ApiResponse = require('../utils/ApiResponse');
+
+/**
+ * Controlador de Órdenes de Compra
+ * Parte del patrón MVC (Controller)
+ * Aplica:
+ * - Single Responsibility: Solo maneja peticiones HTTP
+ * - Dependency Inversion: Depende del servicio (abstracción)
+ */
+class PurchaseOrderController {
+  /**
+   * Crear orden de compra (en borrador)
+   * POST /api/purchase-orders
+   * Body: { supplier: '<id>', items: [{ product: '<id>', quantity: 20, cost: 4.5 }], location: 'ALM-NORTE' }
+   */
+  async createPurchaseOrder(req, res, next) {
+    try {
+      const order = await purchaseOrderService.createPurchaseOrder(req.body, req.user.id);
+      const response = ApiResponse.created(order, 'Orden de compra creada exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener órdenes de compra
+   * GET /api/purchase-orders?page=1&limit=10&status=sent&supplier=<id>
+   */
+  async getAllPurchaseOrders(req, res, next) {
+    try {
+      const filters = {
+        status: req.query.status,
+        supplier: req.query.supplier
+      };
+
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10
+      };
+
+      const result = await purchaseOrderService.getAllPurchaseOrders(filters, options);
+      const response = ApiResponse.success(result, 'Órdenes de compra obtenidas exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sugerencias de reposición por proveedor
+   * GET /api/purchase-orders/reorder-suggestions?supplier=<id>
+   */
+  async getReorderSuggestions(req, res, next) {
+    try {
+      const suggestions = await purchaseOrderService.getReorderSuggestions({
+        supplier: req.query.supplier
+      });
+      const response = ApiResponse.success(suggestions, 'Sugerencias de reposición obtenidas exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener orden de compra por ID
+   * GET /api/purchase-orders/:id
+   */
+  async getPurchaseOrderById(req, res, next) {
+    try {
+      const order = await purchaseOrderService.getPurchaseOrderById(req.params.id);
+      const response = ApiResponse.success(order, 'Orden de compra encontrada');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Modificar una orden en borrador
+   * PUT /api/purchase-orders/:id
+   */
+  async updatePurchaseOrder(req, res, next) {
+    try {
+      const order = await purchaseOrderService.updatePurchaseOrder(req.params.id, req.body);
+      const response = ApiResponse.success(order, 'Orden de compra actualizada exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Enviar o cancelar una orden de compra
+   * PATCH /api/purchase-orders/:id/status
+   * Body: { status: 'sent' | 'cancelled' }
+   */
+  async changeStatus(req, res, next) {
+    try {
+      const order = await purchaseOrderService.changeStatus(
+        req.params.id,
+        req.body.status,
+        req.user.id
+      );
+      const response = ApiResponse.success(
+        order,
+        `Orden de compra actualizada a estado ${order.status}`
+      );
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Registrar recepción de mercadería
+   * POST /api/purchase-orders/:id/receipts
+   * Body: { items: [{ product: '<id>', variant: 'CAM-M-ROJA', quantity: 10 }] }
+   */
+  async receive(req, res, next) {
+    try {
+      const order = await purchaseOrderService.receive(req.params.id, req.body.items, req.user.id);
+      const message = order.status === 'received'
+        ? 'Orden de compra recibida completa'
+        : 'Recepción parcial registrada';
+      const response = ApiResponse.success(order, message);
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new PurchaseOrderController();
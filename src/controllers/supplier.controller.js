@@ -0,0 +1,72 @@
+const supplierService = require('../services/supplier.service');
+const ApiResponse = require('../utils/ApiResponse');
+
+/**
+ * Controlador de Proveedores
+ * Parte del patrón MVC (Controller)
+ * Aplica:
+ * - Single Responsibility: Solo maneja peticiones HTTP
+ * - Dependency Inversion: Depende del servicio (abstracción)
+ */
+class SupplierController {
+  /**
+   * Crear proveedor
+   * POST /api/suppliers
+   * Body: { name: 'Distribuidora Sur', email: 'compras@sur.com', leadTimeDays: 5 }
+   */
+  async createSupplier(req, res, next) {
+    try {
+      const supplier = await supplierService.createSupplier(req.body);
+      const response = ApiResponse.created(supplier, 'Proveedor creado exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener proveedores
+   * GET /api/suppliers?includeInactive=true
+   */
+  async getAllSuppliers(req, res, next) {
+    try {
+      const suppliers = await supplierService.getAllSuppliers({
+        includeInactive: req.query.includeInactive
+      });
+      const response = ApiResponse.success(suppliers, 'Proveedores obtenidos exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener proveedor por ID
+   * GET /api/suppliers/:id
+   */
+  async getSupplierById(req, res, next) {
+    try {
+      const supplier = await supplierService.getSupplierById(req.params.id);
+      const response = ApiResponse.success(supplier, 'Proveedor encontrado');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Actualizar proveedor
+   * PUT /api/suppliers/:id
+   */
+  async updateSupplier(req, res, next) {
+    try {
+      const supplier = await supplierService.updateSupplier(req.params.id, req.body);
+      const response = ApiResponse.success(supplier, 'Proveedor actualizado exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new SupplierController();
@@ -0,0 +1,113 @@
+const webhookService = require('../services/webhook.service');
+const ApiResponse = require('../utils/ApiResponse');
+
+/**
+ * Controlador de Webhooks
+ * Parte del patrón MVC (Controller)
+ * Aplica:
+ * - Single Responsibility: Solo maneja peticiones HTTP
+ * - Dependency Inversion: Depende del servicio (abstracción)
+ */
+class WebhookController {
+  /**
+   * Crear suscripción
+   * POST /api/webhooks
+   * Body: { url: 'https://erp.example.com/hooks', events: ['product.updated', 'product.low_stock'] }
+   */
+  async createWebhook(req, res, next) {
+    try {
+      const webhook = await webhookService.createWebhook(req.body, req.user.id);
+      const response = ApiResponse.created(webhook, 'Webhook creado exitosamente; guarde el secreto, no se volverá a mostrar');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener suscripciones
+   * GET /api/webhooks
+   */
+  async getAllWebhooks(req, res, next) {
+    try {
+      const webhooks = await webhookService.getAllWebhooks();
+      const response = ApiResponse.success(webhooks, 'Webhooks obtenidos exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener suscripción por ID
+   * GET /api/webhooks/:id
+   */
+  async getWebhookById(req, res, next) {
+    try {
+      const webhook = await webhookService.getWebhookById(req.params.id);
+      const response = ApiResponse.success(webhook, 'Webhook encontrado');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Actualizar suscripción
+   * PUT /api/webhooks/:id
+   */
+  async updateWebhook(req, res, next) {
+    try {
+      const webhook = await webhookService.updateWebhook(req.params.id, req.body);
+      const response = ApiResponse.success(webhook, 'Webhook actualizado exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Eliminar suscripción
+   * DELETE /api/webhooks/:id
+   */
+  async deleteWebhook(req, res, next) {
+    try {
+      const result = await webhookService.deleteWebhook(req.params.id);
+      const response = ApiResponse.success(result, 'Webhook eliminado exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Registro de entregas de una suscripción
+   * GET /api/webhooks/:id/deliveries?status=failed&eventType=product.low_stock&page=1&limit=10
+   */
+  async getDeliveries(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+      const result = await webhookService.getDeliveries(req.params.id, filters, { page, limit });
+      const response = ApiResponse.success(result, 'Entregas obtenidas exitosamente');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reenviar una entrega
+   * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+   */
+  async redeliver(req, res, next) {
+    try {
+      const delivery = await webhookService.redeliver(req.params.id, req.params.deliveryId);
+      const response = ApiResponse.created(delivery, 'Entrega reenviada');
+      response.send(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WebhookController();
@@ -0,0 +1,1937 @@
+const { version } = require('../../package.json');
+const { ROLES } = require('../config/roles');
+const imagesConfig = require('../config/images');
+const { PRODUCT_RULES, PRODUCT_SORT_FIELDS } = require('../models/product.model');
+const { PRICE_CHANGE_SOURCES } = require('../models/priceChange.model');
+const { PRICE_SCHEDULE_STATUSES } = require('../models/priceSchedule.model');
+const { STOCK_MOVEMENT_REASONS, SYSTEM_STOCK_MOVEMENT_REASONS } = require('../models/stockMovement.model');
+const { ORDER_STATUSES } = require('../models/order.model');
+const { LOCATION_RULES, LOCATION_TYPES } = require('../models/location.model');
+const { SUPPLIER_RULES } = require('../models/supplier.model');
+const { PURCHASE_ORDER_STATUSES } = require('../models/purchaseOrder.model');
+const { WEBHOOK_EVENTS, WEBHOOK_RULES } = require('../models/webhook.model');
+const { WEBHOOK_DELIVERY_STATUSES } = require('../models/webhookDelivery.model');
+const { EXPORT_COLUMNS, EXPORT_FORMATS } = require('../services/productExport.service');
+
+/**
+ * Especificación OpenAPI 3 de la API
+ * Se sirve en /openapi.json y en /docs (Swagger UI).
+ * `npm run check:openapi` falla si una ruta registrada no aparece aquí.
+ */
+
+// ============================================
+// Helpers
+// ============================================
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Envoltorio de ApiResponse: { success, message, data }
+const envelope = (data) => ({
+  allOf: [
+    ref('ApiResponse'),
+    { type: 'object', properties: { data } }
+  ]
+});
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const ok = (description, data, statusCode = 200) => ({
+  [statusCode]: { description, content: jsonContent(envelope(data)) }
+});
+
+// Respuesta con la versión del producto en el header ETag
+const okWithETag = (description, data) => {
+  const response = ok(description, data);
+  response[200].headers = { ETag: { $ref: '#/components/headers/ETag' } };
+  return response;
+};
+
+// Respuestas de error reutilizables (ver components.responses)
+const errors = (...codes) => codes.reduce((responses, code) => {
+  responses[code] = { $ref: `#/components/responses/Error${code}` };
+  return responses;
+}, {});
+
+const body = (schema, required = true) => ({ required, content: jsonContent(schema) });
+
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+const query = (name, schema, description) => ({ name, in: 'query', schema, description });
+
+// ============================================
+// Componentes
+// ============================================
+
+// Restricciones de los campos del producto (las mismas del modelo)
+const productFields = {
+  name: { type: 'string', minLength: PRODUCT_RULES.name.min, maxLength: PRODUCT_RULES.name.max },
+  description: {
+    type: 'string',
+    minLength: PRODUCT_RULES.description.min,
+    maxLength: PRODUCT_RULES.description.max
+  },
+  price: { type: 'number', minimum: PRODUCT_RULES.price.min },
+  stock: { type: 'integer', minimum: PRODUCT_RULES.stock.min },
+  category: { type: 'string' },
+  sku: { type: 'string', pattern: PRODUCT_RULES.sku.pattern.source, description: 'Se guarda en mayúsculas' },
+  reorderPoint: {
+    type: 'integer',
+    minimum: PRODUCT_RULES.reorderPoint.min,
+    nullable: true,
+    description: 'Con stock (más lo pedido) igual o menor se sugiere reponer; null para no reponer'
+  },
+  reorderQuantity: {
+    type: 'integer',
+    minimum: PRODUCT_RULES.reorderQuantity.min,
+    nullable: true,
+    description: 'Cantidad a pedir; null para pedir lo justo para superar el punto de pedido'
+  },
+  suppliers: {
+    type: 'array',
+    maxItems: PRODUCT_RULES.suppliers.max,
+    items: ref('ProductSupplier'),
+    description: 'Reemplaza la lista completa de proveedores'
+  }
+};
+
+// Campos de una ubicación que se pueden modificar (el código no cambia)
+const locationFields = {
+  name: { type: 'string', minLength: LOCATION_RULES.name.min, maxLength: LOCATION_RULES.name.max },
+  type: { type: 'string', enum: LOCATION_TYPES, default: 'warehouse' },
+  address: { type: 'string', maxLength: LOCATION_RULES.address.max },
+  isDefault: { type: 'boolean', enum: [true], description: 'La anterior predeterminada deja de serlo' },
+  isActive: { type: 'boolean', description: 'Solo se desactiva sin stock y si no es la predeterminada' }
+};
+
+// Campos de una orden de compra que se pueden modificar en borrador (el proveedor no cambia)
+const purchaseOrderFields = {
+  items: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      required: ['product', 'quantity'],
+      properties: {
+        product: { type: 'string', description: 'ID del producto' },
+        variant: { type: 'string', description: 'SKU de la variante; obligatorio si el producto tiene variantes' },
+        quantity: { type: 'integer', minimum: 1, description: 'Al menos el pedido mínimo del proveedor' },
+        cost: { type: 'number', minimum: 0, description: 'Por defecto, el costo del proveedor en el producto' }
+      }
+    }
+  },
+  location: { type: 'string', description: 'Código de la ubicación que recibe; por defecto la predeterminada' },
+  notes: { type: 'string', maxLength: 500 }
+};
+
+const schemas = {
+  ApiResponse: {
+    type: 'object',
+    description: 'Envoltorio de todas las respuestas exitosas (ApiResponse)',
+    required: ['success', 'message'],
+    properties: {
+      success: { type: 'boolean', example: true },
+      message: { type: 'string', example: 'Operación exitosa' },
+      data: {}
+    }
+  },
+  ApiError: {
+    type: 'object',
+    description: 'Respuesta de error (ApiError). `errors` detalla los errores de validación por campo; `requestId` identifica '
+      + 'el request en los logs; `stack` solo se incluye en development',
+    required: ['success', 'message'],
+    properties: {
+      success: { type: 'boolean', example: false },
+      message: { type: 'string', example: 'Los datos enviados no son válidos' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', nullable: true, example: 'price' },
+            location: { type: 'string', enum: ['params', 'query', 'body'] },
+            message: { type: 'string', example: 'El campo price debe ser un número' }
+          }
+        }
+      },
+      requestId: { type: 'string', example: '0b6f3c1e-6d0a-4c59-9f0e-2a7d1c3b4e5f' },
+      stack: { type: 'string' }
+    }
+  },
+  PagePagination: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      page: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      hasMore: { type: 'boolean' }
+    }
+  },
+  CursorPagination: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: ['cursor'] },
+      limit: { type: 'integer' },
+      sortBy: { type: 'string' },
+      sortOrder: { type: 'string', enum: ['asc', 'desc'] },
+      nextCursor: { type: 'string', nullable: true },
+      prevCursor: { type: 'string', nullable: true },
+      hasMore: { type: 'boolean' }
+    }
+  },
+  Product: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', example: '665f1c2e9b1d8a0012345678' },
+      name: { type: 'string', example: 'Teclado mecánico' },
+      description: { type: 'string', example: 'Teclado mecánico con switches rojos y retroiluminación' },
+      price: { type: 'number', example: 59.9 },
+      sku: { type: 'string', example: 'TEC-001' },
+      category: { type: 'string', description: 'Slug de la categoría', example: 'electronica' },
+      stock: { type: 'integer', description: 'Con variantes, la suma del stock de todas ellas', example: 25 },
+      isActive: { type: 'boolean', example: true },
+      variants: { type: 'array', items: ref('Variant') },
+      suppliers: { type: 'array', items: ref('ProductSupplier') },
+      reorderPoint: { type: 'integer', nullable: true },
+      reorderQuantity: { type: 'integer', nullable: true },
+      images: { type: 'array', items: ref('ProductImage'), description: 'En orden de presentación; la primera es la principal' },
+      version: { type: 'integer', description: 'Se incrementa en cada modificación (ver ETag)', example: 3 },
+      deletedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Fecha en que pasó a la papelera' },
+      deletedBy: { type: 'string', nullable: true, description: 'ID del usuario que lo eliminó' },
+      activeBeforeDelete: {
+        type: 'boolean',
+        nullable: true,
+        description: 'En la papelera: si estaba activo al eliminarlo (así queda al restaurarlo)'
+      },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  ProductImage: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string', example: '/uploads/products/665f1c2e9b1d8a0012345678/6660a1b2c3d4e5f601234567.jpg' },
+      contentType: { type: 'string', enum: ['image/jpeg', 'image/png', 'image/webp'] },
+      size: { type: 'integer', description: 'Bytes del archivo original' },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      alt: { type: 'string' },
+      thumbnails: {
+        type: 'array',
+        description: `Una miniatura WebP por tamaño (${imagesConfig.thumbnailSizes.join(', ')} px de lado máximo)`,
+        items: {
+          type: 'object',
+          properties: {
+            size: { type: 'integer' },
+            url: { type: 'string' },
+            width: { type: 'integer' },
+            height: { type: 'integer' }
+          }
+        }
+      },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  ProductInput: {
+    type: 'object',
+    required: ['name', 'description', 'price', 'category'],
+    properties: {
+      ...productFields,
+      stock: { ...productFields.stock, default: 0, description: 'No se combina con variants' },
+      category: { type: 'string', description: 'Slug de una categoría activa' },
+      isActive: { type: 'boolean', default: true },
+      variants: { type: 'array', minItems: 1, items: ref('VariantInput') }
+    }
+  },
+  Variant: {
+    type: 'object',
+    properties: {
+      _id: { type: 'string' },
+      sku: { type: 'string', example: 'CAM-M-ROJA' },
+      attributes: {
+        type: 'object',
+        additionalProperties: { type: 'string' },
+        example: { talla: 'M', color: 'rojo' }
+      },
+      price: { type: 'number', nullable: true, description: 'null: usa el precio del producto' },
+      stock: { type: 'integer', example: 10 }
+    }
+  },
+  VariantInput: {
+    type: 'object',
+    required: ['sku', 'attributes'],
+    properties: {
+      sku: { ...productFields.sku, description: 'Único entre productos y variantes' },
+      attributes: {
+        type: 'object',
+        minProperties: 1,
+        maxProperties: PRODUCT_RULES.variantAttributes.max,
+        additionalProperties: { type: 'string', maxLength: 50 },
+        example: { talla: 'M', color: 'rojo' }
+      },
+      price: { ...productFields.price, nullable: true },
+      stock: { ...productFields.stock, default: 0, description: 'Se registra como movimiento "adjustment"' }
+    }
+  },
+  VariantUpdate: {
+    type: 'object',
+    minProperties: 1,
+    description: 'El stock se modifica con PATCH /api/products/{id}/stock',
+    properties: {
+      sku: productFields.sku,
+      attributes: { type: 'object', additionalProperties: { type: 'string' } },
+      price: { ...productFields.price, nullable: true }
+    }
+  },
+  ProductSupplier: {
+    type: 'object',
+    required: ['supplier', 'cost'],
+    properties: {
+      supplier: { type: 'string', description: 'ID del proveedor' },
+      cost: { type: 'number', minimum: 0 },
+      leadTimeDays: { type: 'integer', minimum: 0, nullable: true, description: 'null: el plazo habitual del proveedor' },
+      minOrderQuantity: { type: 'integer', minimum: 1, default: 1 },
+      supplierSku: { type: 'string', maxLength: 60 },
+      isPreferred: { type: 'boolean', default: false, description: 'Solo uno por producto' }
+    }
+  },
+  ProductUpdate: {
+    type: 'object',
+    description: 'Todos los campos son opcionales. Un cambio de stock se registra como movimiento "adjustment" '
+      + '(los productos con variantes ajustan el stock por variante)',
+    properties: {
+      ...productFields,
+      isActive: { type: 'boolean' }
+    }
+  },
+  ProductPage: {
+    type: 'object',
+    properties: {
+      products: { type: 'array', items: ref('Product') },
+      pagination: { oneOf: [ref('PagePagination'), ref('CursorPagination')] }
+    }
+  },
+  TrashPage: {
+    type: 'object',
+    properties: {
+      retentionDays: { type: 'integer', example: 30 },
+      products: {
+        type: 'array',
+        items: {
+          allOf: [
+            ref('Product'),
+            {
+              type: 'object',
+              properties: {
+                deletedBy: {
+                  type: 'object',
+                  nullable: true,
+                  properties: { _id: { type: 'string' }, name: { type: 'string' }, email: { type: 'string' } }
+                },
+                purgeAt: { type: 'string', format: 'date-time', description: 'Cuándo lo eliminará la purga automática' }
+              }
+            }
+          ]
+        }
+      },
+      pagination: ref('PagePagination')
+    }
+  },
+  ProductList: {
+    description: 'Arreglo en modo página; página con cursor si se envía `cursor` o `pagination=cursor`',
+    oneOf: [
+      { type: 'array', items: ref('Product') },
+      ref('ProductPage')
+    ]
+  },
+  Suggestion: {
+    type: 'object',
+    properties: {
+      _id: { type: 'string' },
+      name: { type: 'string' },
+      category: { type: 'string' },
+      price: { type: 'number' }
+    }
+  },
+  StockUpdate: {
+    type: 'object',
+    required: ['quantity'],
+    properties: {
+      quantity: { type: 'integer', description: 'Positivo suma, negativo resta (distinto de 0)', example: -2 },
+      reason: {
+        type: 'string',
+        enum: STOCK_MOVEMENT_REASONS.filter(reason => !SYSTEM_STOCK_MOVEMENT_REASONS.includes(reason)),
+        default: 'adjustment'
+      },
+      reference: { type: 'string', maxLength: 200, example: 'FAC-2024-0012' },
+      variant: { type: 'string', description: 'SKU de la variante; obligatorio si el producto tiene variantes' },
+      location: { type: 'string', description: 'Código de la ubicación; por defecto la predeterminada' }
+    }
+  },
+  StockTransferInput: {
+    type: 'object',
+    required: ['to', 'quantity'],
+    properties: {
+      from: { type: 'string', description: 'Código de la ubicación de origen; sin él se asigna stock sin ubicación' },
+      to: { type: 'string', description: 'Código de la ubicación de destino', example: 'TIENDA-1' },
+      quantity: { type: 'integer', minimum: 1 },
+      variant: { type: 'string', description: 'SKU de la variante; obligatorio si el producto tiene variantes' },
+      reference: { type: 'string', maxLength: 200 }
+    }
+  },
+  StockTransfer: {
+    type: 'object',
+    properties: {
+      transfer: { type: 'string', description: 'ID compartido por los dos movimientos de la transferencia' },
+      product: { type: 'string' },
+      variant: { type: 'string', nullable: true },
+      from: { type: 'string', nullable: true },
+      to: { type: 'string' },
+      quantity: { type: 'integer' }
+    }
+  },
+  ProductLocationStock: {
+    type: 'object',
+    properties: {
+      productId: { type: 'string' },
+      stock: { type: 'integer', description: 'Total de todas las ubicaciones más el stock sin asignar' },
+      unassigned: { type: 'integer', description: 'Stock que no está en ninguna ubicación' },
+      locations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            location: ref('LocationSummary'),
+            variant: { type: 'string', nullable: true, description: 'SKU de la variante' },
+            quantity: { type: 'integer' }
+          }
+        }
+      }
+    }
+  },
+  StockMovement: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      product: { type: 'string' },
+      variant: { type: 'string', nullable: true },
+      variantSku: { type: 'string' },
+      location: { type: 'string', nullable: true, description: 'null: stock sin asignar (o sin ubicaciones)' },
+      locationCode: { type: 'string' },
+      transfer: { type: 'string', nullable: true, description: 'Agrupa la salida y la entrada de una transferencia' },
+      quantity: { type: 'integer' },
+      reason: { type: 'string', enum: STOCK_MOVEMENT_REASONS },
+      reference: { type: 'string' },
+      stockBefore: { type: 'integer', description: 'De la variante si el movimiento es de una variante' },
+      stockAfter: { type: 'integer' },
+      createdBy: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  PriceChange: {
+    type: 'object',
+    properties: {
+      _id: { type: 'string' },
+      product: { type: 'string' },
+      price: { type: 'number' },
+      previousPrice: { type: 'number', nullable: true },
+      effectiveFrom: { type: 'string', format: 'date-time' },
+      effectiveTo: { type: 'string', format: 'date-time', nullable: true, description: 'null: precio vigente' },
+      source: { type: 'string', enum: PRICE_CHANGE_SOURCES },
+      schedule: { type: 'string', nullable: true },
+      createdBy: { type: 'string' }
+    }
+  },
+  PriceSchedule: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      product: { type: 'string' },
+      price: { type: 'number' },
+      startsAt: { type: 'string', format: 'date-time' },
+      endsAt: { type: 'string', format: 'date-time', nullable: true, description: 'Con fin es una oferta: al terminar se revierte' },
+      note: { type: 'string' },
+      status: { type: 'string', enum: PRICE_SCHEDULE_STATUSES },
+      previousPrice: { type: 'number', nullable: true },
+      appliedAt: { type: 'string', format: 'date-time', nullable: true },
+      endedAt: { type: 'string', format: 'date-time', nullable: true },
+      reverted: { type: 'boolean', nullable: true, description: 'false si el precio se cambió durante la oferta' },
+      createdBy: { type: 'string' }
+    }
+  },
+  PriceScheduleInput: {
+    type: 'object',
+    required: ['price'],
+    properties: {
+      price: productFields.price,
+      startsAt: { type: 'string', format: 'date-time', description: 'Por defecto, de inmediato' },
+      endsAt: { type: 'string', format: 'date-time', description: 'Opcional: oferta temporal' },
+      note: { type: 'string', maxLength: 200, example: 'Black Friday' }
+    }
+  },
+  PriceTimeline: {
+    type: 'object',
+    properties: {
+      productId: { type: 'string' },
+      currentPrice: { type: 'number' },
+      history: { type: 'array', items: ref('PriceChange'), description: 'Del más reciente al más antiguo' },
+      schedules: { type: 'array', items: ref('PriceSchedule'), description: 'Pendientes y en curso' }
+    }
+  },
+  StockRebuild: {
+    type: 'object',
+    properties: {
+      productId: { type: 'string' },
+      currentStock: { type: 'integer' },
+      ledgerStock: { type: 'integer' },
+      movements: { type: 'integer', description: 'Movimientos sumados (sin las conciliaciones)' },
+      difference: { type: 'integer', description: 'Stock actual menos el del ledger; al aplicar se registra como "reconcile"' },
+      variants: {
+        type: 'array',
+        description: 'Solo en productos con variantes',
+        items: {
+          type: 'object',
+          properties: {
+            sku: { type: 'string' },
+            currentStock: { type: 'integer' },
+            ledgerStock: { type: 'integer' },
+            difference: { type: 'integer' }
+          }
+        }
+      },
+      applied: { type: 'boolean' }
+    }
+  },
+  ImportReport: {
+    type: 'object',
+    properties: {
+      dryRun: { type: 'boolean' },
+      upsertBy: { type: 'string', enum: ['name', 'sku'] },
+      summary: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          created: { type: 'integer' },
+          updated: { type: 'integer' },
+          failed: { type: 'integer' }
+        }
+      },
+      rows: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            row: { type: 'integer' },
+            key: { type: 'string' },
+            status: { type: 'string', enum: ['created', 'updated', 'failed'] },
+            id: { type: 'string' },
+            errors: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    }
+  },
+  Statistics: {
+    type: 'object',
+    properties: {
+      totalProducts: { type: 'integer' },
+      activeProducts: { type: 'integer' },
+      inactiveProducts: { type: 'integer' },
+      lowStockProducts: { type: 'integer', description: 'Con variantes, si alguna está en el umbral' },
+      totalVariants: { type: 'integer' },
+      lowStockVariants: { type: 'integer' },
+      totalStock: { type: 'integer' },
+      totalInventoryValue: { type: 'number' },
+      price: {
+        type: 'object',
+        properties: {
+          min: { type: 'number', nullable: true },
+          avg: { type: 'number', nullable: true },
+          max: { type: 'number', nullable: true }
+        }
+      },
+      byCategory: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            products: { type: 'integer' },
+            stock: { type: 'integer' },
+            inventoryValue: { type: 'number' }
+          }
+        }
+      },
+      stockDistribution: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { range: { type: 'string' }, products: { type: 'integer' } }
+        }
+      },
+      createdOverTime: {
+        type: 'object',
+        properties: {
+          interval: { type: 'string', enum: ['day', 'week', 'month'] },
+          series: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { period: { type: 'string' }, products: { type: 'integer' } }
+            }
+          }
+        }
+      },
+      filters: { type: 'object' }
+    }
+  },
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      role: { type: 'string', enum: Object.values(ROLES) },
+      isActive: { type: 'boolean' },
+      lastLoginAt: { type: 'string', format: 'date-time', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  RegisterInput: {
+    type: 'object',
+    required: ['name', 'email', 'password'],
+    properties: {
+      name: { type: 'string', minLength: 3, maxLength: 100 },
+      email: { type: 'string', format: 'email' },
+      password: { type: 'string', minLength: 8, format: 'password' },
+      role: { type: 'string', enum: Object.values(ROLES), description: 'Solo lo asigna un admin' }
+    }
+  },
+  LoginInput: {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+      email: { type: 'string', format: 'email' },
+      password: { type: 'string', format: 'password' }
+    }
+  },
+  AuthToken: {
+    type: 'object',
+    properties: {
+      token: { type: 'string' },
+      tokenType: { type: 'string', example: 'Bearer' },
+      expiresIn: { type: 'string', example: '1h' },
+      user: ref('User')
+    }
+  },
+  Category: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string', example: 'Electrónica' },
+      slug: { type: 'string', example: 'electronica' },
+      displayName: { type: 'string', description: 'Nombre en el idioma solicitado' },
+      displayNames: { type: 'object', additionalProperties: { type: 'string' }, example: { en: 'Electronics' } },
+      description: { type: 'string' },
+      parent: { type: 'string', nullable: true },
+      isActive: { type: 'boolean' },
+      children: { type: 'array', items: ref('Category'), description: 'Solo con ?tree=true' }
+    }
+  },
+  CategoryInput: {
+    type: 'object',
+    description: 'En creación `name` es obligatorio; en actualización todo es opcional y el slug no cambia',
+    properties: {
+      name: { type: 'string', minLength: 2, maxLength: 60 },
+      slug: { type: 'string', pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$' },
+      displayNames: { type: 'object', additionalProperties: { type: 'string' } },
+      description: { type: 'string', maxLength: 300 },
+      parent: { type: 'string', nullable: true, description: 'Slug de la categoría padre' },
+      isActive: { type: 'boolean' }
+    }
+  },
+  Location: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      code: { type: 'string', example: 'ALM-NORTE' },
+      name: { type: 'string', example: 'Almacén Norte' },
+      type: { type: 'string', enum: LOCATION_TYPES },
+      address: { type: 'string' },
+      isDefault: { type: 'boolean', description: 'Recibe los movimientos que no indican ubicación' },
+      isActive: { type: 'boolean' },
+      stock: {
+        type: 'object',
+        description: 'Solo en el listado',
+        properties: {
+          quantity: { type: 'integer', description: 'Unidades en la ubicación' },
+          items: { type: 'integer', description: 'Productos o variantes con stock' }
+        }
+      }
+    }
+  },
+  LocationInput: {
+    type: 'object',
+    required: ['code', 'name'],
+    properties: {
+      code: { type: 'string', pattern: LOCATION_RULES.code.pattern.source, description: 'Se guarda en mayúsculas' },
+      ...locationFields
+    }
+  },
+  LocationUpdate: {
+    type: 'object',
+    minProperties: 1,
+    description: 'El código no cambia',
+    properties: locationFields
+  },
+  LocationSummary: {
+    type: 'object',
+    properties: {
+      code: { type: 'string' },
+      name: { type: 'string' },
+      type: { type: 'string', enum: LOCATION_TYPES }
+    }
+  },
+  LocationStockPage: {
+    type: 'object',
+    properties: {
+      location: ref('LocationSummary'),
+      threshold: { type: 'integer', description: 'Solo en el reporte de stock bajo' },
+      levels: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            product: {
+              type: 'object',
+              properties: { id: { type: 'string' }, name: { type: 'string' }, sku: { type: 'string' } }
+            },
+            variant: {
+              type: 'object',
+              nullable: true,
+              properties: { id: { type: 'string' }, sku: { type: 'string' } }
+            },
+            quantity: { type: 'integer' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        }
+      },
+      pagination: ref('PagePagination')
+    }
+  },
+  Supplier: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string', example: 'Distribuidora Sur' },
+      email: { type: 'string', format: 'email' },
+      phone: { type: 'string' },
+      contactName: { type: 'string' },
+      leadTimeDays: { type: 'integer', description: 'Plazo de entrega habitual' },
+      notes: { type: 'string' },
+      isActive: { type: 'boolean' }
+    }
+  },
+  SupplierInput: {
+    type: 'object',
+    description: 'En creación `name` es obligatorio',
+    properties: {
+      name: { type: 'string', minLength: SUPPLIER_RULES.name.min, maxLength: SUPPLIER_RULES.name.max },
+      email: { type: 'string', format: 'email' },
+      phone: { type: 'string', maxLength: SUPPLIER_RULES.phone.max },
+      contactName: { type: 'string', maxLength: SUPPLIER_RULES.contactName.max },
+      leadTimeDays: {
+        type: 'integer',
+        minimum: SUPPLIER_RULES.leadTimeDays.min,
+        maximum: SUPPLIER_RULES.leadTimeDays.max,
+        default: 7
+      },
+      notes: { type: 'string', maxLength: SUPPLIER_RULES.notes.max },
+      isActive: { type: 'boolean' }
+    }
+  },
+  PurchaseOrder: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      orderNumber: { type: 'string', example: 'OC-20240115-K3J9QX' },
+      supplier: { type: 'string' },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            product: { type: 'string' },
+            variant: { type: 'string' },
+            variantSku: { type: 'string' },
+            name: { type: 'string' },
+            cost: { type: 'number' },
+            quantity: { type: 'integer' },
+            received: { type: 'integer' },
+            subtotal: { type: 'number' }
+          }
+        }
+      },
+      total: { type: 'number' },
+      status: { type: 'string', enum: PURCHASE_ORDER_STATUSES },
+      statusHistory: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: PURCHASE_ORDER_STATUSES },
+            changedAt: { type: 'string', format: 'date-time' },
+            changedBy: { type: 'string' }
+          }
+        }
+      },
+      receipts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { product: { type: 'string' }, variantSku: { type: 'string' }, quantity: { type: 'integer' } }
+              }
+            },
+            receivedAt: { type: 'string', format: 'date-time' },
+            receivedBy: { type: 'string' }
+          }
+        }
+      },
+      location: { type: 'string', nullable: true, description: 'null: la ubicación predeterminada al recibir' },
+      locationCode: { type: 'string' },
+      leadTimeDays: { type: 'integer', description: 'El mayor plazo de entrega de sus líneas' },
+      sentAt: { type: 'string', format: 'date-time', nullable: true },
+      expectedAt: { type: 'string', format: 'date-time', nullable: true },
+      notes: { type: 'string' },
+      createdBy: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  PurchaseOrderInput: {
+    type: 'object',
+    required: ['supplier', 'items'],
+    properties: {
+      supplier: { type: 'string', description: 'ID del proveedor' },
+      ...purchaseOrderFields
+    }
+  },
+  PurchaseOrderUpdate: {
+    type: 'object',
+    minProperties: 1,
+    description: 'Solo en borrador; el proveedor no cambia',
+    properties: purchaseOrderFields
+  },
+  PurchaseOrderReceipt: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['product', 'quantity'],
+          properties: {
+            product: { type: 'string' },
+            variant: { type: 'string', description: 'SKU de la variante' },
+            quantity: { type: 'integer', minimum: 1, description: 'No puede superar lo pendiente de la línea' }
+          }
+        }
+      }
+    }
+  },
+  ReorderSuggestion: {
+    type: 'object',
+    properties: {
+      supplier: {
+        type: 'object',
+        nullable: true,
+        description: 'null: productos sin proveedor activo',
+        properties: { id: { type: 'string' }, name: { type: 'string' } }
+      },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            product: {
+              type: 'object',
+              properties: { id: { type: 'string' }, name: { type: 'string' }, sku: { type: 'string' } }
+            },
+            stock: { type: 'integer' },
+            onOrder: { type: 'integer', description: 'Pedido en órdenes enviadas y todavía no recibido' },
+            reorderPoint: { type: 'integer' },
+            suggestedQuantity: { type: 'integer' },
+            cost: { type: 'number', nullable: true },
+            subtotal: { type: 'number', nullable: true },
+            leadTimeDays: { type: 'integer', nullable: true },
+            variants: {
+              type: 'array',
+              description: 'Solo productos con variantes',
+              items: { type: 'object', properties: { sku: { type: 'string' }, stock: { type: 'integer' } } }
+            }
+          }
+        }
+      },
+      estimatedCost: { type: 'number' }
+    }
+  },
+  OrderItem: {
+    type: 'object',
+    properties: {
+      product: { type: 'string' },
+      variant: { type: 'string' },
+      variantSku: { type: 'string' },
+      name: { type: 'string' },
+      price: { type: 'number', description: 'Precio de la variante si tiene uno propio' },
+      quantity: { type: 'integer' },
+      subtotal: { type: 'number' }
+    }
+  },
+  Order: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      orderNumber: { type: 'string' },
+      items: { type: 'array', items: ref('OrderItem') },
+      total: { type: 'number' },
+      status: { type: 'string', enum: ORDER_STATUSES },
+      statusHistory: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ORDER_STATUSES },
+            changedAt: { type: 'string', format: 'date-time' },
+            changedBy: { type: 'string' }
+          }
+        }
+      },
+      customer: {
+        type: 'object',
+        properties: { name: { type: 'string' }, email: { type: 'string', format: 'email' } }
+      },
+      notes: { type: 'string' },
+      location: { type: 'string', nullable: true, description: 'Ubicación de la que salió el stock' },
+      locationCode: { type: 'string' },
+      createdBy: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  OrderInput: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['product', 'quantity'],
+          properties: {
+            product: { type: 'string', description: 'ID del producto' },
+            variant: { type: 'string', description: 'SKU de la variante; obligatorio si el producto tiene variantes' },
+            quantity: { type: 'integer', minimum: 1 }
+          }
+        }
+      },
+      location: { type: 'string', description: 'Código de la ubicación que despacha; por defecto la predeterminada' },
+      customer: {
+        type: 'object',
+        properties: { name: { type: 'string' }, email: { type: 'string', format: 'email' } }
+      },
+      notes: { type: 'string', maxLength: 500 }
+    }
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string', format: 'uri', example: 'https://erp.example.com/hooks/inventario' },
+      description: { type: 'string' },
+      events: { type: 'array', items: { type: 'string', enum: [...WEBHOOK_EVENTS, '*'] } },
+      secret: { type: 'string', description: 'Solo en la respuesta de creación' },
+      isActive: { type: 'boolean' },
+      createdBy: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  WebhookInput: {
+    type: 'object',
+    description: 'En creación `url` y `events` son obligatorios. Sin `secret` se genera uno',
+    properties: {
+      url: { type: 'string', format: 'uri', maxLength: WEBHOOK_RULES.url.max, description: 'http o https; no puede ser localhost ni una red privada' },
+      description: { type: 'string', maxLength: WEBHOOK_RULES.description.max },
+      events: {
+        type: 'array',
+        minItems: 1,
+        uniqueItems: true,
+        items: { type: 'string', enum: [...WEBHOOK_EVENTS, '*'] },
+        description: '"*" recibe todos los eventos'
+      },
+      secret: { type: 'string', minLength: WEBHOOK_RULES.secret.min, maxLength: WEBHOOK_RULES.secret.max },
+      isActive: { type: 'boolean' }
+    }
+  },
+  WebhookEvent: {
+    type: 'object',
+    description: 'Body de cada entrega. Se firma con el header `X-Webhook-Signature: sha256=<hex>`, '
+      + 'HMAC-SHA256 de `${X-Webhook-Timestamp}.${body}` con el secreto de la suscripción',
+    properties: {
+      id: { type: 'string', format: 'uuid', description: 'Igual en los reintentos y reenvíos del mismo evento' },
+      type: { type: 'string', enum: WEBHOOK_EVENTS },
+      occurredAt: { type: 'string', format: 'date-time' },
+      data: {
+        type: 'object',
+        description: 'Siempre incluye `product`; según el evento, además `permanent`, `stockBefore`, '
+          + '`quantity`, `reason`, `variant`, `location` o `threshold`'
+      }
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      webhook: { type: 'string' },
+      event: ref('WebhookEvent'),
+      status: { type: 'string', enum: WEBHOOK_DELIVERY_STATUSES },
+      attempts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            attemptedAt: { type: 'string', format: 'date-time' },
+            statusCode: { type: 'integer', nullable: true },
+            durationMs: { type: 'integer' },
+            error: { type: 'string' },
+            responseBody: { type: 'string', description: 'Primeros 500 caracteres de la respuesta' }
+          }
+        }
+      },
+      attemptCount: { type: 'integer' },
+      nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+      deliveredAt: { type: 'string', format: 'date-time', nullable: true },
+      redeliveryOf: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: jsonContent(ref('ApiError'))
+});
+
+const responses = {
+  Error400: errorResponse('Datos inválidos'),
+  Error401: errorResponse('Token ausente, inválido o expirado'),
+  Error403: errorResponse('El rol no tiene permiso para esta acción'),
+  Error404: errorResponse('Recurso no encontrado'),
+  Error409: errorResponse('Conflicto con el estado actual (duplicado, en uso, etc.)'),
+  Error412: errorResponse('La versión del producto no coincide con If-Match (otro usuario lo modificó)'),
+  Error413: errorResponse('El archivo supera el tamaño máximo permitido'),
+  Error422: errorResponse('El Idempotency-Key ya se usó con un request distinto')
+};
+
+const parameters = {
+  ProductId: { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-f0-9]{24}$' } },
+  SupplierId: { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-f0-9]{24}$' } },
+  PurchaseOrderId: { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-f0-9]{24}$' } },
+  WebhookId: { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-f0-9]{24}$' } },
+  OrderId: { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-f0-9]{24}$' } },
+  VariantSku: { name: 'sku', in: 'path', required: true, schema: { type: 'string' }, description: 'SKU de la variante' },
+  LocationCode: { name: 'code', in: 'path', required: true, schema: { type: 'string', pattern: LOCATION_RULES.code.pattern.source } },
+  CategorySlug: { name: 'slug', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$' } },
+  Page: query('page', { type: 'integer', minimum: 1, default: 1 }, 'Página (no se combina con cursor)'),
+  Limit: query('limit', { type: 'integer', minimum: 1, maximum: 100, default: 10 }),
+  SortBy: query('sortBy', { type: 'string', enum: [...PRODUCT_SORT_FIELDS, 'relevance'] },
+    'Por defecto createdAt, o relevance si hay search y se pagina por página. relevance no admite cursor (400); ' +
+    'un cursor solo vale con el sortBy y sortOrder con que se generó'),
+  SortOrder: query('sortOrder', { type: 'string', enum: ['asc', 'desc'], default: 'desc' }),
+  Pagination: query('pagination', { type: 'string', enum: ['page', 'cursor'], default: 'page' }),
+  Cursor: query('cursor', { type: 'string' }, 'Cursor opaco de nextCursor/prevCursor'),
+  Category: query('category', { type: 'string' }, 'Slug de la categoría'),
+  IsActive: query('isActive', { type: 'string', enum: ['true', 'false'] }),
+  MinPrice: query('minPrice', { type: 'number' }),
+  MaxPrice: query('maxPrice', { type: 'number' }),
+  Search: query('search', { type: 'string', maxLength: 100 }, 'Búsqueda de texto en nombre, SKU y descripción'),
+  From: query('from', { type: 'string', format: 'date-time' }),
+  To: query('to', { type: 'string', format: 'date-time' }),
+  IfMatch: {
+    name: 'If-Match',
+    in: 'header',
+    schema: { type: 'string', example: '"3"' },
+    description: 'ETag leído previamente; si el producto cambió se responde 412'
+  },
+  IfNoneMatch: {
+    name: 'If-None-Match',
+    in: 'header',
+    schema: { type: 'string', example: '"3"' },
+    description: 'ETag en caché; si el producto no cambió se responde 304'
+  },
+  IdempotencyKey: {
+    name: 'Idempotency-Key',
+    in: 'header',
+    schema: { type: 'string', maxLength: 255, example: '6f1c2a8e-3b7d-4e59-a0c4-9d2b8e7f1a36' },
+    description: 'Clave única por operación (ej: UUID). Un reintento con la misma clave y el mismo body recibe la '
+      + 'respuesta original con `Idempotent-Replayed: true` sin volver a ejecutarse; con otro body responde 422 y '
+      + 'mientras el primero sigue en curso, 409'
+  },
+  Lang: query('lang', { type: 'string', example: 'en' }, 'Idioma de displayName (por defecto Accept-Language)')
+};
+
+const listParameters = ['Page', 'Limit', 'SortBy', 'SortOrder', 'Pagination', 'Cursor'].map(param);
+
+// ============================================
+// Rutas
+// ============================================
+
+const paths = {
+  // ---------- Autenticación ----------
+  '/api/auth/register': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Registrar usuario',
+      description: 'El primer usuario se crea como admin sin token; después solo un admin puede registrar',
+      security: [{}, { bearerAuth: [] }],
+      requestBody: body(ref('RegisterInput')),
+      responses: { ...ok('Usuario registrado', ref('User'), 201), ...errors(400, 401, 403, 409) }
+    }
+  },
+  '/api/auth/login': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Iniciar sesión',
+      security: [],
+      requestBody: body(ref('LoginInput')),
+      responses: { ...ok('Token emitido', ref('AuthToken')), ...errors(400, 401) }
+    }
+  },
+  '/api/auth/refresh': {
+    post: {
+      tags: ['Autenticación'],
+      summary: 'Renovar el token de acceso',
+      responses: { ...ok('Token renovado', ref('AuthToken')), ...errors(401) }
+    }
+  },
+  '/api/auth/me': {
+    get: {
+      tags: ['Autenticación'],
+      summary: 'Usuario autenticado',
+      responses: { ...ok('Usuario autenticado', ref('User')), ...errors(401) }
+    }
+  },
+
+  // ---------- Productos ----------
+  '/api/products': {
+    get: {
+      tags: ['Productos'],
+      summary: 'Listar productos',
+      parameters: [
+        ...listParameters,
+        ...['Category', 'IsActive', 'MinPrice', 'MaxPrice', 'Search'].map(param)
+      ],
+      responses: { ...ok('Productos obtenidos', ref('ProductPage')), ...errors(400, 401, 403) }
+    },
+    post: {
+      tags: ['Productos'],
+      summary: 'Crear producto',
+      parameters: [param('IdempotencyKey')],
+      requestBody: body(ref('ProductInput')),
+      responses: { ...ok('Producto creado', ref('Product'), 201), ...errors(400, 401, 403, 409, 422) }
+    }
+  },
+  '/api/products/statistics': {
+    get: {
+      tags: ['Productos'],
+      summary: 'Estadísticas del catálogo',
+      parameters: [
+        param('From'),
+        param('To'),
+        param('Category'),
+        query('interval', { type: 'string', enum: ['day', 'week', 'month'], default: 'day' })
+      ],
+      responses: { ...ok('Estadísticas obtenidas', ref('Statistics')), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/products/export': {
+    get: {
+      tags: ['Productos'],
+      summary: 'Exportar el catálogo en streaming',
+      description: 'Sin `format` se negocia con el header Accept',
+      parameters: [
+        query('format', { type: 'string', enum: Object.keys(EXPORT_FORMATS) }),
+        query('columns', { type: 'string', example: 'sku,name,stock' },
+          `Columnas separadas por coma: ${Object.keys(EXPORT_COLUMNS).join(', ')}`),
+        query('lowStock', { type: 'integer', minimum: 0 }, 'Solo productos activos con stock ≤ valor'),
+        query('sortBy', { type: 'string', enum: ['createdAt', 'updatedAt', 'name', 'price', 'stock'] }),
+        param('SortOrder'),
+        ...['Category', 'IsActive', 'MinPrice', 'MaxPrice', 'Search'].map(param)
+      ],
+      responses: {
+        200: {
+          description: 'Archivo de exportación',
+          content: Object.values(EXPORT_FORMATS).reduce((content, { contentType }) => {
+            content[contentType.split(';')[0]] = { schema: { type: 'string', format: 'binary' } };
+            return content;
+          }, {})
+        },
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+  '/api/products/suggest': {
+    get: {
+      tags: ['Productos'],
+      summary: 'Autocompletar por prefijo del nombre',
+      parameters: [
+        { ...query('q', { type: 'string', maxLength: 50 }), required: true },
+        query('limit', { type: 'integer', minimum: 1, maximum: 20, default: 10 })
+      ],
+      responses: {
+        ...ok('Sugerencias obtenidas', { type: 'array', items: ref('Suggestion') }),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+  '/api/products/events': {
+    get: {
+      tags: ['Productos'],
+      summary: 'Feed de cambios en vivo (Server-Sent Events)',
+      description: 'Eventos `product.created`, `product.updated`, `product.stock_changed`, `product.deleted` y '
+        + '`product.restored` con `data: { productId, product, permanent, occurredAt }`, de todas las instancias '
+        + '(change stream de MongoDB). Cada evento trae `id`; al reconectar con `Last-Event-ID` se reciben los '
+        + 'cambios perdidos. Si ya no están disponibles llega un evento `reset` y el feed sigue desde ese momento. '
+        + 'Con `category` no se incluyen las eliminaciones definitivas',
+      parameters: [
+        param('Category'),
+        query('productId', { type: 'string', pattern: '^[a-f0-9]{24}$' }, 'Solo los cambios de este producto'),
+        query('lastEventId', { type: 'string' }, 'Alternativa al header Last-Event-ID'),
+        { name: 'Last-Event-ID', in: 'header', schema: { type: 'string' }, description: 'id del último evento recibido' }
+      ],
+      responses: {
+        200: {
+          description: 'Stream de eventos; un comentario `: ping` mantiene viva la conexión',
+          content: { 'text/event-stream': { schema: { type: 'string' } } }
+        },
+        ...errors(400, 401, 403, 404),
+        503: { description: 'Se alcanzó FEED_MAX_CLIENTS', content: jsonContent(ref('ApiError')) }
+      }
+    }
+  },
+  '/api/products/low-stock': {
+    get: {
+      tags: ['Productos'],
+      summary: 'Productos activos con stock bajo',
+      parameters: [
+        query('threshold', { type: 'integer', minimum: 0, default: 10 }),
+        ...listParameters
+      ],
+      responses: { ...ok('Productos con stock bajo', ref('ProductList')), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/products/category/{category}': {
+    get: {
+      tags: ['Productos'],
+      summary: 'Productos de una categoría (incluye subcategorías)',
+      parameters: [
+        { name: 'category', in: 'path', required: true, schema: { type: 'string' } },
+        ...listParameters
+      ],
+      responses: { ...ok('Productos de la categoría', ref('ProductList')), ...errors(400, 401, 403, 404) }
+    }
+  },
+  '/api/products/trash': {
+    get: {
+      tags: ['Productos'],
+      summary: 'Listar la papelera',
+      description: 'Productos eliminados con DELETE /api/products/{id}; se purgan tras TRASH_RETENTION_DAYS',
+      parameters: [param('Page'), param('Limit')],
+      responses: { ...ok('Papelera', ref('TrashPage')), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/products/import': {
+    post: {
+      tags: ['Productos'],
+      summary: 'Importar productos desde CSV o JSON lines',
+      parameters: [
+        query('dryRun', { type: 'string', enum: ['true', 'false'], default: 'false' }, 'Validar sin guardar'),
+        query('upsertBy', { type: 'string', enum: ['name', 'sku'], default: 'name' }),
+        query('format', { type: 'string', enum: ['csv', 'jsonl'] }, 'Por defecto según la extensión')
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['file'],
+              properties: { file: { type: 'string', format: 'binary', description: '.csv, .jsonl o .ndjson (máx. 5 MB)' } }
+            }
+          }
+        }
+      },
+      responses: { ...ok('Reporte de importación', ref('ImportReport')), ...errors(400, 401, 403, 413) }
+    }
+  },
+  '/api/products/{id}': {
+    parameters: [param('ProductId')],
+    get: {
+      tags: ['Productos'],
+      summary: 'Obtener producto',
+      parameters: [param('IfNoneMatch')],
+      responses: {
+        ...okWithETag('Producto encontrado', ref('Product')),
+        304: { description: 'El producto no cambió desde el ETag enviado en If-None-Match' },
+        ...errors(400, 401, 403, 404)
+      }
+    },
+    put: {
+      tags: ['Productos'],
+      summary: 'Actualizar producto',
+      parameters: [param('IfMatch')],
+      requestBody: body(ref('ProductUpdate')),
+      responses: { ...okWithETag('Producto actualizado', ref('Product')), ...errors(400, 401, 403, 404, 409, 412) }
+    },
+    delete: {
+      tags: ['Productos'],
+      summary: 'Enviar producto a la papelera (soft delete)',
+      parameters: [param('IfMatch')],
+      responses: { ...okWithETag('Producto enviado a la papelera', ref('Product')), ...errors(400, 401, 403, 404, 412) }
+    }
+  },
+  '/api/products/{id}/restore': {
+    parameters: [param('ProductId')],
+    post: {
+      tags: ['Productos'],
+      summary: 'Restaurar producto de la papelera',
+      description: 'Vuelve activo o inactivo, como estaba al enviarlo a la papelera',
+      parameters: [param('IfMatch')],
+      responses: { ...okWithETag('Producto restaurado', ref('Product')), ...errors(400, 401, 403, 404, 412) }
+    }
+  },
+  '/api/products/{id}/permanent': {
+    parameters: [param('ProductId')],
+    delete: {
+      tags: ['Productos'],
+      summary: 'Eliminar producto permanentemente',
+      parameters: [param('IfMatch')],
+      responses: {
+        ...ok('Producto eliminado', { type: 'object', properties: { message: { type: 'string' } } }),
+        ...errors(400, 401, 403, 404, 412)
+      }
+    }
+  },
+  '/api/products/{id}/variants': {
+    parameters: [param('ProductId')],
+    post: {
+      tags: ['Variantes'],
+      summary: 'Agregar variante',
+      description: 'Para agregar la primera variante el producto debe tener stock 0',
+      parameters: [param('IfMatch')],
+      requestBody: body(ref('VariantInput')),
+      responses: {
+        201: {
+          description: 'Variante agregada',
+          headers: { ETag: { $ref: '#/components/headers/ETag' } },
+          content: jsonContent(envelope(ref('Product')))
+        },
+        ...errors(400, 401, 403, 404, 409, 412)
+      }
+    }
+  },
+  '/api/products/{id}/variants/{sku}': {
+    parameters: [param('ProductId'), param('VariantSku')],
+    put: {
+      tags: ['Variantes'],
+      summary: 'Modificar SKU, atributos o precio de una variante',
+      parameters: [param('IfMatch')],
+      requestBody: body(ref('VariantUpdate')),
+      responses: { ...okWithETag('Variante actualizada', ref('Product')), ...errors(400, 401, 403, 404, 409, 412) }
+    },
+    delete: {
+      tags: ['Variantes'],
+      summary: 'Eliminar variante',
+      description: 'Solo variantes sin stock',
+      parameters: [param('IfMatch')],
+      responses: { ...okWithETag('Variante eliminada', ref('Product')), ...errors(400, 401, 403, 404, 412) }
+    }
+  },
+  '/api/products/{id}/images': {
+    parameters: [param('ProductId')],
+    post: {
+      tags: ['Imágenes'],
+      summary: 'Subir imágenes',
+      description: 'Se agregan al final de la galería y se generan sus miniaturas',
+      parameters: [param('IfMatch')],
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['images'],
+              properties: {
+                images: {
+                  type: 'array',
+                  maxItems: imagesConfig.maxPerProduct,
+                  items: { type: 'string', format: 'binary' },
+                  description: `JPEG, PNG o WebP (máx. ${imagesConfig.maxFileSizeBytes / (1024 * 1024)} MB cada una, `
+                    + `${imagesConfig.maxPerProduct} por producto)`
+                },
+                alt: { type: 'string', maxLength: PRODUCT_RULES.imageAlt.max, description: 'Texto alternativo' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        201: {
+          description: 'Imágenes agregadas',
+          headers: { ETag: { $ref: '#/components/headers/ETag' } },
+          content: jsonContent(envelope(ref('Product')))
+        },
+        ...errors(400, 401, 403, 404, 409, 412, 413)
+      }
+    }
+  },
+  '/api/products/{id}/images/order': {
+    parameters: [param('ProductId')],
+    put: {
+      tags: ['Imágenes'],
+      summary: 'Ordenar imágenes',
+      parameters: [param('IfMatch')],
+      requestBody: body({
+        type: 'object',
+        required: ['imageIds'],
+        properties: {
+          imageIds: { type: 'array', items: { type: 'string' }, description: 'Todas las imágenes, en el nuevo orden' }
+        }
+      }),
+      responses: { ...okWithETag('Orden actualizado', ref('Product')), ...errors(400, 401, 403, 404, 409, 412) }
+    }
+  },
+  '/api/products/{id}/images/{imageId}': {
+    parameters: [
+      param('ProductId'),
+      { name: 'imageId', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-f0-9]{24}$' } }
+    ],
+    delete: {
+      tags: ['Imágenes'],
+      summary: 'Eliminar imagen y sus miniaturas',
+      parameters: [param('IfMatch')],
+      responses: { ...okWithETag('Imagen eliminada', ref('Product')), ...errors(400, 401, 403, 404, 409, 412) }
+    }
+  },
+  '/api/products/{id}/prices': {
+    parameters: [param('ProductId')],
+    get: {
+      tags: ['Precios'],
+      summary: 'Historial de precios y programaciones',
+      description: 'Con from/to solo los precios que rigieron en ese rango',
+      parameters: [param('From'), param('To')],
+      responses: { ...ok('Línea de tiempo de precios', ref('PriceTimeline')), ...errors(400, 401, 403, 404) }
+    }
+  },
+  '/api/products/{id}/prices/schedules': {
+    parameters: [param('ProductId')],
+    post: {
+      tags: ['Precios'],
+      summary: 'Programar un precio futuro o una oferta temporal',
+      requestBody: body(ref('PriceScheduleInput')),
+      responses: {
+        ...ok('Precio programado', ref('PriceSchedule'), 201),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+  '/api/products/{id}/prices/schedules/{scheduleId}': {
+    parameters: [
+      param('ProductId'),
+      { name: 'scheduleId', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-f0-9]{24}$' } }
+    ],
+    delete: {
+      tags: ['Precios'],
+      summary: 'Cancelar una programación de precio',
+      description: 'Una oferta en curso vuelve al precio anterior',
+      responses: { ...ok('Programación cancelada', ref('PriceSchedule')), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+  '/api/products/{id}/stock': {
+    parameters: [param('ProductId')],
+    patch: {
+      tags: ['Stock'],
+      summary: 'Sumar o restar stock',
+      description: 'El decremento es atómico: responde 400 si no hay stock suficiente (en la ubicación, si hay ubicaciones)',
+      parameters: [param('IfMatch'), param('IdempotencyKey')],
+      requestBody: body(ref('StockUpdate')),
+      responses: { ...okWithETag('Stock actualizado', ref('Product')), ...errors(400, 401, 403, 404, 409, 412, 422) }
+    }
+  },
+  '/api/products/{id}/stock/locations': {
+    parameters: [param('ProductId')],
+    get: {
+      tags: ['Stock'],
+      summary: 'Stock del producto por ubicación',
+      responses: { ...ok('Stock por ubicación', ref('ProductLocationStock')), ...errors(400, 401, 403, 404) }
+    }
+  },
+  '/api/products/{id}/stock/transfers': {
+    parameters: [param('ProductId')],
+    post: {
+      tags: ['Stock'],
+      summary: 'Transferir stock entre ubicaciones',
+      description: 'Resta en el origen y suma en el destino en una transacción; registra dos movimientos "transfer"',
+      requestBody: body(ref('StockTransferInput')),
+      responses: { ...ok('Stock transferido', ref('StockTransfer'), 201), ...errors(400, 401, 403, 404) }
+    }
+  },
+  '/api/products/{id}/stock/movements': {
+    parameters: [param('ProductId')],
+    get: {
+      tags: ['Stock'],
+      summary: 'Historial de movimientos de stock',
+      parameters: [
+        param('From'),
+        param('To'),
+        param('Page'),
+        query('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }),
+        query('variant', { type: 'string' }, 'SKU de una variante')
+      ],
+      responses: {
+        ...ok('Movimientos obtenidos', {
+          type: 'object',
+          properties: {
+            movements: { type: 'array', items: ref('StockMovement') },
+            pagination: ref('PagePagination')
+          }
+        }),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/api/products/{id}/stock/rebuild': {
+    parameters: [param('ProductId')],
+    post: {
+      tags: ['Stock'],
+      summary: 'Recalcular el stock a partir del historial de movimientos',
+      requestBody: body({
+        type: 'object',
+        properties: { apply: { type: 'boolean', default: false, description: 'Sin apply solo se informa la diferencia' } }
+      }, false),
+      responses: { ...ok('Resultado de la reconciliación', ref('StockRebuild')), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+
+  // ---------- Categorías ----------
+  '/api/categories': {
+    get: {
+      tags: ['Categorías'],
+      summary: 'Listar categorías',
+      parameters: [
+        query('tree', { type: 'string', enum: ['true', 'false'] }, 'Devolver como árbol'),
+        query('includeInactive', { type: 'string', enum: ['true', 'false'] }),
+        param('Lang')
+      ],
+      responses: {
+        ...ok('Categorías obtenidas', { type: 'array', items: ref('Category') }),
+        ...errors(401, 403)
+      }
+    },
+    post: {
+      tags: ['Categorías'],
+      summary: 'Crear categoría',
+      requestBody: body(ref('CategoryInput')),
+      responses: { ...ok('Categoría creada', ref('Category'), 201), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+  '/api/categories/{slug}': {
+    parameters: [param('CategorySlug')],
+    get: {
+      tags: ['Categorías'],
+      summary: 'Obtener categoría',
+      parameters: [param('Lang')],
+      responses: { ...ok('Categoría encontrada', ref('Category')), ...errors(400, 401, 403, 404) }
+    },
+    put: {
+      tags: ['Categorías'],
+      summary: 'Actualizar categoría',
+      requestBody: body(ref('CategoryInput')),
+      responses: { ...ok('Categoría actualizada', ref('Category')), ...errors(400, 401, 403, 404) }
+    },
+    delete: {
+      tags: ['Categorías'],
+      summary: 'Eliminar categoría sin hijas ni productos',
+      responses: {
+        ...ok('Categoría eliminada', { type: 'object', properties: { slug: { type: 'string' } } }),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+  '/api/categories/{slug}/move-products': {
+    parameters: [param('CategorySlug')],
+    post: {
+      tags: ['Categorías'],
+      summary: 'Trasladar los productos a otra categoría',
+      requestBody: body({
+        type: 'object',
+        required: ['target'],
+        properties: { target: { type: 'string', description: 'Slug de la categoría de destino' } }
+      }),
+      responses: {
+        ...ok('Productos trasladados', {
+          type: 'object',
+          properties: {
+            from: { type: 'string' },
+            to: { type: 'string' },
+            moved: { type: 'integer' }
+          }
+        }),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  // ---------- Ubicaciones ----------
+  '/api/locations': {
+    get: {
+      tags: ['Ubicaciones'],
+      summary: 'Listar ubicaciones con sus totales de stock',
+      parameters: [query('includeInactive', { type: 'string', enum: ['true', 'false'] })],
+      responses: {
+        ...ok('Ubicaciones obtenidas', { type: 'array', items: ref('Location') }),
+        ...errors(401, 403)
+      }
+    },
+    post: {
+      tags: ['Ubicaciones'],
+      summary: 'Crear ubicación',
+      description: 'La primera ubicación pasa a ser la predeterminada',
+      requestBody: body(ref('LocationInput')),
+      responses: { ...ok('Ubicación creada', ref('Location'), 201), ...errors(400, 401, 403, 409) }
+    }
+  },
+  '/api/locations/{code}': {
+    parameters: [param('LocationCode')],
+    get: {
+      tags: ['Ubicaciones'],
+      summary: 'Obtener ubicación',
+      responses: { ...ok('Ubicación encontrada', ref('Location')), ...errors(400, 401, 403, 404) }
+    },
+    put: {
+      tags: ['Ubicaciones'],
+      summary: 'Actualizar ubicación',
+      requestBody: body(ref('LocationUpdate')),
+      responses: { ...ok('Ubicación actualizada', ref('Location')), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+  '/api/locations/{code}/stock': {
+    parameters: [param('LocationCode')],
+    get: {
+      tags: ['Ubicaciones'],
+      summary: 'Stock de la ubicación',
+      parameters: [param('Page'), query('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 })],
+      responses: { ...ok('Stock de la ubicación', ref('LocationStockPage')), ...errors(400, 401, 403, 404) }
+    }
+  },
+  '/api/locations/{code}/low-stock': {
+    parameters: [param('LocationCode')],
+    get: {
+      tags: ['Ubicaciones'],
+      summary: 'Productos activos con stock bajo en la ubicación',
+      parameters: [
+        query('threshold', { type: 'integer', minimum: 0, default: 10 }),
+        param('Page'),
+        query('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 })
+      ],
+      responses: { ...ok('Productos con stock bajo', ref('LocationStockPage')), ...errors(400, 401, 403, 404) }
+    }
+  },
+
+  // ---------- Proveedores ----------
+  '/api/suppliers': {
+    get: {
+      tags: ['Proveedores'],
+      summary: 'Listar proveedores',
+      parameters: [query('includeInactive', { type: 'string', enum: ['true', 'false'] })],
+      responses: {
+        ...ok('Proveedores obtenidos', { type: 'array', items: ref('Supplier') }),
+        ...errors(401, 403)
+      }
+    },
+    post: {
+      tags: ['Proveedores'],
+      summary: 'Crear proveedor',
+      requestBody: body(ref('SupplierInput')),
+      responses: { ...ok('Proveedor creado', ref('Supplier'), 201), ...errors(400, 401, 403, 409) }
+    }
+  },
+  '/api/suppliers/{id}': {
+    parameters: [param('SupplierId')],
+    get: {
+      tags: ['Proveedores'],
+      summary: 'Obtener proveedor',
+      responses: { ...ok('Proveedor encontrado', ref('Supplier')), ...errors(400, 401, 403, 404) }
+    },
+    put: {
+      tags: ['Proveedores'],
+      summary: 'Actualizar proveedor',
+      requestBody: body(ref('SupplierInput')),
+      responses: { ...ok('Proveedor actualizado', ref('Supplier')), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+
+  // ---------- Compras ----------
+  '/api/purchase-orders': {
+    get: {
+      tags: ['Compras'],
+      summary: 'Listar órdenes de compra',
+      parameters: [
+        query('status', { type: 'string', enum: PURCHASE_ORDER_STATUSES }),
+        query('supplier', { type: 'string' }, 'ID del proveedor'),
+        param('Page'),
+        param('Limit')
+      ],
+      responses: {
+        ...ok('Órdenes de compra obtenidas', {
+          type: 'object',
+          properties: {
+            purchaseOrders: { type: 'array', items: ref('PurchaseOrder') },
+            pagination: ref('PagePagination')
+          }
+        }),
+        ...errors(401, 403)
+      }
+    },
+    post: {
+      tags: ['Compras'],
+      summary: 'Crear orden de compra (en borrador)',
+      requestBody: body(ref('PurchaseOrderInput')),
+      responses: { ...ok('Orden de compra creada', ref('PurchaseOrder'), 201), ...errors(400, 401, 403, 404) }
+    }
+  },
+  '/api/purchase-orders/reorder-suggestions': {
+    get: {
+      tags: ['Compras'],
+      summary: 'Sugerencias de reposición por proveedor',
+      description: 'Productos cuyo stock más lo pedido no supera su punto de pedido (`reorderPoint`)',
+      parameters: [query('supplier', { type: 'string' }, 'ID del proveedor')],
+      responses: {
+        ...ok('Sugerencias de reposición', { type: 'array', items: ref('ReorderSuggestion') }),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+  '/api/purchase-orders/{id}': {
+    parameters: [param('PurchaseOrderId')],
+    get: {
+      tags: ['Compras'],
+      summary: 'Obtener orden de compra',
+      responses: { ...ok('Orden de compra encontrada', ref('PurchaseOrder')), ...errors(400, 401, 403, 404) }
+    },
+    put: {
+      tags: ['Compras'],
+      summary: 'Modificar orden de compra en borrador',
+      requestBody: body(ref('PurchaseOrderUpdate')),
+      responses: { ...ok('Orden de compra actualizada', ref('PurchaseOrder')), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+  '/api/purchase-orders/{id}/status': {
+    parameters: [param('PurchaseOrderId')],
+    patch: {
+      tags: ['Compras'],
+      summary: 'Enviar o cancelar orden de compra',
+      description: 'Al enviarla se fija `expectedAt` según el plazo de entrega',
+      requestBody: body({
+        type: 'object',
+        required: ['status'],
+        properties: { status: { type: 'string', enum: ['sent', 'cancelled'] } }
+      }),
+      responses: { ...ok('Estado actualizado', ref('PurchaseOrder')), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+  '/api/purchase-orders/{id}/receipts': {
+    parameters: [param('PurchaseOrderId')],
+    post: {
+      tags: ['Compras'],
+      summary: 'Registrar recepción de mercadería (suma stock)',
+      description: 'Pasa la orden a recibida en parte o completa',
+      requestBody: body(ref('PurchaseOrderReceipt')),
+      responses: { ...ok('Recepción registrada', ref('PurchaseOrder')), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+
+  // ---------- Pedidos ----------
+  '/api/orders': {
+    get: {
+      tags: ['Pedidos'],
+      summary: 'Listar pedidos',
+      parameters: [
+        query('status', { type: 'string', enum: ORDER_STATUSES }),
+        param('Page'),
+        param('Limit')
+      ],
+      responses: {
+        ...ok('Pedidos obtenidos', {
+          type: 'object',
+          properties: {
+            orders: { type: 'array', items: ref('Order') },
+            pagination: ref('PagePagination')
+          }
+        }),
+        ...errors(401, 403)
+      }
+    },
+    post: {
+      tags: ['Pedidos'],
+      summary: 'Crear pedido (descuenta stock en una transacción)',
+      requestBody: body(ref('OrderInput')),
+      responses: { ...ok('Pedido creado', ref('Order'), 201), ...errors(400, 401, 403, 404) }
+    }
+  },
+  '/api/orders/{id}': {
+    parameters: [param('OrderId')],
+    get: {
+      tags: ['Pedidos'],
+      summary: 'Obtener pedido',
+      responses: { ...ok('Pedido encontrado', ref('Order')), ...errors(400, 401, 403, 404) }
+    }
+  },
+  '/api/orders/{id}/status': {
+    parameters: [param('OrderId')],
+    patch: {
+      tags: ['Pedidos'],
+      summary: 'Cambiar estado del pedido',
+      description: 'Cancelar un pedido devuelve su stock a la ubicación de la que salió',
+      requestBody: body({
+        type: 'object',
+        required: ['status'],
+        properties: { status: { type: 'string', enum: ORDER_STATUSES } }
+      }),
+      responses: { ...ok('Estado actualizado', ref('Order')), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+
+  // ---------- Webhooks ----------
+  '/api/webhooks': {
+    get: {
+      tags: ['Webhooks'],
+      summary: 'Listar suscripciones',
+      responses: {
+        ...ok('Webhooks obtenidos', { type: 'array', items: ref('Webhook') }),
+        ...errors(401, 403)
+      }
+    },
+    post: {
+      tags: ['Webhooks'],
+      summary: 'Crear suscripción',
+      description: 'La respuesta incluye el secreto de la firma; no se vuelve a mostrar',
+      requestBody: body(ref('WebhookInput')),
+      responses: { ...ok('Webhook creado', ref('Webhook'), 201), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/webhooks/{id}': {
+    parameters: [param('WebhookId')],
+    get: {
+      tags: ['Webhooks'],
+      summary: 'Obtener suscripción',
+      responses: { ...ok('Webhook encontrado', ref('Webhook')), ...errors(400, 401, 403, 404) }
+    },
+    put: {
+      tags: ['Webhooks'],
+      summary: 'Actualizar suscripción',
+      requestBody: body(ref('WebhookInput')),
+      responses: { ...ok('Webhook actualizado', ref('Webhook')), ...errors(400, 401, 403, 404) }
+    },
+    delete: {
+      tags: ['Webhooks'],
+      summary: 'Eliminar suscripción',
+      description: 'Sus entregas pendientes pasan a fallidas',
+      responses: {
+        ...ok('Webhook eliminado', { type: 'object', properties: { message: { type: 'string' } } }),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/api/webhooks/{id}/deliveries': {
+    parameters: [param('WebhookId')],
+    get: {
+      tags: ['Webhooks'],
+      summary: 'Registro de entregas de la suscripción',
+      parameters: [
+        query('status', { type: 'string', enum: WEBHOOK_DELIVERY_STATUSES }),
+        query('eventType', { type: 'string', enum: WEBHOOK_EVENTS }),
+        param('Page'),
+        param('Limit')
+      ],
+      responses: {
+        ...ok('Entregas obtenidas', {
+          type: 'object',
+          properties: {
+            deliveries: { type: 'array', items: ref('WebhookDelivery') },
+            pagination: ref('PagePagination')
+          }
+        }),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+  '/api/webhooks/{id}/deliveries/{deliveryId}/redeliver': {
+    parameters: [
+      param('WebhookId'),
+      { name: 'deliveryId', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-f0-9]{24}$' } }
+    ],
+    post: {
+      tags: ['Webhooks'],
+      summary: 'Reenviar una entrega',
+      description: 'Crea una entrega nueva con el mismo evento y la envía en el momento',
+      responses: { ...ok('Entrega reenviada', ref('WebhookDelivery'), 201), ...errors(400, 401, 403, 404) }
+    }
+  }
+};
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'API de Gestión de Productos',
+    version,
+    description: 'Todas las respuestas usan el envoltorio `{ success, message, data }`; los errores, `{ success: false, message }`. '
+      + 'Cada respuesta lleva el header `X-Request-Id` (el enviado por el cliente o uno generado), que también aparece '
+      + 'en los logs y en el `requestId` de los errores.'
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'Autenticación' },
+    { name: 'Productos' },
+    { name: 'Variantes' },
+    { name: 'Imágenes' },
+    { name: 'Precios' },
+    { name: 'Stock' },
+    { name: 'Categorías' },
+    { name: 'Ubicaciones' },
+    { name: 'Proveedores' },
+    { name: 'Compras' },
+    { name: 'Pedidos' },
+    { name: 'Webhooks' }
+  ],
+  security: [{ bearerAuth: [] }],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },
+    schemas,
+    responses,
+    parameters,
+    headers: {
+      ETag: {
+        description: 'Versión del producto, para usar en If-Match / If-None-Match',
+        schema: { type: 'string', example: '"3"' }
+      }
+    }
+  }
+};
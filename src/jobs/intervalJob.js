@@ -0,0 +1,58 @@
+const logger = require('../utils/logger');
+
+/**
+ * Base de los jobs periódicos
+ * Ejecuta `execute()` al iniciar y luego cada `intervalMs`, sin superponer ejecuciones.
+ * Aplica: Template Method - cada job solo implementa `execute()`
+ */
+class IntervalJob {
+  constructor(name, intervalMs) {
+    this.name = name;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = false;
+    this.logger = logger.child({ job: name });
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.run(), this.intervalMs);
+    // El temporizador no impide que el proceso termine
+    this.timer.unref();
+    this.run();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Una ejecución del job; si la anterior sigue en curso se omite
+   * @returns {Promise<*>} - Resultado de `execute()`, o null si se omitió o falló
+   */
+  async run() {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      return await this.execute();
+    } catch (error) {
+      this.logger.error('Error en el job', { err: error });
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async execute() {
+    throw new Error(`El job ${this.name} debe implementar execute()`);
+  }
+}
+
+module.exports = IntervalJob;
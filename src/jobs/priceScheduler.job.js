@@ -0,0 +1,45 @@
+const IntervalJob = require('./intervalJob');
+const priceService = require('../services/price.service');
+const pricesConfig = require('../config/prices');
+
+/**
+ * Job de precios programados
+ * Aplica los precios cuyo inicio llegó y revierte las ofertas que terminaron.
+ * Aplica:
+ * - Single Responsibility: Solo programa y reporta la ejecución
+ * - Dependency Inversion: La regla de negocio vive en el servicio de precios
+ */
+class PriceSchedulerJob extends IntervalJob {
+  constructor(priceService, config) {
+    super('precios programados', config.schedulerIntervalSeconds * 1000);
+    this.priceService = priceService;
+  }
+
+  /**
+   * @returns {Promise<Object>} - { applied, ended }
+   */
+  async execute() {
+    const result = await this.priceService.processDueSchedules();
+
+    result.ended.forEach(schedule => {
+      this.logger.info(schedule.reverted ? 'Oferta terminada, precio revertido' : 'Oferta terminada; el precio ya se había cambiado, no se revierte', {
+        scheduleId: String(schedule._id),
+        productId: String(schedule.product),
+        previousPrice: schedule.previousPrice
+      });
+    });
+    result.applied.forEach(schedule => {
+      this.logger.info('Precio programado aplicado', {
+        scheduleId: String(schedule._id),
+        productId: String(schedule.product),
+        previousPrice: schedule.previousPrice,
+        price: schedule.price
+      });
+    });
+
+    return result;
+  }
+}
+
+// Inyección de dependencias: Se pasan el servicio y la configuración de precios
+module.exports = new PriceSchedulerJob(priceService, pricesConfig);
@@ -0,0 +1,44 @@
+const IntervalJob = require('./intervalJob');
+const productService = require('../services/product.service');
+const trashConfig = require('../config/trash');
+
+/**
+ * Job de purga de la papelera
+ * Elimina permanentemente los productos que superaron TRASH_RETENTION_DAYS
+ * y registra cuáles se borraron.
+ * Aplica:
+ * - Single Responsibility: Solo programa y reporta la purga
+ * - Dependency Inversion: La regla de negocio vive en el servicio de productos
+ */
+class TrashPurgeJob extends IntervalJob {
+  constructor(productService, config) {
+    super('purga de papelera', config.purgeIntervalMinutes * 60 * 1000);
+    this.productService = productService;
+    this.config = config;
+  }
+
+  /**
+   * @returns {Promise<Array>} - Productos eliminados
+   */
+  async execute() {
+    const purged = await this.productService.purgeExpiredTrash();
+
+    if (purged.length > 0) {
+      this.logger.info('Papelera purgada', {
+        count: purged.length,
+        retentionDays: this.config.retentionDays,
+        products: purged.map(product => ({
+          id: product.id,
+          name: product.name,
+          ...(product.sku && { sku: product.sku }),
+          deletedAt: product.deletedAt
+        }))
+      });
+    }
+
+    return purged;
+  }
+}
+
+// Inyección de dependencias: Se pasan el servicio y la configuración de la papelera
+module.exports = new TrashPurgeJob(productService, trashConfig);
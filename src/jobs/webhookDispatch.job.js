@@ -0,0 +1,44 @@
+const IntervalJob = require('./intervalJob');
+const webhookService = require('../services/webhook.service');
+const webhooksConfig = require('../config/webhooks');
+
+/**
+ * Job de webhooks
+ * Reintenta las entregas pendientes cuyo plazo venció y limpia el registro de entregas antiguas.
+ * Aplica:
+ * - Single Responsibility: Solo programa y reporta los envíos
+ * - Dependency Inversion: La regla de negocio vive en el servicio de webhooks
+ */
+class WebhookDispatchJob extends IntervalJob {
+  constructor(webhookService, config) {
+    super('webhooks', config.dispatchIntervalSeconds * 1000);
+    this.webhookService = webhookService;
+  }
+
+  /**
+   * @returns {Promise<Object>} - { attempted, purged }
+   */
+  async execute() {
+    const attempted = await this.webhookService.dispatchDue();
+    const purged = await this.webhookService.purgeDeliveries();
+
+    attempted.forEach(delivery => {
+      this.logger[delivery.status === 'failed' ? 'warn' : 'info']('Entrega de webhook intentada', {
+        deliveryId: String(delivery._id),
+        webhookId: String(delivery.webhook),
+        eventType: delivery.event.type,
+        attempt: delivery.attemptCount,
+        status: delivery.status,
+        ...(delivery.nextAttemptAt && { nextAttemptAt: delivery.nextAttemptAt })
+      });
+    });
+    if (purged > 0) {
+      this.logger.info('Entregas antiguas eliminadas del registro', { count: purged });
+    }
+
+    return { attempted, purged };
+  }
+}
+
+// Inyección de dependencias: Se pasan el servicio y la configuración de webhooks
+module.exports = new WebhookDispatchJob(webhookService, webhooksConfig);
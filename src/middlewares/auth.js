@@ -0,0 +1,72 @@
+const ApiError = require('../utils/ApiError');
+const authService = require('../services/auth.service');
+
+/**
+ * Middleware de autenticación y autorización
+ * Aplica: Single Responsibility - Solo controla el acceso
+ */
+class Auth {
+  /**
+   * Extraer el token Bearer del header Authorization
+   * Si no hay header se usa la cookie de sesión del panel de administración
+   */
+  static extractToken(req) {
+    const header = req.get('Authorization');
+    if (!header) {
+      return (req.cookies && req.cookies[Auth.COOKIE_NAME]) || null;
+    }
+
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      throw ApiError.unauthorized('Formato de Authorization inválido. Use: Bearer <token>');
+    }
+    return token;
+  }
+
+  /**
+   * Exigir un token válido y adjuntar el usuario a req.user
+   */
+  static async authenticate(req, res, next) {
+    const token = Auth.extractToken(req);
+    if (!token) {
+      throw ApiError.unauthorized('Se requiere un token de acceso');
+    }
+
+    req.user = await authService.verifyToken(token);
+    next();
+  }
+
+  /**
+   * Adjuntar el usuario si se envía un token, sin exigirlo
+   */
+  static async optionalAuthenticate(req, res, next) {
+    const token = Auth.extractToken(req);
+    if (token) {
+      req.user = await authService.verifyToken(token);
+    }
+    next();
+  }
+
+  /**
+   * Permitir el acceso solo a los roles indicados
+   * @param {Array<String>} allowedRoles - Roles autorizados (ver config/roles)
+   */
+  static authorize(allowedRoles) {
+    return (req, res, next) => {
+      if (!req.user) {
+        throw ApiError.unauthorized('Se requiere un token de acceso');
+      }
+
+      if (!allowedRoles.includes(req.user.role)) {
+        throw ApiError.forbidden('No tienes permisos para realizar esta acción');
+      }
+
+      next();
+    };
+  }
+}
+
+/** Cookie httpOnly donde el panel guarda el token */
+Auth.COOKIE_NAME = 'access_token';
+
+module.exports = Auth;
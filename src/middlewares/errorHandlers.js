@@ -1,4 +1,5 @@
 const ApiError = require('../utils/ApiError');
+const logger = require('../utils/logger');
 
 /**
  * Middleware de manejo centralizado de errores
@@ -8,8 +9,11 @@ const ApiError = require('../utils/ApiError');
 // Convertir errores de Mongoose a ApiError
 const handleMongooseError = (err) => {
   if (err.name === 'ValidationError') {
-    const messages = Object.values(err.errors).map(e => e.message);
-    return new ApiError(400, messages.join('; '));
+    return ApiError.validation(Object.values(err.errors).map(e => ({
+      field: e.path,
+      location: 'body',
+      message: e.message
+    })));
   }
 
   if (err.name === 'CastError') {
@@ -24,6 +28,15 @@ const handleMongooseError = (err) => {
   return err;
 };
 
+// Convertir errores de carga de archivos (multer) a ApiError
+const handleUploadError = (err) => {
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return new ApiError(413, 'El archivo supera el tamaño máximo permitido');
+  }
+
+  return new ApiError(400, `Error al cargar el archivo: ${err.message}`);
+};
+
 // Middleware principal de manejo de errores
 const errorHandler = (err, req, res, next) => {
   let error = err;
@@ -33,6 +46,11 @@ const errorHandler = (err, req, res, next) => {
     error = handleMongooseError(err);
   }
 
+  // Convertir errores de multer
+  if (err.name === 'MulterError') {
+    error = handleUploadError(err);
+  }
+
   // Si no es ApiError, convertir a error genérico
   if (!(error instanceof ApiError)) {
     const statusCode = error.statusCode || 500;
@@ -40,18 +58,28 @@ const errorHandler = (err, req, res, next) => {
     error = new ApiError(statusCode, message, false);
   }
 
+  // Los errores inesperados se registran siempre, con el stack original y sin datos sensibles
+  if (error.statusCode >= 500) {
+    logger.error('Error no controlado', {
+      err,
+      method: req.method,
+      url: req.originalUrl,
+      ...(req.user && { userId: req.user.id }),
+      params: req.params,
+      query: req.query,
+      body: req.body
+    });
+  }
+
   // Respuesta de error
   const response = {
     success: false,
     message: error.message,
+    ...(error.errors && { errors: error.errors }),
+    ...(req.id && { requestId: req.id }),
     ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
   };
 
-  // Log de errores (en producción usar un logger como Winston)
-  if (process.env.NODE_ENV === 'development') {
-    console.error('❌ Error:', error);
-  }
-
   res.status(error.statusCode).json(response);
 };
 
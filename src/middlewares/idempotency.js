@@ -0,0 +1,93 @@
+const ApiError = require('../utils/ApiError');
+const idempotencyService = require('../services/idempotency.service');
+const logger = require('../utils/logger');
+
+// Caracteres ASCII visibles, sin espacios (ej: un UUID)
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// Headers de la respuesta que se guardan para repetirlos
+const STORED_HEADERS = ['ETag', 'Location'];
+
+/**
+ * Middleware de idempotencia (header Idempotency-Key)
+ * Sin el header el request sigue normalmente. Con él, un reintento recibe la respuesta
+ * guardada con el header Idempotent-Replayed: true. Se guardan las respuestas JSON 2xx y 4xx;
+ * tras un 5xx, o si la respuesta no es JSON, la clave se libera para que el reintento se ejecute.
+ * Debe ir después de Auth.authenticate (la clave es por usuario) y de la validación.
+ * Aplica: Single Responsibility - Solo registra y repite respuestas
+ */
+class Idempotency {
+  static async handle(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+    if (!KEY_PATTERN.test(key)) {
+      throw new ApiError(400, 'Idempotency-Key inválido: use hasta 255 caracteres visibles, sin espacios (ej: un UUID)');
+    }
+
+    const { replay, record } = await idempotencyService.begin({
+      key,
+      userId: req.user.id,
+      method: req.method,
+      path: req.baseUrl + req.path,
+      body: req.body
+    });
+
+    if (replay) {
+      res.set({ ...replay.headers, 'Idempotent-Replayed': 'true' });
+      return res.status(replay.statusCode).json(replay.body);
+    }
+
+    const stopHolding = idempotencyService.hold(record);
+    let stored = false;
+
+    // La respuesta se guarda antes de enviarla: un reintento inmediato ya la encuentra
+    const json = res.json;
+    res.json = function (body) {
+      stored = true;
+      stopHolding();
+      const saving = res.statusCode >= 500
+        ? idempotencyService.release(record)
+        : idempotencyService.complete(record, {
+          statusCode: res.statusCode,
+          headers: Idempotency._storedHeaders(res),
+          // Copia ya serializada: el body puede traer documentos de Mongoose
+          body: JSON.parse(JSON.stringify(body))
+        });
+
+      saving
+        .catch(error => logger.error('No se pudo guardar la respuesta idempotente', { key, err: error }))
+        .finally(() => json.call(res, body));
+      return res;
+    };
+
+    // Respuesta sin JSON (ej: un error enviado con res.end): no hay nada que repetir, se libera la clave
+    const end = res.end;
+    res.end = function (...args) {
+      if (stored) {
+        return end.apply(res, args);
+      }
+      stored = true;
+      stopHolding();
+      idempotencyService.release(record)
+        .catch(error => logger.error('No se pudo liberar la clave de idempotencia', { key, err: error }))
+        .finally(() => end.apply(res, args));
+      return res;
+    };
+
+    next();
+  }
+
+  static _storedHeaders(res) {
+    return STORED_HEADERS.reduce((headers, name) => {
+      const value = res.get(name);
+      if (value !== undefined) {
+        headers[name] = value;
+      }
+      return headers;
+    }, {});
+  }
+}
+
+module.exports = Idempotency;
@@ -0,0 +1,41 @@
+const { httpRequestsTotal, httpRequestDuration } = require('../utils/metrics');
+
+/**
+ * Etiqueta de los requests que no llegaron a ninguna ruta (404, archivos estáticos, /docs)
+ */
+const UNMATCHED_ROUTE = 'unmatched';
+
+/**
+ * Middleware de métricas HTTP
+ * Cuenta cada request y mide su duración por método, ruta y status.
+ * Aplica: Single Responsibility - Solo mide los requests
+ */
+const httpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+  let route = null;
+
+  // Express deja en req.route la ruta que atendió el request, pero al propagar un error
+  // restaura req.baseUrl; se guarda la ruta completa en el momento en que se asigna
+  let matched;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => matched,
+    set: (value) => {
+      matched = value;
+      if (value) {
+        route = `${req.baseUrl}${value.path === '/' && req.baseUrl ? '' : value.path}`;
+      }
+    }
+  });
+
+  res.on('close', () => {
+    const labels = { method: req.method, route: route || UNMATCHED_ROUTE, status: res.statusCode };
+    httpRequestsTotal.inc(labels);
+    endTimer(labels);
+  });
+
+  next();
+};
+
+module.exports = httpMetrics;
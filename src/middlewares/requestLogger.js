@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { runWithContext } = require('../utils/requestContext');
+
+/**
+ * X-Request-Id aceptado del cliente (o de un proxy); si no cumple se genera uno nuevo
+ */
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware de identificación y registro de requests
+ * - Usa el X-Request-Id recibido o genera uno, lo devuelve en la respuesta y lo deja en req.id
+ * - El resto del request corre dentro de su contexto: cada log lleva el requestId
+ * - Al terminar registra método, URL, status, latencia y tamaño de la respuesta
+ * Aplica: Single Responsibility - Solo identifica y registra el request
+ */
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  let bytes = 0;
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  // Bytes del body enviados (incluye respuestas por streaming, como el feed de eventos)
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    }
+  };
+  const write = res.write;
+  const end = res.end;
+  res.write = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  runWithContext({ requestId }, () => {
+    res.on('close', () => {
+      const status = res.statusCode;
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+
+      logger[level]('request', {
+        method: req.method,
+        url: req.originalUrl,
+        status,
+        durationMs: Number((process.hrtime.bigint() - startedAt) / 1000n) / 1000,
+        bytes,
+        ...(!res.writableFinished && { aborted: true }),
+        ...(req.user && { userId: req.user.id }),
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    });
+
+    next();
+  });
+};
+
+module.exports = requestLogger;
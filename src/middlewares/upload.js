@@ -0,0 +1,85 @@
+const path = require('path');
+const multer = require('multer');
+const ApiError = require('../utils/ApiError');
+const imagesConfig = require('../config/images');
+
+/**
+ * Middleware de carga de archivos (multipart/form-data)
+ * Aplica: Single Responsibility - Solo recibe y filtra archivos
+ */
+
+const IMPORT_MAX_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+const IMPORT_EXTENSIONS = ['.csv', '.jsonl', '.ndjson'];
+
+// Los archivos de importación se procesan en memoria y no se guardan en disco
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!IMPORT_EXTENSIONS.includes(extension)) {
+      return cb(new ApiError(400, `Tipo de archivo no soportado. Use: ${IMPORT_EXTENSIONS.join(', ')}`));
+    }
+    cb(null, true);
+  }
+});
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Las imágenes se procesan en memoria; el servicio las guarda con el adaptador de almacenamiento
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: imagesConfig.maxFileSizeBytes, files: imagesConfig.maxPerProduct },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new ApiError(400, `Tipo de imagen no soportado. Use: ${IMAGE_MIME_TYPES.join(', ')}`));
+    }
+    cb(null, true);
+  }
+});
+
+class Upload {
+  /**
+   * Recibir un archivo de importación en el campo "file"
+   */
+  static importFile(req, res, next) {
+    importUpload.single('file')(req, res, next);
+  }
+
+  /**
+   * Recibir imágenes de producto en el campo "images" (uno o varios archivos)
+   */
+  static productImages(req, res, next) {
+    imageUpload.array('images', imagesConfig.maxPerProduct)(req, res, next);
+  }
+
+  /**
+   * Exigir al menos una imagen en el campo "images"
+   */
+  static requireImages(req, res, next) {
+    if (!req.files || req.files.length === 0) {
+      throw ApiError.validation([{
+        field: 'images',
+        location: 'body',
+        message: 'Se requiere al menos una imagen en el campo "images"'
+      }]);
+    }
+    next();
+  }
+
+  /**
+   * Exigir que el request traiga el archivo en el campo "file"
+   */
+  static requireFile(req, res, next) {
+    if (!req.file) {
+      throw ApiError.validation([{
+        field: 'file',
+        location: 'body',
+        message: 'Se requiere un archivo en el campo "file"'
+      }]);
+    }
+    next();
+  }
+}
+
+module.exports = Upload;
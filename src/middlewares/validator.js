@@ -1,129 +1,108 @@
 const ApiError = require('../utils/ApiError');
-const mongoose = require('mongoose');
 
 /**
- * Middleware de validación
+ * Middleware de validación basado en esquemas (Joi)
+ * Los esquemas viven en src/validations y toman sus restricciones de los modelos.
  * Aplica: Single Responsibility - Solo valida datos
  */
-class Validator {
-  /**
-   * Validar que el ID de MongoDB sea válido
-   */
-  static validateMongoId(req, res, next) {
-    const { id } = req.params;
-    
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      throw new ApiError(400, 'ID de producto inválido');
-    }
-    
-    next();
-  }
-
-  /**
-   * Validar datos de creación de producto
-   */
-  static validateProductCreate(req, res, next) {
-    const { name, description, price, stock, category } = req.body;
-    const errors = [];
 
-    // Validaciones requeridas
-    if (!name || name.trim() === '') {
-      errors.push('El nombre es obligatorio');
-    } else if (name.length < 3 || name.length > 100) {
-      errors.push('El nombre debe tener entre 3 y 100 caracteres');
-    }
-
-    if (!description || description.trim() === '') {
-      errors.push('La descripción es obligatoria');
-    } else if (description.length < 10 || description.length > 500) {
-      errors.push('La descripción debe tener entre 10 y 500 caracteres');
-    }
-
-    if (price === undefined || price === null) {
-      errors.push('El precio es obligatorio');
-    } else if (isNaN(price) || price < 0) {
-      errors.push('El precio debe ser un número positivo');
-    }
-
-    if (stock !== undefined && (isNaN(stock) || stock < 0)) {
-      errors.push('El stock debe ser un número positivo');
-    }
-
-    const validCategories = ['electronics', 'clothing', 'food', 'books', 'other'];
-    if (!category) {
-      errors.push('La categoría es obligatoria');
-    } else if (!validCategories.includes(category)) {
-      errors.push(`Categoría inválida. Opciones: ${validCategories.join(', ')}`);
-    }
-
-    if (errors.length > 0) {
-      throw new ApiError(400, errors.join('; '));
-    }
-
-    next();
-  }
+// Mensajes en español para los errores de Joi
+const MESSAGES = {
+  'any.required': 'El campo {#label} es obligatorio',
+  'any.only': 'El campo {#label} debe ser uno de: {#valids}',
+  'any.invalid': 'El campo {#label} tiene un valor no permitido',
+  'string.base': 'El campo {#label} debe ser un texto',
+  'string.empty': 'El campo {#label} no puede estar vacío',
+  'string.min': 'El campo {#label} debe tener al menos {#limit} caracteres',
+  'string.max': 'El campo {#label} no debe exceder los {#limit} caracteres',
+  'string.pattern.base': 'El campo {#label} tiene un formato inválido',
+  'string.email': 'El campo {#label} debe ser un email válido',
+  'number.base': 'El campo {#label} debe ser un número',
+  'number.integer': 'El campo {#label} debe ser un número entero',
+  'number.min': 'El campo {#label} debe ser mayor o igual a {#limit}',
+  'number.max': 'El campo {#label} debe ser menor o igual a {#limit}',
+  'number.unsafe': 'El campo {#label} está fuera del rango permitido',
+  'boolean.base': 'El campo {#label} debe ser true o false',
+  'date.base': 'El campo {#label} debe ser una fecha válida',
+  'array.base': 'El campo {#label} debe ser una lista',
+  'array.min': 'El campo {#label} debe tener al menos {#limit} elementos',
+  'array.max': 'El campo {#label} no debe tener más de {#limit} elementos',
+  'array.unique': 'El campo {#label} tiene elementos repetidos',
+  'object.base': 'El campo {#label} debe ser un objeto',
+  'object.min': 'El campo {#label} debe tener al menos {#limit} propiedad(es)',
+  'object.max': 'El campo {#label} no debe tener más de {#limit} propiedad(es)',
+  'object.missing': 'Debe enviar al menos uno de: {#peers}'
+};
+
+const JOI_OPTIONS = {
+  abortEarly: false, // Reportar todos los errores, no solo el primero
+  convert: true, // "10" → 10, "true" → true, fechas ISO → Date
+  stripUnknown: true, // Descartar campos que el esquema no declara
+  errors: { wrap: { label: false, array: false } },
+  messages: MESSAGES
+};
+
+// Orden en que se validan las partes del request
+const LOCATIONS = ['params', 'query', 'body'];
 
+class Validator {
   /**
-   * Validar datos de actualización de producto
+   * Validar partes del request contra sus esquemas
+   * Los valores convertidos y limpios reemplazan a los originales.
+   * Los esquemas quedan en el middleware (`schemas`) para comparar la documentación con ellos.
+   * @param {Object} schemas - { params, query, body } con esquemas Joi
    */
-  static validateProductUpdate(req, res, next) {
-    const { name, description, price, stock, category } = req.body;
-    const errors = [];
-
-    // Validaciones opcionales (solo si están presentes)
-    if (name !== undefined) {
-      if (name.trim() === '') {
-        errors.push('El nombre no puede estar vacío');
-      } else if (name.length < 3 || name.length > 100) {
-        errors.push('El nombre debe tener entre 3 y 100 caracteres');
-      }
-    }
-
-    if (description !== undefined) {
-      if (description.trim() === '') {
-        errors.push('La descripción no puede estar vacía');
-      } else if (description.length < 10 || description.length > 500) {
-        errors.push('La descripción debe tener entre 10 y 500 caracteres');
+  static validate(schemas) {
+    const middleware = (req, res, next) => {
+      const errors = [];
+
+      LOCATIONS.filter(location => schemas[location]).forEach(location => {
+        const result = Validator.validateData(schemas[location], req[location] || {}, location);
+
+        if (result.errors.length > 0) {
+          errors.push(...result.errors);
+          return;
+        }
+
+        // En Express 5 req.query es un getter: se reemplaza con una propiedad propia
+        Object.defineProperty(req, location, {
+          value: result.value,
+          writable: true,
+          configurable: true,
+          enumerable: true
+        });
+      });
+
+      if (errors.length > 0) {
+        throw ApiError.validation(errors);
       }
-    }
 
-    if (price !== undefined && (isNaN(price) || price < 0)) {
-      errors.push('El precio debe ser un número positivo');
-    }
-
-    if (stock !== undefined && (isNaN(stock) || stock < 0)) {
-      errors.push('El stock debe ser un número positivo');
-    }
-
-    if (category !== undefined) {
-      const validCategories = ['electronics', 'clothing', 'food', 'books', 'other'];
-      if (!validCategories.includes(category)) {
-        errors.push(`Categoría inválida. Opciones: ${validCategories.join(', ')}`);
-      }
-    }
-
-    if (errors.length > 0) {
-      throw new ApiError(400, errors.join('; '));
-    }
-
-    next();
+      next();
+    };
+    middleware.schemas = schemas;
+    return middleware;
   }
 
   /**
-   * Validar actualización de stock
+   * Validar datos fuera de HTTP (ej: importación masiva, panel de administración)
+   * @param {Object} schema - Esquema Joi
+   * @param {Object} data - Datos a validar
+   * @param {String} location - Origen de los datos para el reporte de errores
+   * @returns {Object} - { value, errors: [{ field, location, message }] }
    */
-  static validateStockUpdate(req, res, next) {
-    const { quantity } = req.body;
-
-    if (quantity === undefined || quantity === null) {
-      throw new ApiError(400, 'La cantidad es obligatoria');
-    }
-
-    if (isNaN(quantity) || !Number.isInteger(Number(quantity))) {
-      throw new ApiError(400, 'La cantidad debe ser un número entero');
-    }
-
-    next();
+  static validateData(schema, data, location = 'body') {
+    const { value, error } = schema.validate(data, JOI_OPTIONS);
+
+    const errors = error
+      ? error.details.map(detail => ({
+        field: detail.path.join('.') || null, // null: regla sobre varios campos
+        location,
+        message: detail.message
+      }))
+      : [];
+
+    return { value, errors };
   }
 }
+
 module.exports = Validator;
\ No newline at end of file
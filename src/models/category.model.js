@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Categoría
+ * Las categorías se gestionan desde la API; los productos guardan el slug.
+ * Una categoría puede tener una categoría padre para formar un árbol.
+ * Parte de la capa de Modelo en MVC.
+ */
+
+/**
+ * Restricciones de los campos de la categoría
+ * Las comparten el esquema de Mongoose y la validación de requests
+ */
+const CATEGORY_RULES = {
+    name: { min: 2, max: 60 },
+    slug: { pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ },
+    description: { max: 300 }
+};
+
+const categorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'El nombre de la categoría es obligatorio'],
+        trim: true,
+        minlength: [CATEGORY_RULES.name.min, `El nombre de la categoría debe tener al menos ${CATEGORY_RULES.name.min} caracteres`],
+        maxlength: [CATEGORY_RULES.name.max, `El nombre de la categoría no debe exceder los ${CATEGORY_RULES.name.max} caracteres`]
+    },
+    slug: {
+        type: String,
+        required: [true, 'El slug de la categoría es obligatorio'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [CATEGORY_RULES.slug.pattern, 'El slug solo admite minúsculas, números y guiones']
+    },
+    /** Nombres para mostrar por idioma, ej: { es: 'Electrónica', en: 'Electronics' } */
+    displayNames: {
+        type: Map,
+        of: String,
+        default: {}
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [CATEGORY_RULES.description.max, `La descripción de la categoría no debe exceder los ${CATEGORY_RULES.description.max} caracteres`]
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+},
+    {
+        timestamps: true,
+        versionKey: false
+    });
+
+/**
+ * Indices para mejorar las busquedas
+ */
+categorySchema.index({ parent: 1 });
+
+/** Nombre para mostrar en un idioma, con el nombre base como respaldo */
+categorySchema.methods.getDisplayName = function (lang) {
+    return (lang && this.displayNames.get(lang)) || this.name;
+};
+
+/** Json para control de datos cuando se devuelven */
+categorySchema.set('toJSON', {
+    flattenMaps: true,
+    transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+    }
+});
+const Category = mongoose.model('Category', categorySchema);
+module.exports = Category;
+module.exports.CATEGORY_RULES = CATEGORY_RULES;
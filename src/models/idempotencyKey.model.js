@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Clave de Idempotencia
+ * Guarda la primera respuesta de un request con header Idempotency-Key para repetirla
+ * en los reintentos del cliente, junto con el hash del request para detectar que la
+ * misma clave se reutiliza con otro contenido.
+ * Parte de la capa de Modelo en MVC.
+ */
+
+/**
+ * Estados:
+ * - processing: el primer request con la clave se está atendiendo (lockedUntil)
+ * - completed: la respuesta quedó guardada y se repite en los reintentos
+ */
+const IDEMPOTENCY_KEY_STATUSES = ['processing', 'completed'];
+
+const idempotencyKeySchema = new mongoose.Schema({
+    /** Valor del header Idempotency-Key; es único por usuario */
+    key: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    /** SHA-256 del método, la ruta y el body del request */
+    requestHash: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: IDEMPOTENCY_KEY_STATUSES,
+        default: 'processing'
+    },
+    /** Mientras esté en processing, otro request con la clave no puede tomarla hasta esta fecha */
+    lockedUntil: {
+        type: Date
+    },
+    /** Respuesta guardada: { statusCode, headers, body } */
+    response: {
+        statusCode: { type: Number },
+        headers: { type: mongoose.Schema.Types.Mixed },
+        body: { type: mongoose.Schema.Types.Mixed }
+    },
+    /** MongoDB elimina la clave al llegar a esta fecha (índice TTL) */
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+},
+    {
+        timestamps: true,
+        versionKey: false,
+        minimize: false
+    });
+
+/**
+ * Indices: clave única por usuario y expiración automática
+ */
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+module.exports = IdempotencyKey;
+module.exports.IDEMPOTENCY_KEY_STATUSES = IDEMPOTENCY_KEY_STATUSES;
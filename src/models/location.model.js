@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Ubicación
+ * Almacenes y tiendas donde se guarda el stock (ver stockLevel.model.js).
+ * Una de ellas es la predeterminada: recibe los movimientos que no indican ubicación.
+ * Parte de la capa de Modelo en MVC.
+ */
+
+/**
+ * Restricciones de los campos de la ubicación
+ * Las comparten el esquema de Mongoose y la validación de requests
+ */
+const LOCATION_RULES = {
+    code: { pattern: /^[A-Z0-9-]{2,20}$/ },
+    name: { min: 2, max: 80 },
+    address: { max: 200 }
+};
+
+const LOCATION_TYPES = ['warehouse', 'store'];
+
+const locationSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'El código de la ubicación es obligatorio'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [LOCATION_RULES.code.pattern, 'El código solo admite mayúsculas, números y guiones (2 a 20 caracteres)']
+    },
+    name: {
+        type: String,
+        required: [true, 'El nombre de la ubicación es obligatorio'],
+        trim: true,
+        minlength: [LOCATION_RULES.name.min, `El nombre de la ubicación debe tener al menos ${LOCATION_RULES.name.min} caracteres`],
+        maxlength: [LOCATION_RULES.name.max, `El nombre de la ubicación no debe exceder los ${LOCATION_RULES.name.max} caracteres`]
+    },
+    type: {
+        type: String,
+        enum: {
+            values: LOCATION_TYPES,
+            message: '{VALUE} no es un tipo de ubicación válido'
+        },
+        default: 'warehouse'
+    },
+    address: {
+        type: String,
+        trim: true,
+        maxlength: [LOCATION_RULES.address.max, `La dirección no debe exceder los ${LOCATION_RULES.address.max} caracteres`]
+    },
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+},
+    {
+        timestamps: true,
+        versionKey: false
+    });
+
+/**
+ * Solo puede haber una ubicación predeterminada
+ */
+locationSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+/** Json para control de datos cuando se devuelven */
+locationSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+    }
+});
+const Location = mongoose.model('Location', locationSchema);
+module.exports = Location;
+module.exports.LOCATION_RULES = LOCATION_RULES;
+module.exports.LOCATION_TYPES = LOCATION_TYPES;
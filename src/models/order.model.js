@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Pedido
+ * Cada línea guarda una copia del nombre y precio del producto
+ * al momento de la venta, para que el pedido no cambie si el producto cambia.
+ * Parte de la capa de Modelo en MVC.
+ */
+
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'cancelled'];
+
+/**
+ * Restricciones de los campos del pedido
+ * Las comparten el esquema de Mongoose y la validación de requests
+ */
+const ORDER_RULES = {
+    quantity: { min: 1 },
+    notes: { max: 500 }
+};
+
+const orderItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'El producto de la línea es obligatorio']
+    },
+    /** Variante vendida (subdocumento del producto) y su SKU al momento de la venta */
+    variant: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    variantSku: {
+        type: String
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: [0, 'El precio no puede ser negativo']
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'La cantidad de la línea es obligatoria'],
+        min: [ORDER_RULES.quantity.min, `La cantidad debe ser al menos ${ORDER_RULES.quantity.min}`]
+    },
+    subtotal: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        required: true
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+    orderNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    items: {
+        type: [orderItemSchema],
+        validate: {
+            validator: (items) => items.length > 0,
+            message: 'El pedido debe tener al menos una línea'
+        }
+    },
+    total: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ORDER_STATUSES,
+            message: '{VALUE} no es un estado válido'
+        },
+        default: 'pending'
+    },
+    statusHistory: [statusChangeSchema],
+    /** Ubicación de la que sale el stock (y a la que vuelve si se cancela); null si no hay ubicaciones */
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null
+    },
+    locationCode: {
+        type: String
+    },
+    customer: {
+        name: { type: String, trim: true },
+        email: { type: String, trim: true, lowercase: true }
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [ORDER_RULES.notes.max, `Las notas no deben exceder los ${ORDER_RULES.notes.max} caracteres`]
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+},
+    {
+        timestamps: true,
+        versionKey: false
+    });
+
+/**
+ * Indices para mejorar las busquedas
+ */
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ 'items.product': 1 });
+
+/** Json para control de datos cuando se devuelven */
+orderSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+    }
+});
+const Order = mongoose.model('Order', orderSchema);
+module.exports = Order;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
+module.exports.ORDER_RULES = ORDER_RULES;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Cambio de Precio
+ * Historial de precios de un producto: cada registro es un precio y el período en que rigió.
+ * El precio vigente es el registro sin `effectiveTo`.
+ * Parte de la capa de Modelo en MVC.
+ */
+
+/**
+ * Origen del cambio:
+ * - initial: precio con el que se creó el producto
+ * - manual: edición del producto (API, panel o importación)
+ * - scheduled: precio programado que entró en vigencia
+ * - sale / sale-end: inicio y fin de una oferta temporal
+ */
+const PRICE_CHANGE_SOURCES = ['initial', 'manual', 'scheduled', 'sale', 'sale-end'];
+
+const priceChangeSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'El producto del cambio de precio es obligatorio']
+    },
+    price: {
+        type: Number,
+        required: [true, 'El precio es obligatorio']
+    },
+    previousPrice: {
+        type: Number,
+        default: null
+    },
+    effectiveFrom: {
+        type: Date,
+        required: true
+    },
+    effectiveTo: {
+        type: Date,
+        default: null
+    },
+    source: {
+        type: String,
+        enum: {
+            values: PRICE_CHANGE_SOURCES,
+            message: '{VALUE} no es un origen de cambio de precio válido'
+        },
+        required: true
+    },
+    /** Programación que originó el cambio (ver priceSchedule.model) */
+    schedule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PriceSchedule',
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+},
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        versionKey: false
+    });
+
+/**
+ * Indices para la línea de tiempo por producto
+ */
+priceChangeSchema.index({ product: 1, effectiveFrom: -1 });
+priceChangeSchema.index({ product: 1, effectiveTo: 1 });
+
+/** Json para control de datos cuando se devuelven */
+priceChangeSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+    }
+});
+const PriceChange = mongoose.model('PriceChange', priceChangeSchema);
+module.exports = PriceChange;
+module.exports.PRICE_CHANGE_SOURCES = PRICE_CHANGE_SOURCES;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { PRODUCT_RULES } = require('./product.model');
+
+/**
+ * Esquema de Precio Programado
+ * Un precio futuro (sin `endsAt`) o una oferta temporal (con `endsAt`, al terminar se revierte).
+ * Lo aplica y revierte el job de precios (jobs/priceScheduler.job.js).
+ * Parte de la capa de Modelo en MVC.
+ */
+
+/**
+ * Estados:
+ * - pending: todavía no empieza
+ * - active: oferta en curso (solo las que tienen endsAt)
+ * - completed: aplicada (y revertida, si era una oferta)
+ * - cancelled: cancelada antes de terminar
+ */
+const PRICE_SCHEDULE_STATUSES = ['pending', 'active', 'completed', 'cancelled'];
+
+const priceScheduleSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'El producto del precio programado es obligatorio']
+    },
+    price: {
+        type: Number,
+        required: [true, 'El precio programado es obligatorio'],
+        min: [PRODUCT_RULES.price.min, `El precio programado debe ser al menos ${PRODUCT_RULES.price.min}`]
+    },
+    startsAt: {
+        type: Date,
+        required: [true, 'La fecha de inicio es obligatoria']
+    },
+    endsAt: {
+        type: Date,
+        default: null
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'La nota no debe exceder los 200 caracteres']
+    },
+    status: {
+        type: String,
+        enum: {
+            values: PRICE_SCHEDULE_STATUSES,
+            message: '{VALUE} no es un estado válido'
+        },
+        default: 'pending'
+    },
+    /** Precio que tenía el producto al aplicarse; al terminar la oferta se vuelve a él */
+    previousPrice: {
+        type: Number,
+        default: null
+    },
+    appliedAt: {
+        type: Date,
+        default: null
+    },
+    endedAt: {
+        type: Date,
+        default: null
+    },
+    /** false si al terminar la oferta el precio ya se había cambiado y no se revirtió */
+    reverted: {
+        type: Boolean,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+},
+    {
+        timestamps: true,
+        versionKey: false
+    });
+
+/**
+ * Indices para el job (pendientes por inicio, activas por fin) y por producto
+ */
+priceScheduleSchema.index({ status: 1, startsAt: 1 });
+priceScheduleSchema.index({ status: 1, endsAt: 1 });
+priceScheduleSchema.index({ product: 1, status: 1 });
+
+/** Json para control de datos cuando se devuelven */
+priceScheduleSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+    }
+});
+const PriceSchedule = mongoose.model('PriceSchedule', priceScheduleSchema);
+module.exports = PriceSchedule;
+module.exports.PRICE_SCHEDULE_STATUSES = PRICE_SCHEDULE_STATUSES;
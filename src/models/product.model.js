@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { normalizeText } = require('../utils/text');
 
 /**
  * Esquema de Producto
@@ -7,43 +8,268 @@ const mongoose = require('mongoose');
  *Parte de la capa de Modelo en MVC.
  */
 
+/**
+ * Restricciones de los campos del producto
+ * Las comparten el esquema de Mongoose y la validación de requests (validations/product.validation.js)
+ */
+const PRODUCT_RULES = {
+    name: { min: 6, max: 100 },
+    description: { min: 20, max: 500 },
+    price: { min: 0.01 },
+    stock: { min: 0 },
+    sku: { pattern: /^[A-Z0-9-]{3,40}$/ },
+    variantAttributes: { max: 10 },
+    suppliers: { max: 20 },
+    reorderPoint: { min: 0 },
+    reorderQuantity: { min: 1 },
+    imageAlt: { max: 200 }
+};
+
+/**
+ * Campos por los que se puede ordenar el listado (también con paginación por cursor)
+ * El orden por relevancia de la búsqueda de texto es aparte: solo admite paginación por página.
+ */
+const PRODUCT_SORT_FIELDS = ['createdAt', 'updatedAt', 'name', 'price', 'stock'];
+
+/**
+ * Variante de un producto (talla, color, capacidad...)
+ * Tiene SKU propio, atributos, precio opcional (si falta, usa el del producto) y su propio stock.
+ */
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: [true, 'El SKU de la variante es obligatorio'],
+        trim: true,
+        uppercase: true,
+        match: [PRODUCT_RULES.sku.pattern, 'El SKU debe tener entre 3 y 40 caracteres (letras, números y guiones)']
+    },
+    /** Ej: { talla: 'M', color: 'rojo' } */
+    attributes: {
+        type: Map,
+        of: String,
+        validate: {
+            validator: (attributes) => attributes.size > 0 && attributes.size <= PRODUCT_RULES.variantAttributes.max,
+            message: `La variante debe tener entre 1 y ${PRODUCT_RULES.variantAttributes.max} atributos`
+        }
+    },
+    price: {
+        type: Number,
+        default: null,
+        min: [PRODUCT_RULES.price.min, `El precio de la variante debe ser al menos ${PRODUCT_RULES.price.min}`]
+    },
+    stock: {
+        type: Number,
+        min: [PRODUCT_RULES.stock.min, 'El stock de la variante no puede ser negativo'],
+        default: 0
+    }
+});
+
+/**
+ * Proveedor de un producto con sus condiciones de compra
+ * Las órdenes de compra toman de aquí el costo y el pedido mínimo;
+ * las sugerencias de reposición usan el preferido (o el más barato).
+ */
+const productSupplierSchema = new mongoose.Schema({
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: [true, 'El proveedor es obligatorio']
+    },
+    cost: {
+        type: Number,
+        required: [true, 'El costo del proveedor es obligatorio'],
+        min: [0, 'El costo no puede ser negativo']
+    },
+    /** null: se usa el plazo habitual del proveedor */
+    leadTimeDays: {
+        type: Number,
+        default: null,
+        min: [0, 'El plazo de entrega no puede ser negativo']
+    },
+    minOrderQuantity: {
+        type: Number,
+        default: 1,
+        min: [1, 'El pedido mínimo debe ser al menos 1']
+    },
+    /** Código del producto en el catálogo del proveedor */
+    supplierSku: {
+        type: String,
+        trim: true
+    },
+    isPreferred: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+/**
+ * Imagen de un producto y sus miniaturas
+ * `key` es la ruta en el almacenamiento (src/storage); `url`, la dirección pública al subirla.
+ * El orden del arreglo es el orden de presentación: la primera es la principal.
+ */
+const productImageSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    contentType: {
+        type: String
+    },
+    /** Tamaño del archivo original en bytes */
+    size: {
+        type: Number
+    },
+    width: {
+        type: Number
+    },
+    height: {
+        type: Number
+    },
+    alt: {
+        type: String,
+        trim: true,
+        maxlength: [PRODUCT_RULES.imageAlt.max, `El texto alternativo no debe exceder los ${PRODUCT_RULES.imageAlt.max} caracteres`]
+    },
+    /** Una por tamaño de IMAGE_THUMBNAIL_SIZES (lado máximo en píxeles) */
+    thumbnails: [{
+        _id: false,
+        size: { type: Number },
+        key: { type: String },
+        url: { type: String },
+        width: { type: Number },
+        height: { type: Number }
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+/**
+ * Imagen tal como se expone: las URLs, no las claves internas del almacenamiento
+ * La usan el JSON de los documentos y los listados que se consultan con lean().
+ */
+const toPublicImage = ({ _id, key, thumbnails = [], ...image }) => ({
+    id: _id,
+    ...image,
+    thumbnails: thumbnails.map(({ key: thumbnailKey, ...thumbnail }) => thumbnail)
+});
+
+/** Json de la imagen */
+productImageSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        return toPublicImage(ret);
+    }
+});
+
 const productSchema = new mongoose.Schema({
     name: {
         type: String,
         required: [true, 'El nombre del producto es obligatorio'],
         trim: true,
-        minlength: [6, 'El nombre del producto debe tener al menos 3 caracteres'],
-        maxlength: [100, 'El nombre del producto no debe exceder los 100 caracteres']
+        minlength: [PRODUCT_RULES.name.min, `El nombre del producto debe tener al menos ${PRODUCT_RULES.name.min} caracteres`],
+        maxlength: [PRODUCT_RULES.name.max, `El nombre del producto no debe exceder los ${PRODUCT_RULES.name.max} caracteres`]
     },
     description: {
         type: String,
         required: [true, 'La descripción del producto es obligatoria'],
         trim: true,
-        minlength: [20, 'La descripción del producto debe tener al menos 10 caracteres'],
-        maxlength: [500, 'La descripción del producto no debe exceder los 500 caracteres']
+        minlength: [PRODUCT_RULES.description.min, `La descripción del producto debe tener al menos ${PRODUCT_RULES.description.min} caracteres`],
+        maxlength: [PRODUCT_RULES.description.max, `La descripción del producto no debe exceder los ${PRODUCT_RULES.description.max} caracteres`]
     },
     price: {
         type: Number,
         required: [true, 'El precio del producto es obligatorio'],
-        min: [0, 'El precio del producto no puede ser negativo']
+        min: [PRODUCT_RULES.price.min, `El precio del producto debe ser al menos ${PRODUCT_RULES.price.min}`]
     },
+    /** Código de inventario opcional; único cuando se informa */
+    sku: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [PRODUCT_RULES.sku.pattern, 'El SKU debe tener entre 3 y 40 caracteres (letras, números y guiones)']
+    },
+    /** Slug de la categoría (ver category.model); se valida contra la colección */
     category: {
         type: String,
         required: [true, 'La categoría del producto es obligatoria'],
-        enum: {
-            values: ['Electrónica', 'Ropa', 'Hogar', 'Libros', 'Otros'],
-            message: '{VALUE} no en una categoría válida'
-        }
+        lowercase: true,
+        trim: true
     },
+    /** Con variantes es la suma del stock de todas ellas (se mantiene al actualizarlas) */
     stock: {
         type: Number,
         required: [true, 'El stock del producto es obligatorio'],
-        min: [0, 'El stock del producto no puede ser negativo'],
+        min: [PRODUCT_RULES.stock.min, 'El stock del producto no puede ser negativo'],
         default: 0
     },
+    variants: {
+        type: [variantSchema],
+        default: [],
+        validate: {
+            validator: (variants) => new Set(variants.map(variant => variant.sku)).size === variants.length,
+            message: 'Las variantes de un producto no pueden repetir SKU'
+        }
+    },
+    suppliers: {
+        type: [productSupplierSchema],
+        default: [],
+        validate: {
+            validator: (suppliers) => {
+                const ids = suppliers.map(link => String(link.supplier));
+                return new Set(ids).size === ids.length && suppliers.filter(link => link.isPreferred).length <= 1;
+            },
+            message: 'Un proveedor no puede repetirse y solo uno puede ser el preferido'
+        }
+    },
+    /** Punto de pedido: con stock (más lo pedido) igual o menor se sugiere reponer; null para no reponer */
+    reorderPoint: {
+        type: Number,
+        default: null,
+        min: [PRODUCT_RULES.reorderPoint.min, 'El punto de pedido no puede ser negativo']
+    },
+    /** Cantidad a pedir al reponer; null para pedir lo justo para superar el punto de pedido */
+    reorderQuantity: {
+        type: Number,
+        default: null,
+        min: [PRODUCT_RULES.reorderQuantity.min, 'La cantidad a reponer debe ser al menos 1']
+    },
+    images: {
+        type: [productImageSchema],
+        default: []
+    },
     isActive: {
         type: Boolean,
         default: true
+    },
+    /** Papelera: fecha y autor de la baja (soft delete); null si no está eliminado */
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    /** Si estaba activo al enviarlo a la papelera: al restaurarlo vuelve a ese estado */
+    activeBeforeDelete: {
+        type: Boolean,
+        default: null
+    },
+    /** Versión del documento para control de concurrencia optimista (ETag / If-Match) */
+    version: {
+        type: Number,
+        default: 0
+    },
+    /** Nombre normalizado (sin tildes, minúsculas) para autocompletar por prefijo */
+    searchName: {
+        type: String,
+        select: false
     }
 },
     {
@@ -57,15 +283,50 @@ const productSchema = new mongoose.Schema({
 productSchema.index({ name: 1 });
 productSchema.index({ category: 1 });
 productSchema.index({ isActive: 1 });
+productSchema.index({ searchName: 1 });
+productSchema.index({ deletedAt: 1 });
+productSchema.index(
+    { sku: 1 },
+    { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+productSchema.index(
+    { 'variants.sku': 1 },
+    { unique: true, partialFilterExpression: { 'variants.sku': { $type: 'string' } } }
+);
+productSchema.index({ 'variants.stock': 1 });
+productSchema.index({ 'suppliers.supplier': 1 });
+
+/**
+ * Indice de texto para búsqueda con relevancia (el nombre pesa más)
+ */
+productSchema.index(
+    { name: 'text', description: 'text' },
+    {
+        name: 'product_text_search',
+        weights: { name: 10, description: 3 },
+        default_language: 'spanish'
+    }
+);
 
 /** Mostrar formato de precio */
 productSchema.virtual('formattedPrice').get(function () {
     return `$${this.price.toFixed(2)}`;
 });
 
-/** Consultar existencia de productos */
+/** Consultar existencia de productos (con variantes, si alguna tiene stock) */
 productSchema.methods.isAvailable = function () {
-    return this.isActive && this.stock > 0;
+    if (!this.isActive) {
+        return false;
+    }
+    return this.variants.length > 0
+        ? this.variants.some(variant => variant.stock > 0)
+        : this.stock > 0;
+};
+
+/** Buscar una variante por SKU */
+productSchema.methods.findVariant = function (sku) {
+    const normalized = String(sku).trim().toUpperCase();
+    return this.variants.find(variant => variant.sku === normalized) || null;
 };
 
 /** consulta de productos activos */
@@ -77,10 +338,34 @@ productSchema.statics.findActiveProducts = function () {
 productSchema.pre('save', function (next) {
     if (this.isModified('name')) {
         this.name = this.name.charAt(0).toUpperCase() + this.name.slice(1);
+        this.searchName = normalizeText(this.name);
+    }
+    // El stock del producto se deriva de sus variantes
+    if (this.variants.length > 0) {
+        this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+    }
+    if (!this.isNew) {
+        this.version = (this.version || 0) + 1;
     }
     next();
 });
 
+/** Middleware: toda actualización incrementa la versión del documento */
+productSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    const update = this.getUpdate() || {};
+    update.$inc = { ...update.$inc, version: 1 };
+    this.setUpdate(update);
+});
+
+/** Middleware: mantener searchName al actualizar el nombre con findOneAndUpdate */
+productSchema.pre('findOneAndUpdate', function () {
+    const update = this.getUpdate() || {};
+    const name = update.name !== undefined ? update.name : (update.$set || {}).name;
+    if (typeof name === 'string') {
+        this.set('searchName', normalizeText(name));
+    }
+});
+
 
 /** Json para control de datos cuanmdo se devuelven */
 productSchema.set('toJSON', {
@@ -88,8 +373,12 @@ productSchema.set('toJSON', {
     transform: function (doc, ret) {
         ret.id = ret._id;
         delete ret._id;
+        delete ret.searchName;
         return ret;
     }
 });
 const Product = mongoose.model('Product', productSchema);
-module.exports = Product;
\ No newline at end of file
+module.exports = Product;
+module.exports.PRODUCT_RULES = PRODUCT_RULES;
+module.exports.PRODUCT_SORT_FIELDS = PRODUCT_SORT_FIELDS;
+module.exports.toPublicImage = toPublicImage;
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Orden de Compra
+ * Pedido de reposición a un proveedor. Cada línea guarda el costo pactado
+ * y cuánto se recibió; recibir mercadería suma stock (movimiento "restock").
+ * Parte de la capa de Modelo en MVC.
+ */
+
+/**
+ * Estados:
+ * - draft: en preparación, se puede modificar
+ * - sent: enviada al proveedor
+ * - partially_received: se recibió parte de la mercadería
+ * - received: se recibió todo
+ * - cancelled: cancelada (lo ya recibido queda en stock)
+ */
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+/**
+ * Restricciones de los campos de la orden de compra
+ * Las comparten el esquema de Mongoose y la validación de requests
+ */
+const PURCHASE_ORDER_RULES = {
+    quantity: { min: 1 },
+    notes: { max: 500 }
+};
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'El producto de la línea es obligatorio']
+    },
+    /** Variante pedida (subdocumento del producto) y su SKU al momento del pedido */
+    variant: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    variantSku: {
+        type: String
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    cost: {
+        type: Number,
+        required: true,
+        min: [0, 'El costo no puede ser negativo']
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'La cantidad de la línea es obligatoria'],
+        min: [PURCHASE_ORDER_RULES.quantity.min, `La cantidad debe ser al menos ${PURCHASE_ORDER_RULES.quantity.min}`]
+    },
+    received: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    subtotal: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: PURCHASE_ORDER_STATUSES,
+        required: true
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { _id: false });
+
+/** Una recepción de mercadería: qué llegó, cuándo y quién la registró */
+const receiptSchema = new mongoose.Schema({
+    items: [{
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        variantSku: { type: String },
+        quantity: { type: Number }
+    }],
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { _id: false });
+
+const purchaseOrderSchema = new mongoose.Schema({
+    orderNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: [true, 'El proveedor de la orden de compra es obligatorio']
+    },
+    items: {
+        type: [purchaseOrderItemSchema],
+        validate: {
+            validator: (items) => items.length > 0,
+            message: 'La orden de compra debe tener al menos una línea'
+        }
+    },
+    total: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    status: {
+        type: String,
+        enum: {
+            values: PURCHASE_ORDER_STATUSES,
+            message: '{VALUE} no es un estado válido'
+        },
+        default: 'draft'
+    },
+    statusHistory: [statusChangeSchema],
+    receipts: [receiptSchema],
+    /** Ubicación que recibe la mercadería; null para la predeterminada */
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null
+    },
+    locationCode: {
+        type: String
+    },
+    /** Plazo de entrega de la orden: el mayor de sus líneas */
+    leadTimeDays: {
+        type: Number,
+        default: 0
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    /** Fecha estimada de llegada (al enviarla: sentAt + leadTimeDays) */
+    expectedAt: {
+        type: Date,
+        default: null
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [PURCHASE_ORDER_RULES.notes.max, `Las notas no deben exceder los ${PURCHASE_ORDER_RULES.notes.max} caracteres`]
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+},
+    {
+        timestamps: true,
+        versionKey: false
+    });
+
+/**
+ * Indices para el listado y para sumar lo pedido pendiente por producto
+ */
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ 'items.product': 1, status: 1 });
+
+/** Json para control de datos cuando se devuelven */
+purchaseOrderSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+    }
+});
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+module.exports = PurchaseOrder;
+module.exports.PURCHASE_ORDER_STATUSES = PURCHASE_ORDER_STATUSES;
+module.exports.PURCHASE_ORDER_RULES = PURCHASE_ORDER_RULES;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Nivel de Stock
+ * Cantidad de un producto (o de una de sus variantes) en una ubicación.
+ * El stock del producto y de cada variante sigue siendo el total de todas las ubicaciones;
+ * lo que no está en ninguna es stock sin asignar (anterior a las ubicaciones).
+ * Parte de la capa de Modelo en MVC.
+ */
+
+const stockLevelSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'El producto del nivel de stock es obligatorio']
+    },
+    /** Variante (subdocumento del producto); null para productos sin variantes */
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: [true, 'La ubicación del nivel de stock es obligatoria']
+    },
+    quantity: {
+        type: Number,
+        default: 0,
+        min: [0, 'La cantidad en una ubicación no puede ser negativa']
+    }
+},
+    {
+        timestamps: { createdAt: false, updatedAt: true },
+        versionKey: false
+    });
+
+/**
+ * Un nivel por producto, variante y ubicación; el segundo índice sirve a los reportes por ubicación
+ */
+stockLevelSchema.index({ product: 1, variant: 1, location: 1 }, { unique: true });
+stockLevelSchema.index({ location: 1, quantity: 1 });
+
+/** Json para control de datos cuando se devuelven */
+stockLevelSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+    }
+});
+const StockLevel = mongoose.model('StockLevel', stockLevelSchema);
+module.exports = StockLevel;
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Movimiento de Stock
+ * Libro mayor (ledger) de cada cambio de stock de un producto.
+ * Los movimientos no se modifican: una corrección es un nuevo movimiento.
+ * Parte de la capa de Modelo en MVC.
+ */
+
+/**
+ * Motivos de movimiento
+ * Una transferencia son dos movimientos (salida y entrada) con el mismo `transfer`:
+ * mueven unidades entre ubicaciones sin cambiar el stock total.
+ * Una conciliación registra la corrección del stock al reconstruirlo desde el ledger; como lleva
+ * el stock al valor que ya suma el ledger, no cuenta en esa suma.
+ */
+const STOCK_MOVEMENT_REASONS = ['sale', 'restock', 'adjustment', 'return', 'damage', 'transfer', 'reconcile'];
+
+// Motivos que solo registra el sistema (no se aceptan en un movimiento manual)
+const SYSTEM_STOCK_MOVEMENT_REASONS = ['transfer', 'reconcile'];
+
+const stockMovementSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'El producto del movimiento es obligatorio']
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'La cantidad del movimiento es obligatoria'],
+        validate: {
+            validator: (value) => Number.isInteger(value) && value !== 0,
+            message: 'La cantidad debe ser un número entero distinto de 0'
+        }
+    },
+    reason: {
+        type: String,
+        required: [true, 'El motivo del movimiento es obligatorio'],
+        enum: {
+            values: STOCK_MOVEMENT_REASONS,
+            message: '{VALUE} no es un motivo válido'
+        }
+    },
+    reference: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'La referencia no debe exceder los 200 caracteres']
+    },
+    /** Variante afectada (subdocumento del producto) y su SKU al momento del movimiento */
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    variantSku: {
+        type: String
+    },
+    /** Ubicación afectada y su código al momento del movimiento; null para stock sin asignar */
+    location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null
+    },
+    locationCode: {
+        type: String
+    },
+    /** Agrupa la salida y la entrada de una transferencia */
+    transfer: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    /** Stock antes y después del movimiento; de la variante si el movimiento es de una variante */
+    stockBefore: {
+        type: Number,
+        required: true
+    },
+    stockAfter: {
+        type: Number,
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+},
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        versionKey: false
+    });
+
+/**
+ * Indices para el historial por producto y por fecha
+ */
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ product: 1, variant: 1 });
+
+/** Json para control de datos cuando se devuelven */
+stockMovementSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+    }
+});
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+module.exports = StockMovement;
+module.exports.STOCK_MOVEMENT_REASONS = STOCK_MOVEMENT_REASONS;
+module.exports.SYSTEM_STOCK_MOVEMENT_REASONS = SYSTEM_STOCK_MOVEMENT_REASONS;
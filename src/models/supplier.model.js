@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Proveedor
+ * Los productos se vinculan a sus proveedores con costo, plazo de entrega y pedido mínimo
+ * (ver `suppliers` en product.model.js); las órdenes de compra se emiten a un proveedor.
+ * Parte de la capa de Modelo en MVC.
+ */
+
+/**
+ * Restricciones de los campos del proveedor
+ * Las comparten el esquema de Mongoose y la validación de requests
+ */
+const SUPPLIER_RULES = {
+    name: { min: 2, max: 100 },
+    contactName: { max: 100 },
+    phone: { max: 30 },
+    notes: { max: 500 },
+    leadTimeDays: { min: 0, max: 365 }
+};
+
+const supplierSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'El nombre del proveedor es obligatorio'],
+        unique: true,
+        trim: true,
+        minlength: [SUPPLIER_RULES.name.min, `El nombre del proveedor debe tener al menos ${SUPPLIER_RULES.name.min} caracteres`],
+        maxlength: [SUPPLIER_RULES.name.max, `El nombre del proveedor no debe exceder los ${SUPPLIER_RULES.name.max} caracteres`]
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    phone: {
+        type: String,
+        trim: true,
+        maxlength: [SUPPLIER_RULES.phone.max, `El teléfono no debe exceder los ${SUPPLIER_RULES.phone.max} caracteres`]
+    },
+    contactName: {
+        type: String,
+        trim: true,
+        maxlength: [SUPPLIER_RULES.contactName.max, `El contacto no debe exceder los ${SUPPLIER_RULES.contactName.max} caracteres`]
+    },
+    /** Plazo de entrega habitual; cada producto puede indicar el suyo */
+    leadTimeDays: {
+        type: Number,
+        default: 7,
+        min: [SUPPLIER_RULES.leadTimeDays.min, 'El plazo de entrega no puede ser negativo'],
+        max: [SUPPLIER_RULES.leadTimeDays.max, `El plazo de entrega no debe superar los ${SUPPLIER_RULES.leadTimeDays.max} días`]
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [SUPPLIER_RULES.notes.max, `Las notas no deben exceder los ${SUPPLIER_RULES.notes.max} caracteres`]
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+},
+    {
+        timestamps: true,
+        versionKey: false
+    });
+
+/** Json para control de datos cuando se devuelven */
+supplierSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+    }
+});
+const Supplier = mongoose.model('Supplier', supplierSchema);
+module.exports = Supplier;
+module.exports.SUPPLIER_RULES = SUPPLIER_RULES;
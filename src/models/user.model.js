@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/roles');
+
+/**
+ * Esquema de Usuario
+ * Usuarios que consumen la API con su rol de acceso.
+ * Aplica: Single Responsibility Principle (SRP)
+ * Parte de la capa de Modelo en MVC.
+ */
+
+const SALT_ROUNDS = 10;
+
+/**
+ * Restricciones de los campos del usuario
+ * Las comparten el esquema de Mongoose y la validación de requests
+ */
+const USER_RULES = {
+    name: { min: 3, max: 100 },
+    email: { pattern: /^\S+@\S+\.\S+$/ },
+    password: { min: 8 }
+};
+
+const userSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'El nombre del usuario es obligatorio'],
+        trim: true,
+        minlength: [USER_RULES.name.min, `El nombre del usuario debe tener al menos ${USER_RULES.name.min} caracteres`],
+        maxlength: [USER_RULES.name.max, `El nombre del usuario no debe exceder los ${USER_RULES.name.max} caracteres`]
+    },
+    email: {
+        type: String,
+        required: [true, 'El email del usuario es obligatorio'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [USER_RULES.email.pattern, 'El email no tiene un formato válido']
+    },
+    password: {
+        type: String,
+        required: [true, 'La contraseña es obligatoria'],
+        minlength: [USER_RULES.password.min, `La contraseña debe tener al menos ${USER_RULES.password.min} caracteres`],
+        select: false
+    },
+    role: {
+        type: String,
+        enum: {
+            values: Object.values(ROLES),
+            message: '{VALUE} no es un rol válido'
+        },
+        default: ROLES.VIEWER
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastLoginAt: {
+        type: Date
+    },
+    /** Marca del administrador creado por el primer registro (ver índice) */
+    bootstrap: {
+        type: Boolean,
+        select: false
+    }
+},
+    {
+        timestamps: true,
+        versionKey: false
+    });
+
+/**
+ * Solo un usuario puede tener la marca: si dos registros ven el sistema vacío a la vez,
+ * el segundo falla y no se crean dos administradores iniciales
+ */
+userSchema.index({ bootstrap: 1 }, { unique: true, partialFilterExpression: { bootstrap: true } });
+
+/** Middleware: cifrar la contraseña antes de guardar */
+userSchema.pre('save', async function () {
+    if (this.isModified('password')) {
+        this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    }
+});
+
+/** Comparar una contraseña en texto plano con la almacenada */
+userSchema.methods.comparePassword = function (candidate) {
+    return bcrypt.compare(candidate, this.password);
+};
+
+/** Json para control de datos cuando se devuelven */
+userSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.password;
+        delete ret.bootstrap;
+        return ret;
+    }
+});
+const User = mongoose.model('User', userSchema);
+module.exports = User;
+module.exports.USER_RULES = USER_RULES;
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Suscripción a Webhooks
+ * Un sistema externo (tienda, ERP) recibe por POST los eventos que eligió,
+ * firmados con HMAC-SHA256 usando el secreto de la suscripción.
+ * Parte de la capa de Modelo en MVC.
+ */
+
+/**
+ * Eventos que se pueden suscribir ("*" recibe todos):
+ * - product.created / product.updated / product.deleted / product.restored
+ * - product.deactivated: pasó de activo a inactivo
+ * - product.stock_changed: movimiento de stock hecho desde la API de productos
+ * - product.low_stock: el stock bajó hasta su punto de pedido (o LOW_STOCK_THRESHOLD)
+ */
+const WEBHOOK_EVENTS = [
+    'product.created',
+    'product.updated',
+    'product.deactivated',
+    'product.deleted',
+    'product.restored',
+    'product.stock_changed',
+    'product.low_stock'
+];
+
+/**
+ * Restricciones de los campos de la suscripción
+ * Las comparten el esquema de Mongoose y la validación de requests
+ */
+const WEBHOOK_RULES = {
+    url: { max: 2000 },
+    description: { max: 200 },
+    secret: { min: 16, max: 200 }
+};
+
+const webhookSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: [true, 'La URL del webhook es obligatoria'],
+        trim: true,
+        maxlength: [WEBHOOK_RULES.url.max, `La URL no debe exceder los ${WEBHOOK_RULES.url.max} caracteres`]
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [WEBHOOK_RULES.description.max, `La descripción no debe exceder los ${WEBHOOK_RULES.description.max} caracteres`]
+    },
+    events: {
+        type: [{
+            type: String,
+            enum: {
+                values: [...WEBHOOK_EVENTS, '*'],
+                message: '{VALUE} no es un evento válido'
+            }
+        }],
+        validate: {
+            validator: (events) => events.length > 0,
+            message: 'La suscripción debe incluir al menos un evento'
+        }
+    },
+    /** Clave de la firma HMAC; solo se devuelve al crear la suscripción */
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+},
+    {
+        timestamps: true,
+        versionKey: false
+    });
+
+/**
+ * Indice para buscar las suscripciones de un evento
+ */
+webhookSchema.index({ isActive: 1, events: 1 });
+
+/** Json para control de datos cuando se devuelven */
+webhookSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+    }
+});
+const Webhook = mongoose.model('Webhook', webhookSchema);
+module.exports = Webhook;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.WEBHOOK_RULES = WEBHOOK_RULES;
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Entrega de Webhook
+ * Un evento enviado (o por enviar) a una suscripción, con el registro de cada intento.
+ * Las entregas fallidas se reintentan con espera exponencial hasta WEBHOOK_MAX_ATTEMPTS.
+ * Parte de la capa de Modelo en MVC.
+ */
+
+/**
+ * Estados:
+ * - pending: por enviar o esperando un reintento (nextAttemptAt)
+ * - succeeded: el destino respondió 2xx
+ * - failed: se agotaron los intentos o la suscripción ya no existe
+ */
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const attemptSchema = new mongoose.Schema({
+    attemptedAt: {
+        type: Date,
+        default: Date.now
+    },
+    /** Código HTTP de la respuesta; null si no hubo respuesta (timeout, conexión rechazada) */
+    statusCode: {
+        type: Number,
+        default: null
+    },
+    durationMs: {
+        type: Number
+    },
+    error: {
+        type: String
+    },
+    /** Inicio de la respuesta del destino, para diagnosticar fallos */
+    responseBody: {
+        type: String
+    }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true
+    },
+    /** Evento tal como se envía: { id, type, occurredAt, data } */
+    event: {
+        id: { type: String, required: true },
+        type: { type: String, required: true },
+        occurredAt: { type: Date, required: true },
+        data: { type: mongoose.Schema.Types.Mixed }
+    },
+    status: {
+        type: String,
+        enum: WEBHOOK_DELIVERY_STATUSES,
+        default: 'pending'
+    },
+    attempts: [attemptSchema],
+    attemptCount: {
+        type: Number,
+        default: 0
+    },
+    /** Próximo intento; null cuando la entrega terminó */
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    /** Entrega original cuando esta es un reenvío manual */
+    redeliveryOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    }
+},
+    {
+        timestamps: true,
+        versionKey: false,
+        minimize: false
+    });
+
+/**
+ * Indices para el envío de pendientes y el historial de cada suscripción
+ */
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+/** Json para control de datos cuando se devuelven */
+webhookDeliverySchema.set('toJSON', {
+    transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+    }
+});
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+module.exports = WebhookDelivery;
+module.exports.WEBHOOK_DELIVERY_STATUSES = WEBHOOK_DELIVERY_STATUSES;
@@ -0,0 +1,43 @@
+// Panel de administración: diálogo de ajuste de stock (por variante si las hay) y confirmaciones
+(function () {
+  const dialog = document.getElementById('stock-dialog');
+
+  if (dialog) {
+    const form = dialog.querySelector('form');
+
+    // Los productos con variantes ajustan el stock de una variante
+    const fillVariants = (variants) => {
+      const field = dialog.querySelector('[data-variant-field]');
+      const select = form.elements.variant;
+
+      select.replaceChildren(...variants.map(variant => {
+        const label = `${variant.sku}${variant.attributes ? ` (${variant.attributes})` : ''} · stock ${variant.stock}`;
+        return new Option(label, variant.sku);
+      }));
+      field.hidden = variants.length === 0;
+      select.disabled = variants.length === 0;
+    };
+
+    document.querySelectorAll('[data-stock-dialog]').forEach(button => {
+      button.addEventListener('click', () => {
+        form.action = button.dataset.action;
+        form.reset();
+        dialog.querySelector('[data-field="name"]').textContent = button.dataset.name;
+        dialog.querySelector('[data-field="stock"]').textContent = button.dataset.stock;
+        fillVariants(JSON.parse(button.dataset.variants || '[]'));
+        dialog.showModal();
+        form.elements.quantity.focus();
+      });
+    });
+
+    dialog.querySelector('[data-close-dialog]').addEventListener('click', () => dialog.close());
+  }
+
+  document.querySelectorAll('form[data-confirm]').forEach(form => {
+    form.addEventListener('submit', event => {
+      if (!window.confirm(form.dataset.confirm)) {
+        event.preventDefault();
+      }
+    });
+  });
+})();
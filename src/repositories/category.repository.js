@@ -0,0 +1,135 @@
+const Category = require('../models/category.model');
+
+/**
+ * Repository Pattern - Acceso a datos de categorías
+ * Aplica:
+ * - Single Responsibility: Solo maneja operaciones de BD
+ * - Dependency Inversion: Los servicios dependen de esta abstracción
+ */
+class CategoryRepository {
+  /**
+   * Crear una categoría
+   * @param {Object} categoryData - Datos de la categoría
+   * @returns {Promise<Category>}
+   */
+  async create(categoryData) {
+    const category = new Category(categoryData);
+    return await category.save();
+  }
+
+  /**
+   * Crear una categoría solo si no existe otra con su slug
+   * Es atómico: varias instancias pueden ejecutarlo a la vez sin duplicarla.
+   * @param {Object} categoryData - Datos de la categoría (con slug)
+   * @returns {Promise<Boolean>} - true si se creó
+   */
+  async createIfMissing(categoryData) {
+    const result = await Category.updateOne(
+      { slug: categoryData.slug },
+      { $setOnInsert: categoryData },
+      { upsert: true, runValidators: true }
+    );
+    return result.upsertedCount > 0;
+  }
+
+  /**
+   * Contar las categorías
+   * @returns {Promise<Number>}
+   */
+  async count() {
+    return await Category.countDocuments();
+  }
+
+  /**
+   * Obtener todas las categorías
+   * @param {Object} filters - Filtros de búsqueda
+   * @returns {Promise<Array>}
+   */
+  async findAll(filters = {}) {
+    return await Category.find(filters).sort({ name: 1 });
+  }
+
+  /**
+   * Obtener categoría por slug
+   * @param {String} slug - Slug de la categoría
+   * @returns {Promise<Category|null>}
+   */
+  async findBySlug(slug) {
+    return await Category.findOne({ slug });
+  }
+
+  /**
+   * Obtener categoría por ID
+   * @param {String} id - ID de la categoría
+   * @returns {Promise<Category|null>}
+   */
+  async findById(id) {
+    return await Category.findById(id);
+  }
+
+  /**
+   * Verificar si existe una categoría con ese slug
+   * @param {String} slug - Slug de la categoría
+   * @returns {Promise<Boolean>}
+   */
+  async existsBySlug(slug) {
+    const category = await Category.exists({ slug });
+    return !!category;
+  }
+
+  /**
+   * Actualizar categoría
+   * @param {String} id - ID de la categoría
+   * @param {Object} updateData - Datos a actualizar
+   * @returns {Promise<Category|null>}
+   */
+  async update(id, updateData) {
+    return await Category.findByIdAndUpdate(
+      id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Eliminar categoría
+   * @param {String} id - ID de la categoría
+   * @returns {Promise<Category|null>}
+   */
+  async delete(id) {
+    return await Category.findByIdAndDelete(id);
+  }
+
+  /**
+   * Contar subcategorías directas
+   * @param {String} id - ID de la categoría padre
+   * @returns {Promise<Number>}
+   */
+  async countChildren(id) {
+    return await Category.countDocuments({ parent: id });
+  }
+
+  /**
+   * Obtener los descendientes de una categoría (todos los niveles)
+   * @param {String} id - ID de la categoría raíz
+   * @returns {Promise<Array>} - Categorías descendientes
+   */
+  async findDescendants(id) {
+    const [result] = await Category.aggregate([
+      { $match: { _id: id } },
+      {
+        $graphLookup: {
+          from: Category.collection.name,
+          startWith: '$_id',
+          connectFromField: '_id',
+          connectToField: 'parent',
+          as: 'descendants'
+        }
+      }
+    ]);
+
+    return result ? result.descendants : [];
+  }
+}
+
+module.exports = new CategoryRepository();
@@ -0,0 +1,83 @@
+const IdempotencyKey = require('../models/idempotencyKey.model');
+
+/**
+ * Repository Pattern - Acceso a datos de claves de idempotencia
+ * Aplica:
+ * - Single Responsibility: Solo maneja operaciones de BD
+ * - Dependency Inversion: Los servicios dependen de esta abstracción
+ */
+class IdempotencyKeyRepository {
+  /**
+   * Registrar una clave en processing
+   * @param {Object} keyData - { key, user, requestHash, lockedUntil, expiresAt }
+   * @returns {Promise<IdempotencyKey|null>} - null si el usuario ya tiene esa clave
+   */
+  async reserve(keyData) {
+    try {
+      return await IdempotencyKey.create({ ...keyData, status: 'processing' });
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener la clave de un usuario
+   * @returns {Promise<IdempotencyKey|null>}
+   */
+  async findByKey(userId, key) {
+    return await IdempotencyKey.findOne({ user: userId, key }).lean();
+  }
+
+  /**
+   * Tomar una clave abandonada: vencida, o en processing con el bloqueo vencido
+   * (el proceso que la atendía terminó sin guardar la respuesta)
+   * @param {Date} now - Momento actual
+   * @param {Object} keyData - { requestHash, lockedUntil, expiresAt } del nuevo intento
+   * @returns {Promise<IdempotencyKey|null>} - null si otro request la tomó o ya se completó
+   */
+  async takeOver(id, now, keyData) {
+    return await IdempotencyKey.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { expiresAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lte: now } }
+        ]
+      },
+      { ...keyData, status: 'processing', $unset: { response: 1 } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Extender el bloqueo de una clave que sigue en processing
+   * @param {Date} lockedUntil - Nuevo vencimiento del bloqueo
+   */
+  async renew(id, lockedUntil) {
+    await IdempotencyKey.updateOne({ _id: id, status: 'processing' }, { lockedUntil });
+  }
+
+  /**
+   * Guardar la respuesta y marcar la clave como completada
+   * @param {Object} response - { statusCode, headers, body }
+   */
+  async complete(id, response) {
+    return await IdempotencyKey.findOneAndUpdate(
+      { _id: id, status: 'processing' },
+      { status: 'completed', response, $unset: { lockedUntil: 1 } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Liberar una clave en processing para que el cliente pueda reintentar
+   */
+  async release(id) {
+    await IdempotencyKey.deleteOne({ _id: id, status: 'processing' });
+  }
+}
+
+module.exports = new IdempotencyKeyRepository();
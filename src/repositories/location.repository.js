@@ -0,0 +1,91 @@
+const Location = require('../models/location.model');
+
+/**
+ * Repository Pattern - Acceso a datos de ubicaciones
+ * Aplica:
+ * - Single Responsibility: Solo maneja operaciones de BD
+ * - Dependency Inversion: Los servicios dependen de esta abstracción
+ */
+class LocationRepository {
+  /**
+   * Crear una ubicación
+   * @param {Object} locationData - Datos de la ubicación
+   * @returns {Promise<Location>}
+   */
+  async create(locationData) {
+    const location = new Location(locationData);
+    return await location.save();
+  }
+
+  /**
+   * Obtener todas las ubicaciones
+   * @param {Object} filters - Filtros de búsqueda
+   * @returns {Promise<Array>}
+   */
+  async findAll(filters = {}) {
+    return await Location.find(filters).sort({ isDefault: -1, code: 1 });
+  }
+
+  /**
+   * Obtener ubicación por código
+   * @param {String} code - Código de la ubicación
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<Location|null>}
+   */
+  async findByCode(code, { session } = {}) {
+    return await Location.findOne({ code }).session(session || null);
+  }
+
+  /**
+   * Obtener ubicación por ID
+   * @param {String} id - ID de la ubicación
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<Location|null>}
+   */
+  async findById(id, { session } = {}) {
+    return await Location.findById(id).session(session || null);
+  }
+
+  /**
+   * Obtener la ubicación predeterminada
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<Location|null>} - null si todavía no hay ubicaciones
+   */
+  async findDefault({ session } = {}) {
+    return await Location.findOne({ isDefault: true }).session(session || null);
+  }
+
+  /**
+   * Verificar si existe una ubicación con ese código
+   * @param {String} code - Código de la ubicación
+   * @returns {Promise<Boolean>}
+   */
+  async existsByCode(code) {
+    const location = await Location.exists({ code });
+    return !!location;
+  }
+
+  /**
+   * Actualizar ubicación
+   * @param {String} id - ID de la ubicación
+   * @param {Object} updateData - Datos a actualizar
+   * @returns {Promise<Location|null>}
+   */
+  async update(id, updateData) {
+    return await Location.findByIdAndUpdate(
+      id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Quitar la marca de predeterminada a todas las ubicaciones salvo una
+   * @param {String} exceptId - ID de la ubicación que la conserva
+   */
+  async unsetDefault(exceptId = null) {
+    await Location.updateMany({ isDefault: true, _id: { $ne: exceptId } }, { isDefault: false });
+  }
+}
+
+module.exports = new LocationRepository();
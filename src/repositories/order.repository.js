@@ -0,0 +1,81 @@
+const Order = require('../models/order.model');
+
+/**
+ * Repository Pattern - Acceso a datos de pedidos
+ * Aplica:
+ * - Single Responsibility: Solo maneja operaciones de BD
+ * - Dependency Inversion: Los servicios dependen de esta abstracción
+ */
+class OrderRepository {
+  /**
+   * Crear un pedido
+   * @param {Object} orderData - Datos del pedido
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<Order>}
+   */
+  async create(orderData, { session } = {}) {
+    const order = new Order(orderData);
+    return await order.save({ session });
+  }
+
+  /**
+   * Obtener todos los pedidos con filtros opcionales
+   * @param {Object} filters - Filtros de búsqueda
+   * @param {Object} options - Opciones de paginación
+   * @returns {Promise<Object>}
+   */
+  async findAll(filters = {}, options = {}) {
+    const { page = 1, limit = 10 } = options;
+    const skip = (page - 1) * limit;
+
+    const orders = await Order.find(filters)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Order.countDocuments(filters);
+
+    return {
+      orders,
+      pagination: {
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        hasMore: skip + orders.length < total
+      }
+    };
+  }
+
+  /**
+   * Obtener pedido por ID
+   * @param {String} id - ID del pedido
+   * @returns {Promise<Order|null>}
+   */
+  async findById(id) {
+    return await Order.findById(id);
+  }
+
+  /**
+   * Cambiar el estado solo si el pedido sigue en uno de los estados esperados
+   * Evita que dos peticiones concurrentes apliquen la misma transición.
+   * @param {String} id - ID del pedido
+   * @param {Array<String>} fromStatuses - Estados desde los que se permite el cambio
+   * @param {String} status - Nuevo estado
+   * @param {String} userId - Usuario que realiza el cambio
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<Order|null>}
+   */
+  async transitionStatus(id, fromStatuses, status, userId, { session } = {}) {
+    return await Order.findOneAndUpdate(
+      { _id: id, status: { $in: fromStatuses } },
+      {
+        status,
+        $push: { statusHistory: { status, changedBy: userId } }
+      },
+      { new: true, session }
+    );
+  }
+}
+
+module.exports = new OrderRepository();
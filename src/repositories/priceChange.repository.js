@@ -0,0 +1,68 @@
+const PriceChange = require('../models/priceChange.model');
+
+/**
+ * Repository Pattern - Acceso a datos del historial de precios
+ * Aplica:
+ * - Single Responsibility: Solo maneja operaciones de BD
+ * - Dependency Inversion: Los servicios dependen de esta abstracción
+ */
+class PriceChangeRepository {
+  /**
+   * Registrar un precio en el historial
+   * @param {Object} changeData - Datos del cambio
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<PriceChange>}
+   */
+  async create(changeData, { session } = {}) {
+    const change = new PriceChange(changeData);
+    return await change.save({ session });
+  }
+
+  /**
+   * Cerrar el período del precio vigente de un producto
+   * @param {String} productId - ID del producto
+   * @param {Date} at - Fin del período
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<PriceChange|null>} - null si el producto no tenía historial
+   */
+  async closeCurrent(productId, at, { session } = {}) {
+    return await PriceChange.findOneAndUpdate(
+      { product: productId, effectiveTo: null },
+      { effectiveTo: at },
+      { new: true, sort: { effectiveFrom: -1 }, session }
+    );
+  }
+
+  /**
+   * Historial de un producto, del más reciente al más antiguo
+   * @param {String} productId - ID del producto
+   * @param {Object} filters - { from, to }: períodos que se superponen con el rango
+   * @returns {Promise<Array>}
+   */
+  async findByProduct(productId, filters = {}) {
+    const query = { product: productId };
+
+    if (filters.to) {
+      query.effectiveFrom = { $lte: filters.to };
+    }
+    if (filters.from) {
+      query.$or = [{ effectiveTo: null }, { effectiveTo: { $gte: filters.from } }];
+    }
+
+    return await PriceChange.find(query)
+      .sort({ effectiveFrom: -1, _id: -1 })
+      .lean();
+  }
+
+  /**
+   * Eliminar el historial de precios de productos eliminados permanentemente
+   * @param {Array} productIds - IDs de los productos
+   * @returns {Promise<Number>} - Documentos eliminados
+   */
+  async deleteByProducts(productIds) {
+    const result = await PriceChange.deleteMany({ product: { $in: productIds } });
+    return result.deletedCount;
+  }
+}
+
+module.exports = new PriceChangeRepository();
@@ -0,0 +1,96 @@
+const PriceSchedule = require('../models/priceSchedule.model');
+
+/**
+ * Repository Pattern - Acceso a datos de precios programados
+ * Aplica:
+ * - Single Responsibility: Solo maneja operaciones de BD
+ * - Dependency Inversion: Los servicios dependen de esta abstracción
+ */
+class PriceScheduleRepository {
+  /**
+   * Crear un precio programado
+   * @param {Object} scheduleData - Datos de la programación
+   * @returns {Promise<PriceSchedule>}
+   */
+  async create(scheduleData) {
+    const schedule = new PriceSchedule(scheduleData);
+    return await schedule.save();
+  }
+
+  /**
+   * Obtener una programación de un producto
+   * @param {String} productId - ID del producto
+   * @param {String} id - ID de la programación
+   * @returns {Promise<PriceSchedule|null>}
+   */
+  async findByProductAndId(productId, id) {
+    return await PriceSchedule.findOne({ _id: id, product: productId });
+  }
+
+  /**
+   * Programaciones pendientes o en curso de un producto, por fecha de inicio
+   * @param {String} productId - ID del producto
+   * @returns {Promise<Array>}
+   */
+  async findOpenByProduct(productId) {
+    return await PriceSchedule.find({ product: productId, status: { $in: ['pending', 'active'] } })
+      .sort({ startsAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Pendientes cuyo inicio ya llegó
+   * @param {Date} now - Fecha de referencia
+   * @param {Object} options - { productId, limit }
+   * @returns {Promise<Array>}
+   */
+  async findDueToStart(now, { productId, limit = 100 } = {}) {
+    const query = { status: 'pending', startsAt: { $lte: now } };
+    if (productId) {
+      query.product = productId;
+    }
+
+    return await PriceSchedule.find(query).sort({ startsAt: 1 }).limit(limit);
+  }
+
+  /**
+   * Ofertas en curso cuyo fin ya llegó
+   * @param {Date} now - Fecha de referencia
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>}
+   */
+  async findDueToEnd(now, { limit = 100 } = {}) {
+    return await PriceSchedule.find({ status: 'active', endsAt: { $lte: now } })
+      .sort({ endsAt: 1 })
+      .limit(limit);
+  }
+
+  /**
+   * Cambiar el estado solo si la programación sigue en el estado esperado
+   * Evita que dos ejecuciones del job (o una cancelación) la procesen dos veces.
+   * @param {String} id - ID de la programación
+   * @param {String} fromStatus - Estado esperado
+   * @param {Object} update - Campos a modificar (incluido el nuevo status)
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<PriceSchedule|null>}
+   */
+  async transition(id, fromStatus, update, { session } = {}) {
+    return await PriceSchedule.findOneAndUpdate(
+      { _id: id, status: fromStatus },
+      update,
+      { new: true, session }
+    );
+  }
+
+  /**
+   * Eliminar las programaciones de precio de productos eliminados permanentemente
+   * @param {Array} productIds - IDs de los productos
+   * @returns {Promise<Number>} - Documentos eliminados
+   */
+  async deleteByProducts(productIds) {
+    const result = await PriceSchedule.deleteMany({ product: { $in: productIds } });
+    return result.deletedCount;
+  }
+}
+
+module.exports = new PriceScheduleRepository();
@@ -1,4 +1,7 @@
 const Product = require('../models/product.model');
+const { PRODUCT_SORT_FIELDS, toPublicImage } = require('../models/product.model');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { escapeRegExp, normalizeText } = require('../utils/text');
 
 /**
  * Repository Pattern - Abstrae el acceso a datos
@@ -11,20 +14,27 @@ class ProductRepository {
   /**
    * Crear un nuevo producto
    * @param {Object} productData - Datos del producto
+   * @param {Object} options - { session } para operaciones transaccionales
    * @returns {Promise<Product>}
    */
-  async create(productData) {
+  async create(productData, { session } = {}) {
     const product = new Product(productData);
-    return await product.save();
+    return await product.save({ session });
   }
 
   /**
    * Obtener todos los productos con filtros opcionales
+   * Con `options.cursor` definido se usa paginación por cursor;
+   * si no, paginación por página.
    * @param {Object} filters - Filtros de búsqueda
    * @param {Object} options - Opciones de paginación y ordenamiento
-   * @returns {Promise<Array>}
+   * @returns {Promise<Object>}
    */
   async findAll(filters = {}, options = {}) {
+    if (options.cursor !== undefined) {
+      return await this._findWithCursor(filters, options);
+    }
+
     const {
       page = 1,
       limit = 10,
@@ -33,9 +43,13 @@ class ProductRepository {
     } = options;
 
     const skip = (page - 1) * limit;
-    const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    // _id como desempate: el orden es estable aunque haya valores repetidos
+    const sort = sortBy === 'relevance'
+      ? { score: { $meta: 'textScore' }, _id: -1 }
+      : { [sortBy]: direction, _id: direction };
 
-    const products = await Product.find(filters)
+    const products = await Product.find(filters, this._scoreProjection(filters))
       .sort(sort)
       .skip(skip)
       .limit(limit)
@@ -44,7 +58,7 @@ class ProductRepository {
     const total = await Product.countDocuments(filters);
 
     return {
-      products,
+      products: this._withPublicImages(products),
       pagination: {
         total,
         page: parseInt(page),
@@ -55,99 +69,772 @@ class ProductRepository {
   }
 
   /**
-   * Obtener producto por ID
-   * @param {String} id - ID del producto
-   * @returns {Promise<Product|null>}
+   * Recorrer productos con un cursor de MongoDB (sin cargar todo en memoria)
+   * @param {Object} filters - Filtros de búsqueda
+   * @param {Object} options - { sortBy, sortOrder }
+   * @returns {QueryCursor} - Iterable con `for await`
    */
-  async findById(id) {
-    return await Product.findById(id);
+  streamAll(filters = {}, options = {}) {
+    const { sortBy = 'createdAt', sortOrder = 'desc' } = options;
+    const direction = sortOrder === 'asc' ? 1 : -1;
+
+    return Product.find(filters)
+      .sort({ [sortBy]: direction, _id: direction })
+      .lean()
+      .cursor({ batchSize: 500 });
   }
 
   /**
-   * Obtener producto por nombre
-   * @param {String} name - Nombre del producto
-   * @returns {Promise<Product|null>}
+   * Imágenes de productos leídos con lean(): sin toJSON, se exponen igual que en los documentos
+   * @param {Array} products - Objetos planos
+   * @returns {Array}
+   */
+  _withPublicImages(products) {
+    products.forEach(product => {
+      if (product.images) {
+        product.images = product.images.map(toPublicImage);
+      }
+    });
+    return products;
+  }
+
+  /**
+   * Incluir la puntuación de relevancia cuando la consulta usa $text
+   */
+  _scoreProjection(filters) {
+    return filters.$text ? { score: { $meta: 'textScore' } } : undefined;
+  }
+
+  /**
+   * Sugerencias de autocompletado por prefijo del nombre
+   * Usa el índice de searchName: el prefijo anclado y normalizado es eficiente
+   * @param {String} prefix - Texto escrito por el usuario
+   * @param {Number} limit - Máximo de sugerencias
+   * @returns {Promise<Array>}
+   */
+  async suggestByPrefix(prefix, limit = 10) {
+    return await Product.find({
+      searchName: new RegExp(`^${escapeRegExp(normalizeText(prefix))}`),
+      isActive: true
+    })
+      .select('name category price')
+      .sort({ searchName: 1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Completar searchName en los productos guardados antes de que existiera el campo
+   * Se escribe por lotes con bulkWrite, que no pasa por los middlewares: la versión no cambia.
+   * @param {Number} batchSize - Productos por lote
+   * @returns {Promise<Number>} - Productos actualizados
+   */
+  async backfillSearchNames(batchSize = 500) {
+    const cursor = Product.find({ searchName: null }).select('name').lean().cursor({ batchSize });
+    let batch = [];
+    let updated = 0;
+
+    const flush = async () => {
+      if (batch.length > 0) {
+        const result = await Product.bulkWrite(batch, { ordered: false });
+        updated += result.modifiedCount;
+        batch = [];
+      }
+    };
+
+    for await (const product of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { _id: product._id, searchName: null },
+          update: { $set: { searchName: normalizeText(product.name) } }
+        }
+      });
+      if (batch.length >= batchSize) {
+        await flush();
+      }
+    }
+    await flush();
+
+    return updated;
+  }
+
+  /**
+   * Paginación por cursor (keyset)
+   * No usa skip ni countDocuments: cada página continúa después del último
+   * elemento visto, así las inserciones no duplican ni saltan resultados.
+   * Si se indica sortBy/sortOrder, el cursor tiene que haberse generado con el mismo orden.
+   * @param {Object} filters - Filtros de búsqueda
+   * @param {Object} options - { cursor, limit, sortBy, sortOrder }
+   * @returns {Promise<Object>}
    */
-  async findByName(name) {
-    return await Product.findOne({ 
-      name: new RegExp(name, 'i') // Búsqueda case-insensitive
+  async _findWithCursor(filters, options) {
+    const { limit = 10 } = options;
+    const position = options.cursor
+      ? decodeCursor(options.cursor, {
+        sortFields: PRODUCT_SORT_FIELDS,
+        sortBy: options.sortBy,
+        sortOrder: options.sortOrder
+      })
+      : null;
+
+    const sortBy = position ? position.sortBy : (options.sortBy || 'createdAt');
+    const sortOrder = position ? position.sortOrder : (options.sortOrder || 'desc');
+    const isPrev = position ? position.direction === 'prev' : false;
+
+    // Para retroceder se recorre en orden inverso y luego se invierte la página
+    const baseDirection = sortOrder === 'asc' ? 1 : -1;
+    const direction = isPrev ? -baseDirection : baseDirection;
+    const operator = direction === 1 ? '$gt' : '$lt';
+
+    const query = position
+      ? {
+        $and: [
+          filters,
+          {
+            $or: [
+              { [sortBy]: { [operator]: position.value } },
+              { [sortBy]: position.value, _id: { [operator]: position.id } }
+            ]
+          }
+        ]
+      }
+      : filters;
+
+    const rows = await Product.find(query, this._scoreProjection(filters))
+      .sort({ [sortBy]: direction, _id: direction })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = rows.length > limit;
+    const products = this._withPublicImages(hasMore ? rows.slice(0, limit) : rows);
+    if (isPrev) {
+      products.reverse();
+    }
+
+    const first = products[0];
+    const last = products[products.length - 1];
+    const toCursor = (product, cursorDirection) => encodeCursor({
+      sortBy,
+      sortOrder,
+      value: product[sortBy],
+      id: product._id,
+      direction: cursorDirection
     });
+
+    // Al avanzar siempre hay página previa; al retroceder siempre hay siguiente
+    const hasNext = isPrev ? !!position : hasMore;
+    const hasPrev = isPrev ? hasMore : !!position;
+
+    return {
+      products,
+      pagination: {
+        mode: 'cursor',
+        limit,
+        sortBy,
+        sortOrder,
+        nextCursor: hasNext && last ? toCursor(last, 'next') : null,
+        prevCursor: hasPrev && first ? toCursor(first, 'prev') : null,
+        hasMore: hasNext
+      }
+    };
+  }
+
+  /**
+   * Obtener producto por ID
+   * @param {String} id - ID del producto
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<Product|null>}
+   */
+  async findById(id, { session } = {}) {
+    return await Product.findById(id).session(session || null);
   }
 
   /**
    * Actualizar producto
    * @param {String} id - ID del producto
    * @param {Object} updateData - Datos a actualizar
-   * @returns {Promise<Product|null>}
+   * @param {Object} options - { versions } para actualizar solo si la versión coincide,
+   *   { session } para operaciones transaccionales
+   * @returns {Promise<Product|null>} - null si no existe o la versión no coincide
    */
-  async update(id, updateData) {
-    return await Product.findByIdAndUpdate(
-      id,
+  async update(id, updateData, { versions, session } = {}) {
+    return await Product.findOneAndUpdate(
+      this._byIdAndVersion(id, versions),
       updateData,
       { 
         new: true, // Devuelve el documento actualizado
-        runValidators: true // Ejecuta validadores del schema
+        runValidators: true, // Ejecuta validadores del schema
+        session
       }
     );
   }
 
   /**
-   * Eliminar producto (soft delete)
+   * Eliminar producto (soft delete): se desactiva y pasa a la papelera
+   * Se guarda si estaba activo; la condición sobre isActive evita guardar un estado ya cambiado.
    * @param {String} id - ID del producto
-   * @returns {Promise<Product|null>}
+   * @param {String} userId - Usuario que lo elimina
+   * @param {Object} options - { isActive } estado leído del producto, { versions } para eliminar
+   *   solo si la versión coincide
+   * @returns {Promise<Product|null>} - null si no existe, cambió isActive o la versión no coincide
+   */
+  async softDelete(id, userId, { isActive, versions } = {}) {
+    return await Product.findOneAndUpdate(
+      { ...this._byIdAndVersion(id, versions), isActive },
+      { isActive: false, activeBeforeDelete: isActive, deletedAt: new Date(), deletedBy: userId || null },
+      { new: true }
+    );
+  }
+
+  /**
+   * Sacar un producto de la papelera
+   * @param {String} id - ID del producto
+   * @param {Object} options - { isActive } estado con el que vuelve, { versions } para restaurar
+   *   solo si la versión coincide
+   * @returns {Promise<Product|null>} - null si no existe, no está en la papelera o la versión no coincide
    */
-  async softDelete(id) {
-    return await Product.findByIdAndUpdate(
-      id,
-      { isActive: false },
+  async restore(id, { isActive, versions } = {}) {
+    return await Product.findOneAndUpdate(
+      { ...this._byIdAndVersion(id, versions), deletedAt: { $ne: null } },
+      { isActive, activeBeforeDelete: null, deletedAt: null, deletedBy: null },
       { new: true }
     );
   }
 
+  /**
+   * Listar la papelera, los eliminados más recientes primero
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>}
+   */
+  async findTrash(options = {}) {
+    const { page = 1, limit = 10 } = options;
+    const filters = { deletedAt: { $ne: null } };
+    const skip = (page - 1) * limit;
+
+    const products = await Product.find(filters)
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Product.countDocuments(filters);
+
+    return {
+      products: this._withPublicImages(products),
+      pagination: {
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        hasMore: skip + products.length < total
+      }
+    };
+  }
+
+  /**
+   * Productos que llevan en la papelera desde antes de la fecha de corte
+   * @param {Date} cutoff - Fecha de corte
+   * @param {Number} limit - Tamaño del lote
+   * @returns {Promise<Array>}
+   */
+  async findExpiredTrash(cutoff, limit = 500) {
+    return await Product.find({ deletedAt: { $ne: null, $lte: cutoff } })
+      .select('name sku deletedAt deletedBy images')
+      .sort({ deletedAt: 1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Eliminar permanentemente productos vencidos de la papelera
+   * La condición se repite por si alguno se restauró mientras tanto; se borran de a uno
+   * para saber exactamente cuáles se eliminaron
+   * @param {Array<String>} ids - IDs de los productos
+   * @param {Date} cutoff - Fecha de corte
+   * @returns {Promise<Array<String>>} - IDs de los productos eliminados
+   */
+  async deleteExpiredTrash(ids, cutoff) {
+    const deleted = [];
+    for (const id of ids) {
+      const product = await Product.findOneAndDelete(
+        { _id: id, deletedAt: { $ne: null, $lte: cutoff } },
+        { projection: { _id: 1 } }
+      );
+      if (product) {
+        deleted.push(String(product._id));
+      }
+    }
+    return deleted;
+  }
+
   /**
    * Eliminar producto permanentemente
    * @param {String} id - ID del producto
+   * @param {Object} options - { versions } para eliminar solo si la versión coincide
    * @returns {Promise<Product|null>}
    */
-  async hardDelete(id) {
-    return await Product.findByIdAndDelete(id);
+  async hardDelete(id, { versions } = {}) {
+    return await Product.findOneAndDelete(this._byIdAndVersion(id, versions));
+  }
+
+  /**
+   * Filtro por ID y, si se indican, por las versiones aceptadas (If-Match)
+   * Los productos anteriores al versionado no tienen el campo: cuentan como versión 0
+   */
+  _byIdAndVersion(id, versions) {
+    const filter = { _id: id };
+    if (versions) {
+      filter.version = { $in: versions.includes(0) ? [...versions, null] : versions };
+    }
+    return filter;
   }
 
   /**
    * Buscar productos por categoría
-   * @param {String} category - Categoría del producto
-   * @returns {Promise<Array>}
+   * @param {Array<String>} categories - Slugs de la categoría y sus subcategorías
+   * @param {Object} options - Con `cursor` devuelve una página { products, pagination }
+   * @returns {Promise<Array|Object>}
+   */
+  async findByCategory(categories, options = {}) {
+    const filters = { category: { $in: categories }, isActive: true };
+
+    if (options.cursor !== undefined) {
+      return await this._findWithCursor(filters, options);
+    }
+    return await Product.find(filters);
+  }
+
+  /**
+   * Contar productos (activos o no) asignados a categorías
+   * @param {Array<String>} categories - Slugs de categorías
+   * @returns {Promise<Number>}
+   */
+  async countByCategories(categories) {
+    return await Product.countDocuments({ category: { $in: categories } });
+  }
+
+  /**
+   * Valores distintos de `category` guardados en los productos, tal como están en la base
+   * @returns {Promise<Array<String>>}
+   */
+  async distinctCategoryValues() {
+    return await Product.collection.distinct('category');
+  }
+
+  /**
+   * Reemplazar un valor de `category` guardado tal cual (ej: 'Electrónica' del antiguo enum)
+   * Va directo a la colección: el esquema pasaría el filtro a minúsculas y no lo encontraría.
+   * No cuenta como modificación del producto (la versión no cambia).
+   * @param {String} from - Valor guardado
+   * @param {String} to - Slug de la categoría
+   * @returns {Promise<Number>} - Productos actualizados
    */
-  async findByCategory(category) {
-    return await Product.find({ category, isActive: true });
+  async replaceCategoryValue(from, to) {
+    const result = await Product.collection.updateMany({ category: from }, { $set: { category: to } });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Reasignar todos los productos de una categoría a otra
+   * @param {String} from - Slug de la categoría de origen
+   * @param {String} to - Slug de la categoría de destino
+   * @returns {Promise<Number>} - Cantidad de productos movidos
+   */
+  async reassignCategory(from, to) {
+    const result = await Product.updateMany({ category: from }, { category: to });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Filtro de stock bajo a nivel de variante
+   * Un producto sin variantes cuenta por su stock; uno con variantes, si alguna está en el umbral
+   * @param {Number} threshold - Umbral de stock
+   * @returns {Object}
+   */
+  lowStockFilter(threshold) {
+    return {
+      $or: [
+        { 'variants.0': { $exists: false }, stock: { $lte: threshold } },
+        { 'variants.stock': { $lte: threshold } }
+      ]
+    };
   }
 
   /**
    * Buscar productos con stock bajo
    * @param {Number} threshold - Umbral de stock
+   * @param {Object} options - Con `cursor` devuelve una página { products, pagination }
+   * @returns {Promise<Array|Object>}
+   */
+  async findLowStock(threshold = 10, options = {}) {
+    const filters = {
+      ...this.lowStockFilter(threshold),
+      isActive: true
+    };
+
+    if (options.cursor !== undefined) {
+      return await this._findWithCursor(filters, options);
+    }
+    return await Product.find(filters);
+  }
+
+  /**
+   * Contar los productos del catálogo por estado
+   * @param {Number} lowStockThreshold - Umbral de stock bajo
+   * @returns {Promise<Object>} - { active, inactive, trash, lowStock } (lowStock: activos con stock bajo)
+   */
+  async countByState(lowStockThreshold) {
+    const [active, inactive, trash, lowStock] = await Promise.all([
+      Product.countDocuments({ deletedAt: null, isActive: true }),
+      Product.countDocuments({ deletedAt: null, isActive: false }),
+      Product.countDocuments({ deletedAt: { $ne: null } }),
+      Product.countDocuments({ ...this.lowStockFilter(lowStockThreshold), deletedAt: null, isActive: true })
+    ]);
+
+    return { active, inactive, trash, lowStock };
+  }
+
+  /**
+   * Productos activos con punto de pedido cuyo stock llegó a él
+   * Incluye los datos de sus proveedores para sugerir la reposición.
    * @returns {Promise<Array>}
    */
-  async findLowStock(threshold = 10) {
+  async findAtReorderPoint() {
     return await Product.find({
-      stock: { $lte: threshold },
-      isActive: true
-    });
+      isActive: true,
+      deletedAt: null,
+      reorderPoint: { $ne: null },
+      $expr: { $lte: ['$stock', '$reorderPoint'] }
+    })
+      .populate('suppliers.supplier', 'name leadTimeDays isActive')
+      .sort({ name: 1 });
   }
 
   /**
-   * Actualizar stock de un producto
+   * Actualizar stock de un producto de forma atómica
+   * Al restar, la condición sobre el stock evita dejarlo en negativo
+   * aunque haya ventas concurrentes.
+   * Con `variant` se actualizan en la misma operación el stock de la variante y el total del producto;
+   * sin ella, solo se aplica a productos sin variantes.
    * @param {String} id - ID del producto
    * @param {Number} quantity - Cantidad a sumar/restar
+   * @param {Object} options - { session } para operaciones transaccionales, { versions } para If-Match,
+   *   { variant } con { _id } o { sku } de la variante
+   * @returns {Promise<Product|null>} - null si no existe, no hay stock suficiente, la variante
+   *   no coincide o la versión no coincide
+   */
+  async updateStock(id, quantity, { session, versions, variant } = {}) {
+    const filter = this._byIdAndVersion(id, versions);
+
+    if (!variant) {
+      filter['variants.0'] = { $exists: false };
+      if (quantity < 0) {
+        filter.stock = { $gte: -quantity };
+      }
+
+      return await Product.findOneAndUpdate(
+        filter,
+        { $inc: { stock: quantity } },
+        { new: true, runValidators: true, session }
+      );
+    }
+
+    filter.variants = {
+      $elemMatch: quantity < 0 ? { ...variant, stock: { $gte: -quantity } } : variant
+    };
+
+    return await Product.findOneAndUpdate(
+      filter,
+      { $inc: { stock: quantity, 'variants.$[target].stock': quantity } },
+      {
+        new: true,
+        runValidators: true,
+        session,
+        arrayFilters: [this._variantArrayFilter('target', variant)]
+      }
+    );
+  }
+
+  /**
+   * Fijar el stock de un producto (reconstrucción desde el ledger)
+   * @param {String} id - ID del producto
+   * @param {Number} stock - Nuevo valor de stock
+   * @param {Object} options - { variants: [{ _id, stock }] } para fijar también el de cada variante,
+   *   { versions } para fijarlo solo si la versión coincide, { session } para operaciones transaccionales
+   * @returns {Promise<Product|null>} - null si no existe o la versión no coincide
+   */
+  async setStock(id, stock, { variants = [], versions, session } = {}) {
+    const update = { stock };
+    const arrayFilters = variants.map((variant, index) => {
+      update[`variants.$[v${index}].stock`] = variant.stock;
+      return { [`v${index}._id`]: variant._id };
+    });
+
+    return await Product.findOneAndUpdate(
+      this._byIdAndVersion(id, versions),
+      update,
+      { new: true, runValidators: true, session, ...(arrayFilters.length > 0 && { arrayFilters }) }
+    );
+  }
+
+  /**
+   * Agregar una variante (sin stock: el inicial se registra como movimiento)
+   * @param {String} id - ID del producto
+   * @param {Object} variantData - { sku, attributes, price }
+   * @param {Object} options - { versions } para agregar solo si la versión coincide
+   * @returns {Promise<Product|null>} - null si no existe, el SKU ya está en el producto o la versión no coincide
+   */
+  async addVariant(id, variantData, { versions } = {}) {
+    return await Product.findOneAndUpdate(
+      { ...this._byIdAndVersion(id, versions), 'variants.sku': { $ne: variantData.sku } },
+      { $push: { variants: { ...variantData, stock: 0 } } },
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Modificar SKU, atributos o precio de una variante
+   * @param {String} id - ID del producto
+   * @param {String} sku - SKU actual de la variante
+   * @param {Object} variantData - Campos a modificar ({ price: null } vuelve al precio del producto)
+   * @param {Object} options - { versions } para modificar solo si la versión coincide
+   * @returns {Promise<Product|null>}
+   */
+  async updateVariant(id, sku, variantData, { versions } = {}) {
+    const update = {};
+    Object.keys(variantData).forEach(field => {
+      update[`variants.$[target].${field}`] = variantData[field];
+    });
+
+    return await Product.findOneAndUpdate(
+      { ...this._byIdAndVersion(id, versions), 'variants.sku': sku },
+      { $set: update },
+      { new: true, runValidators: true, arrayFilters: [{ 'target.sku': sku }] }
+    );
+  }
+
+  /**
+   * Quitar una variante; solo si no tiene stock, para no descuadrar el ledger
+   * @param {String} id - ID del producto
+   * @param {String} sku - SKU de la variante
+   * @param {Object} options - { versions } para quitar solo si la versión coincide
    * @returns {Promise<Product|null>}
    */
-  async updateStock(id, quantity) {
-    return await Product.findByIdAndUpdate(
-      id,
-      { $inc: { stock: quantity } },
+  async removeVariant(id, sku, { versions } = {}) {
+    return await Product.findOneAndUpdate(
+      { ...this._byIdAndVersion(id, versions), variants: { $elemMatch: { sku, stock: 0 } } },
+      { $pull: { variants: { sku } } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Agregar imágenes al final de la galería
+   * @param {String} id - ID del producto
+   * @param {Array} images - Imágenes ya guardadas en el almacenamiento
+   * @param {Object} options - { versions, maxImages } la galería no puede superar maxImages
+   * @returns {Promise<Product|null>} - null si no existe, cambió la versión o no hay lugar
+   */
+  async addImages(id, images, { versions, maxImages } = {}) {
+    return await Product.findOneAndUpdate(
+      {
+        ...this._byIdAndVersion(id, versions),
+        deletedAt: null,
+        [`images.${maxImages - images.length}`]: { $exists: false }
+      },
+      { $push: { images: { $each: images } } },
       { new: true, runValidators: true }
     );
   }
 
+  /**
+   * Reordenar la galería
+   * Solo se aplica si las imágenes siguen siendo exactamente las mismas
+   * @param {String} id - ID del producto
+   * @param {Array} images - Imágenes actuales en el nuevo orden
+   * @param {Object} options - { versions } de If-Match
+   * @returns {Promise<Product|null>}
+   */
+  async setImageOrder(id, images, { versions } = {}) {
+    return await Product.findOneAndUpdate(
+      {
+        ...this._byIdAndVersion(id, versions),
+        deletedAt: null,
+        images: { $size: images.length },
+        'images._id': { $all: images.map(image => image._id) }
+      },
+      { $set: { images } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Quitar una imagen de la galería
+   * @param {String} id - ID del producto
+   * @param {String} imageId - ID de la imagen
+   * @param {Object} options - { versions } de If-Match
+   * @returns {Promise<Product|null>}
+   */
+  async removeImage(id, imageId, { versions } = {}) {
+    return await Product.findOneAndUpdate(
+      { ...this._byIdAndVersion(id, versions), 'images._id': imageId },
+      { $pull: { images: { _id: imageId } } },
+      { new: true }
+    );
+  }
+
+  _variantArrayFilter(identifier, variant) {
+    const filter = {};
+    Object.keys(variant).forEach(field => {
+      filter[`${identifier}.${field}`] = variant[field];
+    });
+    return filter;
+  }
+
+  /**
+   * Calcular estadísticas sobre toda la colección con un pipeline de agregación
+   * @param {Object} match - Filtro previo ($match)
+   * @param {Object} options - { interval: 'day'|'week'|'month', lowStockThreshold, stockBoundaries }
+   * @returns {Promise<Object>} - Resultado de cada faceta
+   */
+  async aggregateStatistics(match = {}, options = {}) {
+    const {
+      interval = 'day',
+      lowStockThreshold = 10,
+      stockBoundaries = [0, 1, 11, 51, 101]
+    } = options;
+
+    // Con variantes, cada una aporta su stock por su precio (o el del producto si no tiene)
+    const variants = { $ifNull: ['$variants', []] };
+    const hasVariants = { $gt: [{ $size: variants }, 0] };
+    const inventoryValue = {
+      $cond: [
+        hasVariants,
+        {
+          $sum: {
+            $map: {
+              input: variants,
+              as: 'variant',
+              in: { $multiply: [{ $ifNull: ['$$variant.price', '$price'] }, '$$variant.stock'] }
+            }
+          }
+        },
+        { $multiply: ['$price', '$stock'] }
+      ]
+    };
+    const lowStockVariants = {
+      $size: {
+        $filter: { input: variants, as: 'variant', cond: { $lte: ['$$variant.stock', lowStockThreshold] } }
+      }
+    };
+    const isLowStock = {
+      $cond: [hasVariants, { $gt: [lowStockVariants, 0] }, { $lte: ['$stock', lowStockThreshold] }]
+    };
+
+    const [result] = await Product.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                totalProducts: { $sum: 1 },
+                activeProducts: { $sum: { $cond: ['$isActive', 1, 0] } },
+                totalStock: { $sum: '$stock' },
+                totalInventoryValue: { $sum: inventoryValue },
+                lowStockProducts: {
+                  $sum: { $cond: [{ $and: ['$isActive', isLowStock] }, 1, 0] }
+                },
+                totalVariants: { $sum: { $size: variants } },
+                lowStockVariants: {
+                  $sum: { $cond: ['$isActive', lowStockVariants, 0] }
+                }
+              }
+            }
+          ],
+          byCategory: [
+            {
+              $group: {
+                _id: '$category',
+                products: { $sum: 1 },
+                stock: { $sum: '$stock' },
+                inventoryValue: { $sum: inventoryValue }
+              }
+            },
+            { $sort: { inventoryValue: -1 } }
+          ],
+          price: [
+            {
+              $group: {
+                _id: null,
+                min: { $min: '$price' },
+                avg: { $avg: '$price' },
+                max: { $max: '$price' }
+              }
+            }
+          ],
+          stockDistribution: [
+            {
+              $bucket: {
+                groupBy: '$stock',
+                boundaries: stockBoundaries,
+                default: 'over',
+                output: { products: { $sum: 1 } }
+              }
+            }
+          ],
+          createdOverTime: [
+            {
+              $group: {
+                _id: { $dateTrunc: { date: '$createdAt', unit: interval } },
+                products: { $sum: 1 }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    return result;
+  }
+
+  /**
+   * Obtener producto por nombre exacto (sin distinguir mayúsculas)
+   * @param {String} name - Nombre del producto
+   * @returns {Promise<Product|null>}
+   */
+  async findByExactName(name) {
+    return await Product.findOne({ name: new RegExp(`^${escapeRegExp(name)}$`, 'i') });
+  }
+
+  /**
+   * Obtener producto por SKU
+   * @param {String} sku - SKU del producto
+   * @returns {Promise<Product|null>}
+   */
+  async findBySku(sku) {
+    return await Product.findOne({ sku: String(sku).toUpperCase() });
+  }
+
+  /**
+   * Verificar si existe un producto o una variante con ese SKU
+   * @param {String} sku - SKU del producto o variante
+   * @param {String} excludeId - ID a excluir (útil para updates)
+   * @returns {Promise<Boolean>}
+   */
+  async existsBySku(sku, excludeId = null) {
+    const normalized = String(sku).toUpperCase();
+    // Productos y variantes comparten el espacio de SKU
+    const query = { $or: [{ sku: normalized }, { 'variants.sku': normalized }] };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+    const product = await Product.exists(query);
+    return !!product;
+  }
+
   /**
    * Verificar si existe un producto por nombre
    * @param {String} name - Nombre del producto
@@ -155,13 +842,29 @@ class ProductRepository {
    * @returns {Promise<Boolean>}
    */
   async existsByName(name, excludeId = null) {
-    const query = { name: new RegExp(`^${name}$`, 'i') };
+    const query = { name: new RegExp(`^${escapeRegExp(name)}$`, 'i') };
     if (excludeId) {
       query._id = { $ne: excludeId };
     }
     const product = await Product.findOne(query);
     return !!product;
   }
+
+  /**
+   * Abrir un change stream sobre la colección de productos
+   * Ve los cambios de todas las instancias de la aplicación; requiere replica set
+   * (igual que las transacciones). `fullDocument` llega hidratado con su estado actual.
+   * @param {Array} pipeline - Etapas de agregación para filtrar los cambios
+   * @param {Object} options - { resumeAfter } token del último cambio recibido
+   * @returns {ChangeStream}
+   */
+  watchChanges(pipeline = [], { resumeAfter } = {}) {
+    const options = { fullDocument: 'updateLookup', hydrate: true };
+    if (resumeAfter) {
+      options.resumeAfter = resumeAfter;
+    }
+    return Product.watch(pipeline, options);
+  }
 }
 
 module.exports = new ProductRepository();
\ No newline at end of file
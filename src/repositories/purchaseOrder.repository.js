@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/purchaseOrder.model');
+
+/**
+ * Repository Pattern - Acceso a datos de órdenes de compra
+ * Aplica:
+ * - Single Responsibility: Solo maneja operaciones de BD
+ * - Dependency Inversion: Los servicios dependen de esta abstracción
+ */
+class PurchaseOrderRepository {
+  /**
+   * Crear una orden de compra
+   * @param {Object} orderData - Datos de la orden
+   * @returns {Promise<PurchaseOrder>}
+   */
+  async create(orderData) {
+    const order = new PurchaseOrder(orderData);
+    return await order.save();
+  }
+
+  /**
+   * Obtener órdenes de compra con filtros opcionales
+   * @param {Object} filters - Filtros de búsqueda
+   * @param {Object} options - Opciones de paginación
+   * @returns {Promise<Object>}
+   */
+  async findAll(filters = {}, options = {}) {
+    const { page = 1, limit = 10 } = options;
+    const skip = (page - 1) * limit;
+
+    const purchaseOrders = await PurchaseOrder.find(filters)
+      .populate('supplier', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await PurchaseOrder.countDocuments(filters);
+
+    return {
+      purchaseOrders,
+      pagination: {
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        hasMore: skip + purchaseOrders.length < total
+      }
+    };
+  }
+
+  /**
+   * Obtener orden de compra por ID
+   * @param {String} id - ID de la orden
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<PurchaseOrder|null>}
+   */
+  async findById(id, { session } = {}) {
+    return await PurchaseOrder.findById(id).session(session || null);
+  }
+
+  /**
+   * Modificar una orden solo mientras siga en borrador
+   * @param {String} id - ID de la orden
+   * @param {Object} updateData - Datos a actualizar
+   * @returns {Promise<PurchaseOrder|null>} - null si no existe o ya no es borrador
+   */
+  async updateDraft(id, updateData) {
+    return await PurchaseOrder.findOneAndUpdate(
+      { _id: id, status: 'draft' },
+      updateData,
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Cambiar el estado solo si la orden sigue en uno de los estados esperados
+   * @param {String} id - ID de la orden
+   * @param {Array<String>} fromStatuses - Estados desde los que se permite el cambio
+   * @param {String} status - Nuevo estado
+   * @param {String} userId - Usuario que realiza el cambio
+   * @param {Object} extra - Campos a fijar junto con el estado (ej: sentAt, expectedAt)
+   * @returns {Promise<PurchaseOrder|null>}
+   */
+  async transitionStatus(id, fromStatuses, status, userId, extra = {}) {
+    return await PurchaseOrder.findOneAndUpdate(
+      { _id: id, status: { $in: fromStatuses } },
+      {
+        ...extra,
+        status,
+        $push: { statusHistory: { status, changedBy: userId } }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Guardar los cambios de una orden leída en la misma transacción (recepciones)
+   * @param {PurchaseOrder} order - Documento modificado
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<PurchaseOrder>}
+   */
+  async save(order, { session } = {}) {
+    return await order.save({ session });
+  }
+
+  /**
+   * Cantidades pedidas y todavía no recibidas, por producto
+   * Solo cuentan las órdenes enviadas o recibidas en parte.
+   * @param {Array} productIds - IDs de los productos
+   * @returns {Promise<Array>} - [{ product, pending }]
+   */
+  async sumPendingByProduct(productIds) {
+    const ids = productIds.map(id => new mongoose.Types.ObjectId(String(id)));
+    const groups = await PurchaseOrder.aggregate([
+      { $match: { status: { $in: ['sent', 'partially_received'] }, 'items.product': { $in: ids } } },
+      { $unwind: '$items' },
+      { $match: { 'items.product': { $in: ids } } },
+      {
+        $group: {
+          _id: '$items.product',
+          pending: { $sum: { $subtract: ['$items.quantity', '$items.received'] } }
+        }
+      }
+    ]);
+
+    return groups.map(group => ({ product: group._id, pending: group.pending }));
+  }
+}
+
+module.exports = new PurchaseOrderRepository();
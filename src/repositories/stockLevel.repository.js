@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const StockLevel = require('../models/stockLevel.model');
+
+/**
+ * Repository Pattern - Acceso a datos del stock por ubicación
+ * Aplica:
+ * - Single Responsibility: Solo maneja operaciones de BD
+ * - Dependency Inversion: Los servicios dependen de esta abstracción
+ */
+class StockLevelRepository {
+  /**
+   * Sumar o restar cantidad en una ubicación de forma atómica
+   * Al restar, la condición sobre la cantidad evita dejarla en negativo;
+   * al sumar, el nivel se crea si no existía.
+   * @param {Object} key - { product, variant, location } con variant null para productos sin variantes
+   * @param {Number} quantity - Cantidad a sumar/restar
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<StockLevel|null>} - null si no hay cantidad suficiente en la ubicación
+   */
+  async increment(key, quantity, { session } = {}) {
+    const filter = this._byKey(key);
+
+    if (quantity < 0) {
+      return await StockLevel.findOneAndUpdate(
+        { ...filter, quantity: { $gte: -quantity } },
+        { $inc: { quantity } },
+        { new: true, session }
+      );
+    }
+
+    return await StockLevel.findOneAndUpdate(
+      filter,
+      { $inc: { quantity } },
+      { new: true, upsert: true, setDefaultsOnInsert: true, session }
+    );
+  }
+
+  /**
+   * Obtener el nivel de un producto o variante en una ubicación
+   * @param {Object} key - { product, variant, location }
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<StockLevel|null>}
+   */
+  async findOne(key, { session } = {}) {
+    return await StockLevel.findOne(this._byKey(key)).session(session || null);
+  }
+
+  /**
+   * Obtener los niveles de un producto en todas las ubicaciones
+   * @param {String} productId - ID del producto
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<Array>}
+   */
+  async findByProduct(productId, { session } = {}) {
+    return await StockLevel.find({ product: productId })
+      .populate('location', 'code name type isDefault')
+      .session(session || null)
+      .lean();
+  }
+
+  /**
+   * Sumar la cantidad asignada a ubicaciones de un producto o variante
+   * @param {String} productId - ID del producto
+   * @param {String|null} variantId - ID de la variante; null para productos sin variantes
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<Number>}
+   */
+  async sumAssigned(productId, variantId, { session } = {}) {
+    const [result] = await StockLevel.aggregate([
+      {
+        $match: {
+          product: new mongoose.Types.ObjectId(String(productId)),
+          variant: variantId ? new mongoose.Types.ObjectId(String(variantId)) : null
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$quantity' } } }
+    ]).session(session || null);
+
+    return result ? result.total : 0;
+  }
+
+  /**
+   * Obtener los niveles de una ubicación con los datos del producto y la variante
+   * No incluye productos en la papelera.
+   * @param {String} locationId - ID de la ubicación
+   * @param {Object} options - { maxQuantity } para el reporte de stock bajo (solo productos activos),
+   *   { page, limit } de paginación
+   * @returns {Promise<Object>} - { levels, pagination }
+   */
+  async findByLocation(locationId, options = {}) {
+    const { maxQuantity, page = 1, limit = 20 } = options;
+    const lowStock = maxQuantity !== undefined;
+
+    const match = { location: new mongoose.Types.ObjectId(String(locationId)) };
+    if (lowStock) {
+      match.quantity = { $lte: maxQuantity };
+    }
+
+    const productMatch = { 'product.deletedAt': null };
+    if (lowStock) {
+      productMatch['product.isActive'] = true;
+    }
+
+    const skip = (page - 1) * limit;
+    const [result] = await StockLevel.aggregate([
+      { $match: match },
+      { $lookup: { from: 'products', localField: 'product', foreignField: '_id', as: 'product' } },
+      { $unwind: '$product' },
+      { $match: productMatch },
+      // El reporte de stock bajo muestra primero lo más urgente
+      { $sort: lowStock ? { quantity: 1, 'product.name': 1, _id: 1 } : { 'product.name': 1, _id: 1 } },
+      {
+        $facet: {
+          levels: [
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                product: { id: '$product._id', name: '$product.name', sku: '$product.sku' },
+                variant: {
+                  $let: {
+                    vars: {
+                      match: {
+                        $arrayElemAt: [{
+                          $filter: {
+                            input: { $ifNull: ['$product.variants', []] },
+                            cond: { $eq: ['$$this._id', '$variant'] }
+                          }
+                        }, 0]
+                      }
+                    },
+                    in: { $cond: ['$$match', { id: '$$match._id', sku: '$$match.sku' }, null] }
+                  }
+                },
+                quantity: 1,
+                updatedAt: 1
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    return {
+      levels: result.levels,
+      pagination: {
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        hasMore: skip + result.levels.length < total
+      }
+    };
+  }
+
+  /**
+   * Totales por ubicación: unidades y cantidad de productos/variantes con stock
+   * @returns {Promise<Array>} - [{ location, quantity, items }]
+   */
+  async totalsByLocation() {
+    const groups = await StockLevel.aggregate([
+      {
+        $group: {
+          _id: '$location',
+          quantity: { $sum: '$quantity' },
+          items: { $sum: { $cond: [{ $gt: ['$quantity', 0] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    return groups.map(group => ({ location: group._id, quantity: group.quantity, items: group.items }));
+  }
+
+  /**
+   * Verificar si una ubicación tiene stock
+   * @param {String} locationId - ID de la ubicación
+   * @returns {Promise<Boolean>}
+   */
+  async hasStock(locationId) {
+    const level = await StockLevel.exists({ location: locationId, quantity: { $gt: 0 } });
+    return !!level;
+  }
+
+  /**
+   * Eliminar los niveles de productos (eliminación permanente) o de una variante
+   * @param {Array} productIds - IDs de los productos
+   * @param {Object} options - { variant } ID de la variante; null para los niveles sin variante
+   * @returns {Promise<Number>} - Niveles eliminados
+   */
+  async deleteByProducts(productIds, { variant } = {}) {
+    const filter = { product: { $in: productIds } };
+    if (variant !== undefined) {
+      filter.variant = variant;
+    }
+
+    const result = await StockLevel.deleteMany(filter);
+    return result.deletedCount;
+  }
+
+  _byKey({ product, variant = null, location }) {
+    return { product, variant, location };
+  }
+}
+
+module.exports = new StockLevelRepository();
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const StockMovement = require('../models/stockMovement.model');
+
+/**
+ * Repository Pattern - Acceso a datos del ledger de stock
+ * Aplica:
+ * - Single Responsibility: Solo maneja operaciones de BD
+ * - Dependency Inversion: Los servicios dependen de esta abstracción
+ */
+class StockMovementRepository {
+  /**
+   * Registrar un movimiento de stock
+   * @param {Object} movementData - Datos del movimiento
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<StockMovement>}
+   */
+  async create(movementData, { session } = {}) {
+    const movement = new StockMovement(movementData);
+    return await movement.save({ session });
+  }
+
+  /**
+   * Obtener los movimientos de un producto
+   * @param {String} productId - ID del producto
+   * @param {Object} filters - { from, to } rango de fechas, { variant } ID de la variante
+   * @param {Object} options - Opciones de paginación
+   * @returns {Promise<Object>}
+   */
+  async findByProduct(productId, filters = {}, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const query = { product: productId };
+
+    if (filters.variant) {
+      query.variant = filters.variant;
+    }
+
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = filters.from;
+      if (filters.to) query.createdAt.$lte = filters.to;
+    }
+
+    const skip = (page - 1) * limit;
+    const movements = await StockMovement.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await StockMovement.countDocuments(query);
+
+    return {
+      movements,
+      pagination: {
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        hasMore: skip + movements.length < total
+      }
+    };
+  }
+
+  /**
+   * Sumar todas las cantidades del ledger de un producto (sin las conciliaciones)
+   * @param {String} productId - ID del producto
+   * @returns {Promise<Object>} - { total, count }
+   */
+  async sumByProduct(productId) {
+    const [result] = await StockMovement.aggregate([
+      { $match: { product: new mongoose.Types.ObjectId(productId), reason: { $ne: 'reconcile' } } },
+      { $group: { _id: null, total: { $sum: '$quantity' }, count: { $sum: 1 } } }
+    ]);
+
+    return result ? { total: result.total, count: result.count } : { total: 0, count: 0 };
+  }
+
+  /**
+   * Sumar las cantidades del ledger de un producto agrupadas por variante (sin las conciliaciones)
+   * @param {String} productId - ID del producto
+   * @returns {Promise<Array>} - [{ variant, total, count }]; variant null para movimientos del producto
+   */
+  async sumByVariant(productId) {
+    const groups = await StockMovement.aggregate([
+      { $match: { product: new mongoose.Types.ObjectId(productId), reason: { $ne: 'reconcile' } } },
+      { $group: { _id: '$variant', total: { $sum: '$quantity' }, count: { $sum: 1 } } }
+    ]);
+
+    return groups.map(group => ({ variant: group._id, total: group.total, count: group.count }));
+  }
+
+  /**
+   * Eliminar los movimientos de productos eliminados permanentemente
+   * @param {Array} productIds - IDs de los productos
+   * @returns {Promise<Number>} - Documentos eliminados
+   */
+  async deleteByProducts(productIds) {
+    const result = await StockMovement.deleteMany({ product: { $in: productIds } });
+    return result.deletedCount;
+  }
+}
+
+module.exports = new StockMovementRepository();
@@ -0,0 +1,78 @@
+const Supplier = require('../models/supplier.model');
+const { escapeRegExp } = require('../utils/text');
+
+/**
+ * Repository Pattern - Acceso a datos de proveedores
+ * Aplica:
+ * - Single Responsibility: Solo maneja operaciones de BD
+ * - Dependency Inversion: Los servicios dependen de esta abstracción
+ */
+class SupplierRepository {
+  /**
+   * Crear un proveedor
+   * @param {Object} supplierData - Datos del proveedor
+   * @returns {Promise<Supplier>}
+   */
+  async create(supplierData) {
+    const supplier = new Supplier(supplierData);
+    return await supplier.save();
+  }
+
+  /**
+   * Obtener todos los proveedores
+   * @param {Object} filters - Filtros de búsqueda
+   * @returns {Promise<Array>}
+   */
+  async findAll(filters = {}) {
+    return await Supplier.find(filters).sort({ name: 1 });
+  }
+
+  /**
+   * Obtener proveedor por ID
+   * @param {String} id - ID del proveedor
+   * @returns {Promise<Supplier|null>}
+   */
+  async findById(id) {
+    return await Supplier.findById(id);
+  }
+
+  /**
+   * Obtener varios proveedores por ID
+   * @param {Array} ids - IDs de los proveedores
+   * @returns {Promise<Array>}
+   */
+  async findByIds(ids) {
+    return await Supplier.find({ _id: { $in: ids } });
+  }
+
+  /**
+   * Verificar si existe un proveedor con ese nombre (sin distinguir mayúsculas)
+   * @param {String} name - Nombre del proveedor
+   * @param {String} excludeId - ID a excluir (para updates)
+   * @returns {Promise<Boolean>}
+   */
+  async existsByName(name, excludeId = null) {
+    const query = { name: new RegExp(`^${escapeRegExp(name)}$`, 'i') };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+    const supplier = await Supplier.exists(query);
+    return !!supplier;
+  }
+
+  /**
+   * Actualizar proveedor
+   * @param {String} id - ID del proveedor
+   * @param {Object} updateData - Datos a actualizar
+   * @returns {Promise<Supplier|null>}
+   */
+  async update(id, updateData) {
+    return await Supplier.findByIdAndUpdate(
+      id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+  }
+}
+
+module.exports = new SupplierRepository();
@@ -0,0 +1,87 @@
+const User = require('../models/user.model');
+
+/**
+ * Repository Pattern - Acceso a datos de usuarios
+ * Aplica:
+ * - Single Responsibility: Solo maneja operaciones de BD
+ * - Dependency Inversion: Los servicios dependen de esta abstracción
+ */
+class UserRepository {
+  /**
+   * Crear un nuevo usuario
+   * @param {Object} userData - Datos del usuario
+   * @returns {Promise<User>}
+   */
+  async create(userData) {
+    const user = new User(userData);
+    return await user.save();
+  }
+
+  /**
+   * Crear el administrador inicial del sistema
+   * El índice único de `bootstrap` garantiza que solo uno lo consiga aunque lleguen a la vez.
+   * @param {Object} userData - Datos del usuario
+   * @returns {Promise<User|null>} - null si otro registro ya creó el administrador inicial
+   */
+  async createBootstrapAdmin(userData) {
+    try {
+      return await this.create({ ...userData, bootstrap: true });
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.bootstrap) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener usuario por ID
+   * @param {String} id - ID del usuario
+   * @returns {Promise<User|null>}
+   */
+  async findById(id) {
+    return await User.findById(id);
+  }
+
+  /**
+   * Obtener usuario por email incluyendo la contraseña
+   * @param {String} email - Email del usuario
+   * @returns {Promise<User|null>}
+   */
+  async findByEmailWithPassword(email) {
+    return await User.findOne({ email: email.toLowerCase() }).select('+password');
+  }
+
+  /**
+   * Verificar si existe un usuario con ese email
+   * @param {String} email - Email del usuario
+   * @returns {Promise<Boolean>}
+   */
+  async existsByEmail(email) {
+    const user = await User.exists({ email: email.toLowerCase() });
+    return !!user;
+  }
+
+  /**
+   * Contar usuarios registrados
+   * @returns {Promise<Number>}
+   */
+  async count() {
+    return await User.countDocuments();
+  }
+
+  /**
+   * Registrar la fecha del último inicio de sesión
+   * @param {String} id - ID del usuario
+   * @returns {Promise<User|null>}
+   */
+  async touchLastLogin(id) {
+    return await User.findByIdAndUpdate(
+      id,
+      { lastLoginAt: new Date() },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new UserRepository();
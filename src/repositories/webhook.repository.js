@@ -0,0 +1,72 @@
+const Webhook = require('../models/webhook.model');
+
+/**
+ * Repository Pattern - Acceso a datos de suscripciones a webhooks
+ * Aplica:
+ * - Single Responsibility: Solo maneja operaciones de BD
+ * - Dependency Inversion: Los servicios dependen de esta abstracción
+ */
+class WebhookRepository {
+  /**
+   * Crear una suscripción
+   * @param {Object} webhookData - Datos de la suscripción
+   * @returns {Promise<Webhook>}
+   */
+  async create(webhookData) {
+    const webhook = new Webhook(webhookData);
+    return await webhook.save();
+  }
+
+  /**
+   * Obtener todas las suscripciones (sin el secreto)
+   * @returns {Promise<Array>}
+   */
+  async findAll() {
+    return await Webhook.find().sort({ createdAt: -1 });
+  }
+
+  /**
+   * Obtener suscripción por ID
+   * @param {String} id - ID de la suscripción
+   * @param {Object} options - { withSecret } para incluir el secreto (firma de entregas)
+   * @returns {Promise<Webhook|null>}
+   */
+  async findById(id, { withSecret = false } = {}) {
+    const query = Webhook.findById(id);
+    return await (withSecret ? query.select('+secret') : query);
+  }
+
+  /**
+   * Suscripciones activas a un tipo de evento (o a todos con "*")
+   * @param {String} type - Tipo de evento
+   * @returns {Promise<Array>}
+   */
+  async findActiveByEvent(type) {
+    return await Webhook.find({ isActive: true, events: { $in: [type, '*'] } });
+  }
+
+  /**
+   * Actualizar suscripción
+   * @param {String} id - ID de la suscripción
+   * @param {Object} updateData - Datos a actualizar
+   * @returns {Promise<Webhook|null>}
+   */
+  async update(id, updateData) {
+    return await Webhook.findByIdAndUpdate(
+      id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Eliminar suscripción
+   * @param {String} id - ID de la suscripción
+   * @returns {Promise<Webhook|null>}
+   */
+  async delete(id) {
+    return await Webhook.findByIdAndDelete(id);
+  }
+}
+
+module.exports = new WebhookRepository();
@@ -0,0 +1,126 @@
+const WebhookDelivery = require('../models/webhookDelivery.model');
+
+/**
+ * Repository Pattern - Acceso a datos de entregas de webhooks
+ * Aplica:
+ * - Single Responsibility: Solo maneja operaciones de BD
+ * - Dependency Inversion: Los servicios dependen de esta abstracción
+ */
+class WebhookDeliveryRepository {
+  /**
+   * Crear una entrega pendiente
+   * @param {Object} deliveryData - { webhook, event, redeliveryOf }
+   * @returns {Promise<WebhookDelivery>}
+   */
+  async create(deliveryData) {
+    const delivery = new WebhookDelivery(deliveryData);
+    return await delivery.save();
+  }
+
+  /**
+   * Obtener las entregas de una suscripción, de la más reciente a la más antigua
+   * @param {Object} filters - Filtros de búsqueda
+   * @param {Object} options - Opciones de paginación
+   * @returns {Promise<Object>}
+   */
+  async findAll(filters = {}, options = {}) {
+    const { page = 1, limit = 10 } = options;
+    const skip = (page - 1) * limit;
+
+    const deliveries = await WebhookDelivery.find(filters)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await WebhookDelivery.countDocuments(filters);
+
+    return {
+      deliveries,
+      pagination: {
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        hasMore: skip + deliveries.length < total
+      }
+    };
+  }
+
+  /**
+   * Obtener una entrega de una suscripción
+   * @param {String} webhookId - ID de la suscripción
+   * @param {String} id - ID de la entrega
+   * @returns {Promise<WebhookDelivery|null>}
+   */
+  async findOne(webhookId, id) {
+    return await WebhookDelivery.findOne({ _id: id, webhook: webhookId });
+  }
+
+  /**
+   * Reservar una entrega pendiente cuyo intento ya venció
+   * Posterga nextAttemptAt hasta `leaseUntil` para que nadie más la envíe mientras tanto;
+   * si el proceso se detiene a mitad del envío, la entrega vuelve a estar disponible.
+   * @param {Date} now - Momento actual
+   * @param {Date} leaseUntil - Hasta cuándo queda reservada
+   * @param {Object} options - { id } para reservar una entrega concreta
+   * @returns {Promise<WebhookDelivery|null>}
+   */
+  async claimDue(now, leaseUntil, { id } = {}) {
+    const filter = { status: 'pending', nextAttemptAt: { $lte: now } };
+    if (id) {
+      filter._id = id;
+    }
+
+    return await WebhookDelivery.findOneAndUpdate(
+      filter,
+      { nextAttemptAt: leaseUntil },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  /**
+   * Registrar un intento y el estado resultante
+   * @param {String} id - ID de la entrega
+   * @param {Object} attempt - { attemptedAt, statusCode, durationMs, error, responseBody }
+   * @param {Object} outcome - { status, nextAttemptAt, deliveredAt }
+   * @returns {Promise<WebhookDelivery|null>}
+   */
+  async recordAttempt(id, attempt, outcome) {
+    return await WebhookDelivery.findByIdAndUpdate(
+      id,
+      {
+        ...outcome,
+        $push: { attempts: attempt },
+        $inc: { attemptCount: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Dar por fallidas las entregas pendientes de una suscripción (al eliminarla)
+   * @param {String} webhookId - ID de la suscripción
+   * @returns {Promise<Object>}
+   */
+  async failPending(webhookId) {
+    return await WebhookDelivery.updateMany(
+      { webhook: webhookId, status: 'pending' },
+      { status: 'failed', nextAttemptAt: null }
+    );
+  }
+
+  /**
+   * Eliminar el registro de entregas terminadas antes de una fecha
+   * @param {Date} cutoff - Fecha límite
+   * @returns {Promise<Number>} - Entregas eliminadas
+   */
+  async deleteFinishedBefore(cutoff) {
+    const result = await WebhookDelivery.deleteMany({
+      status: { $ne: 'pending' },
+      createdAt: { $lt: cutoff }
+    });
+    return result.deletedCount;
+  }
+}
+
+module.exports = new WebhookDeliveryRepository();
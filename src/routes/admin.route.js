@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin.controller');
+const Validator = require('../middlewares/validator');
+const { idParams } = require('../validations/common.validation');
+const { PERMISSIONS } = require('../config/roles');
+
+/**
+ * Rutas del panel de administración (vistas EJS)
+ * La sesión se guarda en una cookie httpOnly; sin sesión se redirige al login
+ */
+router.get('/login', adminController.showLogin.bind(adminController));
+router.post('/login', adminController.login.bind(adminController));
+router.post('/logout', adminController.logout.bind(adminController));
+
+router.use(adminController.requireLogin.bind(adminController));
+
+router.get('/', adminController.dashboard.bind(adminController));
+
+router.get('/products', adminController.listProducts.bind(adminController));
+
+router.get(
+  '/products/new',
+  adminController.requirePermission(PERMISSIONS.PRODUCT_WRITE),
+  adminController.newProduct.bind(adminController)
+);
+
+router.post(
+  '/products',
+  adminController.requirePermission(PERMISSIONS.PRODUCT_WRITE),
+  adminController.createProduct.bind(adminController)
+);
+
+router.get(
+  '/products/:id/edit',
+  adminController.requirePermission(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ params: idParams }),
+  adminController.editProduct.bind(adminController)
+);
+
+router.post(
+  '/products/:id',
+  adminController.requirePermission(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ params: idParams }),
+  adminController.updateProduct.bind(adminController)
+);
+
+router.post(
+  '/products/:id/stock',
+  adminController.requirePermission(PERMISSIONS.STOCK_UPDATE),
+  Validator.validate({ params: idParams }),
+  adminController.adjustStock.bind(adminController)
+);
+
+router.post(
+  '/products/:id/delete',
+  adminController.requirePermission(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ params: idParams }),
+  adminController.deleteProduct.bind(adminController)
+);
+
+// Los errores del panel se muestran como página HTML, no como JSON
+router.use(adminController.handleError.bind(adminController));
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/auth.controller');
+const Validator = require('../middlewares/validator');
+const authValidation = require('../validations/auth.validation');
+const Auth = require('../middlewares/auth');
+
+/**
+ * Rutas de autenticación
+ */
+
+router.post(
+  '/register',
+  Auth.optionalAuthenticate,
+  Validator.validate({ body: authValidation.register }),
+  authController.register.bind(authController)
+);
+
+router.post(
+  '/login',
+  Validator.validate({ body: authValidation.login }),
+  authController.login.bind(authController)
+);
+
+router.post(
+  '/refresh',
+  Auth.authenticate,
+  authController.refresh.bind(authController)
+);
+
+router.get(
+  '/me',
+  Auth.authenticate,
+  authController.me.bind(authController)
+);
+
+module.exports = router;
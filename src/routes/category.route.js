@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/category.controller');
+const Validator = require('../middlewares/validator');
+const categoryValidation = require('../validations/category.validation');
+const Auth = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/roles');
+
+/**
+ * Rutas de categorías
+ * Organización RESTful
+ */
+router.use(Auth.authenticate);
+
+router.post(
+  '/',
+  Auth.authorize(PERMISSIONS.CATEGORY_WRITE),
+  Validator.validate({ body: categoryValidation.create }),
+  categoryController.createCategory.bind(categoryController)
+);
+
+router.get(
+  '/',
+  Auth.authorize(PERMISSIONS.CATEGORY_READ),
+  Validator.validate({ query: categoryValidation.listQuery }),
+  categoryController.getAllCategories.bind(categoryController)
+);
+
+router.get(
+  '/:slug',
+  Auth.authorize(PERMISSIONS.CATEGORY_READ),
+  Validator.validate({ params: categoryValidation.slugParams, query: categoryValidation.langQuery }),
+  categoryController.getCategoryBySlug.bind(categoryController)
+);
+
+router.put(
+  '/:slug',
+  Auth.authorize(PERMISSIONS.CATEGORY_WRITE),
+  Validator.validate({ params: categoryValidation.slugParams, body: categoryValidation.update }),
+  categoryController.updateCategory.bind(categoryController)
+);
+
+router.delete(
+  '/:slug',
+  Auth.authorize(PERMISSIONS.CATEGORY_WRITE),
+  Validator.validate({ params: categoryValidation.slugParams }),
+  categoryController.deleteCategory.bind(categoryController)
+);
+
+router.post(
+  '/:slug/move-products',
+  Auth.authorize(PERMISSIONS.CATEGORY_WRITE),
+  Validator.validate({ params: categoryValidation.slugParams, body: categoryValidation.moveProducts }),
+  categoryController.moveProducts.bind(categoryController)
+);
+
+module.exports = router;
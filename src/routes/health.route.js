@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const healthController = require('../controllers/health.controller');
+
+/**
+ * Rutas de estado de la instancia (sin autenticación, para orquestadores y balanceadores)
+ * GET /health se mantiene como alias de /health/live
+ */
+router.get('/', healthController.getLiveness.bind(healthController));
+router.get('/live', healthController.getLiveness.bind(healthController));
+router.get('/ready', healthController.getReadiness.bind(healthController));
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const authRoutes = require('./auth.route');
+const productRoutes = require('./product.route');
+const categoryRoutes = require('./category.route');
+const orderRoutes = require('./order.route');
+const locationRoutes = require('./location.route');
+const supplierRoutes = require('./supplier.route');
+const purchaseOrderRoutes = require('./purchaseOrder.route');
+const webhookRoutes = require('./webhook.route');
+
+/**
+ * Registro de routers de la API
+ * Fuente única para montarlos en app.js, listar los endpoints en el arranque
+ * y comprobar que todos estén documentados en la especificación OpenAPI.
+ */
+const API_ROUTERS = [
+  { basePath: '/api/auth', router: authRoutes },
+  { basePath: '/api/products', router: productRoutes },
+  { basePath: '/api/categories', router: categoryRoutes },
+  { basePath: '/api/orders', router: orderRoutes },
+  { basePath: '/api/locations', router: locationRoutes },
+  { basePath: '/api/suppliers', router: supplierRoutes },
+  { basePath: '/api/purchase-orders', router: purchaseOrderRoutes },
+  { basePath: '/api/webhooks', router: webhookRoutes }
+];
+
+/**
+ * Listar las rutas registradas en los routers de la API
+ * @returns {Array<Object>} - [{ method, path, schemas }] con el path en formato Express (/:id)
+ *   y los esquemas Joi de su validación ({ params, query, body }, vacío si no valida)
+ */
+const listApiRoutes = () => {
+  const routes = [];
+
+  API_ROUTERS.forEach(({ basePath, router }) => {
+    router.stack
+      .filter(layer => layer.route)
+      .forEach(layer => {
+        const path = layer.route.path === '/' ? basePath : basePath + layer.route.path;
+        const schemas = Object.assign({}, ...layer.route.stack
+          .filter(handler => handler.handle.schemas)
+          .map(handler => handler.handle.schemas));
+        Object.keys(layer.route.methods).forEach(method => {
+          routes.push({ method: method.toUpperCase(), path, schemas });
+        });
+      });
+  });
+
+  return routes;
+};
+
+module.exports = { API_ROUTERS, listApiRoutes };
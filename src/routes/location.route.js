@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const locationController = require('../controllers/location.controller');
+const Validator = require('../middlewares/validator');
+const locationValidation = require('../validations/location.validation');
+const Auth = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/roles');
+
+/**
+ * Rutas de ubicaciones (almacenes y tiendas)
+ * Organización RESTful
+ */
+router.use(Auth.authenticate);
+
+router.post(
+  '/',
+  Auth.authorize(PERMISSIONS.LOCATION_WRITE),
+  Validator.validate({ body: locationValidation.create }),
+  locationController.createLocation.bind(locationController)
+);
+
+router.get(
+  '/',
+  Auth.authorize(PERMISSIONS.LOCATION_READ),
+  Validator.validate({ query: locationValidation.listQuery }),
+  locationController.getAllLocations.bind(locationController)
+);
+
+router.get(
+  '/:code',
+  Auth.authorize(PERMISSIONS.LOCATION_READ),
+  Validator.validate({ params: locationValidation.codeParams }),
+  locationController.getLocationByCode.bind(locationController)
+);
+
+router.put(
+  '/:code',
+  Auth.authorize(PERMISSIONS.LOCATION_WRITE),
+  Validator.validate({ params: locationValidation.codeParams, body: locationValidation.update }),
+  locationController.updateLocation.bind(locationController)
+);
+
+// Reportes de stock por ubicación
+router.get(
+  '/:code/stock',
+  Auth.authorize(PERMISSIONS.LOCATION_READ),
+  Validator.validate({ params: locationValidation.codeParams, query: locationValidation.stockQuery }),
+  locationController.getStock.bind(locationController)
+);
+
+router.get(
+  '/:code/low-stock',
+  Auth.authorize(PERMISSIONS.LOCATION_READ),
+  Validator.validate({ params: locationValidation.codeParams, query: locationValidation.lowStockQuery }),
+  locationController.getLowStock.bind(locationController)
+);
+
+module.exports = router;
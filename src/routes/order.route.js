@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/order.controller');
+const Validator = require('../middlewares/validator');
+const orderValidation = require('../validations/order.validation');
+const { idParams } = require('../validations/common.validation');
+const Auth = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/roles');
+
+/**
+ * Rutas de pedidos
+ * Organización RESTful
+ */
+router.use(Auth.authenticate);
+
+router.post(
+  '/',
+  Auth.authorize(PERMISSIONS.ORDER_WRITE),
+  Validator.validate({ body: orderValidation.create }),
+  orderController.createOrder.bind(orderController)
+);
+
+router.get(
+  '/',
+  Auth.authorize(PERMISSIONS.ORDER_READ),
+  Validator.validate({ query: orderValidation.listQuery }),
+  orderController.getAllOrders.bind(orderController)
+);
+
+router.get(
+  '/:id',
+  Auth.authorize(PERMISSIONS.ORDER_READ),
+  Validator.validate({ params: idParams }),
+  orderController.getOrderById.bind(orderController)
+);
+
+router.patch(
+  '/:id/status',
+  Auth.authorize(PERMISSIONS.ORDER_WRITE),
+  Validator.validate({ params: idParams, body: orderValidation.changeStatus }),
+  orderController.changeStatus.bind(orderController)
+);
+
+module.exports = router;
@@ -2,71 +2,239 @@ const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/product.controller');
 const Validator = require('../middlewares/validator');
+const productValidation = require('../validations/product.validation');
+const { idParams } = require('../validations/common.validation');
+const Auth = require('../middlewares/auth');
+const Upload = require('../middlewares/upload');
+const Idempotency = require('../middlewares/idempotency');
+const { PERMISSIONS } = require('../config/roles');
 
 /**
  * Rutas de productos
  * Organización RESTful
+ * Todas las rutas requieren autenticación; cada una exige su permiso
  */
+router.use(Auth.authenticate);
 
 // Rutas especiales (deben ir antes de las rutas con :id)
 router.get(
   '/statistics',
+  Auth.authorize(PERMISSIONS.PRODUCT_READ),
+  Validator.validate({ query: productValidation.statisticsQuery }),
   productController.getStatistics.bind(productController)
 );
 
+router.get(
+  '/export',
+  Auth.authorize(PERMISSIONS.PRODUCT_READ),
+  Validator.validate({ query: productValidation.exportQuery }),
+  productController.exportProducts.bind(productController)
+);
+
+router.get(
+  '/suggest',
+  Auth.authorize(PERMISSIONS.PRODUCT_READ),
+  Validator.validate({ query: productValidation.suggestQuery }),
+  productController.suggestProducts.bind(productController)
+);
+
+router.get(
+  '/events',
+  Auth.authorize(PERMISSIONS.PRODUCT_READ),
+  Validator.validate({ query: productValidation.eventsQuery }),
+  productController.streamEvents.bind(productController)
+);
+
 router.get(
   '/low-stock',
+  Auth.authorize(PERMISSIONS.PRODUCT_READ),
+  Validator.validate({ query: productValidation.lowStockQuery }),
   productController.getLowStockProducts.bind(productController)
 );
 
 router.get(
   '/category/:category',
+  Auth.authorize(PERMISSIONS.PRODUCT_READ),
+  Validator.validate({
+    params: productValidation.categoryParams,
+    query: productValidation.categoryQuery
+  }),
   productController.getProductsByCategory.bind(productController)
 );
 
+router.get(
+  '/trash',
+  Auth.authorize(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ query: productValidation.trashQuery }),
+  productController.getTrash.bind(productController)
+);
+
+router.post(
+  '/import',
+  Auth.authorize(PERMISSIONS.PRODUCT_WRITE),
+  Upload.importFile,
+  Upload.requireFile,
+  Validator.validate({ query: productValidation.importQuery }),
+  productController.importProducts.bind(productController)
+);
+
 // CRUD básico
 router.post(
   '/',
-  Validator.validateProductCreate,
+  Auth.authorize(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ body: productValidation.create }),
+  Idempotency.handle,
   productController.createProduct.bind(productController)
 );
 
 router.get(
   '/',
+  Auth.authorize(PERMISSIONS.PRODUCT_READ),
+  Validator.validate({ query: productValidation.listQuery }),
   productController.getAllProducts.bind(productController)
 );
 
 router.get(
   '/:id',
-  Validator.validateMongoId,
+  Auth.authorize(PERMISSIONS.PRODUCT_READ),
+  Validator.validate({ params: idParams }),
   productController.getProductById.bind(productController)
 );
 
 router.put(
   '/:id',
-  Validator.validateMongoId,
-  Validator.validateProductUpdate,
+  Auth.authorize(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ params: idParams, body: productValidation.update }),
   productController.updateProduct.bind(productController)
 );
 
 router.delete(
   '/:id',
-  Validator.validateMongoId,
+  Auth.authorize(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ params: idParams }),
   productController.deleteProduct.bind(productController)
 );
 
 router.delete(
   '/:id/permanent',
-  Validator.validateMongoId,
+  Auth.authorize(PERMISSIONS.PRODUCT_DELETE_PERMANENT),
+  Validator.validate({ params: idParams }),
   productController.permanentDeleteProduct.bind(productController)
 );
 
+router.post(
+  '/:id/restore',
+  Auth.authorize(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ params: idParams }),
+  productController.restoreProduct.bind(productController)
+);
+
+// Variantes
+router.post(
+  '/:id/variants',
+  Auth.authorize(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ params: idParams, body: productValidation.variantCreate }),
+  productController.addVariant.bind(productController)
+);
+
+router.put(
+  '/:id/variants/:sku',
+  Auth.authorize(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ params: productValidation.variantParams, body: productValidation.variantUpdate }),
+  productController.updateVariant.bind(productController)
+);
+
+router.delete(
+  '/:id/variants/:sku',
+  Auth.authorize(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ params: productValidation.variantParams }),
+  productController.deleteVariant.bind(productController)
+);
+
+// Imágenes
+router.post(
+  '/:id/images',
+  Auth.authorize(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ params: idParams }),
+  Upload.productImages,
+  Upload.requireImages,
+  Validator.validate({ body: productValidation.imageUpload }),
+  productController.uploadImages.bind(productController)
+);
+
+router.put(
+  '/:id/images/order',
+  Auth.authorize(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ params: idParams, body: productValidation.imageOrder }),
+  productController.reorderImages.bind(productController)
+);
+
+router.delete(
+  '/:id/images/:imageId',
+  Auth.authorize(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ params: productValidation.imageParams }),
+  productController.deleteImage.bind(productController)
+);
+
+// Historial y programación de precios
+router.get(
+  '/:id/prices',
+  Auth.authorize(PERMISSIONS.PRODUCT_READ),
+  Validator.validate({ params: idParams, query: productValidation.pricesQuery }),
+  productController.getPriceTimeline.bind(productController)
+);
+
+router.post(
+  '/:id/prices/schedules',
+  Auth.authorize(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ params: idParams, body: productValidation.priceSchedule }),
+  productController.schedulePrice.bind(productController)
+);
+
+router.delete(
+  '/:id/prices/schedules/:scheduleId',
+  Auth.authorize(PERMISSIONS.PRODUCT_WRITE),
+  Validator.validate({ params: productValidation.priceScheduleParams }),
+  productController.cancelPriceSchedule.bind(productController)
+);
+
 // Actualización de stock
 router.patch(
   '/:id/stock',
-  Validator.validateMongoId,
-  Validator.validateStockUpdate,
+  Auth.authorize(PERMISSIONS.STOCK_UPDATE),
+  Validator.validate({ params: idParams, body: productValidation.stockUpdate }),
+  Idempotency.handle,
   productController.updateStock.bind(productController)
 );
 
+// Stock por ubicación y transferencias entre ubicaciones
+router.get(
+  '/:id/stock/locations',
+  Auth.authorize(PERMISSIONS.PRODUCT_READ),
+  Validator.validate({ params: idParams }),
+  productController.getLocationStock.bind(productController)
+);
+
+router.post(
+  '/:id/stock/transfers',
+  Auth.authorize(PERMISSIONS.STOCK_UPDATE),
+  Validator.validate({ params: idParams, body: productValidation.stockTransfer }),
+  productController.transferStock.bind(productController)
+);
+
+// Ledger de movimientos de stock
+router.get(
+  '/:id/stock/movements',
+  Auth.authorize(PERMISSIONS.PRODUCT_READ),
+  Validator.validate({ params: idParams, query: productValidation.movementsQuery }),
+  productController.getStockMovements.bind(productController)
+);
+
+router.post(
+  '/:id/stock/rebuild',
+  Auth.authorize(PERMISSIONS.STOCK_RECONCILE),
+  Validator.validate({ params: idParams, body: productValidation.stockRebuild }),
+  productController.rebuildStock.bind(productController)
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const purchaseOrderController = require('../controllers/purchaseOrder.controller');
+const Validator = require('../middlewares/validator');
+const purchaseOrderValidation = require('../validations/purchaseOrder.validation');
+const { idParams } = require('../validations/common.validation');
+const Auth = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/roles');
+
+/**
+ * Rutas de órdenes de compra
+ * Organización RESTful
+ */
+router.use(Auth.authenticate);
+
+router.post(
+  '/',
+  Auth.authorize(PERMISSIONS.PURCHASE_ORDER_WRITE),
+  Validator.validate({ body: purchaseOrderValidation.create }),
+  purchaseOrderController.createPurchaseOrder.bind(purchaseOrderController)
+);
+
+router.get(
+  '/',
+  Auth.authorize(PERMISSIONS.PURCHASE_ORDER_READ),
+  Validator.validate({ query: purchaseOrderValidation.listQuery }),
+  purchaseOrderController.getAllPurchaseOrders.bind(purchaseOrderController)
+);
+
+// Debe ir antes de /:id
+router.get(
+  '/reorder-suggestions',
+  Auth.authorize(PERMISSIONS.PURCHASE_ORDER_READ),
+  Validator.validate({ query: purchaseOrderValidation.suggestionsQuery }),
+  purchaseOrderController.getReorderSuggestions.bind(purchaseOrderController)
+);
+
+router.get(
+  '/:id',
+  Auth.authorize(PERMISSIONS.PURCHASE_ORDER_READ),
+  Validator.validate({ params: idParams }),
+  purchaseOrderController.getPurchaseOrderById.bind(purchaseOrderController)
+);
+
+router.put(
+  '/:id',
+  Auth.authorize(PERMISSIONS.PURCHASE_ORDER_WRITE),
+  Validator.validate({ params: idParams, body: purchaseOrderValidation.update }),
+  purchaseOrderController.updatePurchaseOrder.bind(purchaseOrderController)
+);
+
+router.patch(
+  '/:id/status',
+  Auth.authorize(PERMISSIONS.PURCHASE_ORDER_WRITE),
+  Validator.validate({ params: idParams, body: purchaseOrderValidation.changeStatus }),
+  purchaseOrderController.changeStatus.bind(purchaseOrderController)
+);
+
+// Recepción de mercadería: suma stock
+router.post(
+  '/:id/receipts',
+  Auth.authorize(PERMISSIONS.PURCHASE_ORDER_RECEIVE),
+  Validator.validate({ params: idParams, body: purchaseOrderValidation.receipt }),
+  purchaseOrderController.receive.bind(purchaseOrderController)
+);
+
+module.exports = router;
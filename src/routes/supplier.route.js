@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const supplierController = require('../controllers/supplier.controller');
+const Validator = require('../middlewares/validator');
+const supplierValidation = require('../validations/supplier.validation');
+const { idParams } = require('../validations/common.validation');
+const Auth = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/roles');
+
+/**
+ * Rutas de proveedores
+ * Organización RESTful
+ */
+router.use(Auth.authenticate);
+
+router.post(
+  '/',
+  Auth.authorize(PERMISSIONS.SUPPLIER_WRITE),
+  Validator.validate({ body: supplierValidation.create }),
+  supplierController.createSupplier.bind(supplierController)
+);
+
+router.get(
+  '/',
+  Auth.authorize(PERMISSIONS.SUPPLIER_READ),
+  Validator.validate({ query: supplierValidation.listQuery }),
+  supplierController.getAllSuppliers.bind(supplierController)
+);
+
+router.get(
+  '/:id',
+  Auth.authorize(PERMISSIONS.SUPPLIER_READ),
+  Validator.validate({ params: idParams }),
+  supplierController.getSupplierById.bind(supplierController)
+);
+
+router.put(
+  '/:id',
+  Auth.authorize(PERMISSIONS.SUPPLIER_WRITE),
+  Validator.validate({ params: idParams, body: supplierValidation.update }),
+  supplierController.updateSupplier.bind(supplierController)
+);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhook.controller');
+const Validator = require('../middlewares/validator');
+const webhookValidation = require('../validations/webhook.validation');
+const { idParams } = require('../validations/common.validation');
+const Auth = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/roles');
+
+/**
+ * Rutas de webhooks salientes
+ * Organización RESTful
+ */
+router.use(Auth.authenticate);
+
+router.post(
+  '/',
+  Auth.authorize(PERMISSIONS.WEBHOOK_MANAGE),
+  Validator.validate({ body: webhookValidation.create }),
+  webhookController.createWebhook.bind(webhookController)
+);
+
+router.get(
+  '/',
+  Auth.authorize(PERMISSIONS.WEBHOOK_MANAGE),
+  webhookController.getAllWebhooks.bind(webhookController)
+);
+
+router.get(
+  '/:id',
+  Auth.authorize(PERMISSIONS.WEBHOOK_MANAGE),
+  Validator.validate({ params: idParams }),
+  webhookController.getWebhookById.bind(webhookController)
+);
+
+router.put(
+  '/:id',
+  Auth.authorize(PERMISSIONS.WEBHOOK_MANAGE),
+  Validator.validate({ params: idParams, body: webhookValidation.update }),
+  webhookController.updateWebhook.bind(webhookController)
+);
+
+router.delete(
+  '/:id',
+  Auth.authorize(PERMISSIONS.WEBHOOK_MANAGE),
+  Validator.validate({ params: idParams }),
+  webhookController.deleteWebhook.bind(webhookController)
+);
+
+router.get(
+  '/:id/deliveries',
+  Auth.authorize(PERMISSIONS.WEBHOOK_MANAGE),
+  Validator.validate({ params: idParams, query: webhookValidation.deliveriesQuery }),
+  webhookController.getDeliveries.bind(webhookController)
+);
+
+router.post(
+  '/:id/deliveries/:deliveryId/redeliver',
+  Auth.authorize(PERMISSIONS.WEBHOOK_MANAGE),
+  Validator.validate({ params: webhookValidation.deliveryParams }),
+  webhookController.redeliver.bind(webhookController)
+);
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const jwt = require('jsonwebtoken');
+const userRepository = require('../repositories/user.repository');
+const ApiError = require('../utils/ApiError');
+const { ROLES, PERMISSIONS } = require('../config/roles');
+
+/**
+ * Service Layer - Autenticación y emisión de tokens
+ * Aplica:
+ * - Single Responsibility: Solo lógica de autenticación
+ * - Dependency Inversion: Depende de abstracción (repository)
+ */
+class AuthService {
+  constructor(repository) {
+    this.repository = repository;
+  }
+
+  /**
+   * Registrar un usuario
+   * El primer usuario del sistema se crea como administrador;
+   * los siguientes solo pueden ser creados por un administrador.
+   */
+  async register(userData, currentUser = null) {
+    const { name, email, password, role } = userData;
+    const totalUsers = await this.repository.count();
+
+    if (totalUsers === 0) {
+      // Dos registros simultáneos pueden contar 0 usuarios: solo uno crea el administrador
+      const admin = await this.repository.createBootstrapAdmin({ name, email, password, role: ROLES.ADMIN });
+      if (admin) {
+        return admin;
+      }
+      throw ApiError.unauthorized('Se requiere autenticación para registrar usuarios');
+    }
+
+    if (!currentUser) {
+      throw ApiError.unauthorized('Se requiere autenticación para registrar usuarios');
+    }
+    if (!PERMISSIONS.USER_MANAGE.includes(currentUser.role)) {
+      throw ApiError.forbidden('No tienes permisos para registrar usuarios');
+    }
+
+    const exists = await this.repository.existsByEmail(email);
+    if (exists) {
+      throw ApiError.conflict('Ya existe un usuario con ese email');
+    }
+
+    return await this.repository.create({ name, email, password, role });
+  }
+
+  /**
+   * Iniciar sesión con email y contraseña
+   */
+  async login(email, password) {
+    const user = await this.repository.findByEmailWithPassword(email);
+
+    if (!user || !user.isActive || !(await user.comparePassword(password))) {
+      throw ApiError.unauthorized('Credenciales inválidas');
+    }
+
+    const updatedUser = await this.repository.touchLastLogin(user.id);
+    return this.issueToken(updatedUser);
+  }
+
+  /**
+   * Emitir un token de acceso para el usuario
+   */
+  issueToken(user) {
+    const secret = this._getSecret();
+    const expiresIn = process.env.JWT_EXPIRES_IN || '1h';
+
+    const token = jwt.sign(
+      { sub: user.id, role: user.role },
+      secret,
+      { expiresIn }
+    );
+
+    return { token, tokenType: 'Bearer', expiresIn, user };
+  }
+
+  /**
+   * Verificar un token y obtener el usuario asociado
+   */
+  async verifyToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this._getSecret());
+    } catch (error) {
+      const message = error.name === 'TokenExpiredError'
+        ? 'El token ha expirado'
+        : 'Token inválido';
+      throw ApiError.unauthorized(message);
+    }
+
+    const user = await this.repository.findById(payload.sub);
+    if (!user || !user.isActive) {
+      throw ApiError.unauthorized('El usuario no existe o está inactivo');
+    }
+
+    return user;
+  }
+
+  _getSecret() {
+    if (!process.env.JWT_SECRET) {
+      throw ApiError.internal('JWT_SECRET no está configurado');
+    }
+    return process.env.JWT_SECRET;
+  }
+}
+
+// Inyección de dependencias: Se pasa el repository al servicio
+module.exports = new AuthService(userRepository);
@@ -0,0 +1,253 @@
+const categoryRepository = require('../repositories/category.repository');
+const productRepository = require('../repositories/product.repository');
+const ApiError = require('../utils/ApiError');
+const slugify = require('../utils/slugify');
+
+/**
+ * Categorías con las que arranca una base vacía (las del antiguo enum de productos)
+ */
+const INITIAL_CATEGORIES = ['Electrónica', 'Ropa', 'Hogar', 'Libros', 'Otros'];
+
+/**
+ * Service Layer - Lógica de negocio de categorías
+ * Aplica:
+ * - Single Responsibility: Solo lógica de categorías
+ * - Dependency Inversion: Depende de abstracciones (repositories)
+ */
+class CategoryService {
+  constructor(repository, productRepository) {
+    this.repository = repository;
+    this.productRepository = productRepository;
+  }
+
+  /**
+   * Crear una categoría
+   * El slug se genera a partir del nombre si no se envía
+   */
+  async createCategory(categoryData) {
+    const slug = slugify(categoryData.slug || categoryData.name);
+    if (!slug) {
+      throw new ApiError(400, 'No se pudo generar un slug válido para la categoría');
+    }
+
+    if (await this.repository.existsBySlug(slug)) {
+      throw ApiError.conflict(`Ya existe una categoría con el slug "${slug}"`);
+    }
+
+    const parent = await this._resolveParent(categoryData.parent);
+
+    return await this.repository.create({
+      name: categoryData.name,
+      slug,
+      displayNames: categoryData.displayNames,
+      description: categoryData.description,
+      parent: parent ? parent._id : null,
+      isActive: categoryData.isActive
+    });
+  }
+
+  /**
+   * Obtener categorías como lista plana o como árbol
+   */
+  async getAllCategories({ tree = false, includeInactive = false, lang } = {}) {
+    const filters = includeInactive ? {} : { isActive: true };
+    const categories = await this.repository.findAll(filters);
+    const items = categories.map(category => this._present(category, lang));
+
+    return tree ? this._buildTree(items) : items;
+  }
+
+  /**
+   * Obtener categoría por slug
+   */
+  async getCategoryBySlug(slug, lang) {
+    const category = await this._findBySlugOrFail(slug);
+    return this._present(category, lang);
+  }
+
+  /**
+   * Actualizar categoría
+   * El slug no cambia porque los productos lo referencian
+   */
+  async updateCategory(slug, updateData) {
+    const category = await this._findBySlugOrFail(slug);
+
+    if (updateData.slug !== undefined && updateData.slug !== category.slug) {
+      throw new ApiError(400, 'El slug de una categoría no se puede modificar');
+    }
+
+    const changes = {};
+    ['name', 'displayNames', 'description', 'isActive'].forEach(field => {
+      if (updateData[field] !== undefined) {
+        changes[field] = updateData[field];
+      }
+    });
+
+    if (updateData.parent !== undefined) {
+      const parent = await this._resolveParent(updateData.parent);
+      if (parent) {
+        await this._assertNotDescendant(category, parent);
+      }
+      changes.parent = parent ? parent._id : null;
+    }
+
+    return await this.repository.update(category.id, changes);
+  }
+
+  /**
+   * Eliminar categoría
+   * Solo se permite si no tiene subcategorías ni productos asignados
+   */
+  async deleteCategory(slug) {
+    const category = await this._findBySlugOrFail(slug);
+
+    if (await this.repository.countChildren(category.id) > 0) {
+      throw ApiError.conflict('La categoría tiene subcategorías; muévalas o elimínelas primero');
+    }
+
+    const products = await this.productRepository.countByCategories([category.slug]);
+    if (products > 0) {
+      throw ApiError.conflict(
+        `La categoría tiene ${products} productos; muévalos a otra categoría primero`
+      );
+    }
+
+    await this.repository.delete(category.id);
+    return { slug: category.slug };
+  }
+
+  /**
+   * Mover todos los productos de una categoría a otra
+   */
+  async moveProducts(sourceSlug, targetSlug) {
+    if (sourceSlug === targetSlug) {
+      throw new ApiError(400, 'La categoría de origen y destino deben ser distintas');
+    }
+
+    await this._findBySlugOrFail(sourceSlug);
+    await this.assertAssignable(targetSlug);
+
+    const moved = await this.productRepository.reassignCategory(sourceSlug, targetSlug);
+    return { from: sourceSlug, to: targetSlug, moved };
+  }
+
+  /**
+   * Migración al iniciar: cada valor de `category` de los productos debe tener su categoría
+   * Se crea una por valor (con ese valor como nombre para mostrar en español) y los productos
+   * que guardan el nombre (ej: 'Electrónica', de cuando era un enum) pasan a guardar el slug.
+   * Si no hay categorías ni productos, se crean las categorías iniciales.
+   * @returns {Promise<Object>} - { created, productsUpdated }
+   */
+  async migrateProductCategories() {
+    const values = await this.productRepository.distinctCategoryValues();
+    const names = values.length === 0 && await this.repository.count() === 0 ? INITIAL_CATEGORIES : values;
+    let created = 0;
+    let productsUpdated = 0;
+
+    for (const value of names.filter(name => typeof name === 'string')) {
+      const name = value.trim();
+      const slug = slugify(name);
+      if (!slug) {
+        continue;
+      }
+
+      const displayName = name.charAt(0).toUpperCase() + name.slice(1);
+      if (await this.repository.createIfMissing({ name: displayName, slug, displayNames: { es: displayName } })) {
+        created++;
+      }
+      if (value !== slug) {
+        productsUpdated += await this.productRepository.replaceCategoryValue(value, slug);
+      }
+    }
+
+    return { created, productsUpdated };
+  }
+
+  /**
+   * Verificar que una categoría existe y está activa para asignarla a un producto
+   */
+  async assertAssignable(slug) {
+    const category = await this.repository.findBySlug(slug);
+
+    if (!category) {
+      throw new ApiError(400, `La categoría "${slug}" no existe`);
+    }
+
+    if (!category.isActive) {
+      throw new ApiError(400, `La categoría "${slug}" está inactiva`);
+    }
+
+    return category;
+  }
+
+  /**
+   * Obtener el slug de una categoría junto a los de todas sus subcategorías
+   */
+  async getSlugsWithDescendants(slug) {
+    const category = await this._findBySlugOrFail(slug);
+    const descendants = await this.repository.findDescendants(category._id);
+    return [category.slug, ...descendants.map(descendant => descendant.slug)];
+  }
+
+  async _findBySlugOrFail(slug) {
+    const category = await this.repository.findBySlug(slug);
+
+    if (!category) {
+      throw new ApiError(404, 'Categoría no encontrada');
+    }
+
+    return category;
+  }
+
+  async _resolveParent(parentSlug) {
+    if (!parentSlug) {
+      return null;
+    }
+
+    const parent = await this.repository.findBySlug(parentSlug);
+    if (!parent) {
+      throw new ApiError(400, `La categoría padre "${parentSlug}" no existe`);
+    }
+    return parent;
+  }
+
+  /**
+   * Evitar ciclos: el nuevo padre no puede ser la categoría ni un descendiente
+   */
+  async _assertNotDescendant(category, parent) {
+    if (parent._id.equals(category._id)) {
+      throw new ApiError(400, 'Una categoría no puede ser su propio padre');
+    }
+
+    const descendants = await this.repository.findDescendants(category._id);
+    if (descendants.some(descendant => descendant._id.equals(parent._id))) {
+      throw new ApiError(400, 'El padre no puede ser una subcategoría de la propia categoría');
+    }
+  }
+
+  _present(category, lang) {
+    return {
+      ...category.toJSON(),
+      displayName: category.getDisplayName(lang)
+    };
+  }
+
+  _buildTree(items) {
+    const byId = new Map(items.map(item => [String(item.id), { ...item, children: [] }]));
+    const roots = [];
+
+    byId.forEach(node => {
+      const parent = node.parent && byId.get(String(node.parent));
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    return roots;
+  }
+}
+
+// Inyección de dependencias: Se pasan los repositories al servicio
+module.exports = new CategoryService(categoryRepository, productRepository);
@@ -0,0 +1,56 @@
+const database = require('../config/database');
+const monitoringConfig = require('../config/monitoring');
+
+/**
+ * Service Layer - Estado de la instancia
+ * Liveness: el proceso responde. Readiness: además puede atender requests,
+ * es decir, la conexión a MongoDB está abierta y responde al ping.
+ * Aplica:
+ * - Single Responsibility: Solo comprobaciones de estado
+ * - Dependency Inversion: Depende de abstracciones (conexión a la base de datos)
+ */
+class HealthService {
+  constructor(database, config) {
+    this.database = database;
+    this.config = config;
+  }
+
+  /**
+   * Estado del proceso
+   * @returns {Object} - { status, uptimeSeconds, timestamp }
+   */
+  getLiveness() {
+    return { status: 'ok', uptimeSeconds: Math.floor(process.uptime()), timestamp: new Date().toISOString() };
+  }
+
+  /**
+   * Estado de las dependencias
+   * @returns {Promise<Object>} - { ready, checks: { database: { status, state, latencyMs, error } } }
+   */
+  async getReadiness() {
+    const databaseCheck = await this._checkDatabase();
+
+    return {
+      ready: databaseCheck.status === 'up',
+      checks: { database: databaseCheck }
+    };
+  }
+
+  async _checkDatabase() {
+    const state = this.database.state();
+    if (!this.database.isConnected()) {
+      return { status: 'down', state, error: 'Sin conexión a MongoDB' };
+    }
+
+    const startedAt = Date.now();
+    try {
+      await this.database.ping(this.config.healthDbTimeoutMs);
+      return { status: 'up', state, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      return { status: 'down', state, latencyMs: Date.now() - startedAt, error: error.message };
+    }
+  }
+}
+
+// Inyección de dependencias: Se pasan la conexión a la base de datos y la configuración de monitoreo
+module.exports = new HealthService(database, monitoringConfig);
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const idempotencyKeyRepository = require('../repositories/idempotencyKey.repository');
+const ApiError = require('../utils/ApiError');
+const idempotencyConfig = require('../config/idempotency');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Service Layer - Claves de idempotencia
+ * El primer request con una clave se ejecuta y su respuesta se guarda; los reintentos
+ * con la misma clave (del mismo usuario) reciben esa respuesta sin volver a ejecutarse.
+ * Aplica:
+ * - Single Responsibility: Solo registro y repetición de respuestas
+ * - Dependency Inversion: Depende de abstracciones (repository)
+ */
+class IdempotencyService {
+  constructor(repository, config) {
+    this.repository = repository;
+    this.config = config;
+  }
+
+  /**
+   * Iniciar un request con Idempotency-Key
+   * @param {Object} request - { key, userId, method, path, body }
+   * @returns {Promise<Object>} - { replay } con la respuesta guardada si ya se atendió,
+   *   o { record } con la clave reservada para este request
+   * @throws {ApiError} - 422 si la clave se usó con otro request, 409 si el primero sigue en curso
+   */
+  async begin({ key, userId, method, path, body }) {
+    const now = new Date();
+    const keyData = {
+      requestHash: this.hashRequest(method, path, body),
+      lockedUntil: new Date(now.getTime() + this.config.lockSeconds * 1000),
+      expiresAt: new Date(now.getTime() + this.config.ttlHours * HOUR_MS)
+    };
+
+    // Dos vueltas: la clave puede liberarse o tomarla otro request entre la lectura y la escritura
+    for (let round = 0; round < 2; round++) {
+      const reserved = await this.repository.reserve({ key, user: userId, ...keyData });
+      if (reserved) {
+        return { record: reserved };
+      }
+
+      const existing = await this.repository.findByKey(userId, key);
+      if (!existing) {
+        continue;
+      }
+
+      // El índice TTL borra las claves vencidas con demora: hasta entonces se pueden reutilizar
+      if (existing.expiresAt > now) {
+        if (existing.requestHash !== keyData.requestHash) {
+          throw new ApiError(422, 'El Idempotency-Key ya se usó con un request distinto; use una clave nueva');
+        }
+        if (existing.status === 'completed') {
+          return { replay: existing.response };
+        }
+        if (existing.lockedUntil > now) {
+          break;
+        }
+      }
+
+      const taken = await this.repository.takeOver(existing._id, now, keyData);
+      if (taken) {
+        return { record: taken };
+      }
+    }
+
+    throw ApiError.conflict('Hay un request en curso con este Idempotency-Key; reintente en unos segundos');
+  }
+
+  /**
+   * Mantener la clave bloqueada mientras el request se atiende
+   * El bloqueo se renueva a mitad de IDEMPOTENCY_LOCK_SECONDS, así un request lento no la pierde
+   * ante un reintento; solo vence si el proceso se detiene.
+   * @returns {Function} - Deja de renovarlo
+   */
+  hold(record) {
+    const timer = setInterval(() => {
+      const lockedUntil = new Date(Date.now() + this.config.lockSeconds * 1000);
+      this.repository.renew(record._id, lockedUntil)
+        .catch(error => logger.error('No se pudo renovar el bloqueo de la clave de idempotencia', { err: error }));
+    }, this.config.lockSeconds * 500);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Guardar la respuesta del request que reservó la clave
+   * @param {Object} response - { statusCode, headers, body }
+   */
+  async complete(record, response) {
+    return await this.repository.complete(record._id, response);
+  }
+
+  /**
+   * Liberar la clave sin guardar respuesta (ej: error 5xx), para que el reintento se ejecute
+   */
+  async release(record) {
+    await this.repository.release(record._id);
+  }
+
+  /**
+   * Hash del request: mismo método, ruta y body (sin importar el orden de las propiedades)
+   * @returns {String} - SHA-256 en hexadecimal
+   */
+  hashRequest(method, path, body) {
+    return crypto
+      .createHash('sha256')
+      .update(`${method.toUpperCase()} ${path}\n${this._canonicalJson(body === undefined ? null : body)}`)
+      .digest('hex');
+  }
+
+  _canonicalJson(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this._canonicalJson(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this._canonicalJson(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+}
+
+// Inyección de dependencias: Se pasan el repository y la configuración de idempotencia
+module.exports = new IdempotencyService(idempotencyKeyRepository, idempotencyConfig);
@@ -0,0 +1,139 @@
+const locationRepository = require('../repositories/location.repository');
+const stockLevelRepository = require('../repositories/stockLevel.repository');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Service Layer - Lógica de negocio de ubicaciones (almacenes y tiendas)
+ * Los movimientos de stock por ubicación viven en stock.service.js.
+ * Aplica:
+ * - Single Responsibility: Solo lógica de ubicaciones
+ * - Dependency Inversion: Depende de abstracciones (repositories)
+ */
+class LocationService {
+  constructor(repository, levelRepository) {
+    this.repository = repository;
+    this.levelRepository = levelRepository;
+  }
+
+  /**
+   * Crear una ubicación
+   * La primera que se crea pasa a ser la predeterminada.
+   */
+  async createLocation(locationData) {
+    if (await this.repository.existsByCode(locationData.code)) {
+      throw ApiError.conflict(`Ya existe una ubicación con el código "${locationData.code}"`);
+    }
+
+    const { isDefault, ...data } = locationData;
+    const isFirst = !(await this.repository.findDefault());
+    if ((isDefault || isFirst) && data.isActive === false) {
+      throw new ApiError(400, 'La ubicación predeterminada debe estar activa');
+    }
+
+    const location = await this.repository.create(data);
+    return isDefault || isFirst ? await this._makeDefault(location) : location;
+  }
+
+  /**
+   * Obtener ubicaciones con sus totales de stock
+   */
+  async getAllLocations({ includeInactive = false } = {}) {
+    const filters = includeInactive ? {} : { isActive: true };
+    const [locations, totals] = await Promise.all([
+      this.repository.findAll(filters),
+      this.levelRepository.totalsByLocation()
+    ]);
+
+    return locations.map(location => this._present(
+      location,
+      totals.find(total => String(total.location) === String(location._id))
+    ));
+  }
+
+  /**
+   * Obtener ubicación por código
+   */
+  async getLocationByCode(code) {
+    return await this._findByCodeOrFail(code);
+  }
+
+  /**
+   * Actualizar ubicación
+   * Para desactivarla debe estar sin stock y no ser la predeterminada
+   */
+  async updateLocation(code, updateData) {
+    const location = await this._findByCodeOrFail(code);
+    const { isDefault, ...changes } = updateData;
+
+    if (changes.isActive === false && location.isActive) {
+      if (location.isDefault) {
+        throw new ApiError(400, 'La ubicación predeterminada no se puede desactivar; elija otra predeterminada primero');
+      }
+      if (await this.levelRepository.hasStock(location._id)) {
+        throw ApiError.conflict(`La ubicación ${location.code} tiene stock; transfiéralo antes de desactivarla`);
+      }
+    }
+
+    const willBeActive = changes.isActive !== undefined ? changes.isActive : location.isActive;
+    if (isDefault && !location.isDefault && !willBeActive) {
+      throw new ApiError(400, 'La ubicación predeterminada debe estar activa');
+    }
+
+    const updated = await this.repository.update(location._id, changes);
+    return isDefault && !location.isDefault ? await this._makeDefault(updated) : updated;
+  }
+
+  /**
+   * Stock de una ubicación, paginado por nombre de producto
+   */
+  async getStock(code, options = {}) {
+    const location = await this._findByCodeOrFail(code);
+    const result = await this.levelRepository.findByLocation(location._id, options);
+    return { location: this._summary(location), ...result };
+  }
+
+  /**
+   * Productos activos con cantidad igual o menor al umbral en una ubicación
+   * Solo incluye los que tienen (o tuvieron) stock en ella.
+   */
+  async getLowStock(code, threshold = 10, options = {}) {
+    const location = await this._findByCodeOrFail(code);
+    const result = await this.levelRepository.findByLocation(location._id, { ...options, maxQuantity: threshold });
+    return { location: this._summary(location), threshold, ...result };
+  }
+
+  async _findByCodeOrFail(code) {
+    const location = await this.repository.findByCode(code);
+
+    if (!location) {
+      throw new ApiError(404, 'Ubicación no encontrada');
+    }
+
+    return location;
+  }
+
+  /**
+   * Solo hay una predeterminada: las demás dejan de serlo
+   */
+  async _makeDefault(location) {
+    await this.repository.unsetDefault(location._id);
+    return await this.repository.update(location._id, { isDefault: true });
+  }
+
+  _present(location, total) {
+    return {
+      ...location.toJSON(),
+      stock: {
+        quantity: total ? total.quantity : 0,
+        items: total ? total.items : 0
+      }
+    };
+  }
+
+  _summary(location) {
+    return { code: location.code, name: location.name, type: location.type };
+  }
+}
+
+// Inyección de dependencias: Se pasan los repositories al servicio
+module.exports = new LocationService(locationRepository, stockLevelRepository);
@@ -0,0 +1,91 @@
+const productRepository = require('../repositories/product.repository');
+const database = require('../config/database');
+const { client, registry } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const monitoringConfig = require('../config/monitoring');
+const webhooksConfig = require('../config/webhooks');
+
+/**
+ * Service Layer - Métricas Prometheus
+ * Además de las métricas HTTP y de base de datos (utils/metrics), publica las del
+ * catálogo. Se calculan al leer /metrics y se reutilizan durante
+ * METRICS_CATALOG_CACHE_SECONDS para no consultar la base en cada scrape.
+ * Aplica:
+ * - Single Responsibility: Solo exposición de métricas
+ * - Dependency Inversion: Depende de abstracciones (repository y conexión)
+ */
+class MetricsService {
+  constructor(repository, database, registry, config, lowStockThreshold) {
+    this.repository = repository;
+    this.database = database;
+    this.registry = registry;
+    this.config = config;
+    this.lowStockThreshold = lowStockThreshold;
+    this.catalog = null;
+
+    const service = this;
+    new client.Gauge({
+      name: 'catalog_products',
+      help: 'Productos del catálogo por estado (active, inactive, trash)',
+      labelNames: ['state'],
+      registers: [registry],
+      async collect() {
+        const counts = await service._getCatalogCounts();
+        if (counts) {
+          ['active', 'inactive', 'trash'].forEach(state => this.set({ state }, counts[state]));
+        }
+      }
+    });
+    new client.Gauge({
+      name: 'catalog_low_stock_products',
+      help: `Productos activos con stock bajo (hasta ${lowStockThreshold} unidades en el producto o en alguna variante)`,
+      registers: [registry],
+      async collect() {
+        const counts = await service._getCatalogCounts();
+        if (counts) {
+          this.set(counts.lowStock);
+        }
+      }
+    });
+  }
+
+  /**
+   * Métricas en formato de texto de Prometheus
+   * @returns {Promise<Object>} - { contentType, body }
+   */
+  async render() {
+    return { contentType: this.registry.contentType, body: await this.registry.metrics() };
+  }
+
+  /**
+   * Conteos del catálogo, recalculados como mucho una vez por período de caché
+   * Sin conexión (o si la consulta falla) se mantienen los últimos valores conocidos.
+   */
+  async _getCatalogCounts() {
+    const now = Date.now();
+    if (this.catalog && now < this.catalog.expiresAt) {
+      return await this.catalog.counts;
+    }
+    if (!this.database.isConnected()) {
+      return this.catalog ? await this.catalog.counts : null;
+    }
+
+    const previous = this.catalog;
+    const counts = this.repository.countByState(this.lowStockThreshold).catch((error) => {
+      logger.warn('No se pudieron calcular las métricas del catálogo', { err: error });
+      this.catalog = previous;
+      return previous ? previous.counts : null;
+    });
+    this.catalog = { counts, expiresAt: now + this.config.catalogCacheSeconds * 1000 };
+    return await counts;
+  }
+}
+
+// Inyección de dependencias: Se pasan el repository, la conexión, el registro de métricas y la configuración
+module.exports = new MetricsService(
+  productRepository,
+  database,
+  registry,
+  monitoringConfig,
+  webhooksConfig.lowStockThreshold
+);
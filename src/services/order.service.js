@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const orderRepository = require('../repositories/order.repository');
+const productRepository = require('../repositories/product.repository');
+const stockService = require('./stock.service');
+const ApiError = require('../utils/ApiError');
+const { withTransaction } = require('../utils/transaction');
+const logger = require('../utils/logger');
+
+// Intentos de crear el pedido si su número aleatorio coincide con el de otro
+const ORDER_NUMBER_ATTEMPTS = 3;
+
+/**
+ * Transiciones permitidas: estado actual -> estados siguientes
+ */
+const STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: [],
+  cancelled: []
+};
+
+/**
+ * Service Layer - Lógica de negocio de pedidos
+ * Aplica:
+ * - Single Responsibility: Solo lógica de pedidos
+ * - Dependency Inversion: Depende de abstracciones (repositories y servicios)
+ */
+class OrderService {
+  constructor(repository, productRepository, stockService) {
+    this.repository = repository;
+    this.productRepository = productRepository;
+    this.stockService = stockService;
+  }
+
+  /**
+   * Crear un pedido descontando el stock de todas sus líneas
+   * Todo ocurre en una transacción: si una línea no tiene stock,
+   * no se descuenta ninguna y el pedido no se crea.
+   * Con ubicaciones, el stock sale de `location` (código) o de la predeterminada.
+   */
+  async createOrder(orderData, userId) {
+    const lines = this._mergeLines(orderData.items);
+
+    // El índice único de orderNumber rechaza un número repetido: se reintenta con otro
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._createOrder(lines, orderData, userId, this._generateOrderNumber());
+      } catch (error) {
+        const duplicated = error.code === 11000 && error.keyPattern && error.keyPattern.orderNumber;
+        if (!duplicated || attempt >= ORDER_NUMBER_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  async _createOrder(lines, orderData, userId, orderNumber) {
+    const orderId = new mongoose.Types.ObjectId();
+
+    return await withTransaction(async (session) => {
+      const items = [];
+      const location = await this.stockService.resolveLocation(
+        orderData.location ? { code: orderData.location } : undefined,
+        { session }
+      );
+
+      for (const line of lines) {
+        const product = await this.productRepository.findById(line.product, { session });
+
+        if (!product) {
+          throw new ApiError(404, `Producto no encontrado: ${line.product}`);
+        }
+
+        if (!product.isActive) {
+          throw new ApiError(400, `El producto "${product.name}" no está disponible`);
+        }
+
+        const variant = this._resolveVariant(product, line.variant);
+        // La variante puede tener precio propio
+        const price = variant && variant.price !== null ? variant.price : product.price;
+
+        await this.stockService.applyMovement(product.id, {
+          quantity: -line.quantity,
+          reason: 'sale',
+          reference: `Pedido ${orderNumber}`,
+          variant: variant ? { _id: variant._id } : undefined,
+          location: location ? { _id: location._id } : undefined,
+          userId
+        }, { session });
+
+        items.push({
+          product: product._id,
+          variant: variant ? variant._id : undefined,
+          variantSku: variant ? variant.sku : undefined,
+          name: product.name,
+          price,
+          quantity: line.quantity,
+          subtotal: this._round(price * line.quantity)
+        });
+      }
+
+      return await this.repository.create({
+        _id: orderId,
+        orderNumber,
+        items,
+        total: this._round(items.reduce((sum, item) => sum + item.subtotal, 0)),
+        customer: orderData.customer,
+        notes: orderData.notes,
+        statusHistory: [{ status: 'pending', changedBy: userId }],
+        location: location ? location._id : null,
+        locationCode: location ? location.code : undefined,
+        createdBy: userId
+      }, { session });
+    });
+  }
+
+  /**
+   * Obtener todos los pedidos
+   */
+  async getAllOrders(filters = {}, options = {}) {
+    const queryFilters = {};
+
+    if (filters.status) {
+      queryFilters.status = filters.status;
+    }
+
+    return await this.repository.findAll(queryFilters, options);
+  }
+
+  /**
+   * Obtener pedido por ID
+   */
+  async getOrderById(id) {
+    const order = await this.repository.findById(id);
+
+    if (!order) {
+      throw new ApiError(404, 'Pedido no encontrado');
+    }
+
+    return order;
+  }
+
+  /**
+   * Cambiar el estado de un pedido
+   * Cancelar devuelve el stock de sus líneas a la ubicación de la que salió (salvo las de productos
+   * o variantes que ya no existen).
+   */
+  async changeStatus(id, status, userId) {
+    const order = await this.getOrderById(id);
+
+    const allowed = STATUS_TRANSITIONS[order.status];
+    if (!allowed.includes(status)) {
+      throw new ApiError(
+        409,
+        `No se puede pasar un pedido de "${order.status}" a "${status}"`
+      );
+    }
+
+    const fromStatuses = Object.keys(STATUS_TRANSITIONS)
+      .filter(current => STATUS_TRANSITIONS[current].includes(status));
+
+    if (status !== 'cancelled') {
+      const updated = await this.repository.transitionStatus(id, fromStatuses, status, userId);
+      if (!updated) {
+        throw new ApiError(409, 'El pedido cambió de estado; vuelva a intentarlo');
+      }
+      return updated;
+    }
+
+    return await withTransaction(async (session) => {
+      const cancelled = await this.repository.transitionStatus(
+        id, fromStatuses, status, userId, { session }
+      );
+      if (!cancelled) {
+        throw new ApiError(409, 'El pedido cambió de estado; vuelva a intentarlo');
+      }
+
+      for (const item of cancelled.items) {
+        // Un producto eliminado definitivamente (o una variante quitada) ya no tiene dónde recibir el stock
+        const product = await this.productRepository.findById(item.product, { session });
+        const returnable = product && (item.variant
+          ? !!product.variants.id(item.variant)
+          : product.variants.length === 0);
+        if (!returnable) {
+          logger.warn('Cancelación de pedido: no se devuelve el stock de una línea sin producto o variante', {
+            orderNumber: cancelled.orderNumber,
+            product: String(item.product),
+            variantSku: item.variantSku
+          });
+          continue;
+        }
+
+        await this.stockService.applyMovement(item.product, {
+          quantity: item.quantity,
+          reason: 'return',
+          reference: `Cancelación pedido ${cancelled.orderNumber}`,
+          variant: item.variant ? { _id: item.variant } : undefined,
+          location: cancelled.location ? { _id: cancelled.location } : undefined,
+          userId
+        }, { session });
+      }
+
+      return cancelled;
+    });
+  }
+
+  /**
+   * Variante indicada en la línea; los productos con variantes la exigen
+   */
+  _resolveVariant(product, sku) {
+    if (!sku) {
+      if (product.variants.length > 0) {
+        throw new ApiError(400, `El producto "${product.name}" tiene variantes: indique la variante`);
+      }
+      return null;
+    }
+
+    const variant = product.findVariant(sku);
+    if (!variant) {
+      throw new ApiError(404, `Variante no encontrada en "${product.name}": ${sku}`);
+    }
+    return variant;
+  }
+
+  /**
+   * Unificar líneas repetidas del mismo producto y variante
+   */
+  _mergeLines(items) {
+    const lines = new Map();
+
+    items.forEach(({ product, variant, quantity }) => {
+      const key = `${product}:${variant || ''}`;
+      const line = lines.get(key) || { product, variant, quantity: 0 };
+      line.quantity += Number(quantity);
+      lines.set(key, line);
+    });
+
+    return [...lines.values()];
+  }
+
+  _generateOrderNumber() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const random = crypto.randomBytes(4).toString('hex').toUpperCase();
+    return `ORD-${date}-${random}`;
+  }
+
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Inyección de dependencias: Se pasan los repositories y servicios
+module.exports = new OrderService(orderRepository, productRepository, stockService);
@@ -0,0 +1,312 @@
+const productRepository = require('../repositories/product.repository');
+const priceChangeRepository = require('../repositories/priceChange.repository');
+const priceScheduleRepository = require('../repositories/priceSchedule.repository');
+const ApiError = require('../utils/ApiError');
+const eventBus = require('../utils/eventBus');
+const { withTransaction, afterCommit } = require('../utils/transaction');
+
+/**
+ * Service Layer - Historial de precios y precios programados
+ * Todo cambio de precio queda registrado con su período de vigencia.
+ * Los cambios que aplica el programador se publican como product.updated.
+ * Aplica:
+ * - Single Responsibility: Solo lógica de precios
+ * - Dependency Inversion: Depende de abstracciones (repositories)
+ */
+class PriceService {
+  constructor(productRepository, changeRepository, scheduleRepository, eventBus) {
+    this.productRepository = productRepository;
+    this.changeRepository = changeRepository;
+    this.scheduleRepository = scheduleRepository;
+    this.eventBus = eventBus;
+  }
+
+  /**
+   * Registrar el precio con el que se creó un producto
+   */
+  async recordInitialPrice(product, userId) {
+    return await this.changeRepository.create({
+      product: product._id,
+      price: product.price,
+      effectiveFrom: product.createdAt || new Date(),
+      source: 'initial',
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Registrar un cambio de precio ya aplicado al producto
+   * Cierra el período del precio anterior y abre el del nuevo.
+   * @param {Product} product - Producto con el precio nuevo
+   * @param {Number} previousPrice - Precio que tenía antes del cambio
+   * @param {Object} options - { source, userId, schedule, at }, { session } para operaciones transaccionales
+   */
+  async recordChange(product, previousPrice, { source = 'manual', userId, schedule, at = new Date(), session } = {}) {
+    if (product.price === previousPrice) {
+      return null;
+    }
+
+    const closed = await this.changeRepository.closeCurrent(product._id, at, { session });
+    // Productos anteriores al historial: el precio previo rigió desde su creación
+    if (!closed) {
+      await this.changeRepository.create({
+        product: product._id,
+        price: previousPrice,
+        effectiveFrom: product.createdAt || at,
+        effectiveTo: at,
+        source: 'initial'
+      }, { session });
+    }
+
+    return await this.changeRepository.create({
+      product: product._id,
+      price: product.price,
+      previousPrice,
+      effectiveFrom: at,
+      source,
+      schedule: schedule ? schedule._id : null,
+      createdBy: userId
+    }, { session });
+  }
+
+  /**
+   * Línea de tiempo de precios: historial y programaciones pendientes o en curso
+   * @param {Object} filters - { from, to } para acotar el historial
+   */
+  async getTimeline(productId, filters = {}) {
+    const product = await this.productRepository.findById(productId);
+    if (!product) {
+      throw new ApiError(404, 'Producto no encontrado');
+    }
+
+    if (filters.from && filters.to && filters.from > filters.to) {
+      throw new ApiError(400, 'La fecha "from" debe ser anterior a "to"');
+    }
+
+    const history = await this.changeRepository.findByProduct(productId, filters);
+    const schedules = await this.scheduleRepository.findOpenByProduct(productId);
+
+    return {
+      productId: product.id,
+      currentPrice: product.price,
+      history,
+      schedules
+    };
+  }
+
+  /**
+   * Programar un precio futuro o, con `endsAt`, una oferta temporal
+   * Sin `startsAt` empieza de inmediato.
+   * @param {Object} scheduleData - { price, startsAt, endsAt, note }
+   */
+  async schedulePrice(productId, scheduleData, userId) {
+    const product = await this.productRepository.findById(productId);
+    if (!product) {
+      throw new ApiError(404, 'Producto no encontrado');
+    }
+
+    if (product.deletedAt) {
+      throw new ApiError(400, 'El producto está en la papelera; restáurelo antes de programar precios');
+    }
+
+    const now = new Date();
+    const startsAt = scheduleData.startsAt || now;
+    const endsAt = scheduleData.endsAt || null;
+
+    if (endsAt && endsAt <= startsAt) {
+      throw new ApiError(400, 'La fecha de fin debe ser posterior a la de inicio');
+    }
+
+    if (endsAt && endsAt <= now) {
+      throw new ApiError(400, 'La oferta terminaría antes de empezar');
+    }
+
+    const open = await this.scheduleRepository.findOpenByProduct(productId);
+    const conflict = open.find(existing => this._overlaps(existing, { startsAt, endsAt }));
+    if (conflict) {
+      throw new ApiError(409, `Se superpone con otra programación de precio (${conflict._id})`);
+    }
+
+    const schedule = await this.scheduleRepository.create({
+      product: product._id,
+      price: scheduleData.price,
+      startsAt,
+      endsAt,
+      note: scheduleData.note,
+      createdBy: userId
+    });
+
+    // Si ya empezó se aplica ahora en lugar de esperar al job
+    if (startsAt <= now) {
+      await this.processDueSchedules({ now, productId });
+      return await this.scheduleRepository.findByProductAndId(productId, schedule._id);
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Cancelar una programación; si es una oferta en curso se revierte el precio
+   */
+  async cancelSchedule(productId, scheduleId, userId) {
+    const schedule = await this.scheduleRepository.findByProductAndId(productId, scheduleId);
+    if (!schedule) {
+      throw new ApiError(404, 'Programación de precio no encontrada');
+    }
+
+    let cancelled = null;
+    if (schedule.status === 'pending') {
+      cancelled = await this.scheduleRepository.transition(schedule._id, 'pending', {
+        status: 'cancelled',
+        endedAt: new Date()
+      });
+    } else if (schedule.status === 'active') {
+      cancelled = await this._endSale(schedule, { status: 'cancelled', userId });
+    } else {
+      throw new ApiError(400, `La programación ya está en estado "${schedule.status}"`);
+    }
+
+    if (!cancelled) {
+      throw new ApiError(409, 'La programación cambió de estado; vuelva a intentarlo');
+    }
+    return cancelled;
+  }
+
+  /**
+   * Revertir las ofertas que terminaron y aplicar las programaciones que empezaron
+   * Lo ejecuta el job de precios; cada programación se reclama con una transición
+   * condicionada, así dos ejecuciones no la aplican dos veces.
+   * @param {Object} options - { now, productId } (productId: solo las de ese producto)
+   * @returns {Promise<Object>} - { applied, ended } programaciones procesadas
+   */
+  async processDueSchedules({ now = new Date(), productId } = {}) {
+    const ended = [];
+    const applied = [];
+
+    // Primero los fines: una oferta puede terminar justo cuando empieza otra
+    if (!productId) {
+      for (const schedule of await this.scheduleRepository.findDueToEnd(now)) {
+        const result = await this._endSale(schedule, { now });
+        if (result) ended.push(result);
+      }
+    }
+
+    for (const schedule of await this.scheduleRepository.findDueToStart(now, { productId })) {
+      const result = await this._start(schedule, now);
+      if (result) applied.push(result);
+    }
+
+    return { applied, ended };
+  }
+
+  /**
+   * Aplicar una programación pendiente
+   * El reclamo, el nuevo precio y el historial van en una transacción: si algo falla,
+   * la programación sigue pendiente y el job la reintenta.
+   */
+  async _start(schedule, now) {
+    return await withTransaction(async (session) => {
+      const transition = (fromStatus, update) =>
+        this.scheduleRepository.transition(schedule._id, fromStatus, update, { session });
+
+      const product = await this.productRepository.findById(schedule.product, { session });
+      if (!product) {
+        await transition('pending', { status: 'cancelled', endedAt: now });
+        return null;
+      }
+
+      // Una oferta que terminó mientras la aplicación estaba detenida ya no se aplica
+      if (schedule.endsAt && schedule.endsAt <= now) {
+        await transition('pending', { status: 'completed', endedAt: now });
+        return null;
+      }
+
+      const isSale = !!schedule.endsAt;
+      const previousPrice = product.price;
+      const claimed = await transition('pending', {
+        status: isSale ? 'active' : 'completed',
+        appliedAt: now,
+        endedAt: isSale ? null : now,
+        previousPrice
+      });
+      if (!claimed) {
+        return null;
+      }
+
+      const updated = await this.productRepository.update(product.id, { price: claimed.price }, { session });
+      // El producto se eliminó definitivamente después de leerlo: la programación ya no aplica
+      if (!updated) {
+        await transition(claimed.status, { status: 'cancelled', endedAt: now });
+        return null;
+      }
+
+      await this.recordChange(updated, previousPrice, {
+        source: isSale ? 'sale' : 'scheduled',
+        userId: claimed.createdBy,
+        schedule: claimed,
+        at: now,
+        session
+      });
+      afterCommit(session, () => this.eventBus.publish('product.updated', { product: updated }));
+
+      return claimed;
+    });
+  }
+
+  /**
+   * Terminar una oferta: se vuelve al precio anterior solo si nadie lo cambió durante la oferta
+   */
+  async _endSale(schedule, { now = new Date(), status = 'completed', userId } = {}) {
+    return await withTransaction(async (session) => {
+      const product = await this.productRepository.findById(schedule.product, { session });
+      const revert = !!product && product.price === schedule.price;
+
+      const claimed = await this.scheduleRepository.transition(schedule._id, 'active', {
+        status,
+        endedAt: now,
+        reverted: revert
+      }, { session });
+      if (!claimed || !revert) {
+        return claimed;
+      }
+
+      const updated = await this.productRepository.update(product.id, { price: claimed.previousPrice }, { session });
+      // El producto se eliminó definitivamente después de leerlo: la oferta termina sin revertir
+      if (!updated) {
+        return await this.scheduleRepository.transition(schedule._id, status, { reverted: false }, { session });
+      }
+
+      await this.recordChange(updated, claimed.price, {
+        source: 'sale-end',
+        userId: userId || claimed.createdBy,
+        schedule: claimed,
+        at: now,
+        session
+      });
+      afterCommit(session, () => this.eventBus.publish('product.updated', { product: updated }));
+
+      return claimed;
+    });
+  }
+
+  /**
+   * Eliminar el historial y las programaciones de precio de productos eliminados permanentemente
+   * @param {Array} productIds - IDs de los productos
+   */
+  async discardHistory(productIds) {
+    await this.scheduleRepository.deleteByProducts(productIds);
+    await this.changeRepository.deleteByProducts(productIds);
+  }
+
+  /**
+   * Dos programaciones chocan si sus períodos se superponen
+   * Un precio sin fin ocupa solo su instante de inicio; los períodos [inicio, fin) pueden ser consecutivos
+   */
+  _overlaps(a, b) {
+    const end = (schedule) => schedule.endsAt || new Date(schedule.startsAt.getTime() + 1);
+    return a.startsAt < end(b) && b.startsAt < end(a);
+  }
+}
+
+// Inyección de dependencias: Se pasan los repositories y el bus de eventos al servicio
+module.exports = new PriceService(productRepository, priceChangeRepository, priceScheduleRepository, eventBus);
@@ -1,5 +1,16 @@
 const productRepository = require('../repositories/product.repository');
+const stockService = require('./stock.service');
+const categoryService = require('./category.service');
+const priceService = require('./price.service');
+const supplierService = require('./supplier.service');
+const productImageService = require('./productImage.service');
 const ApiError = require('../utils/ApiError');
+const { assertVersion } = require('../utils/etag');
+const { withTransaction } = require('../utils/transaction');
+const trashConfig = require('../config/trash');
+const eventBus = require('../utils/eventBus');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Service Layer - Lógica de negocio
@@ -9,44 +20,112 @@ const ApiError = require('../utils/ApiError');
  * - Open/Closed: Abierto a extensión mediante nuevos métodos
  */
 class ProductService {
-  constructor(repository) {
+  constructor(
+    repository,
+    stockService,
+    categoryService,
+    priceService,
+    supplierService,
+    imageService,
+    trashConfig,
+    eventBus
+  ) {
     this.repository = repository;
+    this.stockService = stockService;
+    this.categoryService = categoryService;
+    this.priceService = priceService;
+    this.supplierService = supplierService;
+    this.imageService = imageService;
+    this.trashConfig = trashConfig;
+    this.eventBus = eventBus;
   }
 
   /**
    * Crear un nuevo producto
    * Valida lógica de negocio antes de persistir
    */
-  async createProduct(productData) {
+  async createProduct(productData, userId) {
+    await this.assertCanCreate(productData);
+
+    // El producto y su stock inicial en el ledger se crean juntos o ninguno
+    const product = await withTransaction(async (session) => {
+      const created = await this.repository.create(productData, { session });
+      await this.stockService.recordInitialStock(created, userId, { session });
+      return created;
+    });
+    await this.priceService.recordInitialPrice(product, userId);
+    this.eventBus.publish('product.created', { product });
+    return product;
+  }
+
+  /**
+   * Reglas de negocio para crear un producto, sin persistir
+   * También las usa la importación masiva en modo dry-run
+   */
+  async assertCanCreate(productData) {
     // Validación: Producto con nombre duplicado
     const existingProduct = await this.repository.existsByName(productData.name);
     if (existingProduct) {
       throw new ApiError(400, 'Ya existe un producto con ese nombre');
     }
 
+    if (productData.sku && await this.repository.existsBySku(productData.sku)) {
+      throw new ApiError(400, 'Ya existe un producto con ese SKU');
+    }
+
+    // Productos y variantes comparten el espacio de SKU
+    for (const variant of productData.variants || []) {
+      if (variant.sku === productData.sku || await this.repository.existsBySku(variant.sku)) {
+        throw new ApiError(400, `Ya existe un producto o variante con el SKU ${variant.sku}`);
+      }
+    }
+
     // Validación de negocio: Precio mínimo
     if (productData.price < 0.01) {
       throw new ApiError(400, 'El precio debe ser mayor a $0.01');
     }
 
-    // Crear producto
-    const product = await this.repository.create(productData);
-    return product;
+    // Validación: La categoría debe existir y estar activa
+    productData.category = this._normalizeCategory(productData.category);
+    await this.categoryService.assertAssignable(productData.category);
+
+    if (productData.suppliers) {
+      await this._assertSuppliers(productData.suppliers);
+    }
   }
 
   /**
    * Obtener todos los productos
    */
   async getAllProducts(filters = {}, options = {}) {
-    // Construir filtros dinámicos
-    const queryFilters = {};
+    const queryFilters = this.buildQueryFilters(filters);
+
+    if (options.sortBy === 'relevance') {
+      if (!filters.search) {
+        throw new ApiError(400, 'El orden por relevancia requiere el parámetro search');
+      }
+      if (options.cursor !== undefined) {
+        throw new ApiError(400, 'El orden por relevancia no admite paginación por cursor');
+      }
+    }
+
+    return await this.repository.findAll(queryFilters, options);
+  }
+
+  /**
+   * Construir el filtro de MongoDB a partir de los filtros del listado
+   * Lo comparten el listado paginado y la exportación
+   */
+  buildQueryFilters(filters = {}) {
+    // Construir filtros dinámicos; los productos en la papelera no se listan
+    const queryFilters = { deletedAt: null };
 
     if (filters.category) {
       queryFilters.category = filters.category;
     }
 
     if (filters.isActive !== undefined) {
-      queryFilters.isActive = filters.isActive === 'true';
+      queryFilters.isActive = filters.isActive === true || filters.isActive === 'true';
     }
 
     if (filters.minPrice || filters.maxPrice) {
@@ -55,14 +134,41 @@ class ProductService {
       if (filters.maxPrice) queryFilters.price.$lte = parseFloat(filters.maxPrice);
     }
 
+    // Búsqueda por índice de texto: el término nunca se interpreta como RegExp
     if (filters.search) {
-      queryFilters.$or = [
-        { name: new RegExp(filters.search, 'i') },
-        { description: new RegExp(filters.search, 'i') }
-      ];
+      queryFilters.$text = { $search: filters.search };
     }
 
-    return await this.repository.findAll(queryFilters, options);
+    // Solo productos activos con stock (o alguna variante) igual o menor al umbral
+    if (filters.lowStock !== undefined) {
+      Object.assign(queryFilters, this.repository.lowStockFilter(parseInt(filters.lowStock)));
+      queryFilters.isActive = true;
+    }
+
+    return queryFilters;
+  }
+
+  /**
+   * Sugerencias de autocompletado por prefijo del nombre
+   */
+  async suggestProducts(query, limit = 10) {
+    const products = await this.repository.suggestByPrefix(query, limit);
+
+    return products.map(product => ({
+      id: product._id,
+      name: product.name,
+      category: product.category,
+      price: product.price
+    }));
+  }
+
+  /**
+   * Completar el nombre normalizado de los productos creados antes del autocompletado
+   * Se ejecuta al iniciar el servidor; los productos que ya lo tienen no se tocan.
+   * @returns {Promise<Number>} - Productos actualizados
+   */
+  async backfillSearchNames() {
+    return await this.repository.backfillSearchNames();
   }
 
   /**
@@ -80,137 +186,550 @@ class ProductService {
 
   /**
    * Actualizar producto
+   * @param {Object} options - { versions } de If-Match: solo se actualiza si la versión coincide
    */
-  async updateProduct(id, updateData) {
+  async updateProduct(id, updateData, userId, { versions } = {}) {
     // Verificar que el producto existe
     const existingProduct = await this.repository.findById(id);
     if (!existingProduct) {
       throw new ApiError(404, 'Producto no encontrado');
     }
 
+    assertVersion(existingProduct, versions);
+    await this.assertCanUpdate(existingProduct, updateData);
+
+    // El stock no se sobrescribe: la diferencia se registra como ajuste
+    const { stock, ...productData } = updateData;
+    const updatedProduct = await withTransaction(async (session) => {
+      // La versión se vuelve a comprobar al escribir por si otro usuario guardó entre medio
+      const updated = await this.repository.update(id, productData, { versions, session });
+      if (!updated) {
+        await this._rejectFailedWrite(id, versions);
+      }
+
+      if (updated.price !== existingProduct.price) {
+        await this.priceService.recordChange(updated, existingProduct.price, { source: 'manual', userId, session });
+      }
+
+      // La diferencia se calcula con el stock actual, no con el leído antes: una venta
+      // registrada entre medio no se pisa
+      const difference = stock !== undefined ? Number(stock) - updated.stock : 0;
+      if (difference === 0) {
+        return updated;
+      }
+      return await this.stockService.applyMovement(id, {
+        quantity: difference,
+        reason: 'adjustment',
+        reference: 'Edición de producto',
+        userId
+      }, { session });
+    });
+
+    this.eventBus.publish('product.updated', { product: updatedProduct });
+    if (existingProduct.isActive && !updatedProduct.isActive) {
+      this.eventBus.publish('product.deactivated', { product: updatedProduct });
+    }
+    return updatedProduct;
+  }
+
+  /**
+   * Reglas de negocio para actualizar un producto, sin persistir
+   */
+  async assertCanUpdate(existingProduct, updateData) {
+    if (existingProduct.deletedAt) {
+      throw new ApiError(400, 'El producto está en la papelera; restáurelo antes de editarlo');
+    }
+
+    if (updateData.stock !== undefined && existingProduct.variants.length > 0) {
+      throw new ApiError(400, 'El stock de un producto con variantes se ajusta por variante');
+    }
+
     // Si se intenta cambiar el nombre, verificar que no exista otro con ese nombre
     if (updateData.name && updateData.name !== existingProduct.name) {
-      const duplicated = await this.repository.existsByName(updateData.name, id);
+      const duplicated = await this.repository.existsByName(updateData.name, existingProduct.id);
       if (duplicated) {
         throw new ApiError(400, 'Ya existe otro producto con ese nombre');
       }
     }
 
+    if (updateData.sku && updateData.sku.toUpperCase() !== existingProduct.sku) {
+      const duplicated = await this.repository.existsBySku(updateData.sku, existingProduct.id);
+      if (duplicated) {
+        throw new ApiError(400, 'Ya existe otro producto con ese SKU');
+      }
+    }
+
     // Validación de negocio
     if (updateData.price !== undefined && updateData.price < 0.01) {
       throw new ApiError(400, 'El precio debe ser mayor a $0.01');
     }
 
-    const updatedProduct = await this.repository.update(id, updateData);
-    return updatedProduct;
+    if (updateData.category !== undefined) {
+      updateData.category = this._normalizeCategory(updateData.category);
+      if (updateData.category !== existingProduct.category) {
+        await this.categoryService.assertAssignable(updateData.category);
+      }
+    }
+
+    if (updateData.suppliers) {
+      await this._assertSuppliers(updateData.suppliers);
+    }
   }
 
   /**
-   * Eliminar producto (soft delete)
+   * Proveedores de un producto: existentes, activos y como mucho uno preferido
    */
-  async deleteProduct(id) {
+  async _assertSuppliers(links) {
+    if (links.filter(link => link.isPreferred).length > 1) {
+      throw new ApiError(400, 'Solo un proveedor puede ser el preferido');
+    }
+    await this.supplierService.assertAssignable(links);
+  }
+
+  /**
+   * Eliminar producto (soft delete): pasa a la papelera hasta que se restaure o se purgue
+   * @param {String} userId - Usuario que lo elimina
+   * @param {Object} options - { versions } de If-Match
+   */
+  async deleteProduct(id, userId, { versions } = {}) {
     const product = await this.repository.findById(id);
     
     if (!product) {
       throw new ApiError(404, 'Producto no encontrado');
     }
 
-    if (!product.isActive) {
-      throw new ApiError(400, 'El producto ya está inactivo');
+    assertVersion(product, versions);
+
+    if (product.deletedAt) {
+      throw new ApiError(400, 'El producto ya está en la papelera');
     }
 
-    const deletedProduct = await this.repository.softDelete(id);
+    const deletedProduct = await this.repository.softDelete(id, userId, { isActive: product.isActive, versions });
+    if (!deletedProduct) {
+      await this._rejectFailedWrite(id, versions);
+    }
+    this.eventBus.publish('product.deleted', { product: deletedProduct, permanent: false });
     return deletedProduct;
   }
 
+  /**
+   * Listar la papelera con la fecha en que cada producto se purgará
+   */
+  async getTrash(options = {}) {
+    const result = await this.repository.findTrash(options);
+    const { retentionDays } = this.trashConfig;
+
+    return {
+      retentionDays,
+      products: result.products.map(product => ({
+        ...product,
+        purgeAt: new Date(product.deletedAt.getTime() + retentionDays * DAY_MS)
+      })),
+      pagination: result.pagination
+    };
+  }
+
+  /**
+   * Restaurar un producto de la papelera (vuelve activo o inactivo, como estaba al eliminarlo)
+   * @param {Object} options - { versions } de If-Match
+   */
+  async restoreProduct(id, { versions } = {}) {
+    const product = await this.repository.findById(id);
+
+    if (!product) {
+      throw new ApiError(404, 'Producto no encontrado');
+    }
+
+    assertVersion(product, versions);
+
+    if (!product.deletedAt) {
+      throw new ApiError(400, 'El producto no está en la papelera');
+    }
+
+    // Los eliminados antes de guardar el estado previo vuelven activos
+    const isActive = product.activeBeforeDelete !== false;
+    const restoredProduct = await this.repository.restore(id, { isActive, versions });
+    if (!restoredProduct) {
+      await this._rejectFailedWrite(id, versions, current => (
+        !current.deletedAt ? new ApiError(400, 'El producto no está en la papelera') : undefined
+      ));
+    }
+    this.eventBus.publish('product.restored', { product: restoredProduct });
+    return restoredProduct;
+  }
+
+  /**
+   * Eliminar permanentemente los productos que superaron la retención de la papelera
+   * Se procesa por lotes para no cargar toda la papelera en memoria
+   * @param {Object} options - { now, batchSize }
+   * @returns {Promise<Array>} - Productos eliminados { id, name, sku, deletedAt, deletedBy }
+   */
+  async purgeExpiredTrash({ now = new Date(), batchSize = 500 } = {}) {
+    const cutoff = new Date(now.getTime() - this.trashConfig.retentionDays * DAY_MS);
+    const purged = [];
+
+    for (;;) {
+      const expired = await this.repository.findExpiredTrash(cutoff, batchSize);
+      if (expired.length === 0) {
+        break;
+      }
+
+      // Solo se limpian los que se eliminaron: uno restaurado entre medio conserva sus datos
+      const deletedIds = await this.repository.deleteExpiredTrash(expired.map(product => product._id), cutoff);
+      const deleted = expired.filter(product => deletedIds.includes(String(product._id)));
+      await this._discardProductData(deleted);
+      const batch = deleted.map(product => ({
+        id: product._id,
+        name: product.name,
+        sku: product.sku,
+        deletedAt: product.deletedAt,
+        deletedBy: product.deletedBy
+      }));
+      batch.forEach(product => this.eventBus.publish('product.deleted', { product, permanent: true }));
+      purged.push(...batch);
+
+      if (expired.length < batchSize) {
+        break;
+      }
+    }
+
+    return purged;
+  }
+
   /**
    * Eliminar permanentemente
+   * @param {Object} options - { versions } de If-Match
    */
-  async permanentDeleteProduct(id) {
+  async permanentDeleteProduct(id, { versions } = {}) {
     const product = await this.repository.findById(id);
     
     if (!product) {
       throw new ApiError(404, 'Producto no encontrado');
     }
 
-    await this.repository.hardDelete(id);
+    assertVersion(product, versions);
+
+    const deletedProduct = await this.repository.hardDelete(id, { versions });
+    if (!deletedProduct) {
+      await this._rejectFailedWrite(id, versions);
+    }
+    await this._discardProductData([deletedProduct]);
+    this.eventBus.publish('product.deleted', { product: deletedProduct, permanent: true });
     return { message: 'Producto eliminado permanentemente' };
   }
 
   /**
-   * Obtener productos por categoría
+   * Eliminar lo que depende de productos eliminados permanentemente: stock por ubicación,
+   * movimientos, historial y programaciones de precio, e imágenes.
+   * Los pedidos se conservan: guardan el nombre y el precio de cada línea.
    */
-  async getProductsByCategory(category) {
-    const validCategories = ['electronics', 'clothing', 'food', 'books', 'other'];
-    
-    if (!validCategories.includes(category)) {
-      throw new ApiError(400, `Categoría inválida. Opciones: ${validCategories.join(', ')}`);
+  async _discardProductData(products) {
+    const ids = products.map(product => product._id);
+    await this.stockService.discardLevels(ids);
+    await this.stockService.discardMovements(ids);
+    await this.priceService.discardHistory(ids);
+    await this.imageService.removeProductImages(products);
+  }
+
+  /**
+   * Una escritura condicionada no encontró el documento; se informa la causa real:
+   * se eliminó (404), ya no tiene la versión de If-Match (412) o dejó de cumplir la condición
+   * de la operación entre la lectura y la escritura (la que indique `explain`, o 409)
+   * @param {Array<Number>} versions - Versiones de If-Match, si se enviaron
+   * @param {Function} explain - (current) => ApiError con la causa, o undefined si no aplica
+   */
+  async _rejectFailedWrite(id, versions, explain = () => undefined) {
+    const current = await this.repository.findById(id);
+    if (!current) {
+      throw new ApiError(404, 'Producto no encontrado');
+    }
+    if (versions) {
+      assertVersion(current, versions);
     }
+    throw explain(current) || ApiError.conflict('El producto cambió mientras tanto; vuelva a intentarlo');
+  }
 
-    return await this.repository.findByCategory(category);
+  /**
+   * Obtener productos por categoría (incluye sus subcategorías)
+   */
+  async getProductsByCategory(category, options = {}) {
+    const categories = await this.categoryService.getSlugsWithDescendants(
+      this._normalizeCategory(category)
+    );
+
+    return await this.repository.findByCategory(categories, options);
   }
 
   /**
    * Obtener productos con stock bajo
    */
-  async getLowStockProducts(threshold = 10) {
+  async getLowStockProducts(threshold = 10, options = {}) {
     if (threshold < 0) {
       throw new ApiError(400, 'El umbral debe ser un número positivo');
     }
 
-    return await this.repository.findLowStock(threshold);
+    return await this.repository.findLowStock(threshold, options);
   }
 
   /**
    * Actualizar stock (incrementar o decrementar)
+   * @param {Object} movement - { reason, reference, variant, location } del movimiento; variant es el SKU
+   *   de la variante y location el código de la ubicación (la predeterminada si no se indica)
+   * @param {Object} options - { versions } de If-Match
+   */
+  async updateStock(id, quantity, movement = {}, userId, { versions } = {}) {
+    // El decremento es condicional y atómico: no se permite stock negativo
+    const updatedProduct = await this.stockService.applyMovement(id, {
+      quantity,
+      reason: movement.reason || 'adjustment',
+      reference: movement.reference,
+      variant: movement.variant ? { sku: movement.variant } : undefined,
+      location: movement.location ? { code: movement.location } : undefined,
+      userId
+    }, { versions });
+
+    return updatedProduct;
+  }
+
+  /**
+   * Agregar una variante a un producto
+   * Su stock inicial se registra en el ledger como ajuste de la variante
+   * @param {Object} variantData - { sku, attributes, price, stock }
+   * @param {Object} options - { versions } de If-Match
+   */
+  async addVariant(id, variantData, userId, { versions } = {}) {
+    const product = await this._findForVariantChange(id, versions);
+
+    // Al pasar a tener variantes, el stock del producto pasa a ser la suma de ellas
+    if (product.variants.length === 0 && product.stock > 0) {
+      throw new ApiError(
+        400,
+        `El producto tiene ${product.stock} unidades sin variante; ajuste su stock a 0 antes de agregar variantes`
+      );
+    }
+
+    if (await this.repository.existsBySku(variantData.sku)) {
+      throw new ApiError(400, `Ya existe un producto o variante con el SKU ${variantData.sku}`);
+    }
+
+    const { stock = 0, ...data } = variantData;
+    let updatedProduct = await this.repository.addVariant(id, data, { versions });
+    if (!updatedProduct) {
+      await this._rejectFailedWrite(id, versions, current => (
+        current.findVariant(data.sku) ? ApiError.conflict(`El producto ya tiene la variante ${data.sku}`) : undefined
+      ));
+    }
+
+    // Los niveles sin variante quedaron en 0 y ya no se usan
+    if (product.variants.length === 0) {
+      await this.stockService.discardLevels([product._id], { variant: null });
+    }
+
+    if (stock > 0) {
+      updatedProduct = await this.stockService.applyMovement(id, {
+        quantity: stock,
+        reason: 'adjustment',
+        reference: 'Stock inicial',
+        variant: { sku: data.sku },
+        userId
+      });
+    }
+
+    this.eventBus.publish('product.updated', { product: updatedProduct });
+    return updatedProduct;
+  }
+
+  /**
+   * Modificar SKU, atributos o precio de una variante (el stock se mueve con updateStock)
+   * @param {String} sku - SKU actual de la variante
+   * @param {Object} options - { versions } de If-Match
+   */
+  async updateVariant(id, sku, variantData, { versions } = {}) {
+    const product = await this._findForVariantChange(id, versions);
+    this._findVariantOrFail(product, sku);
+
+    if (variantData.sku && variantData.sku !== sku && await this.repository.existsBySku(variantData.sku)) {
+      throw new ApiError(400, `Ya existe un producto o variante con el SKU ${variantData.sku}`);
+    }
+
+    const updatedProduct = await this.repository.updateVariant(id, sku, variantData, { versions });
+    if (!updatedProduct) {
+      await this._rejectFailedWrite(id, versions, current => (
+        !current.findVariant(sku) ? new ApiError(404, `Variante no encontrada: ${sku}`) : undefined
+      ));
+    }
+    this.eventBus.publish('product.updated', { product: updatedProduct });
+    return updatedProduct;
+  }
+
+  /**
+   * Quitar una variante; debe estar sin stock para no perder unidades del ledger
+   * @param {String} sku - SKU de la variante
+   * @param {Object} options - { versions } de If-Match
    */
-  async updateStock(id, quantity) {
+  async deleteVariant(id, sku, { versions } = {}) {
+    const product = await this._findForVariantChange(id, versions);
+    const variant = this._findVariantOrFail(product, sku);
+
+    if (variant.stock > 0) {
+      throw new ApiError(
+        400,
+        `La variante ${variant.sku} tiene ${variant.stock} unidades; descuéntelas antes de eliminarla`
+      );
+    }
+
+    const updatedProduct = await this.repository.removeVariant(id, variant.sku, { versions });
+    if (!updatedProduct) {
+      await this._rejectFailedWrite(id, versions, (current) => {
+        const latest = current.findVariant(variant.sku);
+        if (!latest) {
+          return new ApiError(404, `Variante no encontrada: ${variant.sku}`);
+        }
+        return latest.stock > 0
+          ? new ApiError(400, `La variante ${latest.sku} tiene ${latest.stock} unidades; descuéntelas antes de eliminarla`)
+          : undefined;
+      });
+    }
+    await this.stockService.discardLevels([product._id], { variant: variant._id });
+    this.eventBus.publish('product.updated', { product: updatedProduct });
+    return updatedProduct;
+  }
+
+  async _findForVariantChange(id, versions) {
     const product = await this.repository.findById(id);
-    
     if (!product) {
       throw new ApiError(404, 'Producto no encontrado');
     }
 
-    // Validación: No permitir stock negativo
-    const newStock = product.stock + quantity;
-    if (newStock < 0) {
-      throw new ApiError(400, `Stock insuficiente. Stock actual: ${product.stock}`);
+    assertVersion(product, versions);
+
+    if (product.deletedAt) {
+      throw new ApiError(400, 'El producto está en la papelera; restáurelo antes de editarlo');
     }
 
-    const updatedProduct = await this.repository.updateStock(id, quantity);
-    return updatedProduct;
+    return product;
+  }
+
+  _findVariantOrFail(product, sku) {
+    const variant = product.findVariant(sku);
+    if (!variant) {
+      throw new ApiError(404, `Variante no encontrada: ${sku}`);
+    }
+    return variant;
   }
 
   /**
    * Obtener estadísticas de productos
+   * Se calculan con agregación sobre toda la colección (sin paginar)
+   * @param {Object} filters - { from, to, category, interval }
    */
-  async getStatistics() {
-    const allProducts = await this.repository.findAll();
-    const lowStock = await this.repository.findLowStock();
-
-    const statistics = {
-      totalProducts: allProducts.pagination.total,
-      activeProducts: allProducts.products.filter(p => p.isActive).length,
-      inactiveProducts: allProducts.products.filter(p => !p.isActive).length,
-      lowStockProducts: lowStock.length,
-      totalInventoryValue: allProducts.products.reduce(
-        (sum, p) => sum + (p.price * p.stock), 
-        0
-      ),
-      byCategory: {}
-    };
+  async getStatistics(filters = {}) {
+    // Los productos en la papelera no cuentan, igual que en el listado
+    const match = { deletedAt: null };
 
-    // Agrupar por categoría
-    allProducts.products.forEach(product => {
-      if (!statistics.byCategory[product.category]) {
-        statistics.byCategory[product.category] = 0;
+    if (filters.from || filters.to) {
+      if (filters.from && filters.to && filters.from > filters.to) {
+        throw new ApiError(400, 'La fecha "from" debe ser anterior a "to"');
       }
-      statistics.byCategory[product.category]++;
+      match.createdAt = {};
+      if (filters.from) match.createdAt.$gte = filters.from;
+      if (filters.to) match.createdAt.$lte = filters.to;
+    }
+
+    if (filters.category) {
+      const categories = await this.categoryService.getSlugsWithDescendants(
+        this._normalizeCategory(filters.category)
+      );
+      match.category = { $in: categories };
+    }
+
+    const stockBoundaries = [0, 1, 11, 51, 101];
+    const result = await this.repository.aggregateStatistics(match, {
+      interval: filters.interval || 'day',
+      stockBoundaries
     });
 
-    return statistics;
+    const totals = result.totals[0] || {
+      totalProducts: 0,
+      activeProducts: 0,
+      totalStock: 0,
+      totalInventoryValue: 0,
+      lowStockProducts: 0,
+      totalVariants: 0,
+      lowStockVariants: 0
+    };
+    const price = result.price[0] || { min: null, avg: null, max: null };
+
+    return {
+      totalProducts: totals.totalProducts,
+      activeProducts: totals.activeProducts,
+      inactiveProducts: totals.totalProducts - totals.activeProducts,
+      lowStockProducts: totals.lowStockProducts,
+      totalVariants: totals.totalVariants,
+      lowStockVariants: totals.lowStockVariants,
+      totalStock: totals.totalStock,
+      totalInventoryValue: this._round(totals.totalInventoryValue),
+      price: {
+        min: price.min,
+        avg: price.avg === null ? null : this._round(price.avg),
+        max: price.max
+      },
+      byCategory: result.byCategory.reduce((acc, group) => {
+        acc[group._id] = {
+          products: group.products,
+          stock: group.stock,
+          inventoryValue: this._round(group.inventoryValue)
+        };
+        return acc;
+      }, {}),
+      stockDistribution: result.stockDistribution.map(bucket => ({
+        range: this._bucketLabel(bucket._id, stockBoundaries),
+        products: bucket.products
+      })),
+      createdOverTime: {
+        interval: filters.interval || 'day',
+        series: result.createdOverTime.map(point => ({
+          period: point._id,
+          products: point.products
+        }))
+      },
+      filters: {
+        from: filters.from || null,
+        to: filters.to || null,
+        category: filters.category || null
+      }
+    };
+  }
+
+  /**
+   * Etiqueta legible de un bucket de stock, ej: "11-50" o "101+"
+   */
+  _bucketLabel(lowerBound, boundaries) {
+    if (lowerBound === 'over') {
+      return `${boundaries[boundaries.length - 1]}+`;
+    }
+
+    const upperBound = boundaries[boundaries.indexOf(lowerBound) + 1] - 1;
+    return lowerBound === upperBound ? `${lowerBound}` : `${lowerBound}-${upperBound}`;
+  }
+
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  _normalizeCategory(category) {
+    return String(category).trim().toLowerCase();
   }
 }
 
 // Inyección de dependencias: Se pasa el repository al servicio
-module.exports = new ProductService(productRepository);
\ No newline at end of file
+module.exports = new ProductService(
+  productRepository,
+  stockService,
+  categoryService,
+  priceService,
+  supplierService,
+  productImageService,
+  trashConfig,
+  eventBus
+);
\ No newline at end of file
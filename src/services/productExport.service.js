@@ -0,0 +1,167 @@
+const ExcelJS = require('exceljs');
+const productRepository = require('../repositories/product.repository');
+const productService = require('./product.service');
+
+/**
+ * Columnas exportables y su título en el archivo
+ */
+const EXPORT_COLUMNS = {
+  id: 'ID',
+  sku: 'SKU',
+  name: 'Nombre',
+  description: 'Descripción',
+  category: 'Categoría',
+  price: 'Precio',
+  stock: 'Stock',
+  isActive: 'Activo',
+  createdAt: 'Creado',
+  updatedAt: 'Actualizado'
+};
+
+const DEFAULT_COLUMNS = ['id', 'sku', 'name', 'category', 'price', 'stock', 'isActive'];
+
+/**
+ * Formatos soportados: extensión y Content-Type
+ */
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' },
+  xlsx: {
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  }
+};
+
+/**
+ * Service Layer - Exportación del catálogo en streaming
+ * Los productos se leen con un cursor y se escriben fila a fila en la respuesta,
+ * respetando la contrapresión (backpressure) del stream.
+ * Aplica:
+ * - Single Responsibility: Solo lógica de exportación
+ * - Open/Closed: Un formato nuevo es un nuevo método _write<Formato>
+ */
+class ProductExportService {
+  constructor(repository, productService) {
+    this.repository = repository;
+    this.productService = productService;
+  }
+
+  /**
+   * Escribir la exportación en un stream de salida
+   * @param {Writable} output - Stream de destino (ej: la respuesta HTTP)
+   * @param {Object} options - { format, columns, filters, sortBy, sortOrder }
+   */
+  async exportProducts(output, options) {
+    const { format, columns, filters = {}, sortBy, sortOrder } = options;
+    const queryFilters = this.productService.buildQueryFilters(filters);
+    const cursor = this.repository.streamAll(queryFilters, { sortBy, sortOrder });
+
+    try {
+      if (format === 'xlsx') {
+        await this._writeXlsx(cursor, output, columns);
+      } else if (format === 'ndjson') {
+        await this._writeNdjson(cursor, output, columns);
+      } else {
+        await this._writeCsv(cursor, output, columns);
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  async _writeCsv(cursor, output, columns) {
+    // BOM para que Excel reconozca UTF-8 (tildes)
+    await this._write(output, '\uFEFF' + this._csvLine(columns.map(column => EXPORT_COLUMNS[column])));
+
+    for await (const product of cursor) {
+      const row = this._pick(product, columns);
+      await this._write(output, this._csvLine(columns.map(column => row[column])));
+    }
+    output.end();
+  }
+
+  async _writeNdjson(cursor, output, columns) {
+    for await (const product of cursor) {
+      await this._write(output, JSON.stringify(this._pick(product, columns)) + '\n');
+    }
+    output.end();
+  }
+
+  async _writeXlsx(cursor, output, columns) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output });
+    const sheet = workbook.addWorksheet('Productos');
+    sheet.columns = columns.map(column => ({
+      header: EXPORT_COLUMNS[column],
+      key: column,
+      width: column === 'description' ? 60 : 20
+    }));
+
+    for await (const product of cursor) {
+      // commit() libera la fila de memoria una vez escrita
+      sheet.addRow(this._pick(product, columns)).commit();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+  }
+
+  /**
+   * Escribir respetando la contrapresión del stream
+   * Si el cliente cierra la conexión se corta la exportación
+   */
+  async _write(output, chunk) {
+    if (output.destroyed) {
+      throw new Error('La conexión se cerró durante la exportación');
+    }
+
+    if (!output.write(chunk)) {
+      await new Promise((resolve, reject) => {
+        const onDrain = () => {
+          output.off('close', onClose);
+          resolve();
+        };
+        const onClose = () => {
+          output.off('drain', onDrain);
+          reject(new Error('La conexión se cerró durante la exportación'));
+        };
+        output.once('drain', onDrain);
+        output.once('close', onClose);
+      });
+    }
+  }
+
+  _pick(product, columns) {
+    const row = {};
+    columns.forEach(column => {
+      row[column] = column === 'id' ? String(product._id) : product[column];
+    });
+    return row;
+  }
+
+  _csvLine(values) {
+    return values.map(value => this._csvValue(value)).join(',') + '\r\n';
+  }
+
+  /**
+   * Valor de una celda CSV
+   * Los textos que empiezan con =, +, -, @, tabulación o retorno de carro llevan un ' delante
+   * para que las planillas no los ejecuten como fórmulas (inyección de CSV).
+   */
+  _csvValue(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+// Inyección de dependencias: Se pasan el repository y el servicio de productos
+module.exports = new ProductExportService(productRepository, productService);
+module.exports.EXPORT_COLUMNS = EXPORT_COLUMNS;
+module.exports.DEFAULT_COLUMNS = DEFAULT_COLUMNS;
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
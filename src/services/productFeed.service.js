@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const productRepository = require('../repositories/product.repository');
+const categoryService = require('./category.service');
+const ApiError = require('../utils/ApiError');
+const feedConfig = require('../config/feed');
+
+/**
+ * Errores del change stream que indican que el token ya no está en el oplog
+ * (ChangeStreamHistoryLost, ChangeStreamFatalError)
+ */
+const HISTORY_LOST_CODES = [286, 280];
+
+const RESUME_TOKEN_PATTERN = /^[0-9A-F]{2,4096}$/i;
+
+/**
+ * Service Layer - Feed de cambios de productos en vivo
+ * Traduce el change stream de MongoDB a eventos del catálogo. Como el change stream
+ * lee el oplog, cada instancia ve también los cambios hechos por las demás, y el
+ * token de cada cambio (el `id` del evento) permite retomar tras una reconexión.
+ * Aplica:
+ * - Single Responsibility: Solo lógica del feed de cambios
+ * - Dependency Inversion: Depende de abstracciones (repository y servicios)
+ */
+class ProductFeedService {
+  constructor(repository, categoryService, config) {
+    this.repository = repository;
+    this.categoryService = categoryService;
+    this.config = config;
+    // Suscripciones abiertas, para cerrarlas al apagar el servidor
+    this.subscriptions = new Set();
+    this.closing = false;
+  }
+
+  /**
+   * Suscribirse a los cambios del catálogo
+   * @param {Object} filters - { category, productId } (la categoría incluye sus subcategorías)
+   * @param {Object} options - { lastEventId } para retomar después del último evento recibido
+   * @param {Object} handlers - { onEvent(event), onReset(), onError(error), onClose() }
+   *   onReset avisa que no se pudo retomar (el historial ya no existe) y el feed sigue desde ahora;
+   *   onClose, que el servidor se está cerrando y la conexión debe terminar
+   * @returns {Promise<Object>} - { close() } para terminar la suscripción
+   */
+  async subscribe(filters = {}, { lastEventId } = {}, handlers) {
+    if (lastEventId && !RESUME_TOKEN_PATTERN.test(lastEventId)) {
+      throw new ApiError(400, 'Last-Event-ID inválido');
+    }
+    if (this.closing) {
+      throw new ApiError(503, 'El servidor se está cerrando; reintente más tarde');
+    }
+    if (this.subscriptions.size >= this.config.maxClients) {
+      throw new ApiError(503, 'Demasiadas conexiones al feed de cambios; reintente más tarde');
+    }
+
+    const pipeline = await this._buildPipeline(filters);
+    let stream = null;
+    let closed = false;
+
+    const open = (resumeAfter) => {
+      let received = false;
+      stream = this.repository.watchChanges(pipeline, { resumeAfter });
+
+      stream.on('change', (change) => {
+        received = true;
+        const event = this.toFeedEvent(change);
+        if (event) {
+          handlers.onEvent(event);
+        }
+      });
+
+      stream.on('error', (error) => {
+        if (closed) {
+          return;
+        }
+        stream.close().catch(() => {});
+
+        // El token es demasiado antiguo: se avisa y se sigue desde el momento actual
+        if (resumeAfter && !received && HISTORY_LOST_CODES.includes(error.code)) {
+          handlers.onReset();
+          open();
+          return;
+        }
+
+        subscription.close();
+        handlers.onError(error);
+      });
+    };
+
+    const subscription = {
+      close: async () => {
+        if (closed) {
+          return;
+        }
+        closed = true;
+        this.subscriptions.delete(subscription);
+        await stream.close().catch(() => {});
+      },
+      handlers
+    };
+
+    this.subscriptions.add(subscription);
+    open(lastEventId ? { _data: lastEventId } : undefined);
+    return subscription;
+  }
+
+  /**
+   * Cerrar todas las suscripciones al apagar el servidor
+   * Cierra cada change stream y avisa con onClose para que se termine la respuesta;
+   * desde entonces no se aceptan suscripciones nuevas.
+   */
+  async closeAll() {
+    this.closing = true;
+    await Promise.all([...this.subscriptions].map(async (subscription) => {
+      await subscription.close();
+      subscription.handlers.onClose();
+    }));
+  }
+
+  /**
+   * Convertir un cambio del change stream en un evento del feed
+   * - insert: product.created
+   * - update con deletedAt: product.deleted (a la papelera) o product.restored
+   * - update con stock: product.stock_changed
+   * - otro update o replace: product.updated
+   * - delete: product.deleted definitivo (sin `product`)
+   * @returns {Object|null} - { id, type, data: { productId, product, permanent, occurredAt } }
+   */
+  toFeedEvent(change) {
+    const type = this._eventType(change);
+    if (!type) {
+      return null;
+    }
+
+    const product = change.fullDocument ? change.fullDocument.toJSON() : null;
+    const data = {
+      productId: String(change.documentKey._id),
+      product,
+      occurredAt: change.wallTime || new Date(change.clusterTime.getHighBits() * 1000)
+    };
+    if (type === 'product.deleted') {
+      data.permanent = change.operationType === 'delete';
+    }
+
+    return { id: change._id._data, type, data };
+  }
+
+  _eventType(change) {
+    switch (change.operationType) {
+      case 'insert':
+        return 'product.created';
+      case 'delete':
+        return 'product.deleted';
+      case 'replace':
+        return 'product.updated';
+      case 'update': {
+        const fields = Object.keys(change.updateDescription.updatedFields);
+        if (fields.includes('deletedAt')) {
+          return change.updateDescription.updatedFields.deletedAt ? 'product.deleted' : 'product.restored';
+        }
+        return fields.includes('stock') ? 'product.stock_changed' : 'product.updated';
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Filtros del feed como etapas del change stream
+   * Con categoría no se incluyen las eliminaciones definitivas (ya no hay documento con el
+   * que comparar); el producto ya había salido del feed al pasar a la papelera.
+   */
+  async _buildPipeline(filters) {
+    const match = { operationType: { $in: ['insert', 'update', 'replace', 'delete'] } };
+
+    if (filters.productId) {
+      match['documentKey._id'] = new mongoose.Types.ObjectId(String(filters.productId));
+    }
+
+    if (filters.category) {
+      const categories = await this.categoryService.getSlugsWithDescendants(
+        String(filters.category).trim().toLowerCase()
+      );
+      match['fullDocument.category'] = { $in: categories };
+    }
+
+    return [{ $match: match }];
+  }
+}
+
+// Inyección de dependencias: Se pasan el repository, el servicio de categorías y la configuración del feed
+module.exports = new ProductFeedService(productRepository, categoryService, feedConfig);
@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const productRepository = require('../repositories/product.repository');
+const imageStorage = require('../storage');
+const ApiError = require('../utils/ApiError');
+const logger = require('../utils/logger');
+const { assertVersion } = require('../utils/etag');
+const imagesConfig = require('../config/images');
+
+/**
+ * Formatos aceptados según el contenido real del archivo (no el nombre ni el Content-Type)
+ */
+const IMAGE_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  webp: { extension: 'webp', contentType: 'image/webp' }
+};
+
+/**
+ * Service Layer - Imágenes de productos
+ * Guarda el original y sus miniaturas (WebP) mediante el adaptador de almacenamiento.
+ * Aplica:
+ * - Single Responsibility: Solo la galería de imágenes
+ * - Dependency Inversion: Depende de abstracciones (repository y almacenamiento)
+ */
+class ProductImageService {
+  constructor(repository, storage, config) {
+    this.repository = repository;
+    this.storage = storage;
+    this.config = config;
+  }
+
+  /**
+   * Agregar imágenes a un producto
+   * Si la galería no se puede actualizar, los archivos ya guardados se eliminan.
+   * @param {Array} files - Archivos recibidos { buffer, originalname }
+   * @param {Object} imageData - { alt } texto alternativo común a las imágenes subidas
+   * @param {Object} options - { versions } de If-Match
+   */
+  async addImages(id, files, imageData = {}, { versions } = {}) {
+    const product = await this._findEditable(id, versions);
+
+    if (product.images.length + files.length > this.config.maxPerProduct) {
+      throw new ApiError(
+        400,
+        `Un producto admite hasta ${this.config.maxPerProduct} imágenes; ya tiene ${product.images.length}`
+      );
+    }
+
+    // Se validan todas antes de guardar ninguna
+    const processed = [];
+    for (const file of files) {
+      processed.push(await this._process(product._id, file, imageData.alt));
+    }
+
+    const stored = [];
+    try {
+      for (const image of processed) {
+        for (const file of image.files) {
+          await this.storage.save(file.key, file.buffer, { contentType: file.contentType });
+          stored.push(file.key);
+        }
+      }
+
+      const updatedProduct = await this.repository.addImages(
+        id,
+        processed.map(image => image.document),
+        { versions, maxImages: this.config.maxPerProduct }
+      );
+      if (!updatedProduct) {
+        await this._rejectFailedWrite(id, versions, (current) => {
+          if (current.images.length + processed.length > this.config.maxPerProduct) {
+            return new ApiError(
+              400,
+              `Un producto admite hasta ${this.config.maxPerProduct} imágenes; ya tiene ${current.images.length}`
+            );
+          }
+          return undefined;
+        });
+      }
+      return updatedProduct;
+    } catch (error) {
+      await this._deleteFiles(stored);
+      throw error;
+    }
+  }
+
+  /**
+   * Cambiar el orden de la galería
+   * @param {Array<String>} imageIds - Todas las imágenes del producto, en el nuevo orden
+   * @param {Object} options - { versions } de If-Match
+   */
+  async reorderImages(id, imageIds, { versions } = {}) {
+    const product = await this._findEditable(id, versions);
+    const current = product.images.map(image => String(image._id));
+
+    if (imageIds.length !== current.length || !current.every(imageId => imageIds.includes(imageId))) {
+      throw new ApiError(400, `Debe indicar el orden de las ${current.length} imágenes del producto, sin repetir`);
+    }
+
+    const reordered = imageIds.map(imageId => product.images.find(image => String(image._id) === imageId));
+    const updatedProduct = await this.repository.setImageOrder(id, reordered, { versions });
+    if (!updatedProduct) {
+      await this._rejectFailedWrite(id, versions, () => (
+        ApiError.conflict('La galería cambió mientras tanto; vuelva a intentarlo')
+      ));
+    }
+    return updatedProduct;
+  }
+
+  /**
+   * Eliminar una imagen y sus miniaturas
+   * @param {Object} options - { versions } de If-Match
+   */
+  async deleteImage(id, imageId, { versions } = {}) {
+    const product = await this._findEditable(id, versions);
+    const image = product.images.find(candidate => String(candidate._id) === String(imageId));
+    if (!image) {
+      throw new ApiError(404, 'Imagen no encontrada');
+    }
+
+    const updatedProduct = await this.repository.removeImage(id, image._id, { versions });
+    if (!updatedProduct) {
+      await this._rejectFailedWrite(id, versions, () => new ApiError(404, 'Imagen no encontrada'));
+    }
+
+    await this._deleteFiles(this._keysOf([image]));
+    return updatedProduct;
+  }
+
+  /**
+   * Eliminar los archivos de productos borrados definitivamente
+   * Un error aquí no revierte el borrado: solo se registra.
+   * @param {Array} products - Productos con su arreglo `images`
+   */
+  async removeProductImages(products) {
+    const keys = products.flatMap(product => this._keysOf(product.images || []));
+    await this._deleteFiles(keys);
+  }
+
+  /**
+   * Validar una imagen y generar sus miniaturas
+   * @returns {Promise<Object>} - { document, files: [{ key, buffer, contentType }] }
+   */
+  async _process(productId, file, alt) {
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+      throw new ApiError(400, `"${file.originalname}" no es una imagen válida`);
+    }
+
+    const format = IMAGE_FORMATS[metadata.format];
+    if (!format) {
+      throw new ApiError(
+        400,
+        `Formato de "${file.originalname}" no soportado. Use: ${Object.keys(IMAGE_FORMATS).join(', ')}`
+      );
+    }
+
+    const imageId = new mongoose.Types.ObjectId();
+    const baseKey = `products/${productId}/${imageId}`;
+    // Dimensiones ya rotadas según la orientación EXIF, como se ven
+    const { width, height } = metadata.autoOrient || metadata;
+    const document = {
+      _id: imageId,
+      key: `${baseKey}.${format.extension}`,
+      url: this.storage.url(`${baseKey}.${format.extension}`),
+      contentType: format.contentType,
+      size: file.buffer.length,
+      width,
+      height,
+      alt,
+      thumbnails: []
+    };
+    const files = [{ key: document.key, buffer: file.buffer, contentType: format.contentType }];
+
+    for (const size of this.config.thumbnailSizes) {
+      const { data, info } = await sharp(file.buffer)
+        .rotate()
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      const key = `${baseKey}-${size}.webp`;
+
+      document.thumbnails.push({ size, key, url: this.storage.url(key), width: info.width, height: info.height });
+      files.push({ key, buffer: data, contentType: 'image/webp' });
+    }
+
+    return { document, files };
+  }
+
+  async _findEditable(id, versions) {
+    const product = await this.repository.findById(id);
+    if (!product) {
+      throw new ApiError(404, 'Producto no encontrado');
+    }
+
+    assertVersion(product, versions);
+
+    if (product.deletedAt) {
+      throw new ApiError(400, 'El producto está en la papelera; restáurelo antes de editarlo');
+    }
+
+    return product;
+  }
+
+  /**
+   * La escritura condicionada no encontró el documento; se informa la causa real:
+   * se eliminó (404), ya no tiene la versión de If-Match (412), pasó a la papelera (400)
+   * o la galería cambió entre la lectura y la escritura (la que indique `explain`, o 409)
+   * @param {Function} explain - (current) => ApiError con la causa, o undefined si no aplica
+   */
+  async _rejectFailedWrite(id, versions, explain = () => undefined) {
+    const current = await this.repository.findById(id);
+    if (!current) {
+      throw new ApiError(404, 'Producto no encontrado');
+    }
+    if (versions) {
+      assertVersion(current, versions);
+    }
+    if (current.deletedAt) {
+      throw new ApiError(400, 'El producto está en la papelera; restáurelo antes de editarlo');
+    }
+    throw explain(current) || ApiError.conflict('La galería cambió mientras tanto; vuelva a intentarlo');
+  }
+
+  _keysOf(images) {
+    return images.flatMap(image => [image.key, ...image.thumbnails.map(thumbnail => thumbnail.key)]);
+  }
+
+  async _deleteFiles(keys) {
+    try {
+      await this.storage.delete(keys);
+    } catch (error) {
+      logger.error('Error al eliminar archivos de imágenes', { keys, err: error });
+    }
+  }
+}
+
+// Inyección de dependencias: Se pasan el repository, el almacenamiento y la configuración de imágenes
+module.exports = new ProductImageService(productRepository, imageStorage, imagesConfig);
@@ -0,0 +1,204 @@
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const productRepository = require('../repositories/product.repository');
+const productService = require('./product.service');
+const Validator = require('../middlewares/validator');
+const productValidation = require('../validations/product.validation');
+const ApiError = require('../utils/ApiError');
+
+const MAX_ROWS = 5000;
+const IMPORT_FIELDS = ['name', 'description', 'price', 'stock', 'category', 'sku', 'isActive'];
+
+/**
+ * Service Layer - Importación masiva de productos (CSV / JSON lines)
+ * Cada fila pasa por las mismas reglas que POST /api/products.
+ * Aplica:
+ * - Single Responsibility: Solo lógica de importación
+ * - Dependency Inversion: Reutiliza el servicio y repository de productos
+ */
+class ProductImportService {
+  constructor(repository, productService) {
+    this.repository = repository;
+    this.productService = productService;
+  }
+
+  /**
+   * Importar un archivo de productos
+   * @param {Object} file - Archivo recibido por multer (buffer, originalname)
+   * @param {Object} options - { format, dryRun, upsertBy, userId }
+   * @returns {Promise<Object>} - Reporte por fila
+   */
+  async importProducts(file, options = {}) {
+    const { dryRun = false, upsertBy = 'name', userId } = options;
+    const rows = this._parse(file, options.format);
+
+    if (rows.length === 0) {
+      throw new ApiError(400, 'El archivo no contiene filas');
+    }
+
+    if (rows.length > MAX_ROWS) {
+      throw new ApiError(400, `El archivo supera el máximo de ${MAX_ROWS} filas`);
+    }
+
+    const seenKeys = new Map();
+    const results = [];
+
+    // Secuencial: cada fila puede depender de las anteriores (ej: nombres duplicados)
+    for (const row of rows) {
+      results.push(await this._processRow(row, { dryRun, upsertBy, userId, seenKeys }));
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+
+    return {
+      dryRun,
+      upsertBy,
+      summary: {
+        total: results.length,
+        created: count('created'),
+        updated: count('updated'),
+        failed: count('failed')
+      },
+      rows: results
+    };
+  }
+
+  async _processRow(row, { dryRun, upsertBy, userId, seenKeys }) {
+    const result = { row: row.line };
+
+    if (row.error) {
+      return { ...result, status: 'failed', errors: [row.error] };
+    }
+
+    const data = this._pickFields(row.record);
+    const key = data[upsertBy];
+    result.key = key;
+
+    if (!key) {
+      return { ...result, status: 'failed', errors: [`La columna "${upsertBy}" es obligatoria`] };
+    }
+
+    const normalizedKey = String(key).toLowerCase();
+    if (seenKeys.has(normalizedKey)) {
+      return {
+        ...result,
+        status: 'failed',
+        errors: [`Fila duplicada: "${key}" ya aparece en la fila ${seenKeys.get(normalizedKey)}`]
+      };
+    }
+    seenKeys.set(normalizedKey, row.line);
+
+    try {
+      const existing = upsertBy === 'sku'
+        ? await this.repository.findBySku(key)
+        : await this.repository.findByExactName(key);
+
+      const schema = existing ? productValidation.update : productValidation.create;
+      const { value, errors } = Validator.validateData(schema, data);
+      if (errors.length > 0) {
+        return { ...result, status: 'failed', errors: errors.map(error => error.message) };
+      }
+
+      if (existing) {
+        if (dryRun) {
+          await this.productService.assertCanUpdate(existing, value);
+        } else {
+          await this.productService.updateProduct(existing.id, value, userId);
+        }
+        return { ...result, status: 'updated', id: existing.id };
+      }
+
+      if (dryRun) {
+        await this.productService.assertCanCreate(value);
+        return { ...result, status: 'created' };
+      }
+
+      const product = await this.productService.createProduct(value, userId);
+      return { ...result, status: 'created', id: product.id };
+    } catch (error) {
+      return { ...result, status: 'failed', errors: this._errorMessages(error) };
+    }
+  }
+
+  /**
+   * Leer las filas del archivo con su número de línea
+   */
+  _parse(file, format) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const resolvedFormat = format || (extension === '.csv' ? 'csv' : 'jsonl');
+
+    return resolvedFormat === 'csv'
+      ? this._parseCsv(file.buffer)
+      : this._parseJsonLines(file.buffer);
+  }
+
+  _parseCsv(buffer) {
+    try {
+      const records = parse(buffer, {
+        columns: (header) => header.map(column => column.trim()),
+        skip_empty_lines: true,
+        trim: true,
+        bom: true,
+        info: true
+      });
+
+      return records.map(({ record, info }) => ({ line: info.lines, record }));
+    } catch (error) {
+      throw new ApiError(400, `CSV inválido: ${error.message}`);
+    }
+  }
+
+  _parseJsonLines(buffer) {
+    const rows = [];
+
+    buffer.toString('utf8').split(/\r?\n/).forEach((text, index) => {
+      if (text.trim() === '') {
+        return;
+      }
+
+      const line = index + 1;
+      try {
+        const record = JSON.parse(text);
+        if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+          throw new Error('se esperaba un objeto');
+        }
+        rows.push({ line, record });
+      } catch (error) {
+        rows.push({ line, error: `JSON inválido: ${error.message}` });
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * Tomar solo los campos conocidos; los tipos de CSV los convierte la validación
+   */
+  _pickFields(record) {
+    const data = {};
+
+    IMPORT_FIELDS.forEach(field => {
+      const value = record[field];
+      if (value !== undefined && value !== null && value !== '') {
+        data[field] = value;
+      }
+    });
+
+    return data;
+  }
+
+  _errorMessages(error) {
+    if (error.name === 'ValidationError' && error.errors) {
+      return Object.values(error.errors).map(e => e.message);
+    }
+
+    if (error.code === 11000) {
+      return ['Registro duplicado'];
+    }
+
+    return [error.message];
+  }
+}
+
+// Inyección de dependencias: Se pasan el repository y el servicio de productos
+module.exports = new ProductImportService(productRepository, productService);
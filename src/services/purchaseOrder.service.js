@@ -0,0 +1,402 @@
+const purchaseOrderRepository = require('../repositories/purchaseOrder.repository');
+const supplierRepository = require('../repositories/supplier.repository');
+const productRepository = require('../repositories/product.repository');
+const stockService = require('./stock.service');
+const ApiError = require('../utils/ApiError');
+const { withTransaction } = require('../utils/transaction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Transiciones manuales: estado actual -> estados siguientes
+ * "partially_received" y "received" solo se alcanzan registrando recepciones.
+ */
+const STATUS_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['cancelled'],
+  partially_received: ['cancelled'],
+  received: [],
+  cancelled: []
+};
+
+// Estados en los que se puede recibir mercadería
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+/**
+ * Service Layer - Órdenes de compra y sugerencias de reposición
+ * Aplica:
+ * - Single Responsibility: Solo lógica de compras
+ * - Dependency Inversion: Depende de abstracciones (repositories y servicios)
+ */
+class PurchaseOrderService {
+  constructor(repository, supplierRepository, productRepository, stockService) {
+    this.repository = repository;
+    this.supplierRepository = supplierRepository;
+    this.productRepository = productRepository;
+    this.stockService = stockService;
+  }
+
+  /**
+   * Crear una orden de compra en borrador
+   * El costo de cada línea sale del vínculo producto-proveedor si no se indica.
+   */
+  async createPurchaseOrder(orderData, userId) {
+    const supplier = await this._findActiveSupplier(orderData.supplier);
+    const location = await this._resolveLocation(orderData.location);
+    const { items, leadTimeDays } = await this._buildItems(supplier, orderData.items);
+
+    return await this.repository.create({
+      orderNumber: this._generateOrderNumber(),
+      supplier: supplier._id,
+      items,
+      total: this._total(items),
+      leadTimeDays,
+      location: location ? location._id : null,
+      locationCode: location ? location.code : undefined,
+      notes: orderData.notes,
+      statusHistory: [{ status: 'draft', changedBy: userId }],
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Obtener órdenes de compra
+   */
+  async getAllPurchaseOrders(filters = {}, options = {}) {
+    const queryFilters = {};
+
+    if (filters.status) {
+      queryFilters.status = filters.status;
+    }
+
+    if (filters.supplier) {
+      queryFilters.supplier = filters.supplier;
+    }
+
+    return await this.repository.findAll(queryFilters, options);
+  }
+
+  /**
+   * Obtener orden de compra por ID
+   */
+  async getPurchaseOrderById(id) {
+    const order = await this.repository.findById(id);
+
+    if (!order) {
+      throw new ApiError(404, 'Orden de compra no encontrada');
+    }
+
+    return order;
+  }
+
+  /**
+   * Modificar líneas, ubicación o notas de una orden en borrador
+   */
+  async updatePurchaseOrder(id, updateData) {
+    const order = await this.getPurchaseOrderById(id);
+    if (order.status !== 'draft') {
+      throw ApiError.conflict('Solo se puede modificar una orden de compra en borrador');
+    }
+
+    const changes = {};
+
+    if (updateData.items) {
+      const supplier = await this._findActiveSupplier(order.supplier);
+      const { items, leadTimeDays } = await this._buildItems(supplier, updateData.items);
+      Object.assign(changes, { items, total: this._total(items), leadTimeDays });
+    }
+
+    if (updateData.location !== undefined) {
+      const location = await this._resolveLocation(updateData.location);
+      changes.location = location ? location._id : null;
+      changes.locationCode = location ? location.code : undefined;
+    }
+
+    if (updateData.notes !== undefined) {
+      changes.notes = updateData.notes;
+    }
+
+    const updated = await this.repository.updateDraft(id, changes);
+    if (!updated) {
+      throw ApiError.conflict('La orden de compra cambió de estado; vuelva a intentarlo');
+    }
+    return updated;
+  }
+
+  /**
+   * Enviar o cancelar una orden de compra
+   * Al enviarla se calcula la fecha estimada de llegada con el plazo de entrega.
+   */
+  async changeStatus(id, status, userId) {
+    const order = await this.getPurchaseOrderById(id);
+
+    const allowed = STATUS_TRANSITIONS[order.status];
+    if (!allowed.includes(status)) {
+      throw ApiError.conflict(`No se puede pasar una orden de compra de "${order.status}" a "${status}"`);
+    }
+
+    const extra = {};
+    if (status === 'sent') {
+      await this._findActiveSupplier(order.supplier);
+      const sentAt = new Date();
+      extra.sentAt = sentAt;
+      extra.expectedAt = new Date(sentAt.getTime() + order.leadTimeDays * DAY_MS);
+    }
+
+    const fromStatuses = Object.keys(STATUS_TRANSITIONS)
+      .filter(current => STATUS_TRANSITIONS[current].includes(status));
+
+    const updated = await this.repository.transitionStatus(id, fromStatuses, status, userId, extra);
+    if (!updated) {
+      throw ApiError.conflict('La orden de compra cambió de estado; vuelva a intentarlo');
+    }
+    return updated;
+  }
+
+  /**
+   * Registrar la recepción de mercadería
+   * En una transacción suma el stock de cada línea recibida y actualiza el estado
+   * (recibida en parte o completa). No se puede recibir más de lo pendiente.
+   * @param {Array} lines - [{ product, variant, quantity }] con variant el SKU de la variante
+   */
+  async receive(id, lines, userId) {
+    return await withTransaction(async (session) => {
+      const order = await this.repository.findById(id, { session });
+      if (!order) {
+        throw new ApiError(404, 'Orden de compra no encontrada');
+      }
+
+      if (!RECEIVABLE_STATUSES.includes(order.status)) {
+        throw ApiError.conflict(`No se puede recibir mercadería de una orden en estado "${order.status}"`);
+      }
+
+      const received = [];
+      for (const line of this._mergeLines(lines)) {
+        const item = order.items.find(candidate =>
+          String(candidate.product) === String(line.product) && (candidate.variantSku || null) === (line.variant || null)
+        );
+        if (!item) {
+          throw new ApiError(400, `La orden no incluye el producto ${line.product}${line.variant ? ` (${line.variant})` : ''}`);
+        }
+
+        const pending = item.quantity - item.received;
+        if (line.quantity > pending) {
+          throw new ApiError(400, `Se reciben ${line.quantity} de "${item.name}" pero quedan ${pending} pendientes`);
+        }
+
+        await this.stockService.applyMovement(item.product, {
+          quantity: line.quantity,
+          reason: 'restock',
+          reference: `Orden de compra ${order.orderNumber}`,
+          variant: item.variant ? { _id: item.variant } : undefined,
+          location: order.location ? { _id: order.location } : undefined,
+          userId
+        }, { session });
+
+        item.received += line.quantity;
+        received.push({ product: item.product, variantSku: item.variantSku, quantity: line.quantity });
+      }
+
+      const status = order.items.every(item => item.received >= item.quantity) ? 'received' : 'partially_received';
+      if (status !== order.status) {
+        order.status = status;
+        order.statusHistory.push({ status, changedBy: userId });
+      }
+      order.receipts.push({ items: received, receivedBy: userId });
+
+      return await this.repository.save(order, { session });
+    });
+  }
+
+  /**
+   * Sugerencias de reposición agrupadas por proveedor
+   * Un producto se sugiere cuando su stock más lo pedido y no recibido no supera su punto de pedido.
+   * Se pide `reorderQuantity` (o lo justo para superar el punto), respetando el pedido mínimo del proveedor.
+   * Los productos con variantes se sugieren a nivel de producto, con el stock de cada variante.
+   * @param {Object} filters - { supplier } para ver solo las de un proveedor
+   * @returns {Promise<Array>} - [{ supplier, items, estimatedCost }]; supplier null si el producto no tiene proveedor activo
+   */
+  async getReorderSuggestions({ supplier: supplierId } = {}) {
+    const products = await this.productRepository.findAtReorderPoint();
+    const pending = await this.repository.sumPendingByProduct(products.map(product => product._id));
+    const groups = new Map();
+
+    for (const product of products) {
+      const onOrder = (pending.find(group => String(group.product) === String(product._id)) || { pending: 0 }).pending;
+      const projected = product.stock + onOrder;
+      if (projected > product.reorderPoint) {
+        continue;
+      }
+
+      const link = this._pickSupplier(product);
+      if (supplierId && (!link || String(link.supplier._id) !== String(supplierId))) {
+        continue;
+      }
+
+      const suggestedQuantity = Math.max(
+        product.reorderQuantity || 0,
+        product.reorderPoint - projected + 1,
+        link ? link.minOrderQuantity : 1
+      );
+
+      const key = link ? String(link.supplier._id) : null;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          supplier: link ? { id: link.supplier._id, name: link.supplier.name } : null,
+          items: [],
+          estimatedCost: 0
+        });
+      }
+
+      const group = groups.get(key);
+      const subtotal = link ? this._round(link.cost * suggestedQuantity) : null;
+      group.items.push({
+        product: { id: product._id, name: product.name, sku: product.sku },
+        stock: product.stock,
+        onOrder,
+        reorderPoint: product.reorderPoint,
+        suggestedQuantity,
+        cost: link ? link.cost : null,
+        subtotal,
+        leadTimeDays: link ? this._leadTime(link, link.supplier) : null,
+        ...(product.variants.length > 0 && {
+          variants: product.variants.map(variant => ({ sku: variant.sku, stock: variant.stock }))
+        })
+      });
+      group.estimatedCost = this._round(group.estimatedCost + (subtotal || 0));
+    }
+
+    // Los productos sin proveedor van al final
+    return [...groups.values()].sort((a, b) => (a.supplier ? 0 : 1) - (b.supplier ? 0 : 1));
+  }
+
+  /**
+   * Armar las líneas de la orden con el costo y el plazo de cada producto para el proveedor
+   * @returns {Promise<Object>} - { items, leadTimeDays } con el mayor plazo de las líneas
+   */
+  async _buildItems(supplier, lines) {
+    const items = [];
+    let leadTimeDays = 0;
+
+    for (const line of this._mergeLines(lines)) {
+      const product = await this.productRepository.findById(line.product);
+      if (!product || product.deletedAt) {
+        throw new ApiError(404, `Producto no encontrado: ${line.product}`);
+      }
+
+      const variant = this._resolveVariant(product, line.variant);
+      const link = product.suppliers.find(candidate => String(candidate.supplier) === String(supplier._id));
+
+      const cost = line.cost !== undefined ? line.cost : (link ? link.cost : undefined);
+      if (cost === undefined) {
+        throw new ApiError(400, `"${product.name}" no tiene costo para ${supplier.name}: indique el costo de la línea`);
+      }
+
+      if (link && line.quantity < link.minOrderQuantity) {
+        throw new ApiError(
+          400,
+          `El pedido mínimo de "${product.name}" a ${supplier.name} es de ${link.minOrderQuantity} unidades`
+        );
+      }
+
+      leadTimeDays = Math.max(leadTimeDays, link ? this._leadTime(link, supplier) : supplier.leadTimeDays);
+      items.push({
+        product: product._id,
+        variant: variant ? variant._id : undefined,
+        variantSku: variant ? variant.sku : undefined,
+        name: product.name,
+        cost,
+        quantity: line.quantity,
+        subtotal: this._round(cost * line.quantity)
+      });
+    }
+
+    return { items, leadTimeDays };
+  }
+
+  async _findActiveSupplier(id) {
+    const supplier = await this.supplierRepository.findById(id);
+
+    if (!supplier) {
+      throw new ApiError(404, 'Proveedor no encontrado');
+    }
+
+    if (!supplier.isActive) {
+      throw new ApiError(400, `El proveedor "${supplier.name}" está inactivo`);
+    }
+
+    return supplier;
+  }
+
+  /**
+   * Ubicación que recibe la mercadería; sin código, la predeterminada al momento de recibir
+   */
+  async _resolveLocation(code) {
+    return code ? await this.stockService.resolveLocation({ code }) : null;
+  }
+
+  /**
+   * Proveedor para reponer: el preferido o, si no hay, el más barato (solo activos)
+   */
+  _pickSupplier(product) {
+    const links = product.suppliers.filter(link => link.supplier && link.supplier.isActive);
+    return links.find(link => link.isPreferred)
+      || links.sort((a, b) => a.cost - b.cost)[0]
+      || null;
+  }
+
+  _leadTime(link, supplier) {
+    return link.leadTimeDays !== null && link.leadTimeDays !== undefined ? link.leadTimeDays : supplier.leadTimeDays;
+  }
+
+  /**
+   * Variante indicada en la línea; los productos con variantes la exigen
+   */
+  _resolveVariant(product, sku) {
+    if (!sku) {
+      if (product.variants.length > 0) {
+        throw new ApiError(400, `El producto "${product.name}" tiene variantes: indique la variante`);
+      }
+      return null;
+    }
+
+    const variant = product.findVariant(sku);
+    if (!variant) {
+      throw new ApiError(404, `Variante no encontrada en "${product.name}": ${sku}`);
+    }
+    return variant;
+  }
+
+  /**
+   * Unificar líneas repetidas del mismo producto y variante (se conserva el primer costo)
+   */
+  _mergeLines(items) {
+    const lines = new Map();
+
+    items.forEach(({ product, variant, quantity, cost }) => {
+      const key = `${product}:${variant || ''}`;
+      const line = lines.get(key) || { product, variant, cost, quantity: 0 };
+      line.quantity += Number(quantity);
+      lines.set(key, line);
+    });
+
+    return [...lines.values()];
+  }
+
+  _total(items) {
+    return this._round(items.reduce((sum, item) => sum + item.subtotal, 0));
+  }
+
+  _generateOrderNumber() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const random = Math.random().toString(36).slice(2, 8).toUpperCase();
+    return `OC-${date}-${random}`;
+  }
+
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Inyección de dependencias: Se pasan los repositories y servicios
+module.exports = new PurchaseOrderService(purchaseOrderRepository, supplierRepository, productRepository, stockService);
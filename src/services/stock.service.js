@@ -0,0 +1,552 @@
+const mongoose = require('mongoose');
+const productRepository = require('../repositories/product.repository');
+const stockMovementRepository = require('../repositories/stockMovement.repository');
+const locationRepository = require('../repositories/location.repository');
+const stockLevelRepository = require('../repositories/stockLevel.repository');
+const ApiError = require('../utils/ApiError');
+const { assertVersion } = require('../utils/etag');
+const { withTransaction, afterCommit } = require('../utils/transaction');
+const eventBus = require('../utils/eventBus');
+const webhooksConfig = require('../config/webhooks');
+
+/**
+ * Service Layer - Movimientos de stock (ledger)
+ * Todo cambio de stock pasa por aquí para quedar registrado.
+ * Con ubicaciones, cada movimiento también actualiza el nivel de stock de una de ellas.
+ * Por eso también publica los eventos de stock, sea cual sea el origen (API, pedidos, compras).
+ * Aplica:
+ * - Single Responsibility: Solo lógica de inventario
+ * - Dependency Inversion: Depende de abstracciones (repositories)
+ */
+class StockService {
+  constructor(productRepository, movementRepository, locationRepository, levelRepository, eventBus, webhooksConfig) {
+    this.productRepository = productRepository;
+    this.movementRepository = movementRepository;
+    this.locationRepository = locationRepository;
+    this.levelRepository = levelRepository;
+    this.eventBus = eventBus;
+    this.lowStockThreshold = webhooksConfig.lowStockThreshold;
+  }
+
+  /**
+   * Aplicar un movimiento de stock y registrarlo en el ledger
+   * Los productos con variantes solo admiten movimientos de una variante.
+   * Si hay ubicaciones, el movimiento se aplica en una (la predeterminada si no se indica).
+   * El stock del producto, el de la ubicación y el movimiento del ledger se escriben en una
+   * transacción: la del llamador si pasa `session`, o una propia.
+   * @param {String} productId - ID del producto
+   * @param {Object} movement - { quantity, reason, reference, userId, variant, location } con variant { sku } o { _id }
+   *   y location { code } o { _id }
+   * @param {Object} options - { session } para operaciones transaccionales, { versions } de If-Match
+   */
+  async applyMovement(productId, movement, { session, versions } = {}) {
+    this._assertQuantityMatchesReason(movement.quantity, movement.reason);
+
+    if (session) {
+      return await this._applyMovement(productId, movement, { session, versions });
+    }
+
+    return await withTransaction(async (transactionSession) =>
+      await this._applyMovement(productId, movement, { session: transactionSession, versions })
+    );
+  }
+
+  async _applyMovement(productId, movement, { session, versions }) {
+    const { quantity, reason, reference, userId, variant } = movement;
+    const location = await this.resolveLocation(movement.location, { session });
+
+    const product = await this.productRepository.updateStock(productId, quantity, { session, versions, variant });
+    if (!product) {
+      const current = await this.productRepository.findById(productId, { session });
+      if (!current) {
+        throw new ApiError(404, 'Producto no encontrado');
+      }
+      assertVersion(current, versions);
+      const target = this._resolveTarget(current, variant);
+      throw new ApiError(400, `Stock insuficiente para "${target.label}". Stock actual: ${target.stock}`);
+    }
+
+    // El valor previo se deriva del resultado atómico, no de una lectura anterior
+    const target = this._resolveTarget(product, variant);
+    const stockAfter = target.stock;
+    const stockBefore = stockAfter - quantity;
+
+    if (location) {
+      // Si la ubicación no alcanza, el error revierte también el cambio del producto
+      await this._moveAtLocation(product, target, location, quantity, { session });
+    }
+
+    await this.movementRepository.create({
+      product: product._id,
+      variant: target.variant ? target.variant._id : null,
+      variantSku: target.variant ? target.variant.sku : undefined,
+      location: location ? location._id : null,
+      locationCode: location ? location.code : undefined,
+      quantity,
+      reason,
+      reference,
+      stockBefore,
+      stockAfter,
+      createdBy: userId
+    }, { session });
+
+    // Dentro de una transacción, el evento sale recién cuando se confirma
+    afterCommit(session, () => this._publishStockChange(product, product.stock - quantity, {
+      quantity,
+      reason,
+      variant: target.variant ? target.variant.sku : null,
+      location: location ? location.code : null
+    }));
+
+    return product;
+  }
+
+  /**
+   * Publicar un movimiento de stock y, si el stock total bajó hasta el umbral, el aviso de stock bajo
+   * El umbral es el punto de pedido del producto o, si no tiene, LOW_STOCK_THRESHOLD.
+   * @param {Number} stockBefore - Stock total del producto antes del movimiento
+   * @param {Object} movement - { quantity, reason, variant, location } o, en transferencias, { from, to }
+   */
+  _publishStockChange(product, stockBefore, movement) {
+    this.eventBus.publish('product.stock_changed', { product, stockBefore, ...movement });
+
+    const threshold = product.reorderPoint !== null && product.reorderPoint !== undefined
+      ? product.reorderPoint
+      : this.lowStockThreshold;
+    if (product.isActive && stockBefore > threshold && product.stock <= threshold) {
+      this.eventBus.publish('product.low_stock', { product, threshold });
+    }
+  }
+
+  /**
+   * Registrar el stock inicial de un producto recién creado (un movimiento por variante)
+   * Si hay ubicaciones, queda en la predeterminada.
+   * @param {Object} options - { session } de la transacción que crea el producto; sin ella se usa una propia
+   */
+  async recordInitialStock(product, userId, { session } = {}) {
+    if (!session) {
+      return await withTransaction(async (transactionSession) =>
+        await this.recordInitialStock(product, userId, { session: transactionSession })
+      );
+    }
+
+    const targets = product.variants.length > 0
+      ? product.variants.map(variant => ({ variant, stock: variant.stock }))
+      : [{ variant: null, stock: product.stock }];
+    const location = await this.resolveLocation(undefined, { session });
+
+    for (const { variant, stock } of targets.filter(target => target.stock > 0)) {
+      if (location) {
+        await this._moveAtLocation(product, { variant }, location, stock, { session });
+      }
+
+      await this.movementRepository.create({
+        product: product._id,
+        variant: variant ? variant._id : null,
+        variantSku: variant ? variant.sku : undefined,
+        location: location ? location._id : null,
+        locationCode: location ? location.code : undefined,
+        quantity: stock,
+        reason: 'adjustment',
+        reference: 'Stock inicial',
+        stockBefore: 0,
+        stockAfter: stock,
+        createdBy: userId
+      }, { session });
+    }
+  }
+
+  /**
+   * Transferir unidades de un producto o variante entre dos ubicaciones, en una transacción
+   * Sin `from` se asigna stock que todavía no está en ninguna ubicación.
+   * Se registran dos movimientos "transfer" (salida y entrada) que no cambian el stock total.
+   * @param {Object} transferData - { from, to, quantity, variant, reference } con from/to códigos
+   *   de ubicación y variant el SKU de la variante
+   * @returns {Promise<Object>} - { transfer, product, variant, from, to, quantity }
+   */
+  async transfer(productId, transferData, userId) {
+    const { from, to, quantity, variant, reference } = transferData;
+    if (from && from === to) {
+      throw new ApiError(400, 'Las ubicaciones de origen y destino deben ser distintas');
+    }
+
+    const result = await withTransaction(async (session) => {
+      const product = await this.productRepository.findById(productId, { session });
+      if (!product) {
+        throw new ApiError(404, 'Producto no encontrado');
+      }
+
+      const target = this._resolveTarget(product, variant ? { sku: variant } : undefined);
+      const source = from ? await this.resolveLocation({ code: from }, { session }) : null;
+      const destination = await this.resolveLocation({ code: to }, { session });
+
+      if (source) {
+        await this._moveAtLocation(product, target, source, -quantity, { session });
+      } else {
+        const variantId = target.variant ? target.variant._id : null;
+        const unassigned = target.stock - await this.levelRepository.sumAssigned(product._id, variantId, { session });
+        if (unassigned < quantity) {
+          throw new ApiError(400, `Stock sin asignar insuficiente para "${target.label}". Disponible: ${unassigned}`);
+        }
+      }
+      await this._moveAtLocation(product, target, destination, quantity, { session });
+
+      const transferId = new mongoose.Types.ObjectId();
+      const legs = [
+        { location: source, quantity: -quantity },
+        { location: destination, quantity }
+      ];
+
+      for (const leg of legs) {
+        await this.movementRepository.create({
+          product: product._id,
+          variant: target.variant ? target.variant._id : null,
+          variantSku: target.variant ? target.variant.sku : undefined,
+          location: leg.location ? leg.location._id : null,
+          locationCode: leg.location ? leg.location.code : undefined,
+          transfer: transferId,
+          quantity: leg.quantity,
+          reason: 'transfer',
+          reference,
+          stockBefore: target.stock,
+          stockAfter: target.stock,
+          createdBy: userId
+        }, { session });
+      }
+
+      return {
+        product,
+        summary: {
+          transfer: transferId,
+          product: product._id,
+          variant: target.variant ? target.variant.sku : null,
+          from: source ? source.code : null,
+          to: destination.code,
+          quantity
+        }
+      };
+    });
+
+    // El total no cambia: el evento informa el cambio de ubicación
+    const { product, summary } = result;
+    this._publishStockChange(product, product.stock, {
+      quantity,
+      reason: 'transfer',
+      variant: summary.variant,
+      from: summary.from,
+      to: summary.to
+    });
+    return summary;
+  }
+
+  /**
+   * Stock de un producto por ubicación
+   * `unassigned` es el stock que no está en ninguna ubicación (anterior a las ubicaciones).
+   * @returns {Promise<Object>} - { productId, stock, unassigned, locations: [{ location, variant, quantity }] }
+   */
+  async getLocationStock(productId) {
+    const product = await this.productRepository.findById(productId);
+    if (!product) {
+      throw new ApiError(404, 'Producto no encontrado');
+    }
+
+    const levels = await this.levelRepository.findByProduct(productId);
+    const skuOf = (variantId) => {
+      const variant = variantId ? product.variants.id(variantId) : null;
+      return variant ? variant.sku : null;
+    };
+
+    return {
+      productId: product.id,
+      stock: product.stock,
+      unassigned: product.stock - levels.reduce((total, level) => total + level.quantity, 0),
+      locations: levels
+        .map(level => ({
+          location: { code: level.location.code, name: level.location.name, type: level.location.type },
+          variant: skuOf(level.variant),
+          quantity: level.quantity
+        }))
+        .sort((a, b) => a.location.code.localeCompare(b.location.code) || String(a.variant).localeCompare(String(b.variant)))
+    };
+  }
+
+  /**
+   * Ubicación a la que apunta un movimiento; sin selector, la predeterminada
+   * @param {Object} selector - { code } o { _id }
+   * @param {Object} options - { session } para operaciones transaccionales
+   * @returns {Promise<Location|null>} - null si todavía no hay ubicaciones
+   */
+  async resolveLocation(selector, { session } = {}) {
+    if (!selector) {
+      return await this.locationRepository.findDefault({ session });
+    }
+
+    const location = selector._id
+      ? await this.locationRepository.findById(selector._id, { session })
+      : await this.locationRepository.findByCode(selector.code, { session });
+
+    if (!location) {
+      throw new ApiError(404, `Ubicación no encontrada: ${selector.code || selector._id}`);
+    }
+
+    if (!location.isActive) {
+      throw new ApiError(400, `La ubicación ${location.code} está inactiva`);
+    }
+
+    return location;
+  }
+
+  /**
+   * Descartar el stock por ubicación de productos eliminados o de una variante quitada
+   * @param {Array} productIds - IDs de los productos
+   * @param {Object} options - { variant } ID de la variante; null para los niveles sin variante
+   */
+  async discardLevels(productIds, { variant } = {}) {
+    return await this.levelRepository.deleteByProducts(productIds, { variant });
+  }
+
+  /**
+   * Eliminar el historial de movimientos de productos eliminados permanentemente
+   * @param {Array} productIds - IDs de los productos
+   */
+  async discardMovements(productIds) {
+    return await this.movementRepository.deleteByProducts(productIds);
+  }
+
+  /**
+   * Sumar o restar unidades de un producto o variante en una ubicación
+   */
+  async _moveAtLocation(product, target, location, quantity, { session } = {}) {
+    const key = {
+      product: product._id,
+      variant: target.variant ? target.variant._id : null,
+      location: location._id
+    };
+
+    const level = await this.levelRepository.increment(key, quantity, { session });
+    if (!level) {
+      const current = await this.levelRepository.findOne(key, { session });
+      throw new ApiError(
+        400,
+        `Stock insuficiente para "${target.label}" en ${location.code}. Disponible: ${current ? current.quantity : 0}`
+      );
+    }
+    return level;
+  }
+
+  /**
+   * Producto o variante a la que apunta un movimiento
+   * @returns {Object} - { variant, stock, label }
+   */
+  _resolveTarget(product, selector) {
+    if (!selector) {
+      if (product.variants.length > 0) {
+        throw new ApiError(400, `El producto "${product.name}" tiene variantes: indique la variante`);
+      }
+      return { variant: null, stock: product.stock, label: product.name };
+    }
+
+    const variant = selector._id
+      ? product.variants.id(selector._id)
+      : product.findVariant(selector.sku);
+
+    if (!variant) {
+      throw new ApiError(404, `Variante no encontrada en "${product.name}": ${selector.sku || selector._id}`);
+    }
+
+    return { variant, stock: variant.stock, label: `${product.name} (${variant.sku})` };
+  }
+
+  /**
+   * Obtener el historial de movimientos de un producto
+   * @param {Object} filters - { from, to, variant } con variant el SKU de una variante
+   */
+  async getMovements(productId, filters = {}, options = {}) {
+    const product = await this.productRepository.findById(productId);
+    if (!product) {
+      throw new ApiError(404, 'Producto no encontrado');
+    }
+
+    if (filters.from && filters.to && filters.from > filters.to) {
+      throw new ApiError(400, 'La fecha "from" debe ser anterior a "to"');
+    }
+
+    const { variant, ...dateFilters } = filters;
+    if (variant) {
+      dateFilters.variant = this._resolveTarget(product, { sku: variant }).variant._id;
+    }
+
+    return await this.movementRepository.findByProduct(productId, dateFilters, options);
+  }
+
+  /**
+   * Reconstruir el stock de un producto a partir de su ledger
+   * Sin `apply` solo informa la diferencia (conciliación)
+   * @param {Object} options - { apply, userId } con userId quien aplica la corrección
+   */
+  async rebuildStock(productId, { apply = false, userId } = {}) {
+    const product = await this.productRepository.findById(productId);
+    if (!product) {
+      throw new ApiError(404, 'Producto no encontrado');
+    }
+
+    if (product.variants.length > 0) {
+      return await this._rebuildVariantStock(product, { apply, userId });
+    }
+
+    const ledger = await this.movementRepository.sumByProduct(productId);
+    const difference = product.stock - ledger.total;
+
+    if (ledger.total < 0) {
+      throw new ApiError(409, `El ledger suma un stock negativo (${ledger.total}); revise los movimientos`);
+    }
+
+    const result = {
+      productId: product.id,
+      currentStock: product.stock,
+      ledgerStock: ledger.total,
+      movements: ledger.count,
+      difference,
+      applied: false
+    };
+
+    if (apply && difference !== 0) {
+      await this._applyReconciliation(product, ledger.total, [
+        { variant: null, stockBefore: product.stock, stockAfter: ledger.total }
+      ], { userId });
+      result.applied = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Conciliación por variante: el stock del producto es la suma de las variantes reconstruidas
+   */
+  async _rebuildVariantStock(product, { apply, userId }) {
+    const groups = await this.movementRepository.sumByVariant(product.id);
+    const ledgerOf = (variant) => groups.find(group => String(group.variant) === String(variant._id)) || { total: 0 };
+
+    const variants = product.variants.map(variant => {
+      const ledgerStock = ledgerOf(variant).total;
+      if (ledgerStock < 0) {
+        throw new ApiError(409, `El ledger de la variante ${variant.sku} suma un stock negativo (${ledgerStock}); revise los movimientos`);
+      }
+      return {
+        _id: variant._id,
+        sku: variant.sku,
+        currentStock: variant.stock,
+        ledgerStock,
+        difference: variant.stock - ledgerStock
+      };
+    });
+
+    const ledgerStock = variants.reduce((total, variant) => total + variant.ledgerStock, 0);
+    const result = {
+      productId: product.id,
+      currentStock: product.stock,
+      ledgerStock,
+      movements: groups.reduce((total, group) => total + group.count, 0),
+      difference: product.stock - ledgerStock,
+      variants: variants.map(({ _id, ...variant }) => variant),
+      applied: false
+    };
+
+    const outOfSync = result.difference !== 0 || variants.some(variant => variant.difference !== 0);
+    if (apply && outOfSync) {
+      // Una corrección por variante desincronizada y, si el total tampoco era la suma de
+      // las variantes, otra del producto por el resto
+      const corrections = variants
+        .filter(variant => variant.difference !== 0)
+        .map(variant => ({ variant, stockBefore: variant.currentStock, stockAfter: variant.ledgerStock }));
+      const corrected = corrections.reduce((total, { stockBefore, stockAfter }) => total + stockAfter - stockBefore, 0);
+      if (product.stock + corrected !== ledgerStock) {
+        corrections.push({ variant: null, stockBefore: product.stock + corrected, stockAfter: ledgerStock });
+      }
+
+      await this._applyReconciliation(product, ledgerStock, corrections, {
+        userId,
+        variants: variants.map(variant => ({ _id: variant._id, stock: variant.ledgerStock }))
+      });
+      result.applied = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Fijar el stock reconstruido y registrar cada corrección como movimiento "reconcile", en una transacción
+   * Solo se fija si el producto no cambió desde que se leyó: otro movimiento pudo entrar en el ledger.
+   * @param {Number} ledgerStock - Stock total según el ledger
+   * @param {Array} corrections - [{ variant, stockBefore, stockAfter }] con variant { _id, sku } o null
+   * @param {Object} options - { userId, variants } con variants [{ _id, stock }] para fijar cada variante
+   */
+  async _applyReconciliation(product, ledgerStock, corrections, { userId, variants }) {
+    const updated = await withTransaction(async (session) => {
+      const reconciled = await this.productRepository.setStock(product.id, ledgerStock, {
+        variants,
+        versions: [product.version || 0],
+        session
+      });
+      if (!reconciled) {
+        throw new ApiError(409, 'El producto cambió durante la reconstrucción del stock; vuelva a intentarlo');
+      }
+
+      for (const { variant, stockBefore, stockAfter } of corrections) {
+        await this.movementRepository.create({
+          product: product._id,
+          variant: variant ? variant._id : null,
+          variantSku: variant ? variant.sku : undefined,
+          location: null,
+          quantity: stockAfter - stockBefore,
+          reason: 'reconcile',
+          reference: 'Reconstrucción desde el ledger',
+          stockBefore,
+          stockAfter,
+          createdBy: userId
+        }, { session });
+      }
+
+      return reconciled;
+    });
+
+    this._publishStockChange(updated, product.stock, {
+      quantity: ledgerStock - product.stock,
+      reason: 'reconcile',
+      variant: null,
+      location: null
+    });
+  }
+
+  /**
+   * Las ventas y mermas restan stock; reposiciones y devoluciones lo suman.
+   * Las transferencias solo se registran desde transfer() y las conciliaciones desde rebuildStock()
+   */
+  _assertQuantityMatchesReason(quantity, reason) {
+    if (reason === 'transfer') {
+      throw new ApiError(400, 'Las transferencias entre ubicaciones se registran con su propia operación');
+    }
+
+    if (reason === 'reconcile') {
+      throw new ApiError(400, 'Las conciliaciones se registran al reconstruir el stock desde el ledger');
+    }
+
+    if (['sale', 'damage'].includes(reason) && quantity > 0) {
+      throw new ApiError(400, `Un movimiento "${reason}" debe tener cantidad negativa`);
+    }
+
+    if (['restock', 'return'].includes(reason) && quantity < 0) {
+      throw new ApiError(400, `Un movimiento "${reason}" debe tener cantidad positiva`);
+    }
+  }
+}
+
+// Inyección de dependencias: Se pasan los repositories, el bus de eventos y la configuración de webhooks
+module.exports = new StockService(
+  productRepository,
+  stockMovementRepository,
+  locationRepository,
+  stockLevelRepository,
+  eventBus,
+  webhooksConfig
+);
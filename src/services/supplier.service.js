@@ -0,0 +1,84 @@
+const supplierRepository = require('../repositories/supplier.repository');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Service Layer - Lógica de negocio de proveedores
+ * Aplica:
+ * - Single Responsibility: Solo lógica de proveedores
+ * - Dependency Inversion: Depende de abstracciones (repositories)
+ */
+class SupplierService {
+  constructor(repository) {
+    this.repository = repository;
+  }
+
+  /**
+   * Crear un proveedor
+   */
+  async createSupplier(supplierData) {
+    if (await this.repository.existsByName(supplierData.name)) {
+      throw ApiError.conflict(`Ya existe un proveedor con el nombre "${supplierData.name}"`);
+    }
+
+    return await this.repository.create(supplierData);
+  }
+
+  /**
+   * Obtener proveedores
+   */
+  async getAllSuppliers({ includeInactive = false } = {}) {
+    const filters = includeInactive ? {} : { isActive: true };
+    return await this.repository.findAll(filters);
+  }
+
+  /**
+   * Obtener proveedor por ID
+   */
+  async getSupplierById(id) {
+    const supplier = await this.repository.findById(id);
+
+    if (!supplier) {
+      throw new ApiError(404, 'Proveedor no encontrado');
+    }
+
+    return supplier;
+  }
+
+  /**
+   * Actualizar proveedor
+   * Desactivarlo no afecta a las órdenes ya emitidas, pero impide emitirle nuevas
+   */
+  async updateSupplier(id, updateData) {
+    const supplier = await this.getSupplierById(id);
+
+    if (updateData.name && updateData.name !== supplier.name) {
+      if (await this.repository.existsByName(updateData.name, supplier.id)) {
+        throw ApiError.conflict(`Ya existe un proveedor con el nombre "${updateData.name}"`);
+      }
+    }
+
+    return await this.repository.update(supplier.id, updateData);
+  }
+
+  /**
+   * Verificar que los proveedores de un producto existen y están activos
+   * @param {Array} links - [{ supplier }] proveedores del producto
+   */
+  async assertAssignable(links = []) {
+    const ids = links.map(link => String(link.supplier));
+    const suppliers = await this.repository.findByIds(ids);
+
+    for (const id of ids) {
+      const supplier = suppliers.find(candidate => candidate.id === id);
+      if (!supplier) {
+        throw new ApiError(400, `El proveedor ${id} no existe`);
+      }
+      if (!supplier.isActive) {
+        throw new ApiError(400, `El proveedor "${supplier.name}" está inactivo`);
+      }
+    }
+  }
+}
+
+// Inyección de dependencias: Se pasa el repository al servicio
+module.exports = new SupplierService(supplierRepository);
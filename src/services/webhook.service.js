@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const { Agent, fetch } = require('undici');
+const webhookRepository = require('../repositories/webhook.repository');
+const webhookDeliveryRepository = require('../repositories/webhookDelivery.repository');
+const ApiError = require('../utils/ApiError');
+const webhooksConfig = require('../config/webhooks');
+const { isPrivateAddress } = require('../utils/network');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RESPONSE_BODY_MAX = 500;
+
+/**
+ * Service Layer - Webhooks salientes
+ * Cada evento del bus se registra como una entrega por suscripción interesada y se envía
+ * por POST firmado. Las entregas fallidas se reintentan desde el job de webhooks.
+ * Aplica:
+ * - Single Responsibility: Solo suscripciones y entregas de webhooks
+ * - Dependency Inversion: Depende de abstracciones (repositories)
+ */
+class WebhookService {
+  constructor(repository, deliveryRepository, config) {
+    this.repository = repository;
+    this.deliveryRepository = deliveryRepository;
+    this.config = config;
+  }
+
+  /**
+   * Crear una suscripción
+   * Si no se indica secreto se genera uno; es la única vez que se devuelve.
+   */
+  async createWebhook(webhookData, userId) {
+    const webhook = await this.repository.create({
+      ...webhookData,
+      secret: webhookData.secret || this._generateSecret(),
+      createdBy: userId
+    });
+
+    return webhook.toJSON();
+  }
+
+  /**
+   * Obtener todas las suscripciones
+   */
+  async getAllWebhooks() {
+    return await this.repository.findAll();
+  }
+
+  /**
+   * Obtener suscripción por ID
+   */
+  async getWebhookById(id) {
+    const webhook = await this.repository.findById(id);
+
+    if (!webhook) {
+      throw new ApiError(404, 'Webhook no encontrado');
+    }
+
+    return webhook;
+  }
+
+  /**
+   * Actualizar suscripción (URL, eventos, secreto o estado)
+   */
+  async updateWebhook(id, updateData) {
+    const webhook = await this.repository.update(id, updateData);
+
+    if (!webhook) {
+      throw new ApiError(404, 'Webhook no encontrado');
+    }
+
+    return webhook;
+  }
+
+  /**
+   * Eliminar suscripción; sus entregas pendientes ya no se reintentan
+   */
+  async deleteWebhook(id) {
+    const webhook = await this.repository.delete(id);
+
+    if (!webhook) {
+      throw new ApiError(404, 'Webhook no encontrado');
+    }
+
+    await this.deliveryRepository.failPending(webhook._id);
+    return { message: 'Webhook eliminado exitosamente' };
+  }
+
+  /**
+   * Registro de entregas de una suscripción
+   * @param {Object} filters - { status, eventType }
+   */
+  async getDeliveries(webhookId, filters = {}, options = {}) {
+    const webhook = await this.getWebhookById(webhookId);
+    const queryFilters = { webhook: webhook._id };
+
+    if (filters.status) {
+      queryFilters.status = filters.status;
+    }
+    if (filters.eventType) {
+      queryFilters['event.type'] = filters.eventType;
+    }
+
+    return await this.deliveryRepository.findAll(queryFilters, options);
+  }
+
+  /**
+   * Reenviar manualmente una entrega (exitosa o fallida)
+   * Se crea una entrega nueva con el mismo evento (mismo `id`, para que el destino
+   * pueda descartar duplicados) y se intenta enviar en el momento.
+   * @returns {Promise<WebhookDelivery>} - La nueva entrega con el resultado del intento
+   */
+  async redeliver(webhookId, deliveryId) {
+    const webhook = await this.getWebhookById(webhookId);
+    if (!webhook.isActive) {
+      throw new ApiError(400, 'El webhook está desactivado; actívelo antes de reenviar entregas');
+    }
+
+    const original = await this.deliveryRepository.findOne(webhook._id, deliveryId);
+    if (!original) {
+      throw new ApiError(404, 'Entrega no encontrada');
+    }
+
+    const delivery = await this.deliveryRepository.create({
+      webhook: webhook._id,
+      event: original.event,
+      redeliveryOf: original._id
+    });
+
+    return (await this.attemptDelivery(delivery._id)) || delivery;
+  }
+
+  /**
+   * Suscriptor del bus de eventos: crea una entrega por suscripción interesada y la envía
+   * @param {Object} event - { id, type, occurredAt, data }
+   */
+  async handleEvent(event) {
+    const webhooks = await this.repository.findActiveByEvent(event.type);
+    const deliveries = [];
+
+    for (const webhook of webhooks) {
+      deliveries.push(await this.deliveryRepository.create({ webhook: webhook._id, event }));
+    }
+
+    for (const delivery of deliveries) {
+      await this.attemptDelivery(delivery._id);
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Enviar las entregas pendientes cuyo reintento ya venció
+   * @param {Object} options - { now, limit }
+   * @returns {Promise<Array>} - Entregas intentadas, con su estado resultante
+   */
+  async dispatchDue({ now = new Date(), limit = 50 } = {}) {
+    const attempted = [];
+
+    while (attempted.length < limit) {
+      const delivery = await this.deliveryRepository.claimDue(now, this._leaseUntil());
+      if (!delivery) {
+        break;
+      }
+      attempted.push(await this._send(delivery));
+    }
+
+    return attempted;
+  }
+
+  /**
+   * Intentar una entrega concreta si está pendiente y nadie más la está enviando
+   * @returns {Promise<WebhookDelivery|null>} - null si no estaba disponible
+   */
+  async attemptDelivery(deliveryId) {
+    const delivery = await this.deliveryRepository.claimDue(new Date(), this._leaseUntil(), { id: deliveryId });
+    return delivery ? await this._send(delivery) : null;
+  }
+
+  /**
+   * Eliminar el registro de entregas terminadas más antiguo que WEBHOOK_DELIVERY_RETENTION_DAYS
+   * @returns {Promise<Number>} - Entregas eliminadas
+   */
+  async purgeDeliveries({ now = new Date() } = {}) {
+    const cutoff = new Date(now.getTime() - this.config.deliveryRetentionDays * DAY_MS);
+    return await this.deliveryRepository.deleteFinishedBefore(cutoff);
+  }
+
+  /**
+   * Firma de una entrega: HMAC-SHA256 de `${timestamp}.${body}` con el secreto, en hexadecimal
+   * El destino la recalcula con el body sin modificar y compara en tiempo constante.
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Enviar una entrega reservada y registrar el intento
+   */
+  async _send(delivery) {
+    const webhook = await this.repository.findById(delivery.webhook, { withSecret: true });
+    const attemptedAt = new Date();
+
+    if (!webhook || !webhook.isActive) {
+      return await this.deliveryRepository.recordAttempt(
+        delivery._id,
+        { attemptedAt, error: 'El webhook fue eliminado o desactivado' },
+        { status: 'failed', nextAttemptAt: null }
+      );
+    }
+
+    const attempt = await this._post(webhook, delivery, attemptedAt);
+    const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+
+    return await this.deliveryRepository.recordAttempt(
+      delivery._id,
+      attempt,
+      this._outcome(delivery, succeeded, attemptedAt)
+    );
+  }
+
+  /**
+   * POST del evento a la URL de la suscripción
+   * Las redirecciones no se siguen: cuentan como fallo.
+   * Tampoco se envía si el host resuelve a una dirección privada; la conexión va a las IPs
+   * comprobadas, así un DNS que cambie de respuesta entre medio (rebinding) no la desvía.
+   * @returns {Promise<Object>} - Intento { attemptedAt, statusCode, durationMs, error, responseBody }
+   */
+  async _post(webhook, delivery, attemptedAt) {
+    const { id, type, occurredAt, data } = delivery.event;
+    const body = JSON.stringify({ id, type, occurredAt, data });
+    const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+    const attempt = { attemptedAt, statusCode: null };
+    let dispatcher = null;
+
+    try {
+      const addresses = await this._assertPublicDestination(webhook.url);
+      dispatcher = this._pinnedAgent(addresses);
+      // La URL no cambia: el Host y el nombre del certificado (SNI) siguen siendo los del destino
+      const response = await fetch(webhook.url, {
+        dispatcher,
+        method: 'POST',
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.config.timeoutMs),
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': id,
+          'X-Webhook-Event': type,
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+        },
+        body
+      });
+
+      attempt.statusCode = response.status;
+      attempt.responseBody = (await response.text()).slice(0, RESPONSE_BODY_MAX);
+      if (!response.ok) {
+        attempt.error = `El destino respondió ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.name === 'TimeoutError'
+        ? `Sin respuesta en ${this.config.timeoutMs} ms`
+        : (error.cause && error.cause.message) || error.message;
+    } finally {
+      if (dispatcher) {
+        dispatcher.destroy().catch(() => {});
+      }
+    }
+
+    attempt.durationMs = Date.now() - attemptedAt.getTime();
+    return attempt;
+  }
+
+  /**
+   * Comprobar que el host de la URL no resuelve a loopback, a una red privada ni a link-local
+   * La validación de la URL solo ve el nombre; aquí se comprueban las IPs a las que apunta.
+   * @returns {Promise<Array>} - Direcciones comprobadas [{ address, family }]
+   */
+  async _assertPublicDestination(url) {
+    const { hostname } = new URL(url);
+    const addresses = await dns.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new Error(`${hostname} resuelve a una dirección privada`);
+    }
+    return addresses;
+  }
+
+  /**
+   * Agente HTTP que conecta solo a las direcciones dadas, sin volver a resolver el host
+   * @param {Array} addresses - [{ address, family }] ya comprobadas
+   * @returns {Agent}
+   */
+  _pinnedAgent(addresses) {
+    return new Agent({
+      connect: {
+        // Node pide todas las direcciones cuando prueba IPv4 e IPv6 (autoSelectFamily)
+        lookup: (hostname, options, callback) => (options.all
+          ? callback(null, addresses)
+          : callback(null, addresses[0].address, addresses[0].family))
+      }
+    });
+  }
+
+  /**
+   * Estado tras un intento: exitosa, fallida definitivamente o reintento con espera exponencial
+   * (WEBHOOK_RETRY_BASE_SECONDS, el doble en cada intento)
+   */
+  _outcome(delivery, succeeded, attemptedAt) {
+    if (succeeded) {
+      return { status: 'succeeded', nextAttemptAt: null, deliveredAt: attemptedAt };
+    }
+
+    const attemptCount = delivery.attemptCount + 1;
+    if (attemptCount >= this.config.maxAttempts) {
+      return { status: 'failed', nextAttemptAt: null };
+    }
+
+    const delaySeconds = this.config.retryBaseSeconds * 2 ** (attemptCount - 1);
+    return { status: 'pending', nextAttemptAt: new Date(attemptedAt.getTime() + delaySeconds * 1000) };
+  }
+
+  /**
+   * Reserva de una entrega: cubre el timeout del envío con margen
+   */
+  _leaseUntil() {
+    return new Date(Date.now() + this.config.timeoutMs * 2 + 1000);
+  }
+
+  _generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+}
+
+// Inyección de dependencias: Se pasan los repositories y la configuración de webhooks
+module.exports = new WebhookService(webhookRepository, webhookDeliveryRepository, webhooksConfig);
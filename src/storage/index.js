@@ -0,0 +1,22 @@
+const LocalStorage = require('./local.storage');
+const imagesConfig = require('../config/images');
+
+/**
+ * Almacenamiento de imágenes según IMAGE_STORAGE
+ * Todo adaptador implementa save(key, buffer, { contentType }), delete(keys) y url(key);
+ * staticMiddleware() es opcional y solo lo necesitan los que sirven sus propios archivos.
+ * Aplica: Open/Closed - Se agregan adaptadores (S3, GCS...) sin tocar el servicio de imágenes
+ */
+const ADAPTERS = {
+  local: (config) => new LocalStorage(config.local)
+};
+
+const createStorage = (config) => {
+  const adapter = ADAPTERS[config.storage];
+  if (!adapter) {
+    throw new Error(`IMAGE_STORAGE "${config.storage}" no soportado. Opciones: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  return adapter(config);
+};
+
+module.exports = createStorage(imagesConfig);
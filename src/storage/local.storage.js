@@ -0,0 +1,66 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+/**
+ * Almacenamiento de archivos en el disco local
+ * Los archivos se sirven como estáticos desde `publicUrl` (ver app.js).
+ * Cada clave es única (incluye el ID de la imagen), así que se pueden cachear sin expirar.
+ */
+class LocalStorage {
+  /**
+   * @param {Object} options - { directory, publicUrl }
+   */
+  constructor({ directory, publicUrl }) {
+    this.directory = directory;
+    this.publicUrl = publicUrl;
+  }
+
+  /**
+   * Guardar un archivo
+   * @param {String} key - Ruta relativa, ej: "products/<id>/<imagen>.jpg"
+   * @param {Buffer} buffer - Contenido
+   */
+  async save(key, buffer) {
+    const filePath = this._resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  /**
+   * Eliminar archivos; los que ya no existen se ignoran
+   * @param {Array<String>} keys - Claves de los archivos
+   */
+  async delete(keys) {
+    for (const key of keys) {
+      await fs.rm(this._resolve(key), { force: true });
+    }
+  }
+
+  /**
+   * URL pública de un archivo
+   */
+  url(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+
+  /**
+   * Middleware que sirve los archivos guardados
+   */
+  staticMiddleware() {
+    return express.static(this.directory, { index: false, immutable: true, maxAge: '30d' });
+  }
+
+  /**
+   * Ruta absoluta de una clave, sin permitir salir de la carpeta de almacenamiento
+   */
+  _resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Clave de almacenamiento inválida: ${key}`);
+    }
+    return filePath;
+  }
+}
+
+module.exports = LocalStorage;
@@ -35,9 +35,23 @@ class ApiError extends Error {
     return new ApiError(409, message);
   }
 
+  static preconditionFailed(message = 'Precondition Failed') {
+    return new ApiError(412, message);
+  }
+
   static internal(message = 'Internal Server Error') {
     return new ApiError(500, message);
   }
+
+  /**
+   * Error de validación con el detalle por campo
+   * @param {Array<Object>} errors - [{ field, location, message }]
+   */
+  static validation(errors, message = 'Los datos enviados no son válidos') {
+    const error = new ApiError(400, message);
+    error.errors = errors;
+    return error;
+  }
 }
 
 module.exports = ApiError;
\ No newline at end of file
@@ -0,0 +1,65 @@
+const ApiError = require('./ApiError');
+
+/**
+ * Cursores opacos para paginación
+ * El cursor guarda el orden usado y la posición del último elemento visto
+ * (valor del campo de orden + _id como desempate), codificado en base64url.
+ */
+
+/**
+ * Codificar un cursor
+ * @param {Object} position - { sortBy, sortOrder, value, id, direction: 'next'|'prev' }
+ * @returns {String}
+ */
+const encodeCursor = ({ sortBy, sortOrder, value, id, direction }) => {
+  const payload = {
+    s: sortBy,
+    o: sortOrder,
+    v: value instanceof Date ? value.toISOString() : value,
+    id: String(id),
+    d: direction
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodificar un cursor recibido del cliente
+ * El campo de orden debe ser uno de los permitidos y el valor un escalar: el cursor
+ * termina en el filtro de la consulta y no puede aportar campos ni operadores.
+ * @param {String} cursor - Cursor opaco
+ * @param {Object} expected - { sortFields } permitidos y, si se indican, { sortBy, sortOrder } del request
+ * @returns {Object} - { sortBy, sortOrder, value, id, direction }
+ */
+const decodeCursor = (cursor, { sortFields, sortBy, sortOrder } = {}) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ApiError(400, 'Cursor de paginación inválido');
+  }
+
+  const isScalar = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+  if (!payload || typeof payload.s !== 'string' || !['asc', 'desc'].includes(payload.o) ||
+      typeof payload.id !== 'string' || !['next', 'prev'].includes(payload.d) || !isScalar(payload.v) ||
+      (sortFields && !sortFields.includes(payload.s))) {
+    throw new ApiError(400, 'Cursor de paginación inválido');
+  }
+
+  // Un cursor solo continúa el recorrido con el orden con el que se generó
+  if ((sortBy && payload.s !== sortBy) || (sortOrder && payload.o !== sortOrder)) {
+    throw new ApiError(
+      400,
+      `El cursor corresponde a sortBy=${payload.s}&sortOrder=${payload.o}; repita el orden con el que se generó`
+    );
+  }
+
+  return {
+    sortBy: payload.s,
+    sortOrder: payload.o,
+    value: payload.v,
+    id: payload.id,
+    direction: payload.d
+  };
+};
+
+module.exports = { encodeCursor, decodeCursor };
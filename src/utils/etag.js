@@ -0,0 +1,45 @@
+const ApiError = require('./ApiError');
+
+/**
+ * ETags basados en la versión del documento (control de concurrencia optimista)
+ * Un producto en la versión 3 tiene el ETag "3".
+ */
+
+/**
+ * ETag fuerte de un documento versionado
+ * @param {Object} doc - Documento con campo `version`
+ * @returns {String}
+ */
+const toETag = (doc) => `"${doc.version || 0}"`;
+
+/**
+ * Leer las versiones aceptadas en un header If-Match
+ * @param {String} header - Valor de If-Match
+ * @returns {Array<Number>|undefined} - undefined si no hay condición (sin header o "*")
+ */
+const parseIfMatch = (header) => {
+  if (!header || header.trim() === '*') {
+    return undefined;
+  }
+
+  // If-Match usa comparación fuerte: los ETags débiles (W/"...") nunca coinciden
+  return header.split(',')
+    .map(tag => tag.trim())
+    .map(tag => /^"(\d+)"$/.exec(tag))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+};
+
+/**
+ * Exigir que un documento esté en alguna de las versiones aceptadas
+ * @param {Object} doc - Documento con campo `version`
+ * @param {Array<Number>|undefined} versions - Resultado de parseIfMatch
+ * @throws {ApiError} 412 si la versión no coincide
+ */
+const assertVersion = (doc, versions) => {
+  if (versions && !versions.includes(doc.version || 0)) {
+    throw ApiError.preconditionFailed('El producto fue modificado por otro usuario; recárguelo e intente de nuevo');
+  }
+};
+
+module.exports = { toETag, parseIfMatch, assertVersion };
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * Bus de eventos de dominio en memoria
+ * Los servicios publican lo que ocurrió (ej: "product.created") sin conocer a los
+ * interesados; los suscriptores (webhooks) reaccionan por su cuenta.
+ * Un suscriptor que falla no afecta a la operación que publicó el evento.
+ * Aplica: Observer - publicadores y suscriptores desacoplados
+ */
+class EventBus {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * Publicar un evento
+   * @param {String} type - Tipo de evento, ej: "product.updated"
+   * @param {Object} data - Contenido del evento (se serializa a JSON)
+   * @returns {Object} - Evento publicado { id, type, occurredAt, data }
+   */
+  publish(type, data) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      occurredAt: new Date(),
+      data: JSON.parse(JSON.stringify(data))
+    };
+
+    this.listeners.forEach(listener => {
+      Promise.resolve()
+        .then(() => listener(event))
+        .catch(error => logger.error('Error al procesar el evento', { eventId: event.id, eventType: type, err: error }));
+    });
+
+    return event;
+  }
+
+  /**
+   * Suscribirse a todos los eventos
+   * @param {Function} listener - (event) => void | Promise
+   * @returns {Function} - Cancela la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+module.exports = new EventBus();
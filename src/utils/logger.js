@@ -0,0 +1,124 @@
+const loggerConfig = require('../config/logger');
+const { getContext } = require('./requestContext');
+
+/**
+ * Niveles de mayor a menor gravedad; LOG_LEVEL indica el último que se escribe
+ */
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+/**
+ * Campos que nunca se escriben en los logs (sin distinguir mayúsculas)
+ */
+const REDACTED_FIELDS = [
+  'password',
+  'currentpassword',
+  'newpassword',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'authorization',
+  'cookie',
+  'secret',
+  'apikey'
+];
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+/**
+ * Logger estructurado
+ * Cada evento es una línea JSON { time, level, msg, requestId, ...campos } en stdout.
+ * Dentro de un request se agrega su requestId (ver utils/requestContext).
+ * Aplica: Single Responsibility - Solo formatea y escribe los logs
+ */
+class Logger {
+  constructor(config, bindings = {}) {
+    this.config = config;
+    this.bindings = bindings;
+    this.threshold = LOG_LEVELS.indexOf(config.level);
+  }
+
+  error(msg, fields) {
+    this._write('error', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this._write('warn', msg, fields);
+  }
+
+  info(msg, fields) {
+    this._write('info', msg, fields);
+  }
+
+  debug(msg, fields) {
+    this._write('debug', msg, fields);
+  }
+
+  /**
+   * Logger con campos fijos en cada línea, ej: logger.child({ job: 'webhooks' })
+   */
+  child(bindings) {
+    return new Logger(this.config, { ...this.bindings, ...bindings });
+  }
+
+  /**
+   * Copia de un valor sin los campos sensibles; los errores se convierten en { name, message, stack, ... }
+   */
+  redact(value, depth = 0) {
+    if (value instanceof Error) {
+      return this._serializeError(value, depth);
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+      return value;
+    }
+    // ObjectId, documentos de Mongoose, etc.: se registran como en las respuestas JSON
+    if (typeof value.toJSON === 'function') {
+      return this.redact(value.toJSON(), depth + 1);
+    }
+    if (depth >= MAX_DEPTH) {
+      return '[...]';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, depth + 1));
+    }
+
+    return Object.keys(value).reduce((copy, key) => {
+      copy[key] = REDACTED_FIELDS.includes(key.toLowerCase()) ? REDACTED : this.redact(value[key], depth + 1);
+      return copy;
+    }, {});
+  }
+
+  _write(level, msg, fields = {}) {
+    if (LOG_LEVELS.indexOf(level) > this.threshold) {
+      return;
+    }
+
+    const context = getContext();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...(context && { requestId: context.requestId }),
+      ...this.redact({ ...this.bindings, ...fields })
+    };
+
+    process.stdout.write(`${this.config.format === 'pretty' ? this._pretty(entry) : JSON.stringify(entry)}\n`);
+  }
+
+  _serializeError(error, depth) {
+    return this.redact({
+      name: error.name,
+      message: error.message,
+      ...(error.statusCode && { statusCode: error.statusCode }),
+      ...(error.code !== undefined && { code: error.code }),
+      stack: error.stack
+    }, depth + 1);
+  }
+
+  _pretty({ time, level, msg, err, ...fields }) {
+    const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    const stack = err && err.stack ? `\n${err.stack}` : '';
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra}${stack}`;
+  }
+}
+
+module.exports = new Logger(loggerConfig);
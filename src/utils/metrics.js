@@ -0,0 +1,41 @@
+const client = require('prom-client');
+
+/**
+ * Registro de métricas Prometheus de la aplicación
+ * Incluye las métricas por defecto del proceso (CPU, memoria, event loop, GC).
+ * Las etiquetas usan la ruta Express (/api/products/:id), nunca la URL, para
+ * mantener acotada la cantidad de series.
+ */
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Requests HTTP atendidos',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duración de los requests HTTP en segundos',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+const dbOperationDuration = new client.Histogram({
+  name: 'db_operation_duration_seconds',
+  help: 'Duración de los comandos enviados a MongoDB en segundos',
+  labelNames: ['collection', 'operation', 'outcome'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [registry]
+});
+
+module.exports = {
+  client,
+  registry,
+  httpRequestsTotal,
+  httpRequestDuration,
+  dbOperationDuration
+};
@@ -0,0 +1,49 @@
+const net = require('net');
+
+/**
+ * Utilidades de red para destinos salientes (webhooks)
+ */
+
+// Rangos a los que no se envían requests: loopback, redes privadas, link-local y reservados
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // NAT de operador
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // Incluye metadatos de la nube (169.254.169.254)
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // Direcciones locales únicas
+  ['fe80::', 10] // Link-local
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Indicar si una IP es de loopback, de una red privada o link-local
+ * Las IPv6 que mapean una IPv4 (::ffff:10.0.0.1) se evalúan por la IPv4.
+ * @param {String} address - IPv4 o IPv6
+ * @returns {Boolean}
+ */
+const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  return family !== 0 && PRIVATE_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Indicar si el host de una URL es local: localhost o una IP privada escrita literalmente
+ * Los nombres de dominio se comprueban al resolverlos, en el envío.
+ * @param {String} hostname - Host de la URL (las IPv6 pueden venir entre corchetes)
+ * @returns {Boolean}
+ */
+const isPrivateHost = (hostname) => {
+  const host = String(hostname).toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+};
+
+module.exports = { isPrivateAddress, isPrivateHost };
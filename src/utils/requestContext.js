@@ -0,0 +1,23 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Contexto del request en curso (ej: requestId)
+ * Se propaga por todo el código asíncrono que se ejecuta para el request,
+ * así el logger lo agrega sin tener que pasarlo de capa en capa.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Ejecutar una función dentro de un contexto
+ * @param {Object} context - { requestId }
+ * @param {Function} fn - Función a ejecutar
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Contexto actual, o null fuera de un request (jobs, arranque)
+ * @returns {Object|null}
+ */
+const getContext = () => storage.getStore() || null;
+
+module.exports = { runWithContext, getContext };
@@ -0,0 +1,15 @@
+/**
+ * Convertir un texto en slug para URLs e identificadores
+ * Ej: "Electrónica y Hogar" -> "electronica-y-hogar"
+ * @param {String} text - Texto a convertir
+ * @returns {String}
+ */
+const slugify = (text) => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '') // Quitar tildes
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+module.exports = slugify;
@@ -0,0 +1,26 @@
+/**
+ * Utilidades de texto para búsquedas
+ */
+
+/**
+ * Escapar los metacaracteres de una expresión regular
+ * Permite usar texto del usuario dentro de un RegExp de forma literal.
+ * @param {String} text - Texto del usuario
+ * @returns {String}
+ */
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalizar texto para comparaciones: minúsculas, sin tildes y espacios simples
+ * Ej: "  Cámara  Réflex" -> "camara reflex"
+ * @param {String} text - Texto a normalizar
+ * @returns {String}
+ */
+const normalizeText = (text) => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '') // Quitar tildes
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+module.exports = { escapeRegExp, normalizeText };
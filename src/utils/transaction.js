@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Funciones a ejecutar cuando se confirme la transacción de una sesión
+const AFTER_COMMIT = Symbol('afterCommit');
+
+/**
+ * Ejecutar una función dentro de una transacción de MongoDB
+ * La transacción se confirma si la función termina y se revierte si lanza un error.
+ * Requiere que MongoDB se ejecute como replica set.
+ * @param {Function} work - async (session) => resultado
+ * @returns {Promise<*>} - Resultado de la función
+ */
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      // Si el driver reintenta la transacción, lo registrado por el intento anterior se descarta
+      session[AFTER_COMMIT] = [];
+      result = await work(session);
+    });
+    session[AFTER_COMMIT].forEach(callback => callback());
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Ejecutar una función recién cuando se confirme la transacción de la sesión
+ * (ej: publicar eventos que no deben salir si la transacción se revierte).
+ * Sin transacción de withTransaction se ejecuta en el momento.
+ * @param {ClientSession} session - Sesión de la operación, o undefined
+ * @param {Function} callback - () => void
+ */
+const afterCommit = (session, callback) => {
+  if (session && session[AFTER_COMMIT]) {
+    session[AFTER_COMMIT].push(callback);
+  } else {
+    callback();
+  }
+};
+
+module.exports = { withTransaction, afterCommit };
@@ -0,0 +1,27 @@
+const Joi = require('joi');
+const { ROLES } = require('../config/roles');
+const { USER_RULES } = require('../models/user.model');
+
+/**
+ * Esquemas de validación de autenticación
+ * Las restricciones de los campos vienen de USER_RULES (user.model.js)
+ */
+
+const register = Joi.object({
+  name: Joi.string().trim().min(USER_RULES.name.min).max(USER_RULES.name.max).required(),
+  email: Joi.string().trim().lowercase().pattern(USER_RULES.email.pattern).required().messages({
+    'string.pattern.base': 'El email no tiene un formato válido'
+  }),
+  password: Joi.string().min(USER_RULES.password.min).required(),
+  role: Joi.string().valid(...Object.values(ROLES))
+});
+
+const login = Joi.object({
+  email: Joi.string().trim().lowercase().required(),
+  password: Joi.string().required()
+});
+
+module.exports = {
+  register,
+  login
+};
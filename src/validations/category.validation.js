@@ -0,0 +1,56 @@
+const Joi = require('joi');
+const { CATEGORY_RULES } = require('../models/category.model');
+
+/**
+ * Esquemas de validación de categorías
+ * Las restricciones de los campos vienen de CATEGORY_RULES (category.model.js)
+ */
+
+const slug = Joi.string().trim().lowercase().pattern(CATEGORY_RULES.slug.pattern).messages({
+  'string.pattern.base': 'El slug solo admite minúsculas, números y guiones'
+});
+
+const categoryFields = {
+  name: Joi.string().trim().min(CATEGORY_RULES.name.min).max(CATEGORY_RULES.name.max),
+  slug,
+  // { idioma: nombre }, ej: { "en": "Books" }
+  displayNames: Joi.object().pattern(Joi.string().min(2).max(10), Joi.string().trim().min(1)),
+  description: Joi.string().trim().allow('').max(CATEGORY_RULES.description.max),
+  // Slug de la categoría padre o null para una categoría raíz
+  parent: slug.allow(null),
+  isActive: Joi.boolean()
+};
+
+const create = Joi.object({
+  ...categoryFields,
+  name: categoryFields.name.required()
+});
+
+const update = Joi.object(categoryFields);
+
+const slugParams = Joi.object({
+  slug: slug.required()
+});
+
+const listQuery = Joi.object({
+  tree: Joi.boolean().default(false),
+  includeInactive: Joi.boolean().default(false),
+  lang: Joi.string().trim().max(10)
+});
+
+const langQuery = Joi.object({
+  lang: Joi.string().trim().max(10)
+});
+
+const moveProducts = Joi.object({
+  target: slug.required()
+});
+
+module.exports = {
+  create,
+  update,
+  slugParams,
+  listQuery,
+  langQuery,
+  moveProducts
+};
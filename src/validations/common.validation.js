@@ -0,0 +1,42 @@
+const Joi = require('joi');
+
+/**
+ * Esquemas reutilizables entre recursos
+ */
+
+// ID de MongoDB (24 caracteres hexadecimales)
+const objectId = Joi.string()
+  .hex()
+  .length(24)
+  .messages({
+    'string.hex': 'ID inválido',
+    'string.length': 'ID inválido'
+  });
+
+const idParams = Joi.object({
+  id: objectId.required()
+});
+
+const sortOrder = Joi.string().valid('asc', 'desc');
+
+// Paginación por página
+const pageQuery = {
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100)
+};
+
+// Rango de fechas (?from=&to=)
+const dateRangeQuery = {
+  from: Joi.date(),
+  to: Joi.date().min(Joi.ref('from')).messages({
+    'date.min': 'La fecha "to" debe ser posterior a "from"'
+  })
+};
+
+module.exports = {
+  objectId,
+  idParams,
+  sortOrder,
+  pageQuery,
+  dateRangeQuery
+};
@@ -0,0 +1,65 @@
+const Joi = require('joi');
+const { LOCATION_RULES, LOCATION_TYPES } = require('../models/location.model');
+const { pageQuery } = require('./common.validation');
+
+/**
+ * Esquemas de validación de ubicaciones
+ * Las restricciones de los campos vienen de LOCATION_RULES (location.model.js)
+ */
+
+// También lo usan el ajuste de stock, las transferencias y los pedidos
+const code = Joi.string().trim().uppercase().pattern(LOCATION_RULES.code.pattern).messages({
+  'string.pattern.base': 'El código de ubicación solo admite mayúsculas, números y guiones (2 a 20 caracteres)'
+});
+
+const locationFields = {
+  code,
+  name: Joi.string().trim().min(LOCATION_RULES.name.min).max(LOCATION_RULES.name.max),
+  type: Joi.string().valid(...LOCATION_TYPES),
+  address: Joi.string().trim().allow('').max(LOCATION_RULES.address.max),
+  // Solo se puede marcar: la predeterminada deja de serlo cuando otra la reemplaza
+  isDefault: Joi.boolean().valid(true),
+  isActive: Joi.boolean()
+};
+
+const create = Joi.object({
+  ...locationFields,
+  code: code.required(),
+  name: locationFields.name.required()
+});
+
+// El código identifica a la ubicación en los movimientos: no se modifica
+const update = Joi.object({
+  name: locationFields.name,
+  type: locationFields.type,
+  address: locationFields.address,
+  isDefault: locationFields.isDefault,
+  isActive: locationFields.isActive
+})
+  .min(1)
+  .messages({ 'object.min': 'Debe enviar al menos un campo para actualizar' });
+
+const codeParams = Joi.object({
+  code: code.required()
+});
+
+const listQuery = Joi.object({
+  includeInactive: Joi.boolean().default(false)
+});
+
+const stockQuery = Joi.object(pageQuery);
+
+const lowStockQuery = Joi.object({
+  ...pageQuery,
+  threshold: Joi.number().integer().min(0).default(10)
+});
+
+module.exports = {
+  code,
+  create,
+  update,
+  codeParams,
+  listQuery,
+  stockQuery,
+  lowStockQuery
+};
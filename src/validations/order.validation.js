@@ -0,0 +1,43 @@
+const Joi = require('joi');
+const { ORDER_STATUSES, ORDER_RULES } = require('../models/order.model');
+const { objectId, pageQuery } = require('./common.validation');
+const { code: locationCode } = require('./location.validation');
+
+/**
+ * Esquemas de validación de pedidos
+ * Las restricciones de los campos vienen de ORDER_RULES (order.model.js)
+ */
+
+const create = Joi.object({
+  items: Joi.array()
+    .items(Joi.object({
+      product: objectId.required(),
+      // SKU de la variante; obligatorio si el producto tiene variantes
+      variant: Joi.string().trim().uppercase(),
+      quantity: Joi.number().integer().min(ORDER_RULES.quantity.min).required()
+    }))
+    .min(1)
+    .required(),
+  // Ubicación desde la que se despacha; sin ella se usa la predeterminada
+  location: locationCode,
+  customer: Joi.object({
+    name: Joi.string().trim().max(100),
+    email: Joi.string().trim().lowercase().email()
+  }),
+  notes: Joi.string().trim().allow('').max(ORDER_RULES.notes.max)
+});
+
+const changeStatus = Joi.object({
+  status: Joi.string().valid(...ORDER_STATUSES).required()
+});
+
+const listQuery = Joi.object({
+  ...pageQuery,
+  status: Joi.string().valid(...ORDER_STATUSES)
+});
+
+module.exports = {
+  create,
+  changeStatus,
+  listQuery
+};
@@ -0,0 +1,269 @@
+const Joi = require('joi');
+const { PRODUCT_RULES, PRODUCT_SORT_FIELDS } = require('../models/product.model');
+const { STOCK_MOVEMENT_REASONS, SYSTEM_STOCK_MOVEMENT_REASONS } = require('../models/stockMovement.model');
+const { EXPORT_FORMATS, EXPORT_COLUMNS } = require('../services/productExport.service');
+const { objectId, sortOrder, pageQuery, dateRangeQuery } = require('./common.validation');
+const { code: locationCode } = require('./location.validation');
+
+/**
+ * Esquemas de validación de productos
+ * Las restricciones de los campos vienen de PRODUCT_RULES (product.model.js)
+ */
+
+const productFields = {
+  name: Joi.string().trim().min(PRODUCT_RULES.name.min).max(PRODUCT_RULES.name.max),
+  description: Joi.string().trim().min(PRODUCT_RULES.description.min).max(PRODUCT_RULES.description.max),
+  price: Joi.number().min(PRODUCT_RULES.price.min),
+  stock: Joi.number().integer().min(PRODUCT_RULES.stock.min),
+  category: Joi.string().trim().lowercase(),
+  sku: Joi.string().trim().uppercase().pattern(PRODUCT_RULES.sku.pattern).messages({
+    'string.pattern.base': 'El SKU debe tener entre 3 y 40 caracteres (letras, números y guiones)'
+  }),
+  isActive: Joi.boolean(),
+  // Punto de pedido y cantidad a reponer; null para no sugerir reposición / pedir lo justo
+  reorderPoint: Joi.number().integer().min(PRODUCT_RULES.reorderPoint.min).allow(null),
+  reorderQuantity: Joi.number().integer().min(PRODUCT_RULES.reorderQuantity.min).allow(null),
+  // Reemplaza la lista completa de proveedores del producto
+  suppliers: Joi.array()
+    .items(Joi.object({
+      supplier: objectId.required(),
+      cost: Joi.number().min(0).required(),
+      leadTimeDays: Joi.number().integer().min(0).allow(null),
+      minOrderQuantity: Joi.number().integer().min(1),
+      supplierSku: Joi.string().trim().max(60),
+      isPreferred: Joi.boolean()
+    }))
+    .max(PRODUCT_RULES.suppliers.max)
+    .unique('supplier')
+    .messages({ 'array.unique': 'Un proveedor no puede repetirse en el mismo producto' })
+};
+
+// Variantes: SKU propio, atributos ({ talla: 'M', color: 'rojo' }), precio opcional y stock
+const variantFields = {
+  sku: productFields.sku,
+  attributes: Joi.object()
+    .pattern(Joi.string(), Joi.string().trim().min(1).max(50))
+    .min(1)
+    .max(PRODUCT_RULES.variantAttributes.max)
+    // Claves válidas para un Map de Mongoose: sin "." ni "$" inicial
+    .custom((value, helpers) => (
+      Object.keys(value).every(key => /^[^$.][^.]{0,29}$/.test(key)) ? value : helpers.error('object.attributeName')
+    ))
+    .messages({
+      'object.attributeName': 'Los nombres de atributo tienen hasta 30 caracteres, sin "." ni "$" inicial'
+    }),
+  // null: la variante usa el precio del producto
+  price: productFields.price.allow(null),
+  stock: productFields.stock
+};
+
+const variantCreate = Joi.object({
+  ...variantFields,
+  sku: variantFields.sku.required(),
+  attributes: variantFields.attributes.required()
+});
+
+const variantUpdate = Joi.object({
+  sku: variantFields.sku,
+  attributes: variantFields.attributes,
+  price: variantFields.price
+})
+  .min(1)
+  .messages({ 'object.min': 'Debe enviar al menos uno de: sku, attributes, price' });
+
+const variantParams = Joi.object({
+  id: objectId.required(),
+  sku: Joi.string().trim().uppercase().required()
+});
+
+const create = Joi.object({
+  ...productFields,
+  name: productFields.name.required(),
+  description: productFields.description.required(),
+  price: productFields.price.required(),
+  category: productFields.category.required(),
+  variants: Joi.array()
+    .items(variantCreate)
+    .min(1)
+    .unique('sku')
+    .messages({ 'array.unique': 'Las variantes de un producto no pueden repetir SKU' })
+})
+  .oxor('stock', 'variants')
+  .messages({ 'object.oxor': 'El stock de un producto con variantes se define en cada variante' });
+
+const update = Joi.object(productFields);
+
+// Filtros compartidos por el listado y la exportación
+const filterQuery = {
+  category: Joi.string().trim().lowercase(),
+  isActive: Joi.boolean(),
+  minPrice: Joi.number().min(0),
+  maxPrice: Joi.number().min(0),
+  search: Joi.string().trim().min(1).max(100)
+};
+
+// Paginación por página o por cursor
+const paginationQuery = {
+  ...pageQuery,
+  sortBy: Joi.string().valid(...PRODUCT_SORT_FIELDS, 'relevance'),
+  sortOrder,
+  pagination: Joi.string().valid('page', 'cursor'),
+  cursor: Joi.string().allow('')
+};
+
+// La puntuación de relevancia no se puede usar como posición de un cursor
+const relevanceWithoutCursor = (value, helpers) => {
+  const cursorMode = value.cursor !== undefined || value.pagination === 'cursor';
+  return cursorMode && value.sortBy === 'relevance' ? helpers.error('object.relevanceCursor') : value;
+};
+
+const withPagination = (fields) => Joi.object({ ...paginationQuery, ...fields })
+  .oxor('cursor', 'page')
+  .custom(relevanceWithoutCursor)
+  .messages({
+    'object.oxor': 'No se puede combinar cursor con page',
+    'object.relevanceCursor': 'El orden por relevancia no admite paginación por cursor; use otro sortBy'
+  });
+
+const listQuery = withPagination(filterQuery);
+
+const lowStockQuery = withPagination({
+  threshold: Joi.number().integer().min(0)
+});
+
+const categoryParams = Joi.object({
+  category: Joi.string().trim().lowercase().required()
+});
+
+const categoryQuery = withPagination({});
+
+const exportQuery = Joi.object({
+  ...filterQuery,
+  format: Joi.string().valid(...Object.keys(EXPORT_FORMATS)),
+  // "sku,name,stock" → ['sku', 'name', 'stock']
+  columns: Joi.string().custom((value, helpers) => {
+    const columns = value.split(',').map(column => column.trim());
+    const invalid = columns.filter(column => !EXPORT_COLUMNS[column]);
+    return invalid.length > 0 ? helpers.error('any.invalid', { invalid: invalid.join(', ') }) : columns;
+  }).messages({
+    'any.invalid': `Columnas inválidas: {#invalid}. Opciones: ${Object.keys(EXPORT_COLUMNS).join(', ')}`
+  }),
+  lowStock: Joi.number().integer().min(0),
+  sortBy: Joi.string().valid('createdAt', 'updatedAt', 'name', 'price', 'stock'),
+  sortOrder
+});
+
+// Feed de cambios: lastEventId es la alternativa al header Last-Event-ID
+const eventsQuery = Joi.object({
+  category: Joi.string().trim().lowercase(),
+  productId: objectId,
+  lastEventId: Joi.string().trim()
+});
+
+const suggestQuery = Joi.object({
+  q: Joi.string().trim().min(1).max(50).required(),
+  limit: Joi.number().integer().min(1).max(20)
+});
+
+const statisticsQuery = Joi.object({
+  ...dateRangeQuery,
+  category: Joi.string().trim().lowercase(),
+  interval: Joi.string().valid('day', 'week', 'month')
+});
+
+const importQuery = Joi.object({
+  dryRun: Joi.boolean().default(false),
+  upsertBy: Joi.string().valid('name', 'sku').default('name'),
+  format: Joi.string().valid('csv', 'jsonl')
+});
+
+const stockUpdate = Joi.object({
+  quantity: Joi.number().integer().invalid(0).required().messages({
+    'any.invalid': 'La cantidad debe ser distinta de 0'
+  }),
+  // Las transferencias tienen su propio endpoint
+  reason: Joi.string().valid(...STOCK_MOVEMENT_REASONS.filter(reason => !SYSTEM_STOCK_MOVEMENT_REASONS.includes(reason))),
+  reference: Joi.string().trim().max(200),
+  // SKU de la variante; obligatorio si el producto tiene variantes
+  variant: Joi.string().trim().uppercase(),
+  // Código de la ubicación; sin él se usa la predeterminada
+  location: locationCode
+});
+
+// Sin `from` se asigna stock que no está en ninguna ubicación
+const stockTransfer = Joi.object({
+  from: locationCode,
+  to: locationCode.required(),
+  quantity: Joi.number().integer().min(1).required(),
+  variant: Joi.string().trim().uppercase(),
+  reference: Joi.string().trim().max(200)
+});
+
+const movementsQuery = Joi.object({
+  ...dateRangeQuery,
+  ...pageQuery,
+  variant: Joi.string().trim().uppercase()
+});
+
+const stockRebuild = Joi.object({
+  apply: Joi.boolean().default(false)
+});
+
+const trashQuery = Joi.object(pageQuery);
+
+const pricesQuery = Joi.object(dateRangeQuery);
+
+// Sin startsAt empieza de inmediato; con endsAt es una oferta temporal
+const priceSchedule = Joi.object({
+  price: productFields.price.required(),
+  startsAt: Joi.date(),
+  endsAt: Joi.date(),
+  note: Joi.string().trim().max(200)
+});
+
+const priceScheduleParams = Joi.object({
+  id: objectId.required(),
+  scheduleId: objectId.required()
+});
+
+// Campos de texto que acompañan a las imágenes (multipart)
+const imageUpload = Joi.object({
+  alt: Joi.string().trim().allow('').max(PRODUCT_RULES.imageAlt.max)
+});
+
+const imageOrder = Joi.object({
+  imageIds: Joi.array().items(objectId).min(1).unique().required()
+});
+
+const imageParams = Joi.object({
+  id: objectId.required(),
+  imageId: objectId.required()
+});
+
+module.exports = {
+  create,
+  update,
+  listQuery,
+  lowStockQuery,
+  categoryParams,
+  categoryQuery,
+  exportQuery,
+  suggestQuery,
+  eventsQuery,
+  statisticsQuery,
+  importQuery,
+  stockUpdate,
+  stockTransfer,
+  movementsQuery,
+  stockRebuild,
+  trashQuery,
+  variantCreate,
+  variantUpdate,
+  variantParams,
+  pricesQuery,
+  priceSchedule,
+  priceScheduleParams,
+  imageUpload,
+  imageOrder,
+  imageParams
+};
@@ -0,0 +1,69 @@
+const Joi = require('joi');
+const { PURCHASE_ORDER_STATUSES, PURCHASE_ORDER_RULES } = require('../models/purchaseOrder.model');
+const { objectId, pageQuery } = require('./common.validation');
+const { code: locationCode } = require('./location.validation');
+
+/**
+ * Esquemas de validación de órdenes de compra
+ * Las restricciones de los campos vienen de PURCHASE_ORDER_RULES (purchaseOrder.model.js)
+ */
+
+const line = {
+  product: objectId.required(),
+  // SKU de la variante; obligatorio si el producto tiene variantes
+  variant: Joi.string().trim().uppercase(),
+  quantity: Joi.number().integer().min(PURCHASE_ORDER_RULES.quantity.min).required()
+};
+
+const items = Joi.array()
+  .items(Joi.object({
+    ...line,
+    // Sin costo se usa el del proveedor en el producto
+    cost: Joi.number().min(0)
+  }))
+  .min(1);
+
+const create = Joi.object({
+  supplier: objectId.required(),
+  items: items.required(),
+  // Ubicación que recibe la mercadería; sin ella, la predeterminada
+  location: locationCode,
+  notes: Joi.string().trim().allow('').max(PURCHASE_ORDER_RULES.notes.max)
+});
+
+// El proveedor no cambia: para otro proveedor se crea otra orden
+const update = Joi.object({
+  items,
+  location: locationCode.allow(null),
+  notes: Joi.string().trim().allow('').max(PURCHASE_ORDER_RULES.notes.max)
+})
+  .min(1)
+  .messages({ 'object.min': 'Debe enviar al menos un campo para actualizar' });
+
+// Recibida en parte o completa se alcanzan registrando recepciones
+const changeStatus = Joi.object({
+  status: Joi.string().valid('sent', 'cancelled').required()
+});
+
+const receipt = Joi.object({
+  items: Joi.array().items(Joi.object(line)).min(1).required()
+});
+
+const listQuery = Joi.object({
+  ...pageQuery,
+  status: Joi.string().valid(...PURCHASE_ORDER_STATUSES),
+  supplier: objectId
+});
+
+const suggestionsQuery = Joi.object({
+  supplier: objectId
+});
+
+module.exports = {
+  create,
+  update,
+  changeStatus,
+  receipt,
+  listQuery,
+  suggestionsQuery
+};
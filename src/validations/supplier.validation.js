@@ -0,0 +1,36 @@
+const Joi = require('joi');
+const { SUPPLIER_RULES } = require('../models/supplier.model');
+
+/**
+ * Esquemas de validación de proveedores
+ * Las restricciones de los campos vienen de SUPPLIER_RULES (supplier.model.js)
+ */
+
+const supplierFields = {
+  name: Joi.string().trim().min(SUPPLIER_RULES.name.min).max(SUPPLIER_RULES.name.max),
+  email: Joi.string().trim().lowercase().email().allow(''),
+  phone: Joi.string().trim().allow('').max(SUPPLIER_RULES.phone.max),
+  contactName: Joi.string().trim().allow('').max(SUPPLIER_RULES.contactName.max),
+  leadTimeDays: Joi.number().integer().min(SUPPLIER_RULES.leadTimeDays.min).max(SUPPLIER_RULES.leadTimeDays.max),
+  notes: Joi.string().trim().allow('').max(SUPPLIER_RULES.notes.max),
+  isActive: Joi.boolean()
+};
+
+const create = Joi.object({
+  ...supplierFields,
+  name: supplierFields.name.required()
+});
+
+const update = Joi.object(supplierFields)
+  .min(1)
+  .messages({ 'object.min': 'Debe enviar al menos un campo para actualizar' });
+
+const listQuery = Joi.object({
+  includeInactive: Joi.boolean().default(false)
+});
+
+module.exports = {
+  create,
+  update,
+  listQuery
+};
@@ -0,0 +1,60 @@
+const Joi = require('joi');
+const { objectId, pageQuery } = require('./common.validation');
+const { WEBHOOK_EVENTS, WEBHOOK_RULES } = require('../models/webhook.model');
+const { WEBHOOK_DELIVERY_STATUSES } = require('../models/webhookDelivery.model');
+const { isPrivateHost } = require('../utils/network');
+
+/**
+ * Esquemas de validación de webhooks
+ * Las restricciones de los campos vienen de WEBHOOK_RULES (webhook.model.js)
+ */
+
+// La URL no puede apuntar a la propia máquina ni a la red interna (SSRF).
+// El host se toma ya normalizado por URL (ej: http://2130706433/ -> 127.0.0.1)
+const publicUrl = (value, helpers) => (
+  isPrivateHost(new URL(value).hostname) ? helpers.error('string.privateUrl') : value
+);
+
+const webhookFields = {
+  url: Joi.string()
+    .trim()
+    .uri({ scheme: ['http', 'https'] })
+    .max(WEBHOOK_RULES.url.max)
+    .custom(publicUrl)
+    .messages({ 'string.privateUrl': 'La URL no puede apuntar a localhost ni a una red privada' }),
+  description: Joi.string().trim().allow('').max(WEBHOOK_RULES.description.max),
+  events: Joi.array()
+    .items(Joi.string().valid(...WEBHOOK_EVENTS, '*'))
+    .min(1)
+    .unique(),
+  secret: Joi.string().min(WEBHOOK_RULES.secret.min).max(WEBHOOK_RULES.secret.max),
+  isActive: Joi.boolean()
+};
+
+const create = Joi.object({
+  ...webhookFields,
+  url: webhookFields.url.required(),
+  events: webhookFields.events.required()
+});
+
+const update = Joi.object(webhookFields)
+  .min(1)
+  .messages({ 'object.min': 'Debe enviar al menos un campo para actualizar' });
+
+const deliveriesQuery = Joi.object({
+  ...pageQuery,
+  status: Joi.string().valid(...WEBHOOK_DELIVERY_STATUSES),
+  eventType: Joi.string().valid(...WEBHOOK_EVENTS)
+});
+
+const deliveryParams = Joi.object({
+  id: objectId.required(),
+  deliveryId: objectId.required()
+});
+
+module.exports = {
+  create,
+  update,
+  deliveriesQuery,
+  deliveryParams
+};
@@ -0,0 +1,78 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const User = require('../src/models/user.model');
+const authService = require('../src/services/auth.service');
+const { ROLES } = require('../src/config/roles');
+
+/**
+ * Registro del primer usuario: dos registros simultáneos con la base vacía
+ * La colección se simula en memoria respetando el índice único parcial de `bootstrap`,
+ * así se prueba el camino real: servicio → repositorio → modelo.
+ */
+
+let stored;
+const originals = {};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  stored = [];
+  originals.countDocuments = User.countDocuments;
+  originals.save = User.prototype.save;
+
+  User.countDocuments = async () => {
+    await tick();
+    return stored.length;
+  };
+
+  User.prototype.save = async function () {
+    await tick();
+    if (this.bootstrap && stored.some(user => user.bootstrap)) {
+      const error = new Error('E11000 duplicate key error collection: users index: bootstrap_1');
+      error.code = 11000;
+      error.keyPattern = { bootstrap: 1 };
+      throw error;
+    }
+    stored.push(this);
+    return this;
+  };
+});
+
+afterEach(() => {
+  User.countDocuments = originals.countDocuments;
+  User.prototype.save = originals.save;
+});
+
+test('el modelo declara el índice único parcial de bootstrap', () => {
+  const index = User.schema.indexes().find(([fields]) => fields.bootstrap === 1);
+
+  assert.ok(index, 'falta el índice de bootstrap');
+  assert.strictEqual(index[1].unique, true);
+  assert.deepStrictEqual(index[1].partialFilterExpression, { bootstrap: true });
+});
+
+test('dos primeros registros simultáneos crean un solo administrador', async () => {
+  const results = await Promise.allSettled([
+    authService.register({ name: 'Ana', email: 'ana@example.com', password: 'Secreta123' }),
+    authService.register({ name: 'Luis', email: 'luis@example.com', password: 'Secreta123' })
+  ]);
+
+  const created = results.filter(result => result.status === 'fulfilled');
+  const rejected = results.filter(result => result.status === 'rejected');
+
+  assert.strictEqual(created.length, 1);
+  assert.strictEqual(created[0].value.role, ROLES.ADMIN);
+  assert.strictEqual(rejected.length, 1);
+  assert.strictEqual(rejected[0].reason.statusCode, 401);
+  assert.strictEqual(stored.filter(user => user.role === ROLES.ADMIN).length, 1);
+});
+
+test('con usuarios existentes, registrar sin autenticación se rechaza', async () => {
+  stored.push(new User({ name: 'Ana', email: 'ana@example.com', password: 'Secreta123', role: ROLES.ADMIN }));
+
+  await assert.rejects(
+    authService.register({ name: 'Luis', email: 'luis@example.com', password: 'Secreta123' }),
+    error => error.statusCode === 401
+  );
+  assert.strictEqual(stored.length, 1);
+});